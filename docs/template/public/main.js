@@ -1,3 +1,5 @@
+import { enablePlayground } from './playground.js';
+
 export default {
     iconLinks: [
         {
@@ -74,6 +76,9 @@ export default {
             });
         });
 
+        // Let readers edit and validate YAML DSL examples in place
+        enablePlayground().catch(err => console.error('Failed to enable the playground:', err));
+
         // Add reading progress indicator
         const progressBar = document.createElement('div');
         progressBar.id = 'reading-progress';
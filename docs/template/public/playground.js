@@ -0,0 +1,260 @@
+// "Try it" playground for YAML DSL examples
+// Turns YAML code blocks whose top-level keys belong to the DSL into a small Monaco editor,
+// validated in the browser against the DSL JSON schema exported at docs build time
+// (tools/ExperimentFramework.SchemaGenerator writes it to docs/schemas). The parser and
+// validator are the dashboard editor's own (dsl-yaml.js, dsl-schema.js, dsl-references.js),
+// published next to this file, so the docs report what the dashboard would.
+
+const MONACO_BASE = 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs';
+const SCHEMA_URL = new URL('../schemas/ExperimentFramework.dsl.schema.json', import.meta.url);
+const SCRIPTS = ['dsl-yaml.js', 'dsl-schema.js', 'dsl-references.js']
+    .map(name => new URL(`./playground/${name}`, import.meta.url));
+
+const MIN_LINES = 6;
+const MAX_LINES = 28;
+
+let schemaPromise = null;
+let editorPromise = null;
+
+// Load the schema once per page; null when the build did not export it
+function loadSchema() {
+    if (!schemaPromise) {
+        schemaPromise = fetch(SCHEMA_URL)
+            .then(response => response.ok ? response.json() : null)
+            .catch(() => null);
+    }
+    return schemaPromise;
+}
+
+function loadScript(src) {
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Could not load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+// Load Monaco from the CDN and the DSL scripts; resolves to the monaco namespace
+function loadEditor() {
+    if (!editorPromise) {
+        editorPromise = (async () => {
+            for (const src of SCRIPTS) {
+                await loadScript(src);
+            }
+
+            // Workers come from the CDN too, through a same-origin data: URL
+            window.MonacoEnvironment = {
+                getWorkerUrl: () => 'data:text/javascript;charset=utf-8,' + encodeURIComponent(
+                    `self.MonacoEnvironment = { baseUrl: '${MONACO_BASE}/../' };` +
+                    `importScripts('${MONACO_BASE}/base/worker/workerMain.js');`)
+            };
+            await loadScript(`${MONACO_BASE}/loader.min.js`);
+            window.require.config({ paths: { vs: MONACO_BASE } });
+            return new Promise((resolve, reject) => window.require(['vs/editor/editor.main'], () => resolve(window.monaco), reject));
+        })();
+        editorPromise.catch(() => { editorPromise = null; });
+    }
+    return editorPromise;
+}
+
+// Top-level keys of a YAML example, read without parsing it
+function topLevelKeys(text) {
+    return text.split('\n')
+        .map(line => /^([A-Za-z_][\w-]*)\s*:/.exec(line))
+        .filter(Boolean)
+        .map(match => match[1]);
+}
+
+// Examples of a whole document: every top-level key is a root property of the DSL
+function isDslExample(text, schema) {
+    const rootKeys = Object.keys(schema.properties || {}).map(key => key.toLowerCase());
+    const keys = topLevelKeys(text);
+    return keys.length > 0 && keys.every(key => rootKeys.includes(key.toLowerCase()));
+}
+
+// Syntax and schema problems, required members, and condition keys nothing defines
+function diagnose(schema, text) {
+    const problems = window.dslSchema.diagnose(schema, text, 'yaml', { required: true });
+
+    const parsed = window.dslYaml.parse(text);
+    if (parsed.errors.length === 0) {
+        const index = window.dslReferences.index(parsed.root, window.dslYaml.toValue(parsed.root), schema);
+        index.occurrences
+            .filter(occurrence => occurrence.kind === 'reference' && occurrence.definitions.length === 0)
+            .forEach(occurrence => problems.push(Object.assign({
+                message: `'${occurrence.key}' does not match any defined condition.`,
+                severity: 'warning',
+                code: 'unknown-condition'
+            }, occurrence.node.range)));
+    }
+
+    return problems.sort((a, b) => a.startLineNumber - b.startLineNumber || a.startColumn - b.startColumn);
+}
+
+function toMarkerSeverity(monaco, severity) {
+    return severity === 'error'
+        ? monaco.MarkerSeverity.Error
+        : severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Info;
+}
+
+function currentTheme() {
+    return document.documentElement.getAttribute('data-bs-theme') === 'dark' ? 'vs-dark' : 'vs';
+}
+
+function editorHeight(lineCount) {
+    return Math.min(Math.max(lineCount, MIN_LINES), MAX_LINES) * 19 + 16;
+}
+
+// Show the problems under the editor; each one moves the cursor to it
+function renderProblems(list, editor, problems) {
+    list.replaceChildren();
+    if (problems.length === 0) {
+        const item = document.createElement('li');
+        item.className = 'playground-ok';
+        item.textContent = 'No problems found.';
+        list.appendChild(item);
+        return;
+    }
+
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.className = `playground-${problem.severity}`;
+
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.textContent = `Line ${problem.startLineNumber}: ${problem.message}`;
+        link.addEventListener('click', () => {
+            editor.setPosition({ lineNumber: problem.startLineNumber, column: problem.startColumn });
+            editor.revealLineInCenter(problem.startLineNumber);
+            editor.focus();
+        });
+
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+}
+
+async function openPlayground(pre, code, schema, state) {
+    const monaco = await loadEditor();
+
+    const panel = document.createElement('div');
+    panel.className = 'playground';
+    const host = document.createElement('div');
+    host.className = 'playground-editor';
+    const problems = document.createElement('ul');
+    problems.className = 'playground-problems';
+    problems.setAttribute('aria-live', 'polite');
+    panel.append(host, problems);
+    pre.after(panel);
+
+    const model = monaco.editor.createModel(code.textContent.replace(/\n$/, ''), 'yaml');
+    host.style.height = `${editorHeight(model.getLineCount())}px`;
+    const editor = monaco.editor.create(host, {
+        model,
+        theme: currentTheme(),
+        automaticLayout: true,
+        minimap: { enabled: false },
+        scrollBeyondLastLine: false,
+        fontSize: 13,
+        tabSize: 2,
+        renderValidationDecorations: 'on'
+    });
+
+    let timeout = null;
+    const validate = () => {
+        const found = diagnose(schema, model.getValue());
+        monaco.editor.setModelMarkers(model, 'docs-playground', found.map(problem => ({
+            severity: toMarkerSeverity(monaco, problem.severity),
+            message: problem.message,
+            startLineNumber: problem.startLineNumber,
+            startColumn: problem.startColumn,
+            endLineNumber: problem.endLineNumber,
+            endColumn: problem.endColumn
+        })));
+        renderProblems(problems, editor, found);
+        host.style.height = `${editorHeight(model.getLineCount())}px`;
+    };
+    model.onDidChangeContent(() => {
+        clearTimeout(timeout);
+        timeout = setTimeout(validate, 200);
+    });
+    validate();
+
+    // Follow the docs' light/dark switch
+    const themeObserver = new MutationObserver(() => monaco.editor.setTheme(currentTheme()));
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-bs-theme'] });
+
+    state.reset = () => model.setValue(code.textContent.replace(/\n$/, ''));
+    state.close = () => {
+        clearTimeout(timeout);
+        themeObserver.disconnect();
+        editor.dispose();
+        model.dispose();
+        panel.remove();
+    };
+}
+
+// Add the "Try it" toggle to one example
+function addToggle(pre, code, schema) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'playground-toolbar';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'playground-toggle';
+    toggle.innerHTML = '<i class="bi bi-play"></i> Try it';
+    toggle.title = 'Edit and validate this example';
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'playground-toggle';
+    reset.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Reset';
+    reset.hidden = true;
+
+    toolbar.append(toggle, reset);
+    pre.before(toolbar);
+
+    const state = { open: false, reset: null, close: null };
+    reset.addEventListener('click', () => state.reset && state.reset());
+    toggle.addEventListener('click', async () => {
+        if (state.open) {
+            state.close();
+            state.open = false;
+            pre.hidden = false;
+            reset.hidden = true;
+            toggle.innerHTML = '<i class="bi bi-play"></i> Try it';
+            return;
+        }
+
+        toggle.disabled = true;
+        try {
+            await openPlayground(pre, code, schema, state);
+            state.open = true;
+            pre.hidden = true;
+            reset.hidden = false;
+            toggle.innerHTML = '<i class="bi bi-x"></i> Close';
+        } catch (e) {
+            console.error('Could not open the playground:', e);
+            toggle.innerHTML = '<i class="bi bi-exclamation-triangle"></i> Editor unavailable';
+        } finally {
+            toggle.disabled = false;
+        }
+    });
+}
+
+/**
+ * Adds a "Try it" toggle to every YAML DSL example on the page.
+ */
+export async function enablePlayground() {
+    const blocks = Array.from(document.querySelectorAll('article pre > code.lang-yaml, article pre > code.language-yaml'));
+    if (blocks.length === 0) return;
+
+    const schema = await loadSchema();
+    if (!schema) return;
+
+    blocks
+        .filter(code => isDslExample(code.textContent, schema))
+        .forEach(code => addToggle(code.closest('pre'), code, schema));
+}
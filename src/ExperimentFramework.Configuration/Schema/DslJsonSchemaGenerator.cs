@@ -0,0 +1,393 @@
+using System.Collections.Concurrent;
+using System.Reflection;
+using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+using System.Xml.Linq;
+using ExperimentFramework.Configuration.Extensions;
+using ExperimentFramework.Configuration.Models;
+using ExperimentFramework.Configuration.Validation;
+
+namespace ExperimentFramework.Configuration.Schema;
+
+/// <summary>
+/// Generates a JSON Schema (draft-07) describing the configuration DSL from the configuration models.
+/// </summary>
+/// <remarks>
+/// The schema is what editors use for completion, hover documentation and live validation.
+/// Property names, types, required members and defaults come from the model types themselves;
+/// descriptions come from the XML documentation file shipped next to this assembly (when present);
+/// allowed values come from the same vocabulary <see cref="ConfigurationValidator"/> enforces,
+/// extended with any handlers registered in a <see cref="ConfigurationExtensionRegistry"/>.
+/// </remarks>
+public static class DslJsonSchemaGenerator
+{
+    /// <summary>
+    /// The JSON Schema dialect emitted by this generator.
+    /// </summary>
+    public const string SchemaDialect = "http://json-schema.org/draft-07/schema#";
+
+    /// <summary>
+    /// Extension keyword marking string values that must reference a condition key
+    /// defined elsewhere in the document (control or conditions of a trial).
+    /// </summary>
+    public const string ConditionReferenceKeyword = "x-ef-conditionReference";
+
+    private static readonly string[] FallbackActions = ["throw", "fallbackToDefault", "fallbackToSpecificTrial"];
+
+    // Decorator type -> strongly-typed options model (used to describe decorators[].options)
+    private static readonly Dictionary<string, Type> DecoratorOptionTypes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        ["logging"] = typeof(LoggingDecoratorOptions),
+        ["timeout"] = typeof(TimeoutDecoratorOptions),
+        ["circuitBreaker"] = typeof(CircuitBreakerDecoratorOptions),
+        ["outcomeCollection"] = typeof(OutcomeCollectionDecoratorOptions)
+    };
+
+    // Condition key references (offered as completions and checked for dangling keys)
+    private static readonly HashSet<(Type, string)> ConditionReferences =
+    [
+        (typeof(ErrorPolicyConfig), nameof(ErrorPolicyConfig.FallbackKey)),
+        (typeof(ErrorPolicyConfig), nameof(ErrorPolicyConfig.FallbackKeys)),
+        (typeof(TimeoutDecoratorOptions), nameof(TimeoutDecoratorOptions.FallbackTrialKey)),
+        (typeof(CircuitBreakerDecoratorOptions), nameof(CircuitBreakerDecoratorOptions.FallbackTrialKey)),
+        (typeof(HypothesisConfig), nameof(HypothesisConfig.ControlCondition)),
+        (typeof(HypothesisConfig), nameof(HypothesisConfig.TreatmentConditions))
+    ];
+
+    private static readonly ConcurrentDictionary<Assembly, IReadOnlyDictionary<string, string>> DocumentationCache = new();
+
+    /// <summary>
+    /// Generates the DSL JSON schema.
+    /// </summary>
+    /// <param name="extensionRegistry">
+    /// Optional registry whose decorator and selection mode handlers are added to the allowed values.
+    /// </param>
+    /// <returns>The JSON schema document.</returns>
+    public static JsonObject Generate(ConfigurationExtensionRegistry? extensionRegistry = null)
+    {
+        var definitions = new JsonObject();
+        var context = new GenerationContext(definitions, extensionRegistry);
+
+        var rootReference = context.Reference(typeof(ExperimentFrameworkConfigurationRoot));
+        var rootDefinition = (JsonObject)definitions[nameof(ExperimentFrameworkConfigurationRoot)]!;
+
+        // Root properties are repeated at the top level so unwrapped documents validate, and
+        // "experimentFramework:" is accepted as the wrapper the configuration loader understands.
+        var rootProperties = (JsonObject)rootDefinition["properties"]!.DeepClone();
+        rootProperties["experimentFramework"] = rootReference;
+
+        var schema = new JsonObject
+        {
+            ["$schema"] = SchemaDialect,
+            ["$id"] = "https://github.com/JerrettDavis/ExperimentFramework/schemas/experiment-dsl.schema.json",
+            ["title"] = "ExperimentFramework configuration DSL"
+        };
+
+        if (rootDefinition["description"] is { } description)
+        {
+            schema["description"] = description.DeepClone();
+        }
+
+        schema["type"] = "object";
+        schema["properties"] = rootProperties;
+        schema["additionalProperties"] = false;
+        schema["definitions"] = definitions;
+        return schema;
+    }
+
+    private sealed class GenerationContext(JsonObject definitions, ConfigurationExtensionRegistry? extensionRegistry)
+    {
+        public JsonObject Reference(Type type)
+        {
+            if (!definitions.ContainsKey(type.Name))
+            {
+                // Reserve the slot first so self-referencing models terminate
+                definitions[type.Name] = new JsonObject();
+                definitions[type.Name] = Describe(type);
+            }
+
+            return new JsonObject { ["$ref"] = $"#/definitions/{type.Name}" };
+        }
+
+        private JsonObject Describe(Type type)
+        {
+            var docs = GetDocumentation(type.Assembly);
+            var defaults = CreateDefaultInstance(type);
+            var properties = new JsonObject();
+            var required = new JsonArray();
+
+            foreach (var property in type.GetProperties(BindingFlags.Public | BindingFlags.Instance)
+                         .Where(p => p.CanRead && p.CanWrite))
+            {
+                var name = ToCamelCase(property.Name);
+                var schema = DescribeType(property.PropertyType);
+
+                if (docs.TryGetValue($"P:{DocumentationId(type)}.{property.Name}", out var description))
+                {
+                    schema["description"] = description;
+                }
+
+                if (ConditionReferences.Contains((type, property.Name)))
+                {
+                    schema[ConditionReferenceKeyword] = true;
+                }
+
+                ApplyAllowedValues(type, property.Name, schema);
+
+                var defaultValue = GetDefault(property, defaults);
+                if (defaultValue != null)
+                {
+                    schema["default"] = defaultValue;
+                }
+
+                if (IsRequiredMember(property))
+                {
+                    required.Add(name);
+                }
+
+                properties[name] = schema;
+            }
+
+            var definition = new JsonObject
+            {
+                ["title"] = type.Name,
+                ["type"] = "object"
+            };
+
+            if (docs.TryGetValue($"T:{DocumentationId(type)}", out var typeDescription))
+            {
+                definition["description"] = typeDescription;
+            }
+
+            definition["properties"] = properties;
+            if (required.Count > 0)
+            {
+                definition["required"] = required;
+            }
+            definition["additionalProperties"] = false;
+
+            if (type == typeof(DecoratorConfig))
+            {
+                definition["allOf"] = DescribeDecoratorOptions();
+            }
+
+            return definition;
+        }
+
+        private JsonObject DescribeType(Type type)
+        {
+            type = Nullable.GetUnderlyingType(type) ?? type;
+
+            if (type == typeof(string))
+                return new JsonObject { ["type"] = "string" };
+            if (type == typeof(bool))
+                return new JsonObject { ["type"] = "boolean" };
+            if (type == typeof(int) || type == typeof(long) || type == typeof(short))
+                return new JsonObject { ["type"] = "integer" };
+            if (type == typeof(double) || type == typeof(float) || type == typeof(decimal))
+                return new JsonObject { ["type"] = "number" };
+            if (type == typeof(TimeSpan))
+                return new JsonObject { ["type"] = "string", ["format"] = "time-span", ["pattern"] = @"^-?(\d+\.)?\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$" };
+            if (type == typeof(DateTimeOffset) || type == typeof(DateTime))
+                return new JsonObject { ["type"] = "string", ["format"] = "date-time" };
+            if (type == typeof(object))
+                return new JsonObject();
+
+            if (type.IsGenericType)
+            {
+                var definition = type.GetGenericTypeDefinition();
+                var arguments = type.GetGenericArguments();
+
+                if (definition == typeof(Dictionary<,>) || definition == typeof(IDictionary<,>) || definition == typeof(IReadOnlyDictionary<,>))
+                {
+                    return new JsonObject
+                    {
+                        ["type"] = "object",
+                        ["additionalProperties"] = arguments[1] == typeof(object) ? (JsonNode)true : DescribeType(arguments[1])
+                    };
+                }
+
+                if (definition == typeof(List<>) || definition == typeof(IList<>) || definition == typeof(IReadOnlyList<>) || definition == typeof(IEnumerable<>))
+                {
+                    return new JsonObject { ["type"] = "array", ["items"] = DescribeType(arguments[0]) };
+                }
+            }
+
+            if (type.IsArray)
+            {
+                return new JsonObject { ["type"] = "array", ["items"] = DescribeType(type.GetElementType()!) };
+            }
+
+            if (type.IsEnum)
+            {
+                return new JsonObject
+                {
+                    ["type"] = "string",
+                    ["enum"] = new JsonArray(Enum.GetNames(type).Select(n => (JsonNode)ToCamelCase(n)).ToArray())
+                };
+            }
+
+            return Reference(type);
+        }
+
+        private JsonArray DescribeDecoratorOptions()
+        {
+            var branches = new JsonArray();
+            foreach (var (decoratorType, optionsType) in DecoratorOptionTypes)
+            {
+                branches.Add(new JsonObject
+                {
+                    ["if"] = new JsonObject
+                    {
+                        ["properties"] = new JsonObject { ["type"] = new JsonObject { ["const"] = decoratorType } },
+                        ["required"] = new JsonArray("type")
+                    },
+                    ["then"] = new JsonObject
+                    {
+                        ["properties"] = new JsonObject { ["options"] = Reference(optionsType) }
+                    }
+                });
+            }
+            return branches;
+        }
+
+        private void ApplyAllowedValues(Type type, string propertyName, JsonObject schema)
+        {
+            IEnumerable<string>? values = (type.Name, propertyName) switch
+            {
+                (nameof(SelectionModeConfig), nameof(SelectionModeConfig.Type)) =>
+                    ConfigurationValidator.BuiltInSelectionModes.Concat(extensionRegistry?.GetRegisteredSelectionModeTypes() ?? []),
+                (nameof(DecoratorConfig), nameof(DecoratorConfig.Type)) =>
+                    ConfigurationValidator.BuiltInDecoratorTypes.Concat(extensionRegistry?.GetRegisteredDecoratorTypes() ?? []),
+                (nameof(ErrorPolicyConfig), nameof(ErrorPolicyConfig.Type)) => ConfigurationValidator.ValidErrorPolicies,
+                (nameof(HypothesisConfig), nameof(HypothesisConfig.Type)) => ConfigurationValidator.ValidHypothesisTypes,
+                (nameof(EndpointConfig), nameof(EndpointConfig.OutcomeType)) => ConfigurationValidator.ValidOutcomeTypes,
+                (nameof(TimeoutDecoratorOptions), nameof(TimeoutDecoratorOptions.OnTimeout)) => FallbackActions,
+                (nameof(CircuitBreakerDecoratorOptions), nameof(CircuitBreakerDecoratorOptions.OnCircuitOpen)) => FallbackActions,
+                (nameof(FrameworkSettingsConfig), nameof(FrameworkSettingsConfig.ProxyStrategy)) => ["sourceGenerators", "dispatchProxy"],
+                _ => null
+            };
+
+            if (values != null)
+            {
+                schema["enum"] = ToJsonArray(values);
+                return;
+            }
+
+            // Open vocabularies: suggested values, but custom type names are accepted
+            IEnumerable<string>? examples = (type.Name, propertyName) switch
+            {
+                (nameof(ApprovalGateConfig), nameof(ApprovalGateConfig.Type)) => ["automatic", "manual", "roleBased"],
+                (nameof(PolicyConfig), nameof(PolicyConfig.Type)) => ["trafficLimit", "errorRate", "timeWindow", "conflictPrevention"],
+                (nameof(PersistenceConfig), nameof(PersistenceConfig.Type)) => ["inMemory", "sql", "redis"],
+                (nameof(PersistenceConfig), nameof(PersistenceConfig.Provider)) => ["sqlserver", "postgresql", "sqlite"],
+                _ => null
+            };
+
+            if (examples != null)
+            {
+                schema["examples"] = ToJsonArray(examples);
+            }
+        }
+    }
+
+    private static JsonArray ToJsonArray(IEnumerable<string> values) =>
+        new(values.Distinct(StringComparer.OrdinalIgnoreCase).Select(v => (JsonNode)v).ToArray());
+
+    private static object? CreateDefaultInstance(Type type)
+    {
+        try
+        {
+            // Required members are a compile-time contract only; reflection can still construct the model
+            return Activator.CreateInstance(type);
+        }
+        catch (Exception)
+        {
+            return null;
+        }
+    }
+
+    private static JsonNode? GetDefault(PropertyInfo property, object? instance)
+    {
+        if (instance == null)
+        {
+            return null;
+        }
+
+        return property.GetValue(instance) switch
+        {
+            string s when s.Length > 0 => s,
+            bool b => b,
+            int i => i,
+            long l => l,
+            double d => d,
+            decimal m => m,
+            TimeSpan t => t.ToString("c"),
+            _ => null
+        };
+    }
+
+    private static bool IsRequiredMember(PropertyInfo property) =>
+        property.GetCustomAttributes(false)
+            .Any(a => a.GetType().FullName == "System.Runtime.CompilerServices.RequiredMemberAttribute");
+
+    private static string ToCamelCase(string name) =>
+        string.IsNullOrEmpty(name) || char.IsLower(name[0])
+            ? name
+            : char.ToLowerInvariant(name[0]) + name[1..];
+
+    private static string DocumentationId(Type type) => (type.FullName ?? type.Name).Replace('+', '.');
+
+    private static IReadOnlyDictionary<string, string> GetDocumentation(Assembly assembly) =>
+        DocumentationCache.GetOrAdd(assembly, LoadDocumentation);
+
+    private static IReadOnlyDictionary<string, string> LoadDocumentation(Assembly assembly)
+    {
+        var result = new Dictionary<string, string>(StringComparer.Ordinal);
+
+        try
+        {
+            if (string.IsNullOrEmpty(assembly.Location))
+            {
+                return result;
+            }
+
+            var path = Path.ChangeExtension(assembly.Location, ".xml");
+            if (!File.Exists(path))
+            {
+                return result;
+            }
+
+            var document = XDocument.Load(path);
+            foreach (var member in document.Descendants("member"))
+            {
+                var name = member.Attribute("name")?.Value;
+                var summary = member.Element("summary");
+                if (name != null && summary != null)
+                {
+                    result[name] = FlattenDocumentation(summary);
+                }
+            }
+        }
+        catch (Exception)
+        {
+            // Documentation is best-effort; the schema is still complete without descriptions
+        }
+
+        return result;
+    }
+
+    private static string FlattenDocumentation(XElement element)
+    {
+        var text = string.Concat(element.Nodes().Select(node => node switch
+        {
+            XText t => t.Value,
+            XElement { Name.LocalName: "see" } see =>
+                see.Attribute("cref")?.Value.Split('.', ':').Last() ?? see.Attribute("langword")?.Value ?? see.Value,
+            XElement e => e.Value,
+            _ => string.Empty
+        }));
+
+        return Regex.Replace(text, @"\s+", " ").Trim();
+    }
+}
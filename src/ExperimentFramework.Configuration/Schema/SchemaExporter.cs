@@ -1,4 +1,5 @@
 using System.Text.Json;
+using ExperimentFramework.Configuration.Extensions;
 using ExperimentFramework.Configuration.Schema;
 
 namespace ExperimentFramework.Configuration.Schema;
@@ -54,6 +55,31 @@ public static class SchemaExporter
         File.WriteAllText(outputPath, json);
     }
 
+    /// <summary>
+    /// Exports the DSL JSON schema (see <see cref="DslJsonSchemaGenerator"/>) to a JSON file,
+    /// for editors and pages that validate DSL documents without a running host.
+    /// </summary>
+    /// <param name="outputPath">The path where the JSON file will be written.</param>
+    /// <param name="extensionRegistry">
+    /// Optional registry whose decorator and selection mode handlers are added to the allowed values.
+    /// </param>
+    public static void ExportDslJsonSchema(string outputPath, ConfigurationExtensionRegistry? extensionRegistry = null)
+    {
+        var directory = Path.GetDirectoryName(outputPath);
+        if (!string.IsNullOrEmpty(directory) && !Directory.Exists(directory))
+        {
+            Directory.CreateDirectory(directory);
+        }
+
+        var options = new JsonSerializerOptions
+        {
+            WriteIndented = true
+        };
+
+        var json = DslJsonSchemaGenerator.Generate(extensionRegistry).ToJsonString(options);
+        File.WriteAllText(outputPath, json);
+    }
+
     /// <summary>
     /// Creates a unified schema from all configuration models in the specified assembly.
     /// </summary>
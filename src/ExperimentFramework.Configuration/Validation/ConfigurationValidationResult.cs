@@ -42,6 +42,16 @@ public sealed class ConfigurationValidationResult(IEnumerable<ConfigurationValid
 /// <param name="Severity">The severity of the error.</param>
 public sealed record ConfigurationValidationError(string Path, string Message, ValidationSeverity Severity)
 {
+    /// <summary>
+    /// Machine-readable kind of problem (see <see cref="ValidationErrorCodes"/>), or <c>null</c> when not classified.
+    /// </summary>
+    public string? Code { get; init; }
+
+    /// <summary>
+    /// Values describing the problem for tools that offer fixes, such as the allowed values or the unmatched key.
+    /// </summary>
+    public IReadOnlyDictionary<string, object?>? Data { get; init; }
+
     /// <summary>
     /// Creates an error (fatal).
     /// </summary>
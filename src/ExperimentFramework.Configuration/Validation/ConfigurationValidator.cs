@@ -12,7 +12,8 @@ public sealed class ConfigurationValidator : IConfigurationValidator
 
     // Built-in types that are always valid (for backward compatibility when no registry)
     // Note: Some of these require additional packages to actually work at runtime
-    private static readonly HashSet<string> BuiltInSelectionModes = new(StringComparer.OrdinalIgnoreCase)
+    // These sets are also the enum vocabulary of the DSL JSON schema (see DslJsonSchemaGenerator)
+    internal static readonly HashSet<string> BuiltInSelectionModes = new(StringComparer.OrdinalIgnoreCase)
     {
         "featureFlag", "configurationKey", "custom",
         // Extension package modes (require package to be installed for runtime)
@@ -20,24 +21,24 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         "rollout", "stagedRollout", "targeting"
     };
 
-    private static readonly HashSet<string> BuiltInDecoratorTypes = new(StringComparer.OrdinalIgnoreCase)
+    internal static readonly HashSet<string> BuiltInDecoratorTypes = new(StringComparer.OrdinalIgnoreCase)
     {
         "logging", "timeout", "metrics", "killSwitch", "custom",
         // Extension package decorators (require package to be installed for runtime)
         "circuitBreaker", "outcomeCollection"
     };
 
-    private static readonly HashSet<string> ValidErrorPolicies = new(StringComparer.OrdinalIgnoreCase)
+    internal static readonly HashSet<string> ValidErrorPolicies = new(StringComparer.OrdinalIgnoreCase)
     {
         "throw", "fallbackToControl", "fallbackTo", "tryInOrder", "tryAny"
     };
 
-    private static readonly HashSet<string> ValidHypothesisTypes = new(StringComparer.OrdinalIgnoreCase)
+    internal static readonly HashSet<string> ValidHypothesisTypes = new(StringComparer.OrdinalIgnoreCase)
     {
         "superiority", "nonInferiority", "equivalence", "twoSided"
     };
 
-    private static readonly HashSet<string> ValidOutcomeTypes = new(StringComparer.OrdinalIgnoreCase)
+    internal static readonly HashSet<string> ValidOutcomeTypes = new(StringComparer.OrdinalIgnoreCase)
     {
         "binary", "continuous", "count", "duration"
     };
@@ -118,10 +119,12 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         if (!isValidType)
         {
             // Get valid types for the error message
-            var validTypes = GetValidDecoratorTypes();
-            errors.Add(ConfigurationValidationError.Error(
+            var validTypes = GetValidDecoratorTypes().ToList();
+            errors.Add(InvalidValue(
                 $"{path}.type",
-                $"Invalid decorator type: '{decorator.Type}'. Valid values: {string.Join(", ", validTypes)}"));
+                $"Invalid decorator type: '{decorator.Type}'. Valid values: {string.Join(", ", validTypes)}",
+                decorator.Type,
+                validTypes));
             return;
         }
 
@@ -158,13 +161,13 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         // Required fields
         if (string.IsNullOrWhiteSpace(trial.ServiceType))
         {
-            errors.Add(ConfigurationValidationError.Error($"{path}.serviceType", "Service type is required"));
+            errors.Add(Missing($"{path}.serviceType", "serviceType", "Service type is required"));
         }
 
         // Selection mode validation
         if (trial.SelectionMode == null)
         {
-            errors.Add(ConfigurationValidationError.Error($"{path}.selectionMode", "Selection mode is required"));
+            errors.Add(Missing($"{path}.selectionMode", "selectionMode", "Selection mode is required"));
         }
         else
         {
@@ -174,7 +177,7 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         // Control validation
         if (trial.Control == null)
         {
-            errors.Add(ConfigurationValidationError.Error($"{path}.control", "Control implementation is required"));
+            errors.Add(Missing($"{path}.control", "control", "Control implementation is required"));
         }
         else
         {
@@ -199,7 +202,11 @@ public sealed class ConfigurationValidator : IConfigurationValidator
                 {
                     errors.Add(ConfigurationValidationError.Error(
                         $"{path}.conditions[{i}].key",
-                        $"Duplicate condition key: '{condition.Key}'"));
+                        $"Duplicate condition key: '{condition.Key}'") with
+                    {
+                        Code = ValidationErrorCodes.DuplicateCondition,
+                        Data = new Dictionary<string, object?> { ["key"] = condition.Key }
+                    });
                 }
             }
         }
@@ -231,10 +238,12 @@ public sealed class ConfigurationValidator : IConfigurationValidator
 
         if (!isValidType)
         {
-            var validTypes = GetValidSelectionModeTypes();
-            errors.Add(ConfigurationValidationError.Error(
+            var validTypes = GetValidSelectionModeTypes().ToList();
+            errors.Add(InvalidValue(
                 $"{path}.type",
-                $"Invalid selection mode type: '{mode.Type}'. Valid values: {string.Join(", ", validTypes)}"));
+                $"Invalid selection mode type: '{mode.Type}'. Valid values: {string.Join(", ", validTypes)}",
+                mode.Type,
+                validTypes));
             return;
         }
 
@@ -289,9 +298,11 @@ public sealed class ConfigurationValidator : IConfigurationValidator
 
         if (!ValidErrorPolicies.Contains(policy.Type))
         {
-            errors.Add(ConfigurationValidationError.Error(
+            errors.Add(InvalidValue(
                 $"{path}.type",
-                $"Invalid error policy type: '{policy.Type}'. Valid values: {string.Join(", ", ValidErrorPolicies)}"));
+                $"Invalid error policy type: '{policy.Type}'. Valid values: {string.Join(", ", ValidErrorPolicies)}",
+                policy.Type,
+                ValidErrorPolicies));
             return;
         }
 
@@ -320,9 +331,7 @@ public sealed class ConfigurationValidator : IConfigurationValidator
             }
             else if (!allKeys.Contains(policy.FallbackKey))
             {
-                errors.Add(ConfigurationValidationError.Warning(
-                    $"{path}.fallbackKey",
-                    $"Fallback key '{policy.FallbackKey}' does not match any defined condition"));
+                errors.Add(UnknownCondition($"{path}.fallbackKey", policy.FallbackKey, allKeys));
             }
         }
 
@@ -341,9 +350,7 @@ public sealed class ConfigurationValidator : IConfigurationValidator
                     var key = policy.FallbackKeys[i];
                     if (!allKeys.Contains(key))
                     {
-                        errors.Add(ConfigurationValidationError.Warning(
-                            $"{path}.fallbackKeys[{i}]",
-                            $"Fallback key '{key}' does not match any defined condition"));
+                        errors.Add(UnknownCondition($"{path}.fallbackKeys[{i}]", key, allKeys));
                     }
                 }
             }
@@ -383,9 +390,24 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         }
         else
         {
+            var serviceTypes = new HashSet<string>(StringComparer.Ordinal);
             for (var i = 0; i < experiment.Trials.Count; i++)
             {
-                ValidateTrial(experiment.Trials[i], $"{path}.trials[{i}]", errors);
+                var trial = experiment.Trials[i];
+                ValidateTrial(trial, $"{path}.trials[{i}]", errors);
+
+                // Each service should be switched by one trial of an experiment. A warning, not an
+                // error: configurations with duplicates loaded before this check existed
+                if (!string.IsNullOrWhiteSpace(trial.ServiceType) && !serviceTypes.Add(trial.ServiceType))
+                {
+                    errors.Add(ConfigurationValidationError.Warning(
+                        $"{path}.trials[{i}]",
+                        $"Duplicate trial for service type '{trial.ServiceType}'") with
+                    {
+                        Code = ValidationErrorCodes.DuplicateTrial,
+                        Data = new Dictionary<string, object?> { ["serviceType"] = trial.ServiceType }
+                    });
+                }
             }
         }
 
@@ -413,9 +435,11 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         }
         else if (!ValidHypothesisTypes.Contains(hypothesis.Type))
         {
-            errors.Add(ConfigurationValidationError.Error(
+            errors.Add(InvalidValue(
                 $"{path}.type",
-                $"Invalid hypothesis type: '{hypothesis.Type}'. Valid values: {string.Join(", ", ValidHypothesisTypes)}"));
+                $"Invalid hypothesis type: '{hypothesis.Type}'. Valid values: {string.Join(", ", ValidHypothesisTypes)}",
+                hypothesis.Type,
+                ValidHypothesisTypes));
         }
 
         if (string.IsNullOrWhiteSpace(hypothesis.NullHypothesis))
@@ -475,9 +499,11 @@ public sealed class ConfigurationValidator : IConfigurationValidator
         }
         else if (!ValidOutcomeTypes.Contains(endpoint.OutcomeType))
         {
-            errors.Add(ConfigurationValidationError.Error(
+            errors.Add(InvalidValue(
                 $"{path}.outcomeType",
-                $"Invalid outcome type: '{endpoint.OutcomeType}'. Valid values: {string.Join(", ", ValidOutcomeTypes)}"));
+                $"Invalid outcome type: '{endpoint.OutcomeType}'. Valid values: {string.Join(", ", ValidOutcomeTypes)}",
+                endpoint.OutcomeType,
+                ValidOutcomeTypes));
         }
 
         if (endpoint is { HigherIsBetter: true, LowerIsBetter: true })
@@ -511,4 +537,25 @@ public sealed class ConfigurationValidator : IConfigurationValidator
                 "Minimum sample size must be positive"));
         }
     }
+
+    private static ConfigurationValidationError InvalidValue(string path, string message, string value, IEnumerable<string> allowed) =>
+        ConfigurationValidationError.Error(path, message) with
+        {
+            Code = ValidationErrorCodes.InvalidEnum,
+            Data = new Dictionary<string, object?> { ["value"] = value, ["allowed"] = allowed.ToArray() }
+        };
+
+    private static ConfigurationValidationError Missing(string path, string property, string message) =>
+        ConfigurationValidationError.Error(path, message) with
+        {
+            Code = ValidationErrorCodes.MissingRequired,
+            Data = new Dictionary<string, object?> { ["property"] = property }
+        };
+
+    private static ConfigurationValidationError UnknownCondition(string path, string key, IEnumerable<string> conditions) =>
+        ConfigurationValidationError.Warning(path, $"Fallback key '{key}' does not match any defined condition") with
+        {
+            Code = ValidationErrorCodes.UnknownCondition,
+            Data = new Dictionary<string, object?> { ["key"] = key, ["conditions"] = conditions.ToArray() }
+        };
 }
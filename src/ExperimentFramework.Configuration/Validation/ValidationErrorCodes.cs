@@ -0,0 +1,33 @@
+namespace ExperimentFramework.Configuration.Validation;
+
+/// <summary>
+/// Machine-readable codes carried by <see cref="ConfigurationValidationError.Code"/>.
+/// Tools such as the dashboard DSL editor use them, with <see cref="ConfigurationValidationError.Data"/>, to offer fixes.
+/// </summary>
+public static class ValidationErrorCodes
+{
+    /// <summary>
+    /// A value outside the allowed set. Data: <c>value</c>, <c>allowed</c>.
+    /// </summary>
+    public const string InvalidEnum = "invalid-enum";
+
+    /// <summary>
+    /// A required member is missing or empty. Data: <c>property</c>.
+    /// </summary>
+    public const string MissingRequired = "missing-required";
+
+    /// <summary>
+    /// A condition key used more than once in a trial. Data: <c>key</c>.
+    /// </summary>
+    public const string DuplicateCondition = "duplicate-condition";
+
+    /// <summary>
+    /// A fallback key that names no condition of the trial. Data: <c>key</c>, <c>conditions</c>.
+    /// </summary>
+    public const string UnknownCondition = "unknown-condition";
+
+    /// <summary>
+    /// A second trial for the same service type in one experiment. Data: <c>serviceType</c>.
+    /// </summary>
+    public const string DuplicateTrial = "duplicate-trial";
+}
@@ -43,4 +43,45 @@ public sealed class DashboardTheme
     /// Gets or sets whether dark mode is enabled by default.
     /// </summary>
     public bool DarkModeDefault { get; init; }
+
+    /// <summary>
+    /// Gets or sets the brand palettes users can pick from.
+    /// </summary>
+    public IReadOnlyList<DashboardPalette> Palettes { get; init; } = [];
+
+    /// <summary>
+    /// Gets or sets the name of the palette shown until a user picks one, or null for the built-in colors.
+    /// </summary>
+    public string? DefaultPalette { get; init; }
+}
+
+/// <summary>
+/// Represents a named set of dashboard color overrides.
+/// </summary>
+/// <remarks>
+/// Keys are <c>--ef-*</c> CSS variable names without the prefix, for example <c>accent</c>,
+/// <c>accent-hover</c>, <c>surface</c>, <c>background</c>, <c>text</c> or <c>chart-1</c>;
+/// values are CSS colors. High-contrast themes ignore palettes.
+/// </remarks>
+public sealed class DashboardPalette
+{
+    /// <summary>
+    /// Gets or sets the palette name.
+    /// </summary>
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// Gets or sets the name shown to users, or null to show <see cref="Name"/>.
+    /// </summary>
+    public string? DisplayName { get; set; }
+
+    /// <summary>
+    /// Gets or sets the variables applied in the light theme, and in the dark theme unless overridden.
+    /// </summary>
+    public Dictionary<string, string> Light { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the variables that override <see cref="Light"/> in the dark theme.
+    /// </summary>
+    public Dictionary<string, string> Dark { get; set; } = [];
 }
@@ -0,0 +1,53 @@
+namespace ExperimentFramework.Dashboard.Abstractions;
+
+/// <summary>
+/// Stores dashboard preferences per user, so they follow the user between browsers.
+/// </summary>
+public interface IUserPreferenceStore
+{
+    /// <summary>
+    /// Gets the preferences of a user.
+    /// </summary>
+    /// <param name="userId">The user identifier.</param>
+    /// <param name="tenantId">Optional tenant ID for multi-tenancy.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The user's preferences, or null if none have been saved.</returns>
+    Task<DashboardUserPreferences?> GetPreferencesAsync(
+        string userId,
+        string? tenantId = null,
+        CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Saves or replaces the preferences of a user.
+    /// </summary>
+    /// <param name="userId">The user identifier.</param>
+    /// <param name="preferences">The preferences to save.</param>
+    /// <param name="tenantId">Optional tenant ID for multi-tenancy.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    Task SavePreferencesAsync(
+        string userId,
+        DashboardUserPreferences preferences,
+        string? tenantId = null,
+        CancellationToken cancellationToken = default);
+}
+
+/// <summary>
+/// Dashboard preferences of one user.
+/// </summary>
+public sealed class DashboardUserPreferences
+{
+    /// <summary>
+    /// The theme values the dashboard understands.
+    /// </summary>
+    public static IReadOnlyList<string> Themes { get; } = ["system", "light", "dark", "hc-light", "hc-dark"];
+
+    /// <summary>
+    /// Gets or sets the theme: system, light, dark, hc-light or hc-dark.
+    /// </summary>
+    public string Theme { get; set; } = "system";
+
+    /// <summary>
+    /// Gets or sets the last modified timestamp.
+    /// </summary>
+    public DateTimeOffset LastModified { get; set; }
+}
@@ -31,6 +31,7 @@ public static class DashboardApiExtensions
         group.MapAnalyticsEndpoints("/analytics");
         group.MapGovernanceEndpoints("/governance");
         group.MapAuditEndpoints("/audit");
+        group.MapPreferenceEndpoints("/preferences");
 
         return group;
     }
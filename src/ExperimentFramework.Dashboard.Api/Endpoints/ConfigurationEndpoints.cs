@@ -4,6 +4,8 @@ using Microsoft.AspNetCore.Routing;
 using Microsoft.Extensions.DependencyInjection;
 using ExperimentFramework;
 using ExperimentFramework.Admin;
+using ExperimentFramework.Configuration.Extensions;
+using ExperimentFramework.Configuration.Schema;
 
 namespace ExperimentFramework.Dashboard.Api.Endpoints;
 
@@ -53,12 +55,18 @@ public static class ConfigurationEndpoints
         group.MapPost("/apply", ApplyDsl)
             .WithName("Dashboard_ApplyDsl");
 
+        group.MapPost("/format", FormatDsl)
+            .WithName("Dashboard_FormatDsl");
+
         group.MapGet("/current", GetCurrentDsl)
             .WithName("Dashboard_GetCurrentDsl");
 
         group.MapGet("/schema", GetDslSchema)
             .WithName("Dashboard_GetDslSchema");
 
+        group.MapGet("/types", GetDslTypes)
+            .WithName("Dashboard_GetDslTypes");
+
         return group;
     }
 
@@ -213,7 +221,9 @@ public static class ConfigurationEndpoints
                     column = 1,
                     endLine = i + 1,
                     endColumn = line.Length + 1,
-                    path = ""
+                    path = "",
+                    code = "unclosed-bracket",
+                    data = (object?)null
                 });
                 hasErrors = true;
             }
@@ -229,12 +239,36 @@ public static class ConfigurationEndpoints
                     column = line.IndexOf('\t') + 1,
                     endLine = i + 1,
                     endColumn = line.IndexOf('\t') + 2,
-                    path = ""
+                    path = "",
+                    code = "tab-indentation",
+                    data = (object?)null
                 });
                 hasErrors = true;
             }
         }
 
+        // Check the trials against the configuration validator; each finding carries a code for quick fixes
+        if (!hasErrors)
+        {
+            var findings = DslDocumentValidator.Validate(yaml, sp.GetService<ConfigurationExtensionRegistry>());
+            foreach (var finding in findings)
+            {
+                errors.Add(new
+                {
+                    message = finding.Message,
+                    severity = finding.Severity,
+                    line = finding.Line,
+                    column = finding.Column,
+                    endLine = finding.EndLine,
+                    endColumn = finding.EndColumn,
+                    path = finding.Path,
+                    code = finding.Code,
+                    data = (object?)finding.Data
+                });
+            }
+            hasErrors = findings.Exists(f => f.Severity == "error");
+        }
+
         // Parse experiment names from the YAML for preview
         var experiments = new List<object>();
         var registry = sp.GetService<IExperimentRegistry>();
@@ -261,11 +295,69 @@ public static class ConfigurationEndpoints
         });
     }
 
-    private static IResult ApplyDsl(DslValidateRequest request, IServiceProvider sp)
+    private static async Task<IResult> ApplyDsl(DslApplyRequest request, IServiceProvider sp, CancellationToken ct)
     {
         var yaml = request.Yaml ?? "";
 
-        // Basic validation first
+        // A draft loaded from an older configuration would silently undo whatever was applied since;
+        // hand back the running configuration so the client can merge instead
+        var currentYaml = BuildYamlFromRegistry(sp.GetService<IExperimentRegistry>());
+        var currentVersion = DslVersion(currentYaml);
+        if (!string.IsNullOrEmpty(request.BaseVersion) && request.BaseVersion != currentVersion)
+        {
+            return Results.Conflict(new
+            {
+                success = false,
+                conflict = true,
+                changes = Array.Empty<object>(),
+                errors = new[] { new { message = "The running configuration changed since this draft was loaded.", severity = "error" } },
+                currentYaml,
+                currentVersion
+            });
+        }
+
+        // Optionally rewrite the document in the canonical layout before it is applied
+        if (request.Format)
+        {
+            var formatted = DslDocumentFormatter.Format(yaml);
+            if (formatted.Yaml == null)
+            {
+                return Results.Ok(new
+                {
+                    success = false,
+                    changes = Array.Empty<object>(),
+                    errors = new[] { new { message = formatted.Error, severity = "error" } }
+                });
+            }
+
+            yaml = formatted.Yaml;
+        }
+
+        // Governance-protected experiments change through the lifecycle; the editor shows them read-only,
+        // but drafts, scripts and API callers get here without it
+        var violations = GovernanceLocks.Violations(yaml, currentYaml, await GovernanceLocks.GetAsync(sp, ct));
+        if (violations == null)
+        {
+            return Results.Ok(new
+            {
+                success = false,
+                changes = Array.Empty<object>(),
+                errors = new[] { new { message = "YAML validation failed", severity = "error" } }
+            });
+        }
+
+        if (violations.Count > 0)
+        {
+            return Results.Json(new
+            {
+                success = false,
+                locked = violations.Select(l => new { experimentName = l.ExperimentName, state = l.State.ToString() }),
+                changes = Array.Empty<object>(),
+                errors = violations.Select(l => new { message = l.Reason, severity = "error" })
+            }, statusCode: StatusCodes.Status423Locked);
+        }
+
+        // Basic validation
         var hasErrors = yaml.Contains('[') && yaml.Split('[').Length != yaml.Split(']').Length + 1;
 
         if (hasErrors)
@@ -283,10 +375,24 @@ public static class ConfigurationEndpoints
         {
             success = true,
             changes = Array.Empty<object>(),
-            errors = Array.Empty<object>()
+            errors = Array.Empty<object>(),
+            yaml,
+            version = currentVersion
         });
     }
 
+    private static IResult FormatDsl(DslValidateRequest request)
+    {
+        var yaml = request.Yaml ?? "";
+        var result = DslDocumentFormatter.Format(yaml);
+        if (result.Yaml == null)
+        {
+            return Results.BadRequest(new { error = result.Error });
+        }
+
+        return Results.Ok(new { yaml = result.Yaml, changed = result.Yaml != yaml });
+    }
+
     private static IResult GetCurrentDsl(IServiceProvider sp)
     {
         var registry = sp.GetService<IExperimentRegistry>();
@@ -296,20 +402,31 @@ public static class ConfigurationEndpoints
         {
             yaml,
             lastApplied = (DateTime?)null,
-            hasUnappliedChanges = false
+            hasUnappliedChanges = false,
+            version = DslVersion(yaml)
         });
     }
 
-    private static IResult GetDslSchema()
+    // Identifies the running configuration an editor draft was based on; the generated timestamp is not part of it
+    private static string DslVersion(string yaml)
     {
-        return Results.Ok(new
-        {
-            type = "object",
-            properties = new
-            {
-                experiments = new { type = "array" }
-            }
-        });
+        var content = string.Join('\n', yaml.Split('\n').Where(l => !l.StartsWith("# Generated:", StringComparison.Ordinal)));
+        return Convert.ToHexString(System.Security.Cryptography.SHA256.HashData(System.Text.Encoding.UTF8.GetBytes(content)))[..16]
+            .ToLowerInvariant();
+    }
+
+    private static IResult GetDslSchema(IServiceProvider sp)
+    {
+        // Extension handlers registered in the host widen the allowed selection modes and decorators
+        var extensionRegistry = sp.GetService<ConfigurationExtensionRegistry>();
+        return Results.Ok(DslJsonSchemaGenerator.Generate(extensionRegistry));
+    }
+
+    private static IResult GetDslTypes(IServiceProvider sp)
+    {
+        // Service interfaces and implementations the host knows about, for serviceType/implementationType values
+        var registry = sp.GetService<IExperimentRegistry>();
+        return Results.Ok(new { services = DslTypeCatalog.Build(registry) });
     }
 
     private static string BuildYamlFromRegistry(IExperimentRegistry? registry)
@@ -363,5 +480,11 @@ public static class ConfigurationEndpoints
 /// <summary>Request to validate DSL YAML configuration.</summary>
 public record DslValidateRequest(string? Yaml);
 
+/// <summary>
+/// Request to apply DSL YAML configuration, optionally formatting it first.
+/// When <paramref name="BaseVersion"/> is set and the running configuration has moved on, the apply is rejected with 409.
+/// </summary>
+public record DslApplyRequest(string? Yaml, bool Format = false, string? BaseVersion = null);
+
 /// <summary>Request to update a kill switch state.</summary>
 public record KillSwitchUpdateRequest(string Experiment, bool Disabled);
@@ -0,0 +1,495 @@
+using System.Text;
+using System.Text.RegularExpressions;
+using YamlDotNet.Core;
+using YamlDotNet.Core.Events;
+
+namespace ExperimentFramework.Dashboard.Api.Endpoints;
+
+/// <summary>
+/// Rewrites DSL YAML in the canonical layout the dashboard editor formats to, so documents written by
+/// different people or tools diff cleanly: two-space indentation, block collections, quotes only where a
+/// value needs them, and experiment, trial and condition keys in a fixed order. Comments stay with the
+/// line they were written above or after, and blank lines between values are kept.
+/// </summary>
+internal static class DslDocumentFormatter
+{
+    private const string SectionKey = "experimentFramework";
+
+    // Keys listed here come first, in this order; other keys follow in the order they were written
+    private static readonly string[] ExperimentOrder = ["name", "metadata", "activation", "hypothesis", "trials"];
+    private static readonly string[] TrialOrder = ["serviceType", "selectionMode", "control", "conditions", "errorPolicy"];
+    private static readonly string[] ConditionOrder = ["key", "implementationType"];
+
+    /// <summary>
+    /// The formatted YAML, or the reason the document could not be formatted.
+    /// </summary>
+    internal sealed record Result(string? Yaml, string? Error);
+
+    public static Result Format(string yaml)
+    {
+        var comments = new List<SourceComment>();
+        Node? root;
+        try
+        {
+            var events = new List<ParsingEvent>();
+            var parser = new Parser(new Scanner(new StringReader(yaml), skipComments: false));
+            while (parser.MoveNext())
+            {
+                if (parser.Current is Comment comment)
+                {
+                    comments.Add(new SourceComment((int)comment.Start.Line, CommentText(comment.Value), comment.IsInline));
+                }
+                else if (parser.Current != null)
+                {
+                    events.Add(parser.Current);
+                }
+            }
+
+            var documents = events.OfType<DocumentStart>().ToList();
+            if (documents.Count > 1)
+            {
+                throw new YamlException(documents[1].Start, documents[1].End, "Only a single YAML document can be formatted.");
+            }
+
+            var index = events.FindIndex(e => e is DocumentStart) + 1;
+            root = index > 0 && events[index] is not DocumentEnd ? Read(events, ref index) : null;
+
+            // A document marker with nothing after it
+            if (root is { Kind: NodeKind.Scalar, Typed: true, Value: "" })
+            {
+                root = null;
+            }
+        }
+        catch (YamlException ex)
+        {
+            return new Result(null, $"YAML could not be read (line {Math.Max(1, ex.Start.Line)}): {ex.InnerException?.Message ?? ex.Message}");
+        }
+
+        if (root == null && comments.Count == 0)
+        {
+            return new Result("", null);
+        }
+
+        Reorder(root);
+
+        var blankLines = new HashSet<int>();
+        var lines = yaml.Split('\n');
+        for (var i = 0; i < lines.Length; i++)
+        {
+            if (lines[i].Trim().Length == 0)
+            {
+                blankLines.Add(i + 1);
+            }
+        }
+
+        var writer = new Writer(comments, blankLines, AnchorLines(root));
+        writer.WriteDocument(root);
+        return new Result(writer.ToString(), null);
+    }
+
+    // ------------------------------------------------------------------
+    // Document model
+    // ------------------------------------------------------------------
+
+    private enum NodeKind { Scalar, Map, Sequence }
+
+    private sealed class Node
+    {
+        public NodeKind Kind { get; init; }
+        public int Line { get; init; }
+
+        // Scalar text as written, and whether a plain scalar may resolve to null, a boolean or a number
+        public string Value { get; init; } = "";
+        public bool Typed { get; init; }
+
+        public List<Entry> Entries { get; set; } = [];
+        public List<Node> Items { get; } = [];
+
+        public bool IsEmpty => Kind == NodeKind.Map ? Entries.Count == 0 : Kind == NodeKind.Sequence && Items.Count == 0;
+    }
+
+    private sealed record Entry(string Key, int Line, Node Value);
+
+    private sealed record SourceComment(int Line, string Text, bool Trailing);
+
+    private static string CommentText(string value)
+    {
+        var text = value.StartsWith(' ') ? value[1..] : value;
+        return text.TrimEnd();
+    }
+
+    private static Node Read(List<ParsingEvent> events, ref int index)
+    {
+        var current = events[index++];
+        if (current is AnchorAlias alias)
+        {
+            throw new YamlException(alias.Start, alias.End, "Aliases are not supported in the DSL.");
+        }
+
+        if (current is NodeEvent { Anchor.IsEmpty: false } anchored)
+        {
+            throw new YamlException(anchored.Start, anchored.End, "Anchors are not supported in the DSL.");
+        }
+
+        var line = (int)current.Start.Line;
+        switch (current)
+        {
+            case Scalar scalar:
+                return new Node
+                {
+                    Kind = NodeKind.Scalar,
+                    Line = line,
+                    Value = scalar.Value,
+                    Typed = scalar.Style == ScalarStyle.Plain && scalar.IsPlainImplicit
+                };
+
+            case SequenceStart:
+                var sequence = new Node { Kind = NodeKind.Sequence, Line = line };
+                while (events[index] is not SequenceEnd)
+                {
+                    sequence.Items.Add(Read(events, ref index));
+                }
+                index++;
+                return sequence;
+
+            case MappingStart:
+                var map = new Node { Kind = NodeKind.Map, Line = line };
+                while (events[index] is not MappingEnd)
+                {
+                    if (events[index] is not Scalar key)
+                    {
+                        throw new YamlException(events[index].Start, events[index].End, "Only plain keys are supported in the DSL.");
+                    }
+
+                    var keyNode = Read(events, ref index);
+                    map.Entries.Add(new Entry(key.Value, keyNode.Line, Read(events, ref index)));
+                }
+                index++;
+                return map;
+
+            default:
+                throw new YamlException(current.Start, current.End, $"Unexpected {current.GetType().Name} in the document.");
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Canonical key order
+    // ------------------------------------------------------------------
+
+    private static Node? Child(Node? node, string key) =>
+        node is { Kind: NodeKind.Map }
+            ? node.Entries.FirstOrDefault(e => string.Equals(e.Key, key, StringComparison.OrdinalIgnoreCase))?.Value
+            : null;
+
+    private static IEnumerable<Node> Items(Node? node) =>
+        node is { Kind: NodeKind.Sequence } ? node.Items : [];
+
+    private static void SortEntries(Node? node, string[] order)
+    {
+        if (node is not { Kind: NodeKind.Map })
+        {
+            return;
+        }
+
+        int Rank(Entry entry)
+        {
+            var i = Array.FindIndex(order, name => string.Equals(name, entry.Key, StringComparison.OrdinalIgnoreCase));
+            return i < 0 ? order.Length : i;
+        }
+
+        // OrderBy is stable, so unlisted keys keep the order they were written in
+        node.Entries = node.Entries.OrderBy(Rank).ToList();
+    }
+
+    private static void SortTrial(Node trial)
+    {
+        SortEntries(trial, TrialOrder);
+        SortEntries(Child(trial, "control"), ConditionOrder);
+        foreach (var condition in Items(Child(trial, "conditions")))
+        {
+            SortEntries(condition, ConditionOrder);
+        }
+    }
+
+    // Experiments and standalone trials, under the experimentFramework section when the document has one
+    private static void Reorder(Node? root)
+    {
+        var section = Child(root, SectionKey) ?? root;
+        foreach (var experiment in Items(Child(section, "experiments")))
+        {
+            SortEntries(experiment, ExperimentOrder);
+            foreach (var trial in Items(Child(experiment, "trials")))
+            {
+                SortTrial(trial);
+            }
+        }
+
+        foreach (var trial in Items(Child(section, "trials")))
+        {
+            SortTrial(trial);
+        }
+    }
+
+    // Source lines a comment written on its own line can belong to: the start of every key and item
+    private static List<int> AnchorLines(Node? root)
+    {
+        var lines = new SortedSet<int>();
+
+        void Visit(Node node)
+        {
+            lines.Add(node.Line);
+            foreach (var entry in node.Entries)
+            {
+                lines.Add(entry.Line);
+                Visit(entry.Value);
+            }
+
+            foreach (var item in node.Items)
+            {
+                Visit(item);
+            }
+        }
+
+        if (root != null)
+        {
+            Visit(root);
+        }
+
+        return lines.ToList();
+    }
+
+    // ------------------------------------------------------------------
+    // Scalars
+    // ------------------------------------------------------------------
+
+    private static readonly Regex PlainUnsafe = new(@"^[-?:,\[\]{}#&*!|>'""%@`\s]|[:#,\[\]{}]|\s$|^$");
+    private static readonly Regex PlainKey = new(@"^[A-Za-z_][\w.\-]*$");
+    private static readonly Regex NullValue = new(@"^(~|null|Null|NULL)?$");
+    private static readonly Regex BoolValue = new(@"^(true|True|TRUE|false|False|FALSE)$");
+    private static readonly Regex NumberValue = new(
+        @"^([-+]?[0-9]+|0x[0-9a-fA-F]+|[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?|[-+]?\.(inf|Inf|INF)|\.(nan|NaN|NAN))$");
+
+    // Whether plain text would be read back as something other than the same string
+    private static bool IsTyped(string text) =>
+        NullValue.IsMatch(text) || BoolValue.IsMatch(text) || NumberValue.IsMatch(text);
+
+    // Numbers keep their text, e.g. 0.50 rather than 0.5
+    private static string ScalarText(Node node)
+    {
+        if (node.Typed && NullValue.IsMatch(node.Value))
+        {
+            return "null";
+        }
+
+        if (node.Typed && BoolValue.IsMatch(node.Value))
+        {
+            return node.Value.ToLowerInvariant();
+        }
+
+        if (node.Typed && NumberValue.IsMatch(node.Value))
+        {
+            return node.Value;
+        }
+
+        return StringText(node.Value);
+    }
+
+    // Plain when the text reads back as the same string, double-quoted otherwise
+    private static string StringText(string value) =>
+        !PlainUnsafe.IsMatch(value) && value.IndexOfAny(['\n', '\r', '\t', '"']) < 0 && !IsTyped(value)
+            ? value
+            : Quote(value);
+
+    private static string KeyText(string key) => PlainKey.IsMatch(key) ? key : Quote(key);
+
+    private static string Quote(string value)
+    {
+        var builder = new StringBuilder("\"");
+        foreach (var c in value)
+        {
+            builder.Append(c switch
+            {
+                '"' => "\\\"",
+                '\\' => "\\\\",
+                '\b' => "\\b",
+                '\f' => "\\f",
+                '\n' => "\\n",
+                '\r' => "\\r",
+                '\t' => "\\t",
+                < ' ' => $"\\u{(int)c:x4}",
+                _ => c.ToString()
+            });
+        }
+
+        return builder.Append('"').ToString();
+    }
+
+    // ------------------------------------------------------------------
+    // Output
+    // ------------------------------------------------------------------
+
+    private sealed class Writer
+    {
+        private readonly List<(int Indent, string Text, string? Comment)> _lines = [];
+        private readonly HashSet<int> _blankLines;
+        private readonly List<(SourceComment Comment, int Anchor)> _leading;
+        private readonly SortedDictionary<int, SourceComment> _trailing = [];
+
+        public Writer(List<SourceComment> comments, HashSet<int> blankLines, List<int> anchors)
+        {
+            _blankLines = blankLines;
+
+            // A comment on its own line belongs to the next key or item, wherever that is written
+            _leading = comments
+                .Where(c => !c.Trailing)
+                .Select(c => (c, anchors.Where(line => line > c.Line).DefaultIfEmpty(int.MaxValue).First()))
+                .ToList();
+
+            foreach (var comment in comments.Where(c => c.Trailing))
+            {
+                _trailing[comment.Line] = comment;
+            }
+        }
+
+        private static string CommentLine(string text) => "#" + (text.Length > 0 ? " " + text : "");
+
+        // Keeps a blank line that separated this source line from the previous one
+        private void Separate(int srcLine)
+        {
+            if (srcLine > 0 && _lines.Count > 0 && _lines[^1].Text.Length > 0 && _blankLines.Remove(srcLine - 1))
+            {
+                _lines.Add((0, "", null));
+            }
+        }
+
+        // Writes the comments that were written above a source line, at the given indent
+        private void Flush(int beforeLine, int indent)
+        {
+            var due = _leading.Where(c => beforeLine == int.MaxValue || c.Anchor == beforeLine).ToList();
+            foreach (var item in due)
+            {
+                _leading.Remove(item);
+                Separate(item.Comment.Line);
+                _lines.Add((indent, CommentLine(item.Comment.Text), null));
+            }
+        }
+
+        private void Push(int indent, string text, int srcLine)
+        {
+            Separate(srcLine);
+            _lines.Add((indent, text, _trailing.Remove(srcLine, out var comment) ? comment.Text : null));
+        }
+
+        public void WriteDocument(Node? root)
+        {
+            if (root == null)
+            {
+                return;
+            }
+
+            Flush(root.Line, 0);
+            Separate(root.Line);
+            if (root.Kind == NodeKind.Map && !root.IsEmpty)
+            {
+                root.Entries.ForEach(entry => WriteEntry(entry, 0, ""));
+            }
+            else if (root.Kind == NodeKind.Sequence && !root.IsEmpty)
+            {
+                root.Items.ForEach(item => WriteItem(item, 0));
+            }
+            else
+            {
+                WriteValue(root, 0, "", root.Line);
+            }
+        }
+
+        // Writes a value after `head` (a key or '- '), continuing on deeper lines when it is a collection
+        private void WriteValue(Node node, int indent, string head, int srcLine)
+        {
+            Flush(srcLine, indent);
+
+            if (node.Kind == NodeKind.Scalar || node.IsEmpty)
+            {
+                var prefix = head.Length == 0 ? "" : head.EndsWith("- ", StringComparison.Ordinal) ? head : head + " ";
+
+                // A missing value stays empty rather than becoming null
+                var text = node.Kind != NodeKind.Scalar ? (node.Kind == NodeKind.Map ? "{}" : "[]")
+                    : node.Typed && node.Value.Length == 0 ? null
+                    : ScalarText(node);
+                Push(indent, text == null ? prefix.TrimEnd() : prefix + text, srcLine);
+                return;
+            }
+
+            if (node.Kind == NodeKind.Map && head.EndsWith("- ", StringComparison.Ordinal))
+            {
+                // A mapping inside a list starts on the dash line
+                for (var i = 0; i < node.Entries.Count; i++)
+                {
+                    WriteEntry(node.Entries[i], indent + head.Length, i == 0 ? head : "");
+                }
+                return;
+            }
+
+            Push(indent, head, srcLine);
+            var childIndent = indent + (head.StartsWith("- ", StringComparison.Ordinal) ? 4 : 2);
+            if (node.Kind == NodeKind.Map)
+            {
+                node.Entries.ForEach(entry => WriteEntry(entry, childIndent, ""));
+            }
+            else
+            {
+                node.Items.ForEach(item => WriteItem(item, childIndent));
+            }
+        }
+
+        private void WriteEntry(Entry entry, int indent, string dash)
+        {
+            var head = KeyText(entry.Key) + ":";
+            if (dash.Length > 0)
+            {
+                // First entry of a list item: the dash shares its line
+                Flush(entry.Line, indent - dash.Length);
+                WriteValue(entry.Value, indent - dash.Length, dash + head, entry.Line);
+                return;
+            }
+
+            WriteValue(entry.Value, indent, head, entry.Line);
+        }
+
+        private void WriteItem(Node item, int indent)
+        {
+            if (item.Kind == NodeKind.Sequence && !item.IsEmpty)
+            {
+                Flush(item.Line, indent);
+                Push(indent, "-", item.Line);
+                item.Items.ForEach(child => WriteItem(child, indent + 2));
+                return;
+            }
+
+            WriteValue(item, indent, "- ", item.Line);
+        }
+
+        public override string ToString()
+        {
+            // Comments left over (for example after the last value) go at the end
+            Flush(int.MaxValue, 0);
+            foreach (var comment in _trailing.Values)
+            {
+                _lines.Add((0, CommentLine(comment.Text), null));
+            }
+
+            var builder = new StringBuilder();
+            foreach (var (indent, text, comment) in _lines)
+            {
+                builder.Append(' ', indent).Append(text);
+                if (comment != null)
+                {
+                    builder.Append(' ').Append(CommentLine(comment));
+                }
+                builder.Append('\n');
+            }
+
+            return builder.ToString();
+        }
+    }
+}
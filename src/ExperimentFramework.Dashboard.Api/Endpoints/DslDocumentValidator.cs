@@ -0,0 +1,180 @@
+using ExperimentFramework.Configuration.Extensions;
+using ExperimentFramework.Configuration.Models;
+using ExperimentFramework.Configuration.Validation;
+using YamlDotNet.Core;
+using YamlDotNet.RepresentationModel;
+using YamlDotNet.Serialization;
+using YamlDotNet.Serialization.NamingConventions;
+
+namespace ExperimentFramework.Dashboard.Api.Endpoints;
+
+/// <summary>
+/// Runs the configuration validator over DSL YAML and places each finding on the
+/// document text, keeping the validator's code and data so the editor can offer fixes.
+/// </summary>
+internal static class DslDocumentValidator
+{
+    private const string SectionKey = "experimentFramework";
+
+    private static readonly IDeserializer Deserializer = new DeserializerBuilder()
+        .WithNamingConvention(CamelCaseNamingConvention.Instance)
+        .IgnoreUnmatchedProperties()
+        .Build();
+
+    /// <summary>
+    /// A validation finding with its position in the YAML (1-based lines and columns).
+    /// </summary>
+    internal sealed record Finding(
+        string Message,
+        string Severity,
+        int Line,
+        int Column,
+        int EndLine,
+        int EndColumn,
+        string Path,
+        string? Code,
+        IReadOnlyDictionary<string, object?>? Data);
+
+    /// <summary>
+    /// Validates the trials in the document. Experiment-level requirements (such as having at least one
+    /// trial) are left to apply time, so experiments that are still being drafted do not fail validation.
+    /// </summary>
+    public static List<Finding> Validate(string yaml, ConfigurationExtensionRegistry? extensionRegistry)
+    {
+        var findings = new List<Finding>();
+        var lines = yaml.Split('\n');
+
+        YamlNode? root;
+        ExperimentFrameworkConfigurationRoot config;
+        try
+        {
+            var stream = new YamlStream();
+            stream.Load(new StringReader(yaml));
+            root = stream.Documents.Count > 0 ? stream.Documents[0].RootNode : null;
+            config = Deserialize(yaml, root);
+        }
+        catch (YamlException ex)
+        {
+            var line = (int)Math.Max(1, ex.Start.Line);
+            var column = (int)Math.Max(1, ex.Start.Column);
+            findings.Add(new Finding(
+                $"YAML could not be read: {ex.InnerException?.Message ?? ex.Message}",
+                "error",
+                line,
+                column,
+                line,
+                LineEndColumn(lines, line),
+                "",
+                null,
+                null));
+            return findings;
+        }
+
+        var validator = new ConfigurationValidator(extensionRegistry);
+        var configRoot = Section(root) ?? root;
+
+        foreach (var error in validator.Validate(config).Errors.Where(e => e.Path.Contains("trials[", StringComparison.Ordinal)))
+        {
+            var (start, end) = Locate(configRoot, error.Path, lines);
+            findings.Add(new Finding(
+                error.Message,
+                error.Severity == ValidationSeverity.Error ? "error" : "warning",
+                (int)start.Line,
+                (int)start.Column,
+                (int)end.Line,
+                (int)end.Column,
+                error.Path,
+                error.Code,
+                error.Data));
+        }
+
+        return findings;
+    }
+
+    // Same shapes the configuration loader accepts: wrapped in experimentFramework, or bare
+    private static ExperimentFrameworkConfigurationRoot Deserialize(string yaml, YamlNode? root)
+    {
+        if (Section(root) != null)
+        {
+            var wrapped = Deserializer.Deserialize<Dictionary<string, ExperimentFrameworkConfigurationRoot>>(yaml);
+            return wrapped?.GetValueOrDefault(SectionKey) ?? new ExperimentFrameworkConfigurationRoot();
+        }
+
+        return Deserializer.Deserialize<ExperimentFrameworkConfigurationRoot>(yaml) ?? new ExperimentFrameworkConfigurationRoot();
+    }
+
+    // The experimentFramework section of a wrapped document; null for a bare one
+    public static YamlMappingNode? Section(YamlNode? root) =>
+        root is YamlMappingNode map ? Child(map, SectionKey) as YamlMappingNode : null;
+
+    // Range of the deepest node on the validator path: a scalar value, or the key of a missing or nested member
+    private static (Mark Start, Mark End) Locate(YamlNode? node, string path, string[] lines)
+    {
+        var fallback = node;
+        YamlNode? key = null;
+
+        foreach (var segment in ParsePath(path))
+        {
+            YamlNode? next = null;
+            if (segment is int index && node is YamlSequenceNode sequence && index < sequence.Children.Count)
+            {
+                next = sequence.Children[index];
+                key = null;
+            }
+            else if (segment is string name && node is YamlMappingNode mapping)
+            {
+                var entry = mapping.Children.FirstOrDefault(c => c.Key is YamlScalarNode s && s.Value == name);
+                if (entry.Key != null)
+                {
+                    key = entry.Key;
+                    next = entry.Value;
+                }
+            }
+
+            if (next == null)
+            {
+                break;
+            }
+
+            node = next;
+            fallback = node;
+        }
+
+        var target = fallback is YamlScalarNode ? fallback : key ?? fallback;
+        if (target == null)
+        {
+            return (new Mark(0, 1, 1), new Mark(0, 1, LineEndColumn(lines, 1)));
+        }
+
+        // Collections span many lines; mark their first line only
+        return target is YamlScalarNode
+            ? (target.Start, target.End)
+            : (target.Start, new Mark(0, target.Start.Line, LineEndColumn(lines, (int)target.Start.Line)));
+    }
+
+    private static IEnumerable<object> ParsePath(string path)
+    {
+        foreach (var part in path.Split('.', StringSplitOptions.RemoveEmptyEntries))
+        {
+            var bracket = part.IndexOf('[');
+            yield return bracket < 0 ? part : part[..bracket];
+
+            while (bracket >= 0)
+            {
+                var close = part.IndexOf(']', bracket);
+                if (close < 0 || !int.TryParse(part[(bracket + 1)..close], out var index))
+                {
+                    break;
+                }
+                yield return index;
+                bracket = part.IndexOf('[', close);
+            }
+        }
+    }
+
+    public static YamlNode? Child(YamlMappingNode map, string key) =>
+        map.Children.FirstOrDefault(c => c.Key is YamlScalarNode s && s.Value == key).Value;
+
+    private static int LineEndColumn(string[] lines, int line) =>
+        line >= 1 && line <= lines.Length ? lines[line - 1].TrimEnd('\r').Length + 1 : 1;
+}
@@ -0,0 +1,130 @@
+using System.Reflection;
+using ExperimentFramework.Admin;
+
+namespace ExperimentFramework.Dashboard.Api.Endpoints;
+
+/// <summary>
+/// Lists the experiment service interfaces registered in the running host and the implementations
+/// known for each, so the DSL editor can complete and check <c>serviceType</c> and <c>implementationType</c>.
+/// </summary>
+internal static class DslTypeCatalog
+{
+    /// <summary>
+    /// A service interface with the experiments that use it and its known implementations.
+    /// </summary>
+    internal sealed record Service(
+        string Type,
+        string Name,
+        string? Assembly,
+        List<string> Experiments,
+        List<Implementation> Implementations);
+
+    /// <summary>
+    /// An implementation of a service. <c>Source</c> is <c>trial</c> when a registered trial uses it
+    /// and <c>assembly</c> when it was found in a loaded assembly.
+    /// </summary>
+    internal sealed record Implementation(string Type, string Name, string? Assembly, string Source);
+
+    public static List<Service> Build(IExperimentRegistry? registry)
+    {
+        if (registry == null)
+        {
+            return [];
+        }
+
+        var services = new Dictionary<Type, Service>();
+        foreach (var experiment in registry.GetAllExperiments())
+        {
+            if (experiment.ServiceType == null)
+            {
+                continue;
+            }
+
+            if (!services.TryGetValue(experiment.ServiceType, out var service))
+            {
+                service = new Service(
+                    TypeName(experiment.ServiceType),
+                    experiment.ServiceType.Name,
+                    experiment.ServiceType.Assembly.GetName().Name,
+                    [],
+                    []);
+                services[experiment.ServiceType] = service;
+            }
+
+            service.Experiments.Add(experiment.Name);
+            foreach (var trial in experiment.Trials)
+            {
+                if (trial.ImplementationType != null)
+                {
+                    AddImplementation(service, trial.ImplementationType, "trial");
+                }
+            }
+        }
+
+        foreach (var (serviceType, service) in services)
+        {
+            foreach (var type in Implementations(serviceType))
+            {
+                AddImplementation(service, type, "assembly");
+            }
+        }
+
+        return services.Values
+            .OrderBy(s => s.Type, StringComparer.Ordinal)
+            .ToList();
+    }
+
+    private static void AddImplementation(Service service, Type type, string source)
+    {
+        var name = TypeName(type);
+        if (service.Implementations.Any(i => i.Type == name))
+        {
+            return;
+        }
+
+        service.Implementations.Add(new Implementation(name, type.Name, type.Assembly.GetName().Name, source));
+    }
+
+    // Concrete types assignable to the service, from its own assembly and the assemblies that reference it
+    private static IEnumerable<Type> Implementations(Type serviceType)
+    {
+        var serviceAssembly = serviceType.Assembly.GetName().FullName;
+
+        foreach (var assembly in AppDomain.CurrentDomain.GetAssemblies())
+        {
+            if (assembly.IsDynamic)
+            {
+                continue;
+            }
+
+            if (assembly != serviceType.Assembly
+                && !assembly.GetReferencedAssemblies().Any(r => r.FullName == serviceAssembly))
+            {
+                continue;
+            }
+
+            foreach (var type in LoadableTypes(assembly))
+            {
+                if (type.IsClass && !type.IsAbstract && !type.ContainsGenericParameters
+                    && type != serviceType && serviceType.IsAssignableFrom(type))
+                {
+                    yield return type;
+                }
+            }
+        }
+    }
+
+    private static IEnumerable<Type> LoadableTypes(Assembly assembly)
+    {
+        try
+        {
+            return assembly.GetTypes();
+        }
+        catch (ReflectionTypeLoadException ex)
+        {
+            return ex.Types.OfType<Type>();
+        }
+    }
+
+    private static string TypeName(Type type) => type.FullName ?? type.Name;
+}
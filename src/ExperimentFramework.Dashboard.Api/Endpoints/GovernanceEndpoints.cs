@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Routing;
 using Microsoft.Extensions.DependencyInjection;
+using ExperimentFramework.Admin;
 using ExperimentFramework.Governance;
 using ExperimentFramework.Governance.Persistence;
 using ExperimentFramework.Governance.Persistence.Models;
@@ -29,6 +30,9 @@ public static class GovernanceEndpoints
         group.MapPost("/{experimentName}/transition", TransitionState)
             .WithName("Dashboard_TransitionState");
 
+        group.MapGet("/locks", GetLocks)
+            .WithName("Dashboard_GetGovernanceLocks");
+
         group.MapGet("/approvals/pending", GetPendingApprovals)
             .WithName("Dashboard_GetPendingApprovals");
 
@@ -195,6 +199,25 @@ public static class GovernanceEndpoints
         });
     }
 
+    private static async Task<IResult> GetLocks(IServiceProvider sp, CancellationToken ct)
+    {
+        var locks = await GovernanceLocks.GetAsync(sp, ct);
+
+        return Results.Ok(new
+        {
+            locks = locks.Select(l => new
+            {
+                experimentName = l.ExperimentName,
+                state = l.State.ToString(),
+                lastModified = l.LastModified,
+                lastModifiedBy = l.LastModifiedBy,
+                approvedBy = l.ApprovedBy,
+                approvedAt = l.ApprovedAt,
+                approvalReason = l.ApprovalReason
+            })
+        });
+    }
+
     private static async Task<IResult> GetPendingApprovals(IServiceProvider sp, CancellationToken ct)
     {
         var backplane = sp.GetService<IGovernancePersistenceBackplane>();
@@ -0,0 +1,153 @@
+using Microsoft.Extensions.DependencyInjection;
+using ExperimentFramework.Admin;
+using ExperimentFramework.Governance;
+using ExperimentFramework.Governance.Persistence;
+using YamlDotNet.Core;
+using YamlDotNet.RepresentationModel;
+
+namespace ExperimentFramework.Dashboard.Api.Endpoints;
+
+/// <summary>
+/// Experiments whose configuration governance protects. The DSL editor shows their blocks
+/// read-only; <see cref="Violations"/> is what keeps an apply from changing them.
+/// </summary>
+internal static class GovernanceLocks
+{
+    // Configuration in these states has been reviewed or is serving traffic; it changes through the lifecycle, not by editing
+    private static readonly HashSet<ExperimentLifecycleState> LockedStates =
+    [
+        ExperimentLifecycleState.PendingApproval,
+        ExperimentLifecycleState.Approved,
+        ExperimentLifecycleState.Running,
+        ExperimentLifecycleState.Ramping
+    ];
+
+    /// <summary>
+    /// A protected experiment, with the approval that protects it when there is one.
+    /// </summary>
+    internal sealed record Lock(
+        string ExperimentName,
+        ExperimentLifecycleState State,
+        DateTimeOffset LastModified,
+        string? LastModifiedBy,
+        string? ApprovedBy,
+        DateTimeOffset? ApprovedAt,
+        string? ApprovalReason)
+    {
+        /// <summary>
+        /// Why the experiment cannot be edited, worded like the editor's lock hint.
+        /// </summary>
+        public string Reason => State switch
+        {
+            ExperimentLifecycleState.PendingApproval =>
+                $"Experiment '{ExperimentName}' is locked: it is waiting for approval. " +
+                "It can be edited again once the request is approved or rejected.",
+            ExperimentLifecycleState.Approved =>
+                $"Experiment '{ExperimentName}' is locked: it has been approved; editing it would need a new approval.",
+            _ =>
+                $"Experiment '{ExperimentName}' is locked: it is {State.ToString().ToLowerInvariant()}. " +
+                "Pause it from the Lifecycle page before editing."
+        };
+    }
+
+    /// <summary>
+    /// The registered experiments in a locked state; empty without a governance backplane or registry.
+    /// </summary>
+    public static async Task<IReadOnlyList<Lock>> GetAsync(IServiceProvider sp, CancellationToken ct)
+    {
+        var backplane = sp.GetService<IGovernancePersistenceBackplane>();
+        var registry = sp.GetService<IExperimentRegistry>();
+        if (backplane == null || registry == null)
+        {
+            return [];
+        }
+
+        var names = registry.GetAllExperiments().Select(e => e.Name).ToList();
+        var states = await backplane.GetExperimentStatesAsync(names, cancellationToken: ct);
+
+        var locks = new List<Lock>();
+        foreach (var state in states.Where(s => LockedStates.Contains(s.CurrentState)))
+        {
+            // Nothing has been approved yet while the request is pending
+            var approval = state.CurrentState == ExperimentLifecycleState.PendingApproval
+                ? null
+                : (await backplane.GetApprovalRecordsAsync(state.ExperimentName, cancellationToken: ct)).LastOrDefault(a => a.IsApproved);
+
+            locks.Add(new Lock(
+                state.ExperimentName,
+                state.CurrentState,
+                state.LastModified,
+                state.LastModifiedBy,
+                approval?.Approver,
+                approval?.Timestamp,
+                approval?.Reason));
+        }
+
+        return locks;
+    }
+
+    /// <summary>
+    /// The locks whose experiment <paramref name="yaml"/> changes or removes, compared with the running
+    /// configuration. Layout, key order and comments are not changes. Null when <paramref name="yaml"/>
+    /// cannot be read, since then nothing can be said about what it changes.
+    /// </summary>
+    public static IReadOnlyList<Lock>? Violations(string yaml, string currentYaml, IReadOnlyList<Lock> locks)
+    {
+        if (locks.Count == 0)
+        {
+            return [];
+        }
+
+        var proposed = ExperimentBlocks(yaml);
+        if (proposed == null)
+        {
+            return null;
+        }
+
+        var current = ExperimentBlocks(currentYaml);
+        if (current == null)
+        {
+            return [];
+        }
+
+        return locks
+            .Where(l => current[l.ExperimentName].Any() &&
+                        !proposed[l.ExperimentName].SequenceEqual(current[l.ExperimentName]))
+            .ToList();
+    }
+
+    // Each experiment's block in a canonical form, by name
+    private static ILookup<string, string>? ExperimentBlocks(string yaml)
+    {
+        YamlNode? root;
+        try
+        {
+            var stream = new YamlStream();
+            stream.Load(new StringReader(yaml));
+            root = stream.Documents.Count > 0 ? stream.Documents[0].RootNode : null;
+        }
+        catch (YamlException)
+        {
+            return null;
+        }
+
+        var section = DslDocumentValidator.Section(root) ?? root as YamlMappingNode;
+        var experiments = section == null ? null : DslDocumentValidator.Child(section, "experiments") as YamlSequenceNode;
+
+        return (experiments?.Children ?? [])
+            .OfType<YamlMappingNode>()
+            .Select(block => (Name: (DslDocumentValidator.Child(block, "name") as YamlScalarNode)?.Value, Block: block))
+            .Where(e => e.Name != null)
+            .ToLookup(e => e.Name!, e => Canonical(e.Block));
+    }
+
+    private static string Canonical(YamlNode node) => node switch
+    {
+        YamlScalarNode scalar => System.Text.Json.JsonSerializer.Serialize(scalar.Value),
+        YamlSequenceNode sequence => "[" + string.Join(",", sequence.Children.Select(Canonical)) + "]",
+        YamlMappingNode mapping => "{" + string.Join(",", mapping.Children
+            .Select(c => Canonical(c.Key) + ":" + Canonical(c.Value))
+            .Order(StringComparer.Ordinal)) + "}",
+        _ => ""
+    };
+}
@@ -0,0 +1,129 @@
+using System.Security.Claims;
+using ExperimentFramework.Dashboard.Abstractions;
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Routing;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace ExperimentFramework.Dashboard.Api.Endpoints;
+
+/// <summary>
+/// Provides minimal API endpoints for the signed-in user's dashboard preferences.
+/// </summary>
+/// <remarks>
+/// Browsers cache the preferences locally so the first paint is right; these endpoints are where
+/// they are kept, so they follow the user to other browsers (see theme.js).
+/// </remarks>
+public static class PreferenceEndpoints
+{
+    /// <summary>
+    /// Maps preference endpoints to the specified route group.
+    /// </summary>
+    public static RouteGroupBuilder MapPreferenceEndpoints(
+        this IEndpointRouteBuilder endpoints,
+        string prefix = "/api/preferences")
+    {
+        var group = endpoints.MapGroup(prefix)
+            .WithTags("Preferences");
+
+        group.MapGet("/", GetPreferences)
+            .WithName("Dashboard_GetUserPreferences");
+
+        group.MapPut("/", SavePreferences)
+            .WithName("Dashboard_SaveUserPreferences");
+
+        return group;
+    }
+
+    private static async Task<IResult> GetPreferences(
+        HttpContext httpContext,
+        IServiceProvider sp,
+        CancellationToken ct)
+    {
+        var store = sp.GetService<IUserPreferenceStore>();
+        if (store == null)
+        {
+            return Results.Problem(
+                "Preference store not configured. Register IUserPreferenceStore in DI.",
+                statusCode: 503);
+        }
+
+        var userId = GetUserId(httpContext);
+        if (userId == null)
+        {
+            return Results.Unauthorized();
+        }
+
+        var preferences = await store.GetPreferencesAsync(userId, GetTenantId(httpContext), ct);
+        if (preferences == null)
+        {
+            return Results.NotFound(new { message = "No preferences saved for this user" });
+        }
+
+        return Results.Ok(preferences);
+    }
+
+    private static async Task<IResult> SavePreferences(
+        HttpContext httpContext,
+        IServiceProvider sp,
+        UserPreferencesRequest request,
+        CancellationToken ct)
+    {
+        var store = sp.GetService<IUserPreferenceStore>();
+        if (store == null)
+        {
+            return Results.Problem(
+                "Preference store not configured. Register IUserPreferenceStore in DI.",
+                statusCode: 503);
+        }
+
+        var userId = GetUserId(httpContext);
+        if (userId == null)
+        {
+            return Results.Unauthorized();
+        }
+
+        var theme = DashboardUserPreferences.Themes
+            .FirstOrDefault(t => string.Equals(t, request.Theme, StringComparison.OrdinalIgnoreCase));
+        if (theme == null)
+        {
+            return Results.BadRequest(new
+            {
+                message = $"Theme must be one of: {string.Join(", ", DashboardUserPreferences.Themes)}"
+            });
+        }
+
+        var preferences = new DashboardUserPreferences { Theme = theme };
+        await store.SavePreferencesAsync(userId, preferences, GetTenantId(httpContext), ct);
+
+        return Results.Ok(preferences);
+    }
+
+    private static string? GetUserId(HttpContext httpContext)
+    {
+        var user = httpContext.User;
+        if (user.Identity?.IsAuthenticated != true)
+        {
+            return null;
+        }
+
+        var userId = user.FindFirst(ClaimTypes.NameIdentifier)?.Value ?? user.Identity.Name;
+        return string.IsNullOrEmpty(userId) ? null : userId;
+    }
+
+    private static string? GetTenantId(HttpContext httpContext)
+    {
+        if (httpContext.Items.TryGetValue("TenantContext", out var tenantContext) &&
+            tenantContext is TenantContext context)
+        {
+            return context.TenantId;
+        }
+
+        return null;
+    }
+}
+
+/// <summary>
+/// Request body for saving the signed-in user's preferences.
+/// </summary>
+public record UserPreferencesRequest(string? Theme);
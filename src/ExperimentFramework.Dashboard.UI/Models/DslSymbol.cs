@@ -0,0 +1,28 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Entry in the DSL editor outline: an experiment, trial, control, condition or hypothesis.
+/// </summary>
+public class DslSymbol
+{
+    public string Name { get; set; } = "";
+
+    /// <summary>
+    /// Short description shown next to the name, e.g. the implementation type of a condition.
+    /// </summary>
+    public string Detail { get; set; } = "";
+
+    public string Kind { get; set; } = ""; // "experiment", "trial", "control", "condition", "hypothesis"
+
+    /// <summary>
+    /// Configuration path of the symbol, e.g. <c>experiments[0].trials[1]</c>; used to reveal it.
+    /// </summary>
+    public string Path { get; set; } = "";
+
+    public int Line { get; set; } = 1;
+    public int Column { get; set; } = 1;
+    public int EndLine { get; set; } = 1;
+    public int EndColumn { get; set; } = 1;
+
+    public List<DslSymbol> Children { get; set; } = [];
+}
@@ -0,0 +1,108 @@
+using ExperimentFramework.Dashboard.UI.Services;
+
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Experiment service interface known to the running host, offered for <c>serviceType</c> values in the DSL editor.
+/// </summary>
+public class DslServiceType
+{
+    /// <summary>
+    /// Full type name, e.g. <c>MyApp.Services.IGreeter</c>.
+    /// </summary>
+    public string Type { get; set; } = "";
+
+    public string Name { get; set; } = "";
+    public string? Assembly { get; set; }
+
+    /// <summary>
+    /// Registered experiments that use the service.
+    /// </summary>
+    public List<string> Experiments { get; set; } = [];
+
+    public List<DslImplementationType> Implementations { get; set; } = [];
+}
+
+/// <summary>
+/// Implementation of a <see cref="DslServiceType"/>, offered for <c>implementationType</c> values.
+/// </summary>
+public class DslImplementationType
+{
+    /// <summary>
+    /// Value written to the DSL: a full type name, or <c>plugin:PluginId/alias</c> for plugin implementations.
+    /// </summary>
+    public string Type { get; set; } = "";
+
+    public string Name { get; set; } = "";
+    public string? Assembly { get; set; }
+    public string Source { get; set; } = ""; // "trial", "assembly", "plugin"
+
+    /// <summary>
+    /// Id of the plugin providing the implementation, when <see cref="Source"/> is <c>plugin</c>.
+    /// </summary>
+    public string? Plugin { get; set; }
+}
+
+/// <summary>
+/// Builds the type catalog the DSL editor completes and checks service and implementation types against.
+/// </summary>
+public static class DslTypeCatalog
+{
+    /// <summary>
+    /// Adds the implementations provided by loaded plugins to the host's services, adding services
+    /// that only plugins implement. Plugin implementations are referenced as <c>plugin:PluginId/alias</c>,
+    /// or by type name when the plugin gives no alias.
+    /// </summary>
+    public static List<DslServiceType> WithPlugins(IEnumerable<DslServiceType> services, IEnumerable<PluginInfo> plugins)
+    {
+        var catalog = services.ToList();
+
+        foreach (var plugin in plugins)
+        {
+            foreach (var pluginService in plugin.Services)
+            {
+                if (string.IsNullOrWhiteSpace(pluginService.Interface))
+                {
+                    continue;
+                }
+
+                var service = catalog.FirstOrDefault(s => s.Type == pluginService.Interface)
+                    ?? catalog.FirstOrDefault(s => s.Name == pluginService.Interface);
+                if (service == null)
+                {
+                    service = new DslServiceType
+                    {
+                        Type = pluginService.Interface,
+                        Name = ShortName(pluginService.Interface)
+                    };
+                    catalog.Add(service);
+                }
+
+                foreach (var implementation in pluginService.Implementations)
+                {
+                    var reference = $"plugin:{plugin.Id}/{implementation.Alias ?? implementation.Type}";
+                    if (service.Implementations.Any(i => i.Type == reference))
+                    {
+                        continue;
+                    }
+
+                    service.Implementations.Add(new DslImplementationType
+                    {
+                        Type = reference,
+                        Name = implementation.Alias ?? ShortName(implementation.Type),
+                        Source = "plugin",
+                        Plugin = plugin.Id
+                    });
+                }
+            }
+        }
+
+        return catalog;
+    }
+
+    private static string ShortName(string typeName)
+    {
+        var dot = typeName.LastIndexOf('.');
+        return dot < 0 ? typeName : typeName[(dot + 1)..];
+    }
+}
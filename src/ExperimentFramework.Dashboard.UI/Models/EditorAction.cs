@@ -0,0 +1,23 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Command added to the Monaco editor. It is listed in the F1 command palette, can have keybindings
+/// and a context menu entry, and raises the editor's <c>OnAction</c> callback with <see cref="Id"/> when run.
+/// </summary>
+public class EditorAction
+{
+    public string Id { get; set; } = "";
+    public string Label { get; set; } = "";
+
+    /// <summary>
+    /// Key chords such as <c>Ctrl+S</c> or <c>Ctrl+Shift+V</c>. <c>Ctrl</c> is Cmd on macOS.
+    /// </summary>
+    public List<string> Keybindings { get; set; } = [];
+
+    /// <summary>
+    /// Context menu group the action is shown in; <c>null</c> keeps it out of the context menu.
+    /// </summary>
+    public string? ContextMenuGroup { get; set; }
+
+    public double ContextMenuOrder { get; set; }
+}
@@ -0,0 +1,32 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Unapplied editor text kept in the browser's IndexedDB, so it survives a dropped circuit or a closed tab.
+/// </summary>
+public class EditorDraft
+{
+    /// <summary>
+    /// Document key the draft is stored under, e.g. <c>dsl-editor</c>.
+    /// </summary>
+    public string Key { get; set; } = "";
+
+    public string Text { get; set; } = "";
+    public string Language { get; set; } = "yaml";
+
+    /// <summary>
+    /// When the draft was last saved, in milliseconds since the Unix epoch.
+    /// </summary>
+    public long SavedAt { get; set; }
+
+    /// <summary>
+    /// Version of the server configuration the draft was based on, when known.
+    /// </summary>
+    public string? BaseVersion { get; set; }
+
+    /// <summary>
+    /// Server YAML at <see cref="BaseVersion"/>, used as the base when the draft has to be merged.
+    /// </summary>
+    public string? BaseYaml { get; set; }
+
+    public DateTimeOffset SavedAtTime => DateTimeOffset.FromUnixTimeMilliseconds(SavedAt);
+}
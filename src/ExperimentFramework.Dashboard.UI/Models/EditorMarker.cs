@@ -1,3 +1,5 @@
+using System.Text.Json;
+
 namespace ExperimentFramework.Dashboard.UI.Models;
 
 /// <summary>
@@ -11,4 +13,42 @@ public class EditorMarker
     public int EndColumn { get; set; } = 1;
     public string Message { get; set; } = "";
     public string Severity { get; set; } = "error"; // "error", "warning", "info"
+
+    /// <summary>
+    /// Machine-readable kind of problem; markers with a code get quick fixes in the editor.
+    /// </summary>
+    public string? Code { get; set; }
+
+    /// <summary>
+    /// Configuration path the problem refers to, e.g. <c>experiments[0].trials[0].control</c>.
+    /// </summary>
+    public string Path { get; set; } = "";
+
+    /// <summary>
+    /// Values the quick fix for <see cref="Code"/> needs.
+    /// </summary>
+    public JsonElement? Data { get; set; }
+
+    /// <summary>
+    /// Marker source the problem belongs to, e.g. <c>validation</c> for the server, <c>live</c> for the
+    /// editor's schema checks, or a name passed when setting markers. Filled in when markers are read back.
+    /// </summary>
+    public string Source { get; set; } = "";
+
+    /// <summary>
+    /// Other places the problem involves, shown as links under the marker.
+    /// </summary>
+    public List<EditorMarkerRelatedInformation> RelatedInformation { get; set; } = [];
+}
+
+/// <summary>
+/// A location related to an <see cref="EditorMarker"/>, such as the first definition of a duplicate key.
+/// </summary>
+public class EditorMarkerRelatedInformation
+{
+    public int Line { get; set; } = 1;
+    public int Column { get; set; } = 1;
+    public int EndLine { get; set; } = 1;
+    public int EndColumn { get; set; } = 1;
+    public string Message { get; set; } = "";
 }
@@ -0,0 +1,22 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Whole lines of the editor that cannot be edited. The range moves with edits made around it.
+/// </summary>
+public class EditorReadOnlyRange
+{
+    /// <summary>
+    /// First locked line (1-based).
+    /// </summary>
+    public int StartLineNumber { get; set; }
+
+    /// <summary>
+    /// Last locked line (1-based, inclusive).
+    /// </summary>
+    public int EndLineNumber { get; set; }
+
+    /// <summary>
+    /// Markdown shown when hovering the range or trying to edit it.
+    /// </summary>
+    public string Message { get; set; } = "";
+}
@@ -1,3 +1,5 @@
+using System.Text.Json.Serialization;
+
 namespace ExperimentFramework.Dashboard.UI.Models;
 
 /// <summary>
@@ -153,6 +155,7 @@ public class VariantModel
 /// <summary>
 /// Selection mode types for experiment variant selection.
 /// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
 public enum SelectionModeType
 {
     ConfigurationKey,
@@ -163,6 +166,7 @@ public enum SelectionModeType
 /// <summary>
 /// Error policy types for experiment error handling.
 /// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
 public enum ErrorPolicyType
 {
     FallbackToControl,
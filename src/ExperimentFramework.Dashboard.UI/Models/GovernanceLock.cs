@@ -0,0 +1,26 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// An experiment whose configuration governance protects (pending approval, approved or serving traffic).
+/// The DSL editor makes its block read-only and explains why on hover.
+/// </summary>
+public class GovernanceLock
+{
+    public string ExperimentName { get; set; } = "";
+
+    /// <summary>
+    /// Lifecycle state that locks the experiment, e.g. <c>PendingApproval</c> or <c>Running</c>.
+    /// </summary>
+    public string State { get; set; } = "";
+
+    public DateTimeOffset LastModified { get; set; }
+    public string? LastModifiedBy { get; set; }
+
+    /// <summary>
+    /// Who approved the current configuration, when it has been approved.
+    /// </summary>
+    public string? ApprovedBy { get; set; }
+
+    public DateTimeOffset? ApprovedAt { get; set; }
+    public string? ApprovalReason { get; set; }
+}
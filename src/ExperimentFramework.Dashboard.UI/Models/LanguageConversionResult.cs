@@ -0,0 +1,16 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Outcome of switching the DSL editor between YAML and JSON.
+/// </summary>
+public class LanguageConversionResult
+{
+    public bool Success { get; set; }
+
+    /// <summary>
+    /// Language the editor is in afterwards; unchanged when the conversion failed.
+    /// </summary>
+    public string Language { get; set; } = "yaml";
+
+    public string? Message { get; set; }
+}
@@ -0,0 +1,26 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// Live state of an experiment, shown by the DSL editor next to the experiment and its conditions.
+/// </summary>
+public class RuntimeExperimentState
+{
+    public string Name { get; set; } = "";
+    public bool IsActive { get; set; }
+    public string ActiveVariant { get; set; } = "";
+
+    /// <summary>
+    /// Whether the kill switch for the whole experiment is on.
+    /// </summary>
+    public bool KillSwitchOn { get; set; }
+
+    /// <summary>
+    /// Condition keys whose kill switch is on.
+    /// </summary>
+    public List<string> DisabledVariants { get; set; } = [];
+
+    /// <summary>
+    /// Recorded calls per condition key.
+    /// </summary>
+    public Dictionary<string, int> Usage { get; set; } = [];
+}
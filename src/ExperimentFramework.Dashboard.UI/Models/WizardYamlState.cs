@@ -0,0 +1,35 @@
+namespace ExperimentFramework.Dashboard.UI.Models;
+
+/// <summary>
+/// The Create Experiment wizard model as read back from DSL YAML.
+/// </summary>
+public class WizardYamlState
+{
+    /// <summary>
+    /// Model read from the YAML; <c>null</c> while the YAML has syntax errors.
+    /// Condition display names are not part of the DSL and are always empty.
+    /// </summary>
+    public ExperimentWizardModel? Model { get; set; }
+
+    /// <summary>
+    /// Content the wizard has no field for. It stays in the YAML as written.
+    /// </summary>
+    public List<WizardUnsupportedContent> Unsupported { get; set; } = [];
+
+    public List<string> Errors { get; set; } = [];
+}
+
+/// <summary>
+/// A part of the YAML the wizard cannot show, such as a second trial or a hypothesis.
+/// </summary>
+public class WizardUnsupportedContent
+{
+    /// <summary>
+    /// Location in the validator's form, e.g. <c>experimentFramework.experiments[0].hypothesis</c>.
+    /// </summary>
+    public string Path { get; set; } = "";
+
+    public string Message { get; set; } = "";
+    public int Line { get; set; }
+    public int EndLine { get; set; }
+}
@@ -1,5 +1,6 @@
 using System.Net.Http.Json;
 using ExperimentFramework.Dashboard.Abstractions;
+using ExperimentFramework.Dashboard.UI.Models;
 
 namespace ExperimentFramework.Dashboard.UI.Services;
 
@@ -183,10 +184,28 @@ public class ExperimentApiClient(HttpClient httpClient)
         return null;
     }
 
-    public async Task<DslApplyResponse?> ApplyDslAsync(string yaml, CancellationToken cancellationToken = default)
+    public Task<DslApplyResponse?> ApplyDslAsync(string yaml, CancellationToken cancellationToken = default)
     {
-        var response = await httpClient.PostAsJsonAsync($"api/dsl/apply", new { yaml }, cancellationToken);
-        if (response.IsSuccessStatusCode)
+        return ApplyDslAsync(yaml, format: false, baseVersion: null, cancellationToken);
+    }
+
+    // With format the server rewrites the YAML in the canonical layout before applying it
+    public Task<DslApplyResponse?> ApplyDslAsync(string yaml, bool format, CancellationToken cancellationToken = default)
+    {
+        return ApplyDslAsync(yaml, format, baseVersion: null, cancellationToken);
+    }
+
+    /// <summary>
+    /// Applies DSL YAML. When <paramref name="baseVersion"/> is given and the running configuration has changed
+    /// since, the result has <see cref="DslApplyResponse.Conflict"/> set along with the current YAML and version.
+    /// Changes to governance-locked experiments are refused, with the reasons in <see cref="DslApplyResponse.Errors"/>.
+    /// </summary>
+    public async Task<DslApplyResponse?> ApplyDslAsync(string yaml, bool format, string? baseVersion, CancellationToken cancellationToken = default)
+    {
+        var response = await httpClient.PostAsJsonAsync($"api/dsl/apply", new { yaml, format, baseVersion }, cancellationToken);
+        if (response.IsSuccessStatusCode
+            || response.StatusCode == System.Net.HttpStatusCode.Conflict
+            || response.StatusCode == System.Net.HttpStatusCode.Locked)
         {
             return await response.Content.ReadFromJsonAsync<DslApplyResponse>(cancellationToken);
         }
@@ -203,6 +222,12 @@ public class ExperimentApiClient(HttpClient httpClient)
         return await httpClient.GetFromJsonAsync<object>($"api/dsl/schema", cancellationToken);
     }
 
+    public async Task<List<DslServiceType>> GetDslTypesAsync(CancellationToken cancellationToken = default)
+    {
+        var response = await httpClient.GetFromJsonAsync<DslTypesResponse>($"api/dsl/types", cancellationToken);
+        return response?.Services ?? [];
+    }
+
     // ============================================================================
     // Plugins
     // ============================================================================
@@ -322,6 +347,22 @@ public class ExperimentApiClient(HttpClient httpClient)
         }
     }
 
+    /// <summary>
+    /// Experiments whose configuration cannot be edited right now because of their lifecycle state.
+    /// </summary>
+    public async Task<List<GovernanceLock>> GetGovernanceLocksAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var response = await httpClient.GetFromJsonAsync<GovernanceLocksResponse>($"api/governance/locks", cancellationToken);
+            return response?.Locks ?? [];
+        }
+        catch (HttpRequestException)
+        {
+            return [];
+        }
+    }
+
     public async Task<bool> TransitionStateAsync(string experimentName, string targetState, string? actor = null, string? reason = null, CancellationToken cancellationToken = default)
     {
         var request = new { TargetState = targetState, Actor = actor, Reason = reason };
@@ -611,6 +652,31 @@ public class DslApplyResponse
     public bool Success { get; set; }
     public List<AppliedExperiment> Changes { get; set; } = [];
     public List<DslValidationError> Errors { get; set; } = [];
+
+    /// <summary>
+    /// The YAML that was applied, after formatting when it was requested.
+    /// </summary>
+    public string? Yaml { get; set; }
+
+    /// <summary>
+    /// Version of the running configuration after the apply.
+    /// </summary>
+    public string? Version { get; set; }
+
+    /// <summary>
+    /// Set when the apply was rejected because the running configuration changed since the base version.
+    /// </summary>
+    public bool Conflict { get; set; }
+
+    /// <summary>
+    /// The running configuration, returned with a conflict so it can be merged with the rejected YAML.
+    /// </summary>
+    public string? CurrentYaml { get; set; }
+
+    /// <summary>
+    /// Version of the running configuration, returned with a conflict; the base version for the next apply.
+    /// </summary>
+    public string? CurrentVersion { get; set; }
 }
 
 public class DslCurrentResponse
@@ -618,6 +684,11 @@ public class DslCurrentResponse
     public string Yaml { get; set; } = "";
     public DateTime? LastApplied { get; set; }
     public bool HasUnappliedChanges { get; set; }
+
+    /// <summary>
+    /// Identifies the running configuration; changes whenever the configuration does.
+    /// </summary>
+    public string? Version { get; set; }
 }
 
 public class DslValidationError
@@ -629,6 +700,21 @@ public class DslValidationError
     public int Column { get; set; } = 1;
     public int EndLine { get; set; } = 1;
     public int EndColumn { get; set; } = 1;
+
+    /// <summary>
+    /// Machine-readable kind of problem (for example <c>invalid-enum</c> or <c>duplicate-condition</c>), used to offer quick fixes.
+    /// </summary>
+    public string? Code { get; set; }
+
+    /// <summary>
+    /// Values a quick fix needs, such as the allowed values or the missing condition key.
+    /// </summary>
+    public System.Text.Json.JsonElement? Data { get; set; }
+}
+
+public class DslTypesResponse
+{
+    public List<DslServiceType> Services { get; set; } = [];
 }
 
 public class ExperimentPreview
@@ -825,6 +911,11 @@ public class GovernancePolicyResponse
     public List<PolicyEvaluationInfo> Policies { get; set; } = [];
 }
 
+public class GovernanceLocksResponse
+{
+    public List<GovernanceLock> Locks { get; set; } = [];
+}
+
 public class GovernanceVersionsResponse
 {
     public string ExperimentName { get; set; } = "";
@@ -94,6 +94,9 @@ public class ExperimentCodeGenerator
 
     /// <summary>
     /// Generates Fluent API C# code from the wizard model.
+    /// The DSL editor's live preview (wwwroot/monaco/dsl-fluent.js) writes the same layout from any
+    /// configuration; the fixtures in tests/ExperimentFramework.Dashboard.UI.Tests/Fixtures/FluentPreview
+    /// hold both to the same output.
     /// </summary>
     public string GenerateFluentApi(ExperimentWizardModel model)
     {
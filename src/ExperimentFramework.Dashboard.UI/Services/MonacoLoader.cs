@@ -0,0 +1,47 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Options;
+using Microsoft.JSInterop;
+
+namespace ExperimentFramework.Dashboard.UI.Services;
+
+/// <summary>
+/// Loads Monaco through the interop using the host's <see cref="MonacoLoaderOptions"/>.
+/// Shared by the code and diff editor components.
+/// </summary>
+internal static class MonacoLoader
+{
+    /// <summary>
+    /// Loads Monaco if it is not loaded yet.
+    /// </summary>
+    /// <returns><c>null</c> when Monaco is ready; otherwise a description of the failure.</returns>
+    public static async Task<string?> LoadAsync(IJSRuntime js, IServiceProvider services)
+    {
+        var options = services.GetService<IOptions<MonacoLoaderOptions>>()?.Value ?? new MonacoLoaderOptions();
+        var config = new
+        {
+            version = options.Version,
+            sources = options.GetSources().Select(s => new
+            {
+                name = s.Name,
+                baseUrl = s.BaseUrl,
+                loaderIntegrity = s.LoaderIntegrity
+            }),
+            timeoutMs = (int)options.Timeout.TotalMilliseconds,
+            retries = options.RetryCount
+        };
+
+        try
+        {
+            await js.InvokeVoidAsync("monacoEditor.loadMonaco", options.GetTotalBudget(), config);
+            return null;
+        }
+        catch (JSException ex)
+        {
+            return ex.Message;
+        }
+        catch (TaskCanceledException)
+        {
+            return $"Loading Monaco did not finish within {options.GetTotalBudget().TotalSeconds:0} seconds.";
+        }
+    }
+}
@@ -0,0 +1,136 @@
+using System.Reflection;
+
+namespace ExperimentFramework.Dashboard.UI.Services;
+
+/// <summary>
+/// Controls where the DSL editor loads Monaco from.
+/// </summary>
+/// <remarks>
+/// Sources are tried in order: self-hosted assets (when <see cref="UseLocalAssets"/> is set),
+/// <see cref="AdditionalSources"/>, then the public CDN (when <see cref="UseCdn"/> is set).
+/// Each source gets <see cref="RetryCount"/> retries, each attempt bounded by <see cref="Timeout"/>.
+/// When every source fails the editor falls back to a plain textarea.
+/// </remarks>
+public sealed class MonacoLoaderOptions
+{
+    /// <summary>
+    /// Monaco version the dashboard is tested against, and the one its self-hosted assets contain.
+    /// Set by the <c>DashboardMonacoVersion</c> build property.
+    /// </summary>
+    public static readonly string DefaultVersion = typeof(MonacoLoaderOptions).Assembly
+        .GetCustomAttributes<AssemblyMetadataAttribute>()
+        .Single(a => a.Key == "MonacoVersion")
+        .Value!;
+
+    /// <summary>
+    /// Path of the <c>min/vs</c> folder in the Dashboard.UI static web assets. It is only there when
+    /// Dashboard.UI is built with <c>DashboardMonacoSelfHost</c>; otherwise set <see cref="LocalBasePath"/>
+    /// to a copy the host serves.
+    /// </summary>
+    public const string DefaultLocalBasePath = "_content/ExperimentFramework.Dashboard.UI/monaco/vs";
+
+    /// <summary>
+    /// Pinned Monaco version used to build CDN URLs.
+    /// </summary>
+    public string Version { get; set; } = DefaultVersion;
+
+    /// <summary>
+    /// Try the self-hosted static web assets before any remote source.
+    /// Enable for air-gapped hosts and CSPs that block third-party scripts.
+    /// </summary>
+    public bool UseLocalAssets { get; set; }
+
+    /// <summary>
+    /// Base path of the self-hosted <c>min/vs</c> folder.
+    /// </summary>
+    public string LocalBasePath { get; set; } = DefaultLocalBasePath;
+
+    /// <summary>
+    /// Fall back to the public CDN.
+    /// </summary>
+    public bool UseCdn { get; set; } = true;
+
+    /// <summary>
+    /// CDN URL of the <c>min/vs</c> folder; <c>{version}</c> is replaced with <see cref="Version"/>.
+    /// </summary>
+    public string CdnBaseUrl { get; set; } = "https://cdn.jsdelivr.net/npm/monaco-editor@{version}/min/vs";
+
+    /// <summary>
+    /// Subresource Integrity hash (for example <c>sha384-...</c>) of the CDN <c>loader.min.js</c>.
+    /// Only the loader script is checked: it then fetches <c>editor.main.js</c>, the language
+    /// bundles and the workers from the same base URL without integrity checks. Serve the assets
+    /// locally (<see cref="UseLocalAssets"/>, with <see cref="UseCdn"/> off) when every file must
+    /// come from a trusted origin.
+    /// </summary>
+    public string? CdnLoaderIntegrity { get; set; }
+
+    /// <summary>
+    /// Further sources, such as an internal mirror, tried after the local assets and before the CDN.
+    /// </summary>
+    public List<MonacoAssetSource> AdditionalSources { get; set; } = [];
+
+    /// <summary>
+    /// Time allowed for one attempt to load Monaco from a source.
+    /// </summary>
+    public TimeSpan Timeout { get; set; } = TimeSpan.FromSeconds(15);
+
+    /// <summary>
+    /// Retries per source after the first attempt fails.
+    /// </summary>
+    public int RetryCount { get; set; } = 1;
+
+    /// <summary>
+    /// Sources in the order the loader tries them.
+    /// </summary>
+    public IReadOnlyList<MonacoAssetSource> GetSources()
+    {
+        var sources = new List<MonacoAssetSource>();
+
+        if (UseLocalAssets)
+        {
+            sources.Add(new MonacoAssetSource { Name = "local", BaseUrl = LocalBasePath });
+        }
+
+        sources.AddRange(AdditionalSources);
+
+        if (UseCdn)
+        {
+            sources.Add(new MonacoAssetSource
+            {
+                Name = "cdn",
+                BaseUrl = CdnBaseUrl.Replace("{version}", Version, StringComparison.Ordinal),
+                LoaderIntegrity = CdnLoaderIntegrity
+            });
+        }
+
+        return sources;
+    }
+
+    /// <summary>
+    /// Upper bound on the whole load, covering every attempt on every source.
+    /// </summary>
+    public TimeSpan GetTotalBudget()
+        => Timeout * (Math.Max(0, RetryCount) + 1) * Math.Max(1, GetSources().Count) + TimeSpan.FromSeconds(5);
+}
+
+/// <summary>
+/// A location serving Monaco's <c>min/vs</c> folder.
+/// </summary>
+public sealed class MonacoAssetSource
+{
+    /// <summary>
+    /// Name used in load diagnostics.
+    /// </summary>
+    public required string Name { get; set; }
+
+    /// <summary>
+    /// URL of the <c>min/vs</c> folder, absolute or relative to the app base.
+    /// </summary>
+    public required string BaseUrl { get; set; }
+
+    /// <summary>
+    /// Optional Subresource Integrity hash of <c>loader.min.js</c>. It covers the loader script
+    /// only, not the editor modules or workers the loader fetches afterwards.
+    /// </summary>
+    public string? LoaderIntegrity { get; set; }
+}
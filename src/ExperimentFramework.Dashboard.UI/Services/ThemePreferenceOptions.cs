@@ -0,0 +1,16 @@
+namespace ExperimentFramework.Dashboard.UI.Services;
+
+/// <summary>
+/// Where the dashboard's <c>App</c> saves each signed-in user's theme preference.
+/// </summary>
+/// <remarks>
+/// <c>AddExperimentDashboard</c> configures these from <c>DashboardOptions.PreferencesUrl</c>.
+/// </remarks>
+public sealed class ThemePreferenceOptions
+{
+    /// <summary>
+    /// URL of the Dashboard API preferences endpoint as the browser reaches it, absolute or relative
+    /// to the app base. Null or empty keeps the preference in the browser.
+    /// </summary>
+    public string? PreferencesUrl { get; set; }
+}
@@ -5,12 +5,108 @@ namespace ExperimentFramework.Dashboard.UI.Services;
 /// </summary>
 public class ThemeService
 {
+    /// <summary>
+    /// The theme preferences the dashboard understands; "system" follows the OS.
+    /// </summary>
+    public static readonly IReadOnlyList<string> Preferences = ["system", "light", "dark", "hc-light", "hc-dark"];
+
     private ThemeResponse? _currentTheme;
 
     public event Action? OnThemeChanged;
 
+    /// <summary>
+    /// Raised whenever the effective theme preference changes, whether it was set in this circuit,
+    /// in another tab, on the server or followed from the OS.
+    /// </summary>
+    public event Action<ThemePreferenceChange>? OnPreferenceChanged;
+
+    /// <summary>
+    /// Raised when the brand palette changes, whether it was picked in this circuit or in another tab.
+    /// </summary>
+    public event Action<ThemePaletteChange>? OnPaletteChanged;
+
     public ThemeResponse? CurrentTheme => _currentTheme;
 
+    /// <summary>
+    /// The user's theme preference.
+    /// </summary>
+    public string Preference { get; private set; } = "system";
+
+    /// <summary>
+    /// The theme the OS asks for; the browser reports it.
+    /// </summary>
+    public string SystemTheme { get; private set; } = "light";
+
+    /// <summary>
+    /// The theme shown: the preference, with "system" resolved to <see cref="SystemTheme"/>.
+    /// </summary>
+    public string EffectiveTheme => Preference == "system" ? SystemTheme : Preference;
+
+    /// <summary>
+    /// The brand palettes the page registered; empty when the host configured none.
+    /// </summary>
+    public IReadOnlyList<ThemePaletteInfo> Palettes { get; private set; } = [];
+
+    /// <summary>
+    /// The palette shown, or null for the built-in colors.
+    /// </summary>
+    public string? Palette { get; private set; }
+
+    /// <summary>
+    /// Sets the theme preference. Changes from this circuit (<see cref="ThemeChangeSource.Local"/>) are
+    /// saved by the browser, which shares them with other tabs and the server.
+    /// </summary>
+    public void SetPreference(string preference, ThemeChangeSource source = ThemeChangeSource.Local)
+    {
+        var known = Preferences.FirstOrDefault(p => string.Equals(p, preference, StringComparison.OrdinalIgnoreCase))
+            ?? throw new ArgumentException($"Unknown theme preference '{preference}'.", nameof(preference));
+        if (known == Preference) return;
+
+        Preference = known;
+        OnPreferenceChanged?.Invoke(new ThemePreferenceChange(Preference, EffectiveTheme, source));
+    }
+
+    /// <summary>
+    /// Records the theme the OS asks for; raises <see cref="OnPreferenceChanged"/> when the preference follows it.
+    /// </summary>
+    public void SetSystemTheme(string theme)
+    {
+        if (string.IsNullOrEmpty(theme) || theme == "system" || theme == SystemTheme) return;
+
+        SystemTheme = theme;
+        if (Preference == "system")
+        {
+            OnPreferenceChanged?.Invoke(new ThemePreferenceChange(Preference, EffectiveTheme, ThemeChangeSource.System));
+        }
+    }
+
+    /// <summary>
+    /// Records the palettes the page registered and the one the browser shows.
+    /// </summary>
+    public void SetPalettes(IEnumerable<ThemePaletteInfo> palettes, string? palette)
+    {
+        Palettes = palettes.ToList();
+        Palette = Palettes.FirstOrDefault(p => p.Name == palette)?.Name;
+        OnPaletteChanged?.Invoke(new ThemePaletteChange(Palette, ThemeChangeSource.Browser));
+    }
+
+    /// <summary>
+    /// Picks a brand palette, or the built-in colors when <paramref name="palette"/> is null or empty.
+    /// Picks made in this circuit (<see cref="ThemeChangeSource.Local"/>) are stored by the browser,
+    /// which shares them with other tabs.
+    /// </summary>
+    public void SetPalette(string? palette, ThemeChangeSource source = ThemeChangeSource.Local)
+    {
+        var known = string.IsNullOrEmpty(palette)
+            ? null
+            : Palettes.FirstOrDefault(p => p.Name == palette)?.Name
+                ?? throw new ArgumentException($"Unknown palette '{palette}'.", nameof(palette));
+        if (known == Palette) return;
+
+        Palette = known;
+        OnPaletteChanged?.Invoke(new ThemePaletteChange(Palette, source));
+    }
+
     public void SetTheme(ThemeResponse? theme)
     {
         if (theme == null) return;
@@ -48,3 +144,43 @@ public class ThemeResponse
     public string Variant { get; set; } = "";
     public DateTime Timestamp { get; set; }
 }
+
+/// <summary>
+/// A change of the theme preference or of the theme it resolves to.
+/// </summary>
+/// <param name="Preference">The user's preference.</param>
+/// <param name="EffectiveTheme">The theme shown.</param>
+/// <param name="Source">Where the change came from.</param>
+public sealed record ThemePreferenceChange(string Preference, string EffectiveTheme, ThemeChangeSource Source);
+
+/// <summary>
+/// A brand palette users can pick.
+/// </summary>
+/// <param name="Name">The palette name.</param>
+/// <param name="DisplayName">The name shown to users.</param>
+public sealed record ThemePaletteInfo(string Name, string DisplayName);
+
+/// <summary>
+/// A change of the brand palette.
+/// </summary>
+/// <param name="Palette">The palette shown, or null for the built-in colors.</param>
+/// <param name="Source">Where the change came from.</param>
+public sealed record ThemePaletteChange(string? Palette, ThemeChangeSource Source);
+
+/// <summary>
+/// Where a theme preference change came from.
+/// </summary>
+public enum ThemeChangeSource
+{
+    /// <summary>Set in this circuit.</summary>
+    Local,
+
+    /// <summary>Read from the browser's cache when the page loaded, or changed in another tab.</summary>
+    Browser,
+
+    /// <summary>Loaded from the user's preferences on the server.</summary>
+    Server,
+
+    /// <summary>The OS theme changed while the preference is "system".</summary>
+    System
+}
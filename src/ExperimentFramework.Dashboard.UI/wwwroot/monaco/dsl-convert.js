@@ -0,0 +1,578 @@
+// DSL YAML <-> JSON conversion for the Monaco interop
+// Converts between the YAML DSL and its appsettings.json form, keeping key order,
+// comments (as '#' or '//' lines where the target allows them) and the cursor.
+// Keys the schema knows are written in the casing each loader expects: camelCase
+// in YAML, PascalCase in JSON. Other keys are copied as written.
+// The same writer formats a document into the canonical layout (see format).
+
+(function (global) {
+    'use strict';
+
+    const PLAIN_UNSAFE = /^[-?:,\[\]{}#&*!|>'"%@`\s]|[:#,\[\]{}]|\s$|^$/;
+    const PLAIN_KEY = /^[A-Za-z_][\w.\-]*$/;
+
+    function parser(language) {
+        return language === 'json' ? global.dslJson : global.dslYaml;
+    }
+
+    function pascal(name) {
+        return name ? name[0].toUpperCase() + name.slice(1) : name;
+    }
+
+    function isScalar(node) {
+        return !node || node.kind === 'scalar';
+    }
+
+    function singleLine(node) {
+        return node.range && node.range.startLineNumber === node.range.endLineNumber;
+    }
+
+    // --------------------------------------------------------------------
+    // Writer: output lines plus the source comments still to place
+    // --------------------------------------------------------------------
+
+    // With `anchors` (source lines the writer flushes at) the output is canonical, and each leading
+    // comment stays with the line it precedes even when keys are reordered
+    function Writer(comments, blankLines, language, anchors) {
+        this.lines = [];
+        this.blankLines = blankLines;
+        this.language = language;
+        this.canonical = !!anchors;
+        this.leading = comments.filter(c => !c.trailing);
+        if (anchors) {
+            this.leading.forEach(c => {
+                const next = anchors.find(line => line > c.line);
+                c.anchor = next === undefined ? Infinity : next;
+            });
+        }
+        this.trailing = new Map(comments.filter(c => c.trailing).map(c => [c.line, c]));
+        this.positions = new Map();
+    }
+
+    Writer.prototype.commentText = function (text) {
+        return (this.language === 'json' ? '//' : '#') + (text ? ' ' + text : '');
+    };
+
+    // Keeps a blank line that separated this source line from the previous one
+    Writer.prototype.separate = function (srcLine) {
+        const last = this.lines[this.lines.length - 1];
+        if (srcLine && last && last.text !== '' && this.blankLines.has(srcLine - 1)) {
+            this.blankLines.delete(srcLine - 1);
+            this.lines.push({ indent: 0, text: '', comment: null, srcLine: null });
+        }
+    };
+
+    // Writes comments that sit before a source line, at the given indent
+    Writer.prototype.flush = function (beforeLine, indent) {
+        const write = comment => {
+            this.separate(comment.line);
+            this.lines.push({ indent, text: this.commentText(comment.text), comment: null, srcLine: comment.line });
+        };
+        if (this.canonical) {
+            const due = this.leading.filter(c => beforeLine === Infinity || c.anchor === beforeLine);
+            this.leading = this.leading.filter(c => !due.includes(c));
+            due.forEach(write);
+            return;
+        }
+        while (this.leading.length && this.leading[0].line < beforeLine) {
+            write(this.leading.shift());
+        }
+    };
+
+    // YAML has no closing line: a comment after a JSON '}' or ']' becomes a line of its own
+    Writer.prototype.closing = function (srcLine, indent) {
+        if (this.language === 'yaml' && this.trailing.has(srcLine)) {
+            this.lines.push({ indent, text: this.commentText(this.trailing.get(srcLine).text), comment: null, srcLine });
+            this.trailing.delete(srcLine);
+        }
+    };
+
+    Writer.prototype.push = function (indent, text, srcLine) {
+        const line = { indent, text, comment: null, srcLine };
+        this.separate(srcLine);
+        if (srcLine && this.trailing.has(srcLine)) {
+            line.comment = this.trailing.get(srcLine).text;
+            this.trailing.delete(srcLine);
+        }
+        this.lines.push(line);
+        return line;
+    };
+
+    // Remembers where a source key or value starts in the output (0-based line, 1-based column)
+    Writer.prototype.mark = function (target, line, offset, quoted) {
+        if (target) this.positions.set(target, { line: this.lines.indexOf(line), column: line.indent + offset + 1, quoted });
+    };
+
+    Writer.prototype.toString = function () {
+        // Comments left over (for example after the last value) go at the end
+        this.flush(Infinity, 0);
+        this.trailing.forEach(c => this.lines.push({ indent: 0, text: this.commentText(c.text), comment: null }));
+        return this.lines
+            .map(l => ' '.repeat(l.indent) + l.text + (l.comment !== null ? ' ' + this.commentText(l.comment) : ''))
+            .join('\n') + '\n';
+    };
+
+    // --------------------------------------------------------------------
+    // JSON output
+    // --------------------------------------------------------------------
+
+    function jsonKey(entry) {
+        return JSON.stringify(entry.known ? pascal(entry.key) : (entry.sourceKey || entry.key));
+    }
+
+    // The canonical layout keeps numbers as written, e.g. 0.50 rather than 0.5
+    function jsonScalar(node, canonical) {
+        const value = node ? node.value : null;
+        if (canonical && typeof value === 'number' && !node.quoted) return node.text;
+        if (typeof value === 'number' && !Number.isFinite(value)) return JSON.stringify(node.text);
+        return JSON.stringify(value);
+    }
+
+    // Single-line JSON for flow collections; records positions relative to `offset`
+    function jsonInline(writer, node, parts, offset) {
+        const text = () => parts.join('');
+        if (isScalar(node)) {
+            parts.push(jsonScalar(node, writer.canonical));
+            return;
+        }
+        if (node.kind === 'seq') {
+            parts.push('[');
+            node.items.forEach((item, i) => {
+                if (i > 0) parts.push(', ');
+                if (item) writer.pending.push([item, offset + text().length, true]);
+                jsonInline(writer, item, parts, offset);
+            });
+            parts.push(']');
+            return;
+        }
+        parts.push(node.entries.length ? '{ ' : '{');
+        node.entries.filter(e => !e.incomplete).forEach((entry, i) => {
+            if (i > 0) parts.push(', ');
+            writer.pending.push([entry, offset + text().length, true]);
+            parts.push(jsonKey(entry) + ': ');
+            if (entry.value) writer.pending.push([entry.value, offset + text().length, entry.value.kind === 'scalar' && typeof entry.value.value === 'string']);
+            jsonInline(writer, entry.value, parts, offset);
+        });
+        parts.push(node.entries.length ? ' }' : '}');
+    }
+
+    function writeJson(writer, node, indent, head, srcLine, owner) {
+        writer.flush(srcLine, indent);
+
+        if (isScalar(node) || (node.flow && !writer.canonical) || (node.kind === 'map' ? node.entries.length === 0 : node.items.length === 0)) {
+            const parts = [];
+            writer.pending = [];
+            jsonInline(writer, node, parts, head.length);
+            const line = writer.push(indent, head + parts.join(''), srcLine);
+            writer.mark(owner, line, 0, true);
+            if (node && node.kind === 'scalar') {
+                writer.mark(node, line, head.length, typeof node.value === 'string');
+            }
+            writer.pending.forEach(([target, offset, quoted]) => writer.mark(target, line, offset, quoted));
+            return [line];
+        }
+
+        const children = node.kind === 'map'
+            ? node.entries.filter(e => !e.incomplete).map(e => ({ node: e.value, head: jsonKey(e) + ': ', line: e.keyRange.startLineNumber, owner: e }))
+            : node.items.map(item => ({ node: item, head: '', line: item && item.range ? item.range.startLineNumber : srcLine, owner: null }));
+
+        // A YAML list item shares its line with its first key, which keeps that line's comment
+        const sharesLine = children.length > 0 && children[0].line === srcLine;
+        writer.separate(srcLine);
+        const open = writer.push(indent, head + (node.kind === 'map' ? '{' : '['), sharesLine ? null : srcLine);
+        writer.mark(owner, open, 0, true);
+
+        let previous = null;
+        children.forEach(child => {
+            if (previous) previous.text += ',';
+            const written = writeJson(writer, child.node, indent + 2, child.head, child.line, child.owner);
+            if (child.owner === null && child.node) writer.mark(child.node, written[0], 0, child.node.kind === 'scalar' && typeof child.node.value === 'string');
+            previous = written[written.length - 1];
+        });
+
+        writer.flush(node.range.endLineNumber + 1, indent + 2);
+        const close = writer.push(indent, node.kind === 'map' ? '}' : ']', node.range.endLineNumber);
+        return [open, close];
+    }
+
+    // --------------------------------------------------------------------
+    // YAML output
+    // --------------------------------------------------------------------
+
+    function yamlKey(entry) {
+        const key = entry.known ? entry.key : (entry.sourceKey || entry.key);
+        return PLAIN_KEY.test(key) && !global.dslYaml.YAML11_BOOLEAN.test(key) ? key : JSON.stringify(key);
+    }
+
+    // Plain when the text reads back as the same string, double-quoted otherwise
+    function yamlScalar(node, canonical) {
+        if (node && node.alias) return '*' + node.alias;
+        const value = node ? node.value : null;
+        if (value === null || value === undefined) return 'null';
+        if (canonical && typeof value === 'number' && !node.quoted) return node.text;
+        if (typeof value !== 'string') return String(value);
+        if (!PLAIN_UNSAFE.test(value) && !/[\n\r\t"]/.test(value) && global.dslYaml.plainValue(value) === value
+            && !global.dslYaml.YAML11_BOOLEAN.test(value)) {
+            return value;
+        }
+        return JSON.stringify(value);
+    }
+
+    // The anchor other values alias this node by, written before it
+    function yamlAnchor(node) {
+        return node && node.anchor ? '&' + node.anchor + ' ' : '';
+    }
+
+    function yamlInline(writer, node, parts, offset) {
+        const text = () => parts.join('');
+        if (isScalar(node) || node.alias) {
+            parts.push(yamlScalar(node, writer.canonical));
+            return;
+        }
+        if (node.kind === 'seq') {
+            parts.push('[');
+            node.items.forEach((item, i) => {
+                if (i > 0) parts.push(', ');
+                parts.push(yamlAnchor(item));
+                if (item) writer.pending.push([item, offset + text().length, yamlScalar(item)[0] === '"']);
+                yamlInline(writer, item, parts, offset);
+            });
+            parts.push(']');
+            return;
+        }
+        parts.push(node.entries.length ? '{ ' : '{');
+        node.entries.filter(e => !e.incomplete).forEach((entry, i) => {
+            if (i > 0) parts.push(', ');
+            writer.pending.push([entry, offset + text().length, yamlKey(entry)[0] === '"']);
+            parts.push(yamlKey(entry) + ': ' + yamlAnchor(entry.value));
+            if (entry.value) writer.pending.push([entry.value, offset + text().length, isScalar(entry.value) && yamlScalar(entry.value)[0] === '"']);
+            yamlInline(writer, entry.value, parts, offset);
+        });
+        parts.push(node.entries.length ? ' }' : '}');
+    }
+
+    // Collections of scalars written on one line in the source stay on one line;
+    // the canonical layout writes every non-empty collection as a block
+    function yamlFlow(node, canonical) {
+        if (isScalar(node) || node.alias) return true;
+        const children = node.kind === 'seq' ? node.items : node.entries.map(e => e.value);
+        return children.length === 0 || (!canonical && singleLine(node) && children.every(isScalar));
+    }
+
+    // Writes a value after `head` (a key or '- '), continuing on deeper lines when it is a block collection
+    function writeYamlValue(writer, node, indent, head, srcLine, owner) {
+        writer.flush(srcLine, indent);
+
+        if (yamlFlow(node, writer.canonical)) {
+            const parts = [];
+            writer.pending = [];
+            const prefix = (head ? (head.endsWith('- ') ? head : head + ' ') : '') + yamlAnchor(node);
+            // A missing value stays empty in the canonical layout rather than becoming null
+            const empty = !node && writer.canonical;
+            if (!empty) yamlInline(writer, node, parts, prefix.length);
+            const line = writer.push(indent, empty ? prefix.trimEnd() : prefix + parts.join(''), srcLine);
+            writer.mark(owner, line, head.startsWith('- ') ? 2 : 0, false);
+            if (node && node.kind === 'scalar') writer.mark(node, line, prefix.length, yamlScalar(node)[0] === '"');
+            writer.pending.forEach(([target, offset, quoted]) => writer.mark(target, line, offset, quoted));
+            return;
+        }
+
+        if (node.kind === 'map' && head.endsWith('- ') && !node.anchor) {
+            // A mapping inside a list starts on the dash line
+            node.entries.filter(e => !e.incomplete).forEach((entry, i) => {
+                writeYamlEntry(writer, entry, indent + head.length, i === 0 ? head : '');
+            });
+            return;
+        }
+
+        // An anchored mapping in a list goes below its '- &name' line
+        const line = writer.push(indent, node.anchor ? (head.endsWith(' ') || !head ? head : head + ' ') + yamlAnchor(node).trimEnd() : head, srcLine);
+        writer.mark(owner, line, head.startsWith('- ') ? 2 : 0, false);
+        const childIndent = indent + (head.startsWith('- ') && head !== '- ' ? 4 : 2);
+        if (node.kind === 'map') {
+            node.entries.filter(e => !e.incomplete).forEach(entry => writeYamlEntry(writer, entry, childIndent, ''));
+        } else {
+            node.items.forEach(item => writeYamlItem(writer, item, childIndent));
+        }
+        writer.closing(node.range.endLineNumber, childIndent);
+    }
+
+    function writeYamlEntry(writer, entry, indent, dash) {
+        const key = yamlKey(entry);
+        const srcLine = entry.keyRange.startLineNumber;
+        if (dash) {
+            // First entry of a list item: the dash shares its line and the item's position
+            writer.flush(srcLine, indent - dash.length);
+            writeYamlValue(writer, entry.value, indent - dash.length, dash + key + ':', srcLine, entry);
+            return;
+        }
+        writeYamlValue(writer, entry.value, indent, key + ':', srcLine, entry);
+    }
+
+    function writeYamlItem(writer, item, indent) {
+        const srcLine = item && item.range ? item.range.startLineNumber : 0;
+        if (item && item.kind === 'seq' && !yamlFlow(item, writer.canonical)) {
+            writer.flush(srcLine, indent);
+            const line = writer.push(indent, ('- ' + yamlAnchor(item)).trimEnd(), srcLine);
+            writer.mark(item, line, 0, false);
+            item.items.forEach(child => writeYamlItem(writer, child, indent + 2));
+            return;
+        }
+        writeYamlValue(writer, item, indent, '- ', srcLine, null);
+        if (item && item.kind === 'map' && !item.anchor && !yamlFlow(item, writer.canonical)) {
+            const first = item.entries.find(e => !e.incomplete);
+            const at = first && writer.positions.get(first);
+            if (at) writer.positions.set(item, { line: at.line, column: at.column - 2, quoted: false });
+        }
+    }
+
+    function writeYamlDocument(writer, root) {
+        if (!root) {
+            if (!writer.canonical) writer.push(0, '{}', null);
+            return;
+        }
+        writer.flush(root.range.startLineNumber, 0);
+        writer.separate(root.range.startLineNumber);
+        if (root.kind === 'map' && !yamlFlow(root, writer.canonical)) {
+            root.entries.filter(e => !e.incomplete).forEach(entry => writeYamlEntry(writer, entry, 0, ''));
+        } else if (root.kind === 'seq' && !yamlFlow(root, writer.canonical)) {
+            root.items.forEach(item => writeYamlItem(writer, item, 0));
+        } else {
+            writeYamlValue(writer, root, 0, '', root.range.startLineNumber, null);
+        }
+    }
+
+    // --------------------------------------------------------------------
+    // Cursor mapping
+    // --------------------------------------------------------------------
+
+    // Position in the output of the source key or value under `position`
+    function mapPosition(writer, root, position) {
+        if (!position || !root) return null;
+        const hit = global.dslYaml.findAt(root, position.lineNumber, position.column);
+        if (hit) {
+            const target = hit.isKey ? hit.entry : hit.node;
+            const sourceRange = hit.isKey ? hit.entry.keyRange : hit.node && hit.node.range;
+            const at = writer.positions.get(target);
+            if (at && sourceRange) {
+                // Offset within the key or value text, ignoring quotes on either side
+                const content = hit.isKey ? String(hit.entry.key) : String(hit.node.value === null ? '' : hit.node.value);
+                const sourceQuoted = sourceRange.endColumn - sourceRange.startColumn > content.length;
+                const offset = position.column - sourceRange.startColumn - (sourceQuoted ? 1 : 0);
+                const clamped = Math.max(0, Math.min(content.length, offset));
+                return { lineNumber: at.line + 1, column: at.column + clamped + (at.quoted ? 1 : 0) };
+            }
+        }
+
+        // Between values: the first output line that came from this source line or a later one
+        const lines = writer.lines;
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].srcLine && lines[i].srcLine >= position.lineNumber) {
+                return { lineNumber: i + 1, column: lines[i].indent + 1 };
+            }
+        }
+        return { lineNumber: lines.length, column: 1 };
+    }
+
+    /**
+     * Converts DSL text between 'yaml' and 'json'.
+     * Returns { text, position, errors }; text is null when the source has syntax errors,
+     * since converting a half-parsed document would drop content.
+     */
+    function convert(text, from, to, options) {
+        options = options || {};
+        const parsed = parser(from).parse(text || '');
+        const errors = parsed.errors.filter(e => e.severity === 'error');
+        if (errors.length) {
+            return { text: null, position: null, errors };
+        }
+        if (from === to) {
+            return { text, position: options.position || null, errors: [] };
+        }
+
+        if (options.schema) {
+            global.dslSchema.canonicalize(options.schema, parsed.root);
+        }
+
+        const blankLines = new Set();
+        (text || '').split(/\r?\n/).forEach((line, i) => { if (line.trim() === '') blankLines.add(i + 1); });
+
+        const writer = new Writer(parsed.comments || [], blankLines, to);
+        if (to === 'json') {
+            writeJson(writer, parsed.root || { kind: 'map', entries: [], range: null }, 0, '', parsed.root ? parsed.root.range.startLineNumber : 1, null);
+        } else {
+            writeYamlDocument(writer, parsed.root);
+        }
+
+        const output = writer.toString();
+        return { text: output, position: mapPosition(writer, parsed.root, options.position), errors: [] };
+    }
+
+    // --------------------------------------------------------------------
+    // Range mapping between two forms of the same document
+    // --------------------------------------------------------------------
+
+    // Path of the first key or item starting on a line
+    function pathOnLine(node, lineNumber, path) {
+        if (!node) return null;
+        if (node.kind === 'map') {
+            for (const entry of node.entries) {
+                if (entry.keyRange.startLineNumber === lineNumber) return { path: path.concat([entry.key]), isKey: true };
+                if (entry.range && entry.range.startLineNumber <= lineNumber && entry.range.endLineNumber >= lineNumber) {
+                    const inner = pathOnLine(entry.value, lineNumber, path.concat([entry.key]));
+                    if (inner) return inner;
+                }
+            }
+        } else if (node.kind === 'seq') {
+            for (let i = 0; i < node.items.length; i++) {
+                const item = node.items[i];
+                if (!item || !item.range) continue;
+                if (item.range.startLineNumber <= lineNumber && item.range.endLineNumber >= lineNumber) {
+                    return pathOnLine(item, lineNumber, path.concat([i])) || { path: path.concat([i]), isKey: false };
+                }
+            }
+        }
+        return null;
+    }
+
+    function locate(root, path, isKey) {
+        const dslYaml = global.dslYaml;
+        for (let depth = path.length; depth > 0; depth--) {
+            const parent = dslYaml.getNodeAtPath(root, path.slice(0, depth - 1));
+            const segment = path[depth - 1];
+            if (typeof segment === 'number') {
+                const item = parent && parent.kind === 'seq' ? parent.items[segment] : null;
+                if (item && item.range) return item.range;
+            } else {
+                const entry = dslYaml.getEntry(parent, segment);
+                if (entry) return isKey && depth === path.length ? entry.keyRange : (entry.value && entry.value.range) || entry.keyRange;
+            }
+        }
+        return root && root.range ? root.range : null;
+    }
+
+    /**
+     * Maps a range in one form of a document to the same key or value in another form,
+     * for example server diagnostics reported against the YAML sent for a JSON draft.
+     */
+    function mapRange(fromText, fromLanguage, toText, toLanguage, r, schema) {
+        const source = parser(fromLanguage).parse(fromText || '');
+        const target = parser(toLanguage).parse(toText || '');
+        if (schema) {
+            global.dslSchema.canonicalize(schema, source.root);
+            global.dslSchema.canonicalize(schema, target.root);
+        }
+
+        const hit = global.dslYaml.findAt(source.root, r.startLineNumber, r.startColumn)
+            || pathOnLine(source.root, r.startLineNumber, []);
+        if (!hit) return null;
+        return locate(target.root, hit.path, hit.isKey);
+    }
+
+    // --------------------------------------------------------------------
+    // Canonical layout
+    // --------------------------------------------------------------------
+
+    // Keys listed here come first, in this order; other keys follow in the order they were written
+    const CANONICAL_ORDER = {
+        experiment: ['name', 'metadata', 'activation', 'hypothesis', 'trials'],
+        trial: ['serviceType', 'selectionMode', 'control', 'conditions', 'errorPolicy'],
+        condition: ['key', 'implementationType']
+    };
+
+    function child(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        const entry = node.entries.find(e => !e.incomplete && String(e.key).toLowerCase() === key.toLowerCase());
+        return entry ? entry.value : null;
+    }
+
+    function items(node) {
+        return node && node.kind === 'seq' ? node.items : [];
+    }
+
+    function sortEntries(node, order) {
+        if (!node || node.kind !== 'map') return;
+        const names = order.map(name => name.toLowerCase());
+        const rank = entry => {
+            const i = names.indexOf(String(entry.key).toLowerCase());
+            return i < 0 ? names.length : i;
+        };
+        node.entries = node.entries
+            .map((entry, i) => ({ entry, i }))
+            .sort((a, b) => rank(a.entry) - rank(b.entry) || a.i - b.i)
+            .map(x => x.entry);
+    }
+
+    function sortTrial(trial) {
+        sortEntries(trial, CANONICAL_ORDER.trial);
+        sortEntries(child(trial, 'control'), CANONICAL_ORDER.condition);
+        items(child(trial, 'conditions')).forEach(condition => sortEntries(condition, CANONICAL_ORDER.condition));
+    }
+
+    // Experiments and standalone trials, under the experimentFramework section when the document has one
+    function reorder(root) {
+        const section = child(root, 'experimentFramework') || root;
+        items(child(section, 'experiments')).forEach(experiment => {
+            sortEntries(experiment, CANONICAL_ORDER.experiment);
+            items(child(experiment, 'trials')).forEach(sortTrial);
+        });
+        items(child(section, 'trials')).forEach(sortTrial);
+    }
+
+    // Source lines a leading comment can belong to: the start of every key and item, and in JSON the
+    // line after a closing bracket, where comments before the bracket are written
+    function anchorLines(root, language) {
+        const lines = new Set();
+        const visit = node => {
+            if (!node || !node.range) return;
+            lines.add(node.range.startLineNumber);
+            if (node.kind === 'map') {
+                node.entries.filter(e => !e.incomplete).forEach(entry => {
+                    lines.add(entry.keyRange.startLineNumber);
+                    visit(entry.value);
+                });
+            } else if (node.kind === 'seq') {
+                node.items.forEach(visit);
+            }
+            if (language === 'json' && node.kind !== 'scalar') lines.add(node.range.endLineNumber + 1);
+        };
+        visit(root);
+        return Array.from(lines).sort((a, b) => a - b);
+    }
+
+    /**
+     * Rewrites DSL text in the canonical layout: two-space indentation, block collections, quotes only
+     * where a value needs them, and experiment, trial and condition keys in CANONICAL_ORDER.
+     * Comments stay with the line they were written above or after; blank lines between values are kept.
+     * Returns { text, errors }; text is null when the source has syntax errors.
+     */
+    function format(text, language) {
+        const parsed = parser(language).parse(text || '');
+        const errors = parsed.errors.filter(e => e.severity === 'error');
+        if (errors.length) {
+            return { text: null, errors };
+        }
+        if (!parsed.root && !(parsed.comments || []).length) {
+            return { text: '', errors: [] };
+        }
+
+        reorder(parsed.root);
+
+        const blankLines = new Set();
+        (text || '').split(/\r?\n/).forEach((line, i) => { if (line.trim() === '') blankLines.add(i + 1); });
+
+        const writer = new Writer(parsed.comments || [], blankLines, language, anchorLines(parsed.root, language));
+        if (language === 'json') {
+            writeJson(writer, parsed.root || { kind: 'map', entries: [], range: null }, 0, '', parsed.root ? parsed.root.range.startLineNumber : 1, null);
+        } else {
+            writeYamlDocument(writer, parsed.root);
+        }
+        return { text: writer.toString(), errors: [] };
+    }
+
+    global.dslConvert = {
+        convert,
+        format,
+        mapRange
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,362 @@
+// Quick fixes for DSL diagnostics
+// Turns a diagnostic's machine-readable code and data (from the validate endpoint
+// or the live schema checks) into text edits on the YAML or JSON document.
+// Paths are either arrays (['experiments', 0, 'name']) or the validator's dotted
+// form ('experiments[0].name'); keys are matched case-insensitively, as the JSON
+// loader does, and documents wrapped in the experimentFramework section are followed.
+
+(function (global) {
+    'use strict';
+
+    const YAML_PLAIN = /^[A-Za-z_][\w.\-\/ ]*$/;
+
+    // Starting values for required members a fix adds
+    const SCAFFOLDS = {
+        control: { key: 'control', implementationType: '' },
+        selectionMode: { type: 'featureFlag' },
+        trials: [],
+        conditions: []
+    };
+
+    function pascal(name) {
+        return name ? name[0].toUpperCase() + name.slice(1) : name;
+    }
+
+    function parsePath(path) {
+        if (Array.isArray(path)) return path.slice();
+        const segments = [];
+        String(path || '').replace(/([^.\[\]]+)|\[(\d+)\]/g, (m, key, index) => {
+            segments.push(index !== undefined ? parseInt(index, 10) : key);
+            return m;
+        });
+        return segments;
+    }
+
+    function entryFor(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        const lower = String(key).toLowerCase();
+        for (let i = node.entries.length - 1; i >= 0; i--) {
+            if (node.entries[i].key.toLowerCase() === lower) return node.entries[i];
+        }
+        return null;
+    }
+
+    function nodeAt(node, path) {
+        for (const segment of path) {
+            if (!node) return null;
+            if (typeof segment === 'number') {
+                node = node.kind === 'seq' ? node.items[segment] || null : null;
+            } else {
+                const entry = entryFor(node, segment);
+                node = entry ? entry.value : null;
+            }
+        }
+        return node;
+    }
+
+    // The document root the validator's paths start from
+    function configRoot(root) {
+        const wrapper = global.dslSchema ? global.dslSchema.section(root) : entryFor(root, 'experimentFramework');
+        return wrapper && wrapper.value && wrapper.value.kind === 'map' ? wrapper.value : root;
+    }
+
+    function range(startLineNumber, startColumn, endLineNumber, endColumn) {
+        return { startLineNumber, startColumn, endLineNumber, endColumn };
+    }
+
+    function lineEnd(lines, lineNumber) {
+        return range(lineNumber, lines[lineNumber - 1].length + 1, lineNumber, lines[lineNumber - 1].length + 1);
+    }
+
+    // --------------------------------------------------------------------
+    // Rendering values in the document's format
+    // --------------------------------------------------------------------
+
+    function yamlScalar(value) {
+        if (typeof value !== 'string') return String(value);
+        return YAML_PLAIN.test(value) && !/\s$/.test(value) && global.dslYaml.plainValue(value) === value
+            && !global.dslYaml.YAML11_BOOLEAN.test(value)
+            ? value
+            : JSON.stringify(value);
+    }
+
+    // Block YAML lines for a value, without indentation for the first level
+    function yamlLines(value) {
+        if (Array.isArray(value)) {
+            const out = [];
+            value.forEach(item => {
+                const lines = yamlLines(item);
+                out.push('- ' + lines[0]);
+                lines.slice(1).forEach(line => out.push('  ' + line));
+            });
+            return out.length ? out : ['[]'];
+        }
+        if (value !== null && typeof value === 'object') {
+            const out = [];
+            Object.keys(value).forEach(key => {
+                const child = value[key];
+                if (child !== null && typeof child === 'object' && (Array.isArray(child) ? child.length : Object.keys(child).length)) {
+                    out.push(key + ':');
+                    yamlLines(child).forEach(line => out.push('  ' + line));
+                } else {
+                    out.push(key + ': ' + yamlLines(child)[0]);
+                }
+            });
+            return out.length ? out : ['{}'];
+        }
+        return [yamlScalar(value)];
+    }
+
+    function yamlFlow(value) {
+        if (Array.isArray(value)) return '[' + value.map(yamlFlow).join(', ') + ']';
+        if (value !== null && typeof value === 'object') {
+            return '{' + Object.keys(value).map(key => key + ': ' + yamlFlow(value[key])).join(', ') + '}';
+        }
+        return yamlScalar(value);
+    }
+
+    function pascalKeys(value) {
+        if (Array.isArray(value)) return value.map(pascalKeys);
+        if (value !== null && typeof value === 'object') {
+            const out = {};
+            Object.keys(value).forEach(key => { out[pascal(key)] = pascalKeys(value[key]); });
+            return out;
+        }
+        return value;
+    }
+
+    function jsonText(value, pad) {
+        return JSON.stringify(pascalKeys(value), null, 2).split('\n').join('\n' + pad);
+    }
+
+    // A scalar as it should be written in place of `node`, keeping its quoting
+    function scalarText(value, json, node) {
+        return json || (node && node.quoted) || typeof value !== 'string' ? JSON.stringify(value) : yamlScalar(value);
+    }
+
+    function isFlow(json, node) {
+        return json || !!(node && node.flow);
+    }
+
+    // --------------------------------------------------------------------
+    // Edits
+    // --------------------------------------------------------------------
+
+    function replaceScalar(node, value, json) {
+        return { range: node.range, text: scalarText(value, json, node) };
+    }
+
+    // Removes a list item with its separator (comma, or the whole '- ' lines in block YAML)
+    function removeItem(seq, index, lines, json) {
+        const item = seq.items[index];
+        if (!item) return null;
+        const r = item.range;
+
+        if (isFlow(json, seq)) {
+            const next = seq.items[index + 1];
+            const previous = seq.items[index - 1];
+            if (next) return { range: range(r.startLineNumber, r.startColumn, next.range.startLineNumber, next.range.startColumn), text: '' };
+            if (previous) return { range: range(previous.range.endLineNumber, previous.range.endColumn, r.endLineNumber, r.endColumn), text: '' };
+            return { range: r, text: '' };
+        }
+
+        // Block items own every line from the dash to the next sibling
+        const next = seq.items[index + 1];
+        const endLine = next ? next.range.startLineNumber : r.endLineNumber + 1;
+        return endLine <= lines.length
+            ? { range: range(r.startLineNumber, 1, endLine, 1), text: '' }
+            : { range: range(r.startLineNumber - 1, lines[r.startLineNumber - 2].length + 1, r.endLineNumber, lines[r.endLineNumber - 1].length + 1), text: '' };
+    }
+
+    function appendItem(seq, value, lines, json) {
+        const last = seq.items[seq.items.length - 1];
+        const start = lines[seq.range.startLineNumber - 1];
+        const indent = start.length - start.trimStart().length;
+
+        if (!last) {
+            const pad = ' '.repeat(indent);
+            const text = json
+                ? '[\n' + pad + '  ' + jsonText(value, pad + '  ') + '\n' + pad + ']'
+                : '[' + yamlFlow(value) + ']';
+            return { range: seq.range, text };
+        }
+
+        if (isFlow(json, seq)) {
+            const sameLine = seq.items.length < 2
+                ? last.range.startLineNumber === seq.range.startLineNumber
+                : last.range.startLineNumber === seq.items[seq.items.length - 2].range.endLineNumber;
+            const pad = ' '.repeat(last.range.startColumn - 1);
+            const rendered = json ? (sameLine ? JSON.stringify(pascalKeys(value)) : jsonText(value, pad)) : yamlFlow(value);
+            return {
+                range: range(last.range.endLineNumber, last.range.endColumn, last.range.endLineNumber, last.range.endColumn),
+                text: sameLine ? ', ' + rendered : ',\n' + pad + rendered
+            };
+        }
+
+        const dash = lines[last.range.startLineNumber - 1].lastIndexOf('-', last.range.startColumn - 2);
+        const pad = ' '.repeat(Math.max(0, dash));
+        const body = yamlLines(value);
+        return {
+            range: lineEnd(lines, last.range.endLineNumber),
+            text: '\n' + pad + '- ' + body.join('\n' + pad + '  ')
+        };
+    }
+
+    function insertEntry(map, key, value, lines, json) {
+        const last = map.entries[map.entries.length - 1];
+        if (!last) {
+            const start = lines[map.range.startLineNumber - 1];
+            const pad = ' '.repeat(start.length - start.trimStart().length);
+            const text = json
+                ? '{\n' + pad + '  ' + JSON.stringify(pascal(key)) + ': ' + jsonText(value, pad + '  ') + '\n' + pad + '}'
+                : '{' + key + ': ' + yamlFlow(value) + '}';
+            return { range: map.range, text };
+        }
+
+        const pad = ' '.repeat(map.entries[0].keyRange.startColumn - 1);
+        if (isFlow(json, map)) {
+            const sameLine = last.keyRange.startLineNumber === map.range.startLineNumber;
+            const at = last.value ? last.value.range : last.keyRange;
+            const rendered = json
+                ? JSON.stringify(pascal(key)) + ': ' + (sameLine ? JSON.stringify(pascalKeys(value)) : jsonText(value, pad))
+                : key + ': ' + yamlFlow(value);
+            return {
+                range: range(at.endLineNumber, at.endColumn, at.endLineNumber, at.endColumn),
+                text: sameLine ? ', ' + rendered : ',\n' + pad + rendered
+            };
+        }
+
+        const body = yamlLines(value);
+        const nested = value !== null && typeof value === 'object' && body[0] !== '[]' && body[0] !== '{}';
+        const text = nested
+            ? key + ':\n' + pad + '  ' + body.join('\n' + pad + '  ')
+            : key + ': ' + body[0];
+        return { range: lineEnd(lines, last.range.endLineNumber), text: '\n' + pad + text };
+    }
+
+    // --------------------------------------------------------------------
+    // Fixes per diagnostic code
+    // --------------------------------------------------------------------
+
+    function fix(title, edit, isPreferred) {
+        return edit ? { title, edits: [edit], isPreferred: !!isPreferred } : null;
+    }
+
+    // Allowed values ordered by closeness to what was written, the closest first
+    function ranked(value, allowed) {
+        const candidates = allowed.filter(v => typeof v === 'string' && v !== value);
+        const best = typeof value === 'string' && global.dslSchema ? global.dslSchema.closest(value, candidates) : null;
+        return best ? [best].concat(candidates.filter(v => v !== best)) : candidates;
+    }
+
+    function changeValue(node, value, allowed, json, preferFirst) {
+        return ranked(value, allowed).slice(0, 5).map((candidate, i) =>
+            fix(`Change to '${candidate}'`, replaceScalar(node, candidate, json), preferFirst && i === 0));
+    }
+
+    const handlers = {
+        'invalid-enum': (ctx) => {
+            if (!ctx.node || ctx.node.kind !== 'scalar' || !Array.isArray(ctx.data.allowed)) return [];
+            return changeValue(ctx.node, ctx.data.value, ctx.data.allowed, ctx.json, true);
+        },
+
+        // A service or implementation type the running host does not know
+        'unknown-type': (ctx) => {
+            if (!ctx.node || ctx.node.kind !== 'scalar' || !Array.isArray(ctx.data.allowed)) return [];
+            return changeValue(ctx.node, ctx.data.value, ctx.data.allowed, ctx.json, false);
+        },
+
+        'unknown-property': (ctx) => {
+            const suggestion = ctx.data.suggestion;
+            const entry = entryFor(nodeAt(ctx.root, ctx.path.slice(0, -1)), ctx.path[ctx.path.length - 1]);
+            if (!suggestion || !entry) return [];
+            const text = ctx.json ? JSON.stringify(pascal(suggestion)) : suggestion;
+            return [fix(`Rename to '${suggestion}'`, { range: entry.keyRange, text }, true)];
+        },
+
+        // A fallback key naming a condition the trial does not define
+        'unknown-condition': (ctx) => {
+            const key = ctx.data.key;
+            const trialPath = ctx.path.slice(0, ctx.path.findIndex(s => String(s).toLowerCase() === 'errorpolicy'));
+            const trial = trialPath.length ? nodeAt(ctx.root, trialPath) : null;
+            if (!key || !trial || trial.kind !== 'map') return [];
+
+            const condition = { key, implementationType: '' };
+            const conditions = entryFor(trial, 'conditions');
+            const add = conditions && conditions.value && conditions.value.kind === 'seq'
+                ? appendItem(conditions.value, condition, ctx.lines, ctx.json)
+                : conditions ? null : insertEntry(trial, 'conditions', [condition], ctx.lines, ctx.json);
+
+            const fixes = [fix(`Add missing condition '${key}'`, add, true)];
+            if (ctx.node && ctx.node.kind === 'scalar' && Array.isArray(ctx.data.conditions)) {
+                fixes.push.apply(fixes, changeValue(ctx.node, key, ctx.data.conditions, ctx.json, false));
+            }
+            return fixes;
+        },
+
+        'duplicate-condition': (ctx) => {
+            const at = ctx.path.findIndex(s => String(s).toLowerCase() === 'conditions');
+            const index = ctx.path[at + 1];
+            const seq = at >= 0 ? nodeAt(ctx.root, ctx.path.slice(0, at + 1)) : null;
+            if (!seq || seq.kind !== 'seq' || typeof index !== 'number') return [];
+            return [fix(`Remove duplicate condition '${ctx.data.key}'`, removeItem(seq, index, ctx.lines, ctx.json), true)];
+        },
+
+        'duplicate-trial': (ctx) => {
+            const index = ctx.path[ctx.path.length - 1];
+            const seq = nodeAt(ctx.root, ctx.path.slice(0, -1));
+            if (!seq || seq.kind !== 'seq' || typeof index !== 'number') return [];
+            return [fix('Remove duplicate trial', removeItem(seq, index, ctx.lines, ctx.json), true)];
+        },
+
+        'missing-required': (ctx) => {
+            const property = ctx.data.property || ctx.path[ctx.path.length - 1];
+            const parent = nodeAt(ctx.root, ctx.path.slice(0, -1));
+            if (!property || !parent || parent.kind !== 'map' || entryFor(parent, property)) return [];
+            const value = Object.prototype.hasOwnProperty.call(SCAFFOLDS, property) ? SCAFFOLDS[property] : '';
+            const title = value !== null && typeof value === 'object' ? `Add required '${property}' block` : `Add required '${property}'`;
+            return [fix(title, insertEntry(parent, property, value, ctx.lines, ctx.json), true)];
+        },
+
+        'tab-indentation': (ctx) => {
+            const lineNumber = ctx.diagnostic.startLineNumber;
+            const line = ctx.lines[lineNumber - 1];
+            if (line === undefined || line.indexOf('\t') < 0) return [];
+            return [fix('Replace tabs with spaces', { range: range(lineNumber, 1, lineNumber, line.length + 1), text: line.replace(/\t/g, '  ') }, true)];
+        }
+    };
+
+    /**
+     * Quick fixes for one diagnostic: { title, edits: [{ range, text }], isPreferred }.
+     * `diagnostic` carries `code`, optional `data` (with `path`) and a Monaco-style range.
+     */
+    function fixesFor(diagnostic, text, language) {
+        const handler = diagnostic && handlers[diagnostic.code];
+        if (!handler) return [];
+
+        const json = language === 'json';
+        const parsed = (json ? global.dslJson : global.dslYaml).parse(text || '');
+        const data = diagnostic.data || {};
+        const root = configRoot(parsed.root);
+        const path = parsePath(data.path !== undefined ? data.path : diagnostic.path);
+        // Live diagnostics carry paths from the document root, validator paths start inside the section
+        const pathRoot = root !== parsed.root && !nodeAt(root, path.slice(0, -1)) ? parsed.root : root;
+
+        const ctx = {
+            diagnostic,
+            data,
+            json,
+            path,
+            root: pathRoot,
+            node: nodeAt(pathRoot, path),
+            lines: (text || '').split('\n')
+        };
+        return handler(ctx).filter(Boolean);
+    }
+
+    global.dslFixes = {
+        fixesFor,
+        parsePath,
+        scalarText
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,267 @@
+// Fluent API preview
+// Turns a DSL configuration into the ExperimentFrameworkBuilder code that registers the same
+// experiments, in the layout of ExperimentCodeGenerator.GenerateFluentApi. Every emitted line or
+// block keeps the range of the DSL it came from, so either side can highlight the other.
+// Works on the node trees of dsl-yaml and dsl-json; keys are matched case-insensitively.
+// The code generator's test fixtures (Fixtures/FluentPreview) are run through both.
+
+(function (global) {
+    'use strict';
+
+    const INDENT = '    ';
+
+    function entryFor(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        const lower = key.toLowerCase();
+        return node.entries.find(e => !e.incomplete && e.key.toLowerCase() === lower) || null;
+    }
+
+    function textOf(node, key) {
+        const entry = entryFor(node, key);
+        if (!entry || !entry.value || entry.value.kind !== 'scalar' || entry.value.value === null) return null;
+        return String(entry.value.value);
+    }
+
+    function mapItems(node, key) {
+        const entry = entryFor(node, key);
+        if (!entry || !entry.value || entry.value.kind !== 'seq') return [];
+        return entry.value.items.filter(item => item && item.kind === 'map' && item.range);
+    }
+
+    function csharpString(value) {
+        return '"' + String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r') + '"';
+    }
+
+    // Type names as they appear in C#: the assembly part is dropped and nested types use dots
+    function typeName(value, placeholder) {
+        if (!value) return placeholder;
+        return value.split(',')[0].trim().replace(/\+/g, '.') || placeholder;
+    }
+
+    function metadataValue(node) {
+        if (node.kind !== 'scalar' || node.value === null) return null;
+        if (typeof node.value === 'number' || typeof node.value === 'boolean') return String(node.value);
+        return csharpString(node.value);
+    }
+
+    function Writer() {
+        this.lines = [];
+        this.segments = [];
+    }
+
+    // Appends a line; with a range, the line is mapped to that part of the DSL
+    Writer.prototype.line = function (text, range) {
+        this.lines.push(text);
+        if (range) this.map(this.lines.length, range);
+    };
+
+    // Maps C# lines from `start` through the last one written to a range of the DSL
+    Writer.prototype.map = function (start, range) {
+        this.segments.push({ startLineNumber: start, endLineNumber: this.lines.length, range });
+    };
+
+    // Closes the chain on the last line of code; comment lines after it are left alone
+    Writer.prototype.close = function (suffix) {
+        let index = this.lines.length - 1;
+        while (index > 0 && this.lines[index].trim().startsWith('//')) index--;
+        this.lines[index] += suffix;
+    };
+
+    function writeExperiment(out, node, pad) {
+        const start = out.lines.length + 1;
+        const name = textOf(node, 'name') || '';
+        const nameEntry = entryFor(node, 'name');
+        out.line(`${pad}.Experiment(${csharpString(name)}, exp => exp`, nameEntry && nameEntry.range);
+
+        const inner = pad + INDENT;
+        const metadata = entryFor(node, 'metadata');
+        if (metadata && metadata.value && metadata.value.kind === 'map') {
+            metadata.value.entries.forEach(entry => {
+                const value = !entry.incomplete && entry.value ? metadataValue(entry.value) : null;
+                if (value !== null) {
+                    out.line(`${inner}.WithMetadata(${csharpString(entry.key)}, ${value})`, entry.range);
+                }
+            });
+        }
+
+        writeActivation(out, node, inner);
+        const hypothesis = entryFor(node, 'hypothesis');
+        if (hypothesis) {
+            out.line(`${inner}// The hypothesis is registered with ExperimentFramework.Science, not the builder`, hypothesis.range);
+        }
+
+        mapItems(node, 'trials').forEach(trial => writeTrial(out, trial, inner));
+        out.close(')');
+        out.map(start, node.range);
+    }
+
+    function writeTrial(out, node, pad) {
+        const start = out.lines.length + 1;
+        const serviceEntry = entryFor(node, 'serviceType');
+        out.line(`${pad}.Trial<${typeName(textOf(node, 'serviceType'), 'TService')}>(trial => trial`,
+            serviceEntry && serviceEntry.range);
+
+        const inner = pad + INDENT;
+        const selection = entryFor(node, 'selectionMode');
+        if (selection && selection.value && selection.value.kind === 'map') {
+            out.line(inner + selectionCall(selection.value), selection.range);
+        }
+
+        writeActivation(out, node, inner);
+        const control = entryFor(node, 'control');
+        if (control && control.value && control.value.kind === 'map') {
+            out.line(inner + conditionCall('AddControl', control.value), control.range);
+        }
+        mapItems(node, 'conditions').forEach(condition => {
+            out.line(inner + conditionCall('AddVariant', condition), condition.range);
+        });
+
+        const errorPolicy = entryFor(node, 'errorPolicy');
+        if (errorPolicy && errorPolicy.value && errorPolicy.value.kind === 'map') {
+            out.line(inner + errorPolicyCall(errorPolicy.value), errorPolicy.range);
+        }
+
+        out.close(')');
+        out.map(start, node.range);
+    }
+
+    function selectionCall(node) {
+        const type = textOf(node, 'type') || '';
+        const optional = key => {
+            const value = textOf(node, key);
+            return value ? csharpString(value) : '';
+        };
+        const selector = textOf(node, 'selectorName');
+        switch (type.toLowerCase()) {
+            case 'configurationkey': return `.UsingConfigurationKey(${optional('key')})`;
+            case 'featureflag': return `.UsingFeatureFlag(${optional('flagName')})`;
+            case 'variantfeatureflag': return `.UsingVariantFeatureFlag(${optional('flagName')})`;
+            case 'openfeature': return `.UsingOpenFeature(${optional('flagKey')})`;
+            case 'stickyrouting': return `.UsingStickyRouting(${optional('selectorName')})`;
+            case 'custom':
+                return `.UsingCustomMode(${csharpString(textOf(node, 'modeIdentifier') || '')}${selector ? ', ' + csharpString(selector) : ''})`;
+            default:
+                // Modes from other packages are registered by their identifier
+                return `.UsingCustomMode(${csharpString(type)}${selector ? ', ' + csharpString(selector) : ''})`;
+        }
+    }
+
+    function conditionCall(method, node) {
+        return `.${method}<${typeName(textOf(node, 'implementationType'), 'TImplementation')}>(${csharpString(textOf(node, 'key') || '')})`;
+    }
+
+    function errorPolicyCall(node) {
+        const type = textOf(node, 'type') || '';
+        switch (type.toLowerCase()) {
+            case 'throw': return '.OnErrorThrow()';
+            case 'fallbacktocontrol': return '.OnErrorFallbackToControl()';
+            case 'tryany': return '.OnErrorTryAny()';
+            case 'fallbackto': return `.OnErrorFallbackTo(${csharpString(textOf(node, 'fallbackKey') || '')})`;
+            case 'tryinorder': {
+                const entry = entryFor(node, 'fallbackKeys');
+                const keys = entry && entry.value && entry.value.kind === 'seq'
+                    ? entry.value.items.filter(item => item && item.kind === 'scalar' && item.value !== null)
+                    : [];
+                return `.OnErrorTryInOrder(${keys.map(item => csharpString(item.value)).join(', ')})`;
+            }
+            default:
+                return `// The '${type}' error policy has no builder method`;
+        }
+    }
+
+    function writeActivation(out, node, pad) {
+        const entry = entryFor(node, 'activation');
+        if (!entry || !entry.value || entry.value.kind !== 'map') return;
+
+        const from = textOf(entry.value, 'from');
+        const until = textOf(entry.value, 'until');
+        const parse = value => `DateTimeOffset.Parse(${csharpString(value)})`;
+        if (from && until) {
+            out.line(`${pad}.ActiveDuring(${parse(from)}, ${parse(until)})`, entry.range);
+        } else if (from) {
+            out.line(`${pad}.ActiveFrom(${parse(from)})`, entry.range);
+        } else if (until) {
+            out.line(`${pad}.ActiveUntil(${parse(until)})`, entry.range);
+        }
+        if (entryFor(entry.value, 'predicate')) {
+            out.line(`${pad}// Activation predicates are registered in code with ActiveWhen`, entry.range);
+        }
+    }
+
+    /**
+     * Generates builder code from a parsed DSL document ({ root, errors } of dslYaml.parse or dslJson.parse).
+     * Returns { text, segments, errors }: text is null while the document has syntax errors; segments
+     * map C# line spans { startLineNumber, endLineNumber } to the DSL range they came from; a block
+     * is listed after the lines inside it.
+     */
+    function generate(doc) {
+        const errors = doc.errors.filter(e => e.severity === 'error');
+        if (errors.length) {
+            return { text: null, segments: [], errors };
+        }
+
+        let root = doc.root && doc.root.kind === 'map' ? doc.root : null;
+        const section = root && global.dslSchema ? global.dslSchema.section(root) : null;
+        if (section) {
+            root = section.value && section.value.kind === 'map' ? section.value : null;
+        }
+
+        const out = new Writer();
+        out.line('// Add this to your Program.cs or startup configuration');
+        out.line('');
+        out.line('var experiments = ExperimentFrameworkBuilder.Create()');
+        out.line(INDENT + '.UseDispatchProxy()');
+        mapItems(root, 'experiments').forEach(experiment => writeExperiment(out, experiment, INDENT));
+        mapItems(root, 'trials').forEach(trial => writeTrial(out, trial, INDENT));
+        out.close(';');
+        out.line('');
+        out.line('builder.Services.AddExperimentFramework(experiments);');
+
+        return { text: out.lines.join('\n') + '\n', segments: out.segments, errors: [] };
+    }
+
+    function spans(segment, line) {
+        return segment.startLineNumber <= line && line <= segment.endLineNumber;
+    }
+
+    function contains(range, line) {
+        return range.startLineNumber <= line && line <= range.endLineNumber;
+    }
+
+    /**
+     * The innermost segment around a line of the generated code, or null.
+     */
+    function segmentAtCode(segments, line) {
+        let match = null;
+        segments.forEach(segment => {
+            if (spans(segment, line) && (!match || segment.endLineNumber - segment.startLineNumber < match.endLineNumber - match.startLineNumber)) {
+                match = segment;
+            }
+        });
+        return match;
+    }
+
+    /**
+     * The innermost segment whose DSL range covers a line of the DSL, or null.
+     */
+    function segmentAtSource(segments, line) {
+        let match = null;
+        segments.forEach(segment => {
+            const range = segment.range;
+            if (contains(range, line) && (!match || range.endLineNumber - range.startLineNumber < match.range.endLineNumber - match.range.startLineNumber)) {
+                match = segment;
+            }
+        });
+        return match;
+    }
+
+    global.dslFluent = {
+        generate,
+        segmentAtCode,
+        segmentAtSource
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,482 @@
+// DSL JSON support for the Monaco interop
+// An error-tolerant JSON parser (comments and trailing commas allowed, as in
+// appsettings.json) that produces the same node shapes as dsl-yaml.js, plus
+// cursor context analysis. Shared with the validation worker, so no DOM or Monaco.
+
+(function (global) {
+    'use strict';
+
+    function range(line, startCol, endLine, endCol) {
+        return { startLineNumber: line, startColumn: startCol + 1, endLineNumber: endLine, endColumn: endCol + 1 };
+    }
+
+    // --------------------------------------------------------------------
+    // Scanner
+    // --------------------------------------------------------------------
+
+    function Scanner(text) {
+        this.text = text;
+        this.pos = 0;
+        this.line = 1;
+        this.col = 0;
+        this.comments = [];
+        this.lastTokenLine = 0;
+    }
+
+    Scanner.prototype.advance = function (count) {
+        for (let i = 0; i < count && this.pos < this.text.length; i++) {
+            if (this.text[this.pos] === '\n') {
+                this.line++;
+                this.col = 0;
+            } else {
+                this.col++;
+            }
+            this.pos++;
+        }
+    };
+
+    // Skips whitespace and collects comments; a comment is trailing when a token precedes it on its line
+    Scanner.prototype.skipTrivia = function () {
+        const text = this.text;
+        while (this.pos < text.length) {
+            const c = text[this.pos];
+            if (c === ' ' || c === '\t' || c === '\r' || c === '\n' || c === '﻿') {
+                this.advance(1);
+            } else if (c === '/' && text[this.pos + 1] === '/') {
+                let end = text.indexOf('\n', this.pos);
+                if (end < 0) end = text.length;
+                this.comments.push({
+                    line: this.line,
+                    column: this.col + 1,
+                    text: text.slice(this.pos + 2, end).replace(/\r$/, '').replace(/^ /, ''),
+                    trailing: this.lastTokenLine === this.line
+                });
+                this.advance(end - this.pos);
+            } else if (c === '/' && text[this.pos + 1] === '*') {
+                let end = text.indexOf('*/', this.pos + 2);
+                const closed = end >= 0;
+                if (!closed) end = text.length;
+                const trailing = this.lastTokenLine === this.line;
+                text.slice(this.pos + 2, end).split(/\r?\n/).forEach((part, i) => {
+                    const cleaned = i === 0 ? part.trim() : part.replace(/^\s*\*?\s?/, '').trimEnd();
+                    if (cleaned.length || i === 0) {
+                        this.comments.push({ line: this.line + i, column: i === 0 ? this.col + 1 : 1, text: cleaned, trailing: trailing && i === 0 });
+                    }
+                });
+                this.advance(end - this.pos + (closed ? 2 : 0));
+            } else {
+                break;
+            }
+        }
+    };
+
+    Scanner.prototype.peek = function () {
+        this.skipTrivia();
+        return this.pos < this.text.length ? this.text[this.pos] : null;
+    };
+
+    // --------------------------------------------------------------------
+    // Parser
+    // --------------------------------------------------------------------
+
+    function Parser(text) {
+        this.s = new Scanner(text);
+        this.errors = [];
+    }
+
+    // `related` lists other places the error involves: [{ message, range }]
+    Parser.prototype.error = function (message, r, code, related) {
+        this.errors.push(Object.assign({ message, severity: 'error', code: code || 'syntax' }, r, related ? { related } : null));
+    };
+
+    Parser.prototype.here = function (length) {
+        return range(this.s.line, this.s.col, this.s.line, this.s.col + (length || 1));
+    };
+
+    Parser.prototype.parseDocument = function () {
+        if (this.s.peek() === null) return null;
+        const root = this.parseValue();
+        if (this.s.peek() !== null) {
+            this.error('Unexpected content after the end of the document.', this.here(), 'unexpected-content');
+        }
+        return root;
+    };
+
+    Parser.prototype.parseValue = function () {
+        const c = this.s.peek();
+        if (c === '{') return this.parseObject();
+        if (c === '[') return this.parseArray();
+        if (c === '"' || c === "'") return this.parseString();
+        if (c === null) {
+            this.error('Expected a value.', this.here(), 'expected-value');
+            return null;
+        }
+        return this.parseLiteral();
+    };
+
+    Parser.prototype.parseObject = function () {
+        const s = this.s;
+        const startLine = s.line;
+        const startCol = s.col;
+        const node = { kind: 'map', entries: [], range: null };
+        const seen = new Map();
+        s.advance(1);
+        s.lastTokenLine = s.line;
+
+        for (;;) {
+            const c = s.peek();
+            if (c === null) {
+                this.error("Unclosed '{'; expected '}'.", range(startLine, startCol, startLine, startCol + 1), 'unclosed-bracket');
+                break;
+            }
+            if (c === '}') {
+                s.advance(1);
+                break;
+            }
+
+            let keyNode;
+            if (c === '"' || c === "'") {
+                keyNode = this.parseString();
+            } else if (/[A-Za-z_$]/.test(c)) {
+                // Tolerate an unquoted key so completion and outline still see the rest of the object
+                keyNode = this.parseLiteral(false);
+                this.error('Property names must be double-quoted.', keyNode.range, 'expected-mapping');
+            } else {
+                this.error(`Unexpected '${c}'; expected a property name.`, this.here(), 'unexpected-content');
+                s.advance(1);
+                continue;
+            }
+
+            const key = String(keyNode.quoted ? keyNode.value : keyNode.text);
+            const keyRange = keyNode.range;
+            if (seen.has(key)) {
+                this.error(`Duplicate key '${key}'.`, keyRange, 'duplicate-key',
+                    [{ message: `'${key}' is first defined here.`, range: seen.get(key) }]);
+            } else {
+                seen.set(key, keyRange);
+            }
+
+            let value = null;
+            if (s.peek() === ':') {
+                s.advance(1);
+                s.lastTokenLine = s.line;
+                const next = s.peek();
+                if (next === ',' || next === '}' || next === null) {
+                    this.error(`Expected a value for '${key}'.`, keyRange, 'expected-value');
+                } else {
+                    value = this.parseValue();
+                }
+            } else {
+                this.error(`Expected ':' after '${keyNode.text}'.`, keyRange, 'expected-mapping');
+            }
+
+            const end = value && value.range ? value.range : keyRange;
+            const entry = {
+                key,
+                keyRange,
+                value,
+                range: {
+                    startLineNumber: keyRange.startLineNumber,
+                    startColumn: keyRange.startColumn,
+                    endLineNumber: end.endLineNumber,
+                    endColumn: end.endColumn
+                }
+            };
+            if (value === null) entry.incomplete = true;
+            node.entries.push(entry);
+            this.skipSeparator('}');
+        }
+
+        node.range = range(startLine, startCol, s.line, s.col);
+        s.lastTokenLine = s.line;
+        return node;
+    };
+
+    Parser.prototype.parseArray = function () {
+        const s = this.s;
+        const startLine = s.line;
+        const startCol = s.col;
+        const node = { kind: 'seq', items: [], range: null };
+        s.advance(1);
+        s.lastTokenLine = s.line;
+
+        for (;;) {
+            const c = s.peek();
+            if (c === null) {
+                this.error("Unclosed '['; expected ']'.", range(startLine, startCol, startLine, startCol + 1), 'unclosed-bracket');
+                break;
+            }
+            if (c === ']') {
+                s.advance(1);
+                break;
+            }
+            if (c === '}' || c === ':') {
+                this.error(`Unexpected '${c}'.`, this.here(), 'unexpected-content');
+                s.advance(1);
+                continue;
+            }
+            node.items.push(this.parseValue());
+            this.skipSeparator(']');
+        }
+
+        node.range = range(startLine, startCol, s.line, s.col);
+        s.lastTokenLine = s.line;
+        return node;
+    };
+
+    // Consumes the ',' between members; trailing commas are allowed, as in appsettings.json
+    Parser.prototype.skipSeparator = function (close) {
+        const s = this.s;
+        const c = s.peek();
+        if (c === ',') {
+            s.advance(1);
+            s.lastTokenLine = s.line;
+        } else if (c !== close && c !== null) {
+            this.error(`Expected ',' or '${close}'.`, this.here(), 'unexpected-content');
+        }
+    };
+
+    Parser.prototype.parseString = function () {
+        const s = this.s;
+        const text = s.text;
+        const quote = text[s.pos];
+        const start = s.pos;
+        const startLine = s.line;
+        const startCol = s.col;
+        let i = start + 1;
+        while (i < text.length && text[i] !== quote && text[i] !== '\n') {
+            if (text[i] === '\\') i++;
+            i++;
+        }
+
+        const closed = i < text.length && text[i] === quote;
+        const raw = text.slice(start, closed ? i + 1 : i).replace(/\r$/, '');
+        s.advance(raw.length);
+        s.lastTokenLine = s.line;
+
+        const r = range(startLine, startCol, startLine, startCol + raw.length);
+        if (!closed) {
+            this.error(`Unclosed string; expected ${quote}.`, r, 'unclosed-quote');
+            return { kind: 'scalar', value: raw.slice(1), text: raw, quoted: true, range: r };
+        }
+        if (quote === "'") {
+            this.error('Strings must use double quotes.', r, 'syntax');
+        }
+
+        if (quote === "'") {
+            return { kind: 'scalar', value: raw.slice(1, -1), text: raw, quoted: true, range: r };
+        }
+
+        let value;
+        try {
+            value = JSON.parse(raw);
+        } catch {
+            this.error('Invalid escape sequence in string.', r, 'syntax');
+            value = raw.slice(1, -1);
+        }
+        return { kind: 'scalar', value, text: raw, quoted: true, range: r };
+    };
+
+    Parser.prototype.parseLiteral = function (report) {
+        const s = this.s;
+        const match = /^[^\s,:\]\}\[\{"'\/]+/.exec(s.text.slice(s.pos, s.pos + 256));
+        const raw = match ? match[0] : s.text[s.pos];
+        const r = this.here(raw.length);
+        s.advance(raw.length);
+        s.lastTokenLine = s.line;
+
+        let value;
+        if (raw === 'true') value = true;
+        else if (raw === 'false') value = false;
+        else if (raw === 'null') value = null;
+        else if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][-+]?\d+)?$/.test(raw)) value = Number(raw);
+        else {
+            if (report !== false) this.error(`Unexpected '${raw}'; strings must be double-quoted.`, r, 'syntax');
+            value = raw;
+        }
+        return { kind: 'scalar', value, text: raw, quoted: false, range: r };
+    };
+
+    function parse(text) {
+        const parser = new Parser(text || '');
+        const root = parser.parseDocument();
+        return { root, errors: parser.errors, comments: parser.s.comments };
+    }
+
+    // --------------------------------------------------------------------
+    // Cursor context (works on incomplete documents)
+    // --------------------------------------------------------------------
+
+    function offsetAt(text, lineNumber, column) {
+        let offset = 0;
+        for (let line = 1; line < lineNumber; line++) {
+            const next = text.indexOf('\n', offset);
+            if (next < 0) return text.length;
+            offset = next + 1;
+        }
+        return Math.min(text.length, offset + column - 1);
+    }
+
+    /**
+     * Describes what is being edited at a cursor position, in the shape returned by
+     * dslYaml.getContextAt. Paths use the keys as written; `quoted` tells whether the
+     * cursor is inside a string and `replaceEnd` covers an auto-closed quote.
+     */
+    function getContextAt(text, lineNumber, column) {
+        const offset = offsetAt(text, lineNumber, column);
+        const stack = [];
+        let i = 0;
+        let token = null;
+
+        const top = () => stack[stack.length - 1];
+        const afterValue = () => {
+            const frame = top();
+            if (frame) frame.expect = 'comma';
+        };
+
+        while (i < offset) {
+            const c = text[i];
+            if (c === '/' && text[i + 1] === '/') {
+                const end = text.indexOf('\n', i);
+                if (end < 0 || end >= offset) return null;
+                i = end + 1;
+                continue;
+            }
+            if (c === '/' && text[i + 1] === '*') {
+                const end = text.indexOf('*/', i + 2);
+                if (end < 0 || end + 2 > offset) return null;
+                i = end + 2;
+                continue;
+            }
+            if (c === '"') {
+                let j = i + 1;
+                while (j < text.length && text[j] !== '"' && text[j] !== '\n') {
+                    if (text[j] === '\\') j++;
+                    j++;
+                }
+                if (j >= offset) {
+                    token = { quoted: true, start: i, text: text.slice(i + 1, offset) };
+                    break;
+                }
+                let value;
+                try { value = JSON.parse(text.slice(i, j + 1)); } catch { value = text.slice(i + 1, j); }
+                const frame = top();
+                if (frame && frame.type === 'object' && frame.expect === 'key') {
+                    frame.key = value;
+                    frame.expect = 'colon';
+                } else {
+                    afterValue();
+                }
+                i = j + 1;
+                continue;
+            }
+            if (c === '{' || c === '[') {
+                const frame = top();
+                const segment = frame ? (frame.type === 'object' ? frame.key : frame.index) : null;
+                stack.push({ type: c === '{' ? 'object' : 'array', segment, key: null, index: 0, expect: c === '{' ? 'key' : 'value' });
+                i++;
+                continue;
+            }
+            if (c === '}' || c === ']') {
+                stack.pop();
+                afterValue();
+                i++;
+                continue;
+            }
+            if (c === ':') {
+                const frame = top();
+                if (frame && frame.type === 'object') frame.expect = 'value';
+                i++;
+                continue;
+            }
+            if (c === ',') {
+                const frame = top();
+                if (frame) {
+                    if (frame.type === 'object') {
+                        frame.expect = 'key';
+                        frame.key = null;
+                    } else {
+                        frame.index++;
+                        frame.expect = 'value';
+                    }
+                }
+                i++;
+                continue;
+            }
+            if (/\s/.test(c)) {
+                i++;
+                continue;
+            }
+
+            const literal = /^[^\s,:\]\}\[\{"\/]+/.exec(text.slice(i, offset));
+            if (literal && i + literal[0].length >= offset) {
+                token = { quoted: false, start: i, text: literal[0] };
+                break;
+            }
+            afterValue();
+            i += literal ? literal[0].length : 1;
+        }
+
+        const frame = top();
+        if (!frame) return null;
+
+        const containerPath = stack.slice(1).map(f => f.segment);
+        const prefix = token ? token.text : '';
+        const prefixStart = token ? column - (offset - token.start) : column;
+        const replaceEnd = token && token.quoted && text[offset] === '"' ? column + 1 : column;
+        const lineText = text.slice(offsetAt(text, lineNumber, 1), offset);
+        const keyColumn = lineText.length - lineText.trimStart().length + 1;
+
+        if (frame.type === 'object' && frame.expect === 'key') {
+            const parent = stack[stack.length - 2];
+            return {
+                kind: 'key',
+                path: containerPath,
+                key: null,
+                afterDash: !!parent && parent.type === 'array',
+                quoted: !!(token && token.quoted),
+                prefix,
+                prefixStart,
+                replaceEnd,
+                keyColumn,
+                column
+            };
+        }
+
+        if (frame.type === 'object' && frame.expect === 'value') {
+            return {
+                kind: 'value',
+                path: containerPath.concat([frame.key]),
+                key: frame.key,
+                quoted: !!(token && token.quoted),
+                prefix,
+                prefixStart,
+                replaceEnd,
+                keyColumn,
+                column
+            };
+        }
+
+        if (frame.type === 'array' && frame.expect === 'value') {
+            return {
+                kind: 'value',
+                path: containerPath,
+                key: null,
+                inFlowSequence: true,
+                quoted: !!(token && token.quoted),
+                prefix,
+                prefixStart,
+                replaceEnd,
+                keyColumn,
+                column
+            };
+        }
+
+        return null;
+    }
+
+    global.dslJson = {
+        parse,
+        getContextAt
+    };
+})(typeof self !== 'undefined' ? self : this);
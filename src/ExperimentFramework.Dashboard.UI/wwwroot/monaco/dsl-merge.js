@@ -0,0 +1,193 @@
+// Line-based three-way merge for DSL drafts
+// Merges two edits of the same base text (theirs: the running configuration, mine: the draft).
+// Regions changed on one side only take that side; regions both sides changed differently become
+// conflicts, written with git-style markers so they can be edited and resolved in place:
+//
+//   <<<<<<< mine
+//   ...
+//   ||||||| base
+//   ...
+//   =======
+//   ...
+//   >>>>>>> theirs
+
+(function (global) {
+    'use strict';
+
+    const MARKERS = { start: '<<<<<<<', base: '|||||||', separator: '=======', end: '>>>>>>>' };
+
+    function lines(text) {
+        return (text || '').replace(/\r\n/g, '\n').split('\n');
+    }
+
+    function same(a, b) {
+        return a.length === b.length && a.every((line, i) => line === b[i]);
+    }
+
+    // Longest common subsequence of two line arrays, as a map from index in `a` to index in `b`
+    function matches(a, b) {
+        const pairs = new Map();
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            pairs.set(start, start);
+            start++;
+        }
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const n = endA - start;
+        const m = endB - start;
+        const width = m + 1;
+        const table = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                table[i * width + j] = a[start + i] === b[start + j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[start + i] === b[start + j]) {
+                pairs.set(start + i, start + j);
+                i++;
+                j++;
+            } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        for (let k = 0; k < a.length - endA; k++) {
+            pairs.set(endA + k, endB + k);
+        }
+        return pairs;
+    }
+
+    /**
+     * Lines of `text` that differ from `base`, as 1-based { startLineNumber, endLineNumber } ranges.
+     * Lines only removed from the base are not shown.
+     */
+    function changedLines(base, text) {
+        const baseLines = lines(base);
+        const textLines = lines(text);
+        const kept = new Set(matches(baseLines, textLines).values());
+        const ranges = [];
+        textLines.forEach((_, i) => {
+            if (kept.has(i)) return;
+            const last = ranges[ranges.length - 1];
+            if (last && last.endLineNumber === i) {
+                last.endLineNumber = i + 1;
+            } else {
+                ranges.push({ startLineNumber: i + 1, endLineNumber: i + 1 });
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Merges `theirs` and `mine`, both edited from `base`.
+     * Returns { text, conflicts } where conflicts is the number of conflicting regions in text.
+     */
+    function merge(base, theirs, mine) {
+        const baseLines = lines(base);
+        const theirLines = lines(theirs);
+        const myLines = lines(mine);
+        const toMine = matches(baseLines, myLines);
+        const toTheirs = matches(baseLines, theirLines);
+
+        const output = [];
+        let conflicts = 0;
+        let b = 0;
+        let m = 0;
+        let t = 0;
+        for (;;) {
+            // The next base line both sides kept ends the current region
+            let i = b;
+            while (i < baseLines.length && !(toMine.has(i) && toTheirs.has(i))) i++;
+            const mineEnd = i < baseLines.length ? toMine.get(i) : myLines.length;
+            const theirsEnd = i < baseLines.length ? toTheirs.get(i) : theirLines.length;
+
+            const baseChunk = baseLines.slice(b, i);
+            const mineChunk = myLines.slice(m, mineEnd);
+            const theirsChunk = theirLines.slice(t, theirsEnd);
+            if (same(mineChunk, baseChunk)) {
+                output.push(...theirsChunk);
+            } else if (same(theirsChunk, baseChunk) || same(mineChunk, theirsChunk)) {
+                output.push(...mineChunk);
+            } else {
+                conflicts++;
+                output.push(MARKERS.start + ' mine', ...mineChunk,
+                    MARKERS.base + ' base', ...baseChunk,
+                    MARKERS.separator, ...theirsChunk,
+                    MARKERS.end + ' theirs');
+            }
+
+            if (i >= baseLines.length) break;
+            output.push(baseLines[i]);
+            b = i + 1;
+            m = mineEnd + 1;
+            t = theirsEnd + 1;
+        }
+
+        return { text: output.join('\n'), conflicts };
+    }
+
+    /**
+     * Conflict regions still marked in `text`, as 1-based line numbers
+     * { start, base, separator, end }; base is null when the region has no base section.
+     */
+    function conflicts(text) {
+        const found = [];
+        let current = null;
+        lines(text).forEach((line, i) => {
+            const lineNumber = i + 1;
+            if (line.startsWith(MARKERS.start)) {
+                current = { start: lineNumber, base: null, separator: null, end: null };
+            } else if (!current) {
+                return;
+            } else if (line.startsWith(MARKERS.base) && current.separator === null) {
+                current.base = lineNumber;
+            } else if (line === MARKERS.separator || line.startsWith(MARKERS.separator + ' ')) {
+                current.separator = lineNumber;
+            } else if (line.startsWith(MARKERS.end) && current.separator !== null) {
+                current.end = lineNumber;
+                found.push(current);
+                current = null;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Lines that replace a conflict when it is resolved with 'mine', 'theirs', 'both' (mine, then theirs)
+     * or 'base'.
+     */
+    function resolution(text, conflict, choice) {
+        const all = lines(text);
+        const section = (from, to) => all.slice(from, to - 1);
+        const mine = section(conflict.start, conflict.base || conflict.separator);
+        const base = conflict.base ? section(conflict.base, conflict.separator) : [];
+        const theirs = section(conflict.separator, conflict.end);
+        switch (choice) {
+            case 'mine': return mine;
+            case 'theirs': return theirs;
+            case 'base': return base;
+            default: return mine.concat(theirs);
+        }
+    }
+
+    global.dslMerge = {
+        changedLines,
+        merge,
+        conflicts,
+        resolution
+    };
+})(typeof self !== 'undefined' ? self : this);
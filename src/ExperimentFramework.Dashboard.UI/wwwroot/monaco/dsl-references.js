@@ -0,0 +1,172 @@
+// Condition key cross-references in the DSL
+// Condition keys are defined by control.key and conditions[].key and referenced from error
+// policies (fallbackKey, fallbackKeys), decorator fallbacks (fallbackTrialKey) and hypotheses
+// (controlCondition, treatmentConditions). A reference resolves to the keys defined by its
+// nearest enclosing trial or experiment, the same scope completion offers keys from.
+// Works on the node trees of dsl-yaml and dsl-json; keys are matched case-insensitively.
+
+(function (global) {
+    'use strict';
+
+    // Used when no schema is loaded; the schema marks the same members with x-ef-conditionReference
+    const REFERENCE_KEYS = ['fallbackkey', 'fallbackkeys', 'fallbacktrialkey', 'controlcondition', 'treatmentconditions'];
+
+    function entryFor(node, key) {
+        if (!node || node.kind !== 'map' || node.alias) return null;
+        const lower = key.toLowerCase();
+        return node.entries.find(e => !e.incomplete && e.key.toLowerCase() === lower) || null;
+    }
+
+    // Aliases are left alone: renaming one would replace '*name' rather than the key it stands for
+    function isScalar(node) {
+        return node && node.kind === 'scalar' && !node.alias && node.value !== null && node.value !== undefined;
+    }
+
+    function contains(range, line, column) {
+        if (line < range.startLineNumber || line > range.endLineNumber) return false;
+        if (line === range.startLineNumber && column < range.startColumn) return false;
+        if (line === range.endLineNumber && column > range.endColumn) return false;
+        return true;
+    }
+
+    function startsWith(path, prefix) {
+        return prefix.length <= path.length && prefix.every((segment, i) => path[i] === segment);
+    }
+
+    function isReference(key, path, context) {
+        if (REFERENCE_KEYS.includes(key.toLowerCase())) return true;
+        if (!context.schema || !global.dslSchema) return false;
+        const schema = global.dslSchema;
+        return schema.describe(context.schema, schema.resolve(context.schema, path, context.value)).conditionReference;
+    }
+
+    function definition(node, path, scope) {
+        return { kind: 'definition', key: String(node.value), node, path, scope };
+    }
+
+    function walk(node, path, context) {
+        if (!node) return;
+        if (node.kind === 'seq') {
+            node.items.forEach((item, i) => walk(item, path.concat(i), context));
+            return;
+        }
+        if (node.kind !== 'map') return;
+
+        node.entries.forEach(entry => {
+            if (entry.incomplete || !entry.value || entry.value.alias) return;
+            const key = entry.key.toLowerCase();
+            const childPath = path.concat(entry.key);
+            const value = entry.value;
+
+            if (key === 'control' && value.kind === 'map') {
+                const keyEntry = entryFor(value, 'key');
+                if (keyEntry && isScalar(keyEntry.value)) {
+                    context.occurrences.push(definition(keyEntry.value, childPath.concat(keyEntry.key), path));
+                }
+            } else if (key === 'conditions' && value.kind === 'seq') {
+                value.items.forEach((item, i) => {
+                    const keyEntry = entryFor(item, 'key');
+                    if (keyEntry && isScalar(keyEntry.value)) {
+                        context.occurrences.push(definition(keyEntry.value, childPath.concat(i, keyEntry.key), path));
+                    }
+                });
+            } else if ((isScalar(value) || value.kind === 'seq') && isReference(entry.key, childPath, context)) {
+                const scalars = value.kind === 'seq'
+                    ? value.items.map((item, i) => ({ item, path: childPath.concat(i) }))
+                    : [{ item: value, path: childPath }];
+                scalars.filter(s => isScalar(s.item)).forEach(s => context.occurrences.push({
+                    kind: 'reference',
+                    key: String(s.item.value),
+                    node: s.item,
+                    path: s.path,
+                    scope: null
+                }));
+                return;
+            }
+
+            walk(value, childPath, context);
+        });
+    }
+
+    // The definitions a reference can see: those under its nearest ancestor that has any
+    function visibleDefinitions(definitions, path) {
+        for (let depth = path.length - 1; depth >= 0; depth--) {
+            const prefix = path.slice(0, depth);
+            const visible = definitions.filter(d => startsWith(d.path, prefix));
+            if (visible.length) return visible;
+        }
+        return [];
+    }
+
+    /**
+     * Indexes every condition key definition and reference in a parsed document.
+     * `value` is the plain value of the document and `schema` the DSL schema, both optional.
+     * Occurrences that name the same condition are linked into one group.
+     */
+    function index(root, value, schema) {
+        const context = { schema, value, occurrences: [] };
+        walk(root, [], context);
+
+        const occurrences = context.occurrences;
+        const definitions = occurrences.filter(o => o.kind === 'definition');
+        const parent = occurrences.map((o, i) => i);
+        const find = i => parent[i] === i ? i : (parent[i] = find(parent[i]));
+        const union = (a, b) => { parent[find(a)] = find(b); };
+
+        occurrences.forEach((occurrence, i) => {
+            occurrence.id = i;
+            if (occurrence.kind === 'reference') {
+                occurrence.definitions = visibleDefinitions(definitions, occurrence.path)
+                    .filter(d => d.key === occurrence.key);
+                occurrence.definitions.forEach(d => union(i, occurrences.indexOf(d)));
+            } else {
+                occurrence.definitions = [occurrence];
+            }
+        });
+
+        occurrences.forEach((occurrence, i) => { occurrence.group = find(i); });
+        return { occurrences, definitions };
+    }
+
+    // The occurrence whose value is at a 1-based position
+    function occurrenceAt(idx, line, column) {
+        return idx.occurrences.find(o => contains(o.node.range, line, column)) || null;
+    }
+
+    // Every occurrence naming the same condition as `occurrence`, including itself
+    function related(idx, occurrence) {
+        return idx.occurrences.filter(o => o.group === occurrence.group);
+    }
+
+    /**
+     * Edits renaming the condition of `occurrence` everywhere it is used.
+     * Returns { edits } or { error } when the name is empty or already taken in a trial being renamed.
+     */
+    function renameEdits(idx, occurrence, newName, json) {
+        const name = String(newName).trim();
+        if (!name) return { error: 'A condition key cannot be empty.' };
+
+        const group = related(idx, occurrence);
+        const scopes = group.filter(o => o.kind === 'definition').map(o => o.scope);
+        const clash = idx.definitions.find(d => d.group !== occurrence.group && d.key === name
+            && scopes.some(scope => scope.length === d.scope.length && startsWith(d.scope, scope)));
+        if (clash) {
+            return { error: `Condition '${name}' is already defined in this trial.` };
+        }
+
+        return {
+            edits: group.map(o => ({
+                range: o.node.range,
+                text: global.dslFixes ? global.dslFixes.scalarText(name, json, o.node) : JSON.stringify(name)
+            }))
+        };
+    }
+
+    global.dslReferences = {
+        REFERENCE_KEYS,
+        index,
+        occurrenceAt,
+        related,
+        renameEdits
+    };
+})(typeof self !== 'undefined' ? self : this);
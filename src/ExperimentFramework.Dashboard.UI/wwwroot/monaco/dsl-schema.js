@@ -0,0 +1,519 @@
+// DSL JSON schema support for the Monaco interop
+// Resolves the schema that applies at a document path (following $ref and
+// if/then branches such as decorator options), and summarises it for completion,
+// hover and validation. Shared with the validation worker, so no DOM or Monaco.
+
+(function (global) {
+    'use strict';
+
+    const CONDITION_REFERENCE = 'x-ef-conditionReference';
+
+    // Optional wrapper key the configuration loader accepts around the DSL ("ExperimentFramework" in appsettings.json)
+    const SECTION_KEY = 'experimentFramework';
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function equalsIgnoreCase(a, b) {
+        return typeof a === 'string' && typeof b === 'string'
+            ? a.toLowerCase() === b.toLowerCase()
+            : a === b;
+    }
+
+    // Follows $ref chains; keywords next to a $ref (description, default) take precedence
+    function deref(root, schema) {
+        let result = schema;
+        let guard = 0;
+        while (result && result.$ref && guard++ < 32) {
+            const target = lookup(root, result.$ref);
+            const siblings = Object.assign({}, result);
+            delete siblings.$ref;
+            result = Object.assign({}, target || {}, siblings);
+        }
+        return result;
+    }
+
+    function lookup(root, ref) {
+        if (!ref.startsWith('#')) return null;
+        return ref.slice(1).split('/').filter(Boolean).reduce((node, part) => {
+            return node ? node[part.replace(/~1/g, '/').replace(/~0/g, '~')] : null;
+        }, root);
+    }
+
+    function typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+        return typeof value;
+    }
+
+    function typeMatches(expected, value) {
+        const actual = typeOf(value);
+        const types = Array.isArray(expected) ? expected : [expected];
+        return types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    }
+
+    // Lightweight check used to evaluate "if" subschemas
+    function matches(root, schema, value) {
+        schema = deref(root, schema);
+        if (!schema) return true;
+        if ('const' in schema && !equalsIgnoreCase(schema.const, value)) return false;
+        if (schema.enum && !schema.enum.some(e => equalsIgnoreCase(e, value))) return false;
+        if (schema.type && value !== undefined && !typeMatches(schema.type, value)) return false;
+        if (isObject(value)) {
+            if (schema.required && schema.required.some(k => !(k in value))) return false;
+            if (schema.properties) {
+                for (const key of Object.keys(schema.properties)) {
+                    if (key in value && !matches(root, schema.properties[key], value[key])) return false;
+                }
+            }
+        } else if (schema.required && schema.required.length) {
+            return false;
+        }
+        return true;
+    }
+
+    // All schemas that apply to a value: the schema itself plus matching allOf / if-then-else branches
+    function collect(root, schema, value, out) {
+        out = out || [];
+        schema = deref(root, schema);
+        if (!schema) return out;
+        out.push(schema);
+        if (schema.allOf) {
+            schema.allOf.forEach(s => collect(root, s, value, out));
+        }
+        if (schema.if) {
+            if (matches(root, schema.if, value)) {
+                if (schema.then) collect(root, schema.then, value, out);
+            } else if (schema.else) {
+                collect(root, schema.else, value, out);
+            }
+        }
+        return out;
+    }
+
+    // Applicable schemas for a child of a value described by `schemas`
+    function child(root, schemas, segment, childValue) {
+        const out = [];
+        if (typeof segment === 'number') {
+            schemas.forEach(s => { if (s.items) collect(root, s.items, childValue, out); });
+            return out;
+        }
+        schemas.forEach(s => {
+            if (s.properties && s.properties[segment]) collect(root, s.properties[segment], childValue, out);
+        });
+        if (out.length === 0) {
+            schemas.forEach(s => {
+                if (isObject(s.additionalProperties)) collect(root, s.additionalProperties, childValue, out);
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Resolves the schemas that apply at `path` within `document` (the plain value of the parsed YAML).
+     * Returns an empty array when the path is not described by the schema.
+     */
+    function resolve(root, path, document) {
+        if (!root) return [];
+        let schemas = collect(root, root, document);
+        let value = document;
+        for (const segment of path) {
+            const childValue = value !== null && value !== undefined ? value[segment] : undefined;
+            schemas = child(root, schemas, segment, childValue);
+            if (schemas.length === 0) return [];
+            value = childValue;
+        }
+        return schemas;
+    }
+
+    /**
+     * Merges applicable schemas into one summary used by completion, hover and validation.
+     */
+    function describe(root, schemas) {
+        const info = {
+            title: null,
+            description: null,
+            type: null,
+            default: undefined,
+            enum: null,
+            examples: null,
+            properties: {},
+            required: [],
+            additionalProperties: true,
+            items: [],
+            pattern: null,
+            format: null,
+            conditionReference: false
+        };
+
+        schemas.forEach(s => {
+            if (s.title && !info.title) info.title = s.title;
+            if (s.description && !info.description) info.description = s.description;
+            if (s.type && !info.type) info.type = s.type;
+            if ('default' in s && info.default === undefined) info.default = s.default;
+            if (s.enum) info.enum = s.enum;
+            if (s.examples && !info.examples) info.examples = s.examples;
+            if (s.pattern && !info.pattern) info.pattern = s.pattern;
+            if (s.format && !info.format) info.format = s.format;
+            if (s[CONDITION_REFERENCE]) info.conditionReference = true;
+            if (s.properties) {
+                Object.keys(s.properties).forEach(name => {
+                    (info.properties[name] = info.properties[name] || []).push(s.properties[name]);
+                });
+            }
+            if (s.required) s.required.forEach(r => { if (!info.required.includes(r)) info.required.push(r); });
+            if (s.additionalProperties === false) info.additionalProperties = false;
+            if (s.items) info.items.push(s.items);
+        });
+
+        // Property and item schemas are returned dereferenced and merged as well
+        info.property = function (name, value) {
+            const list = [];
+            (info.properties[name] || []).forEach(s => collect(root, s, value, list));
+            return describe(root, list);
+        };
+        info.itemInfo = function (value) {
+            const list = [];
+            info.items.forEach(s => collect(root, s, value, list));
+            return describe(root, list);
+        };
+        info.allowedValues = function () {
+            if (info.enum) return info.enum.slice();
+            if (info.type === 'boolean') return [true, false];
+            return [];
+        };
+        info.typeLabel = function () {
+            if (info.type === 'array') {
+                const item = info.itemInfo();
+                return `${item.title || item.type || 'any'}[]`;
+            }
+            if (info.title) return info.title;
+            if (Array.isArray(info.type)) return info.type.join(' | ');
+            return info.type || 'any';
+        };
+        info.isEmpty = schemas.length === 0;
+        return info;
+    }
+
+    // Condition keys (control and conditions) defined anywhere beneath a value
+    function conditionKeysUnder(value, out) {
+        if (Array.isArray(value)) {
+            value.forEach(v => conditionKeysUnder(v, out));
+        } else if (isObject(value)) {
+            if (isObject(value.control) && typeof value.control.key === 'string') out.push(value.control.key);
+            if (Array.isArray(value.conditions)) {
+                value.conditions.forEach(c => { if (isObject(c) && c.key !== undefined && c.key !== null) out.push(String(c.key)); });
+            }
+            Object.keys(value).forEach(k => {
+                if (k !== 'control' && k !== 'conditions') conditionKeysUnder(value[k], out);
+            });
+        }
+        return out;
+    }
+
+    /**
+     * Condition keys a reference at `path` may point to: those of the nearest enclosing
+     * trial or experiment, falling back to every condition key in the document.
+     */
+    function conditionKeysFor(document, path) {
+        for (let depth = path.length - 1; depth >= 0; depth--) {
+            let value = document;
+            for (let i = 0; i < depth && value !== null && value !== undefined; i++) value = value[path[i]];
+            const keys = conditionKeysUnder(value, []);
+            if (keys.length) return Array.from(new Set(keys));
+        }
+        return [];
+    }
+
+    // --------------------------------------------------------------------
+    // Document root and key casing
+    // --------------------------------------------------------------------
+
+    /**
+     * The entry of the experimentFramework wrapper section, when the document uses one.
+     * The DSL schema applies to the value of that entry rather than to the whole document.
+     */
+    function section(documentNode) {
+        if (!documentNode || documentNode.kind !== 'map') return null;
+        return documentNode.entries.find(e => !e.incomplete && equalsIgnoreCase(e.key, SECTION_KEY)) || null;
+    }
+
+    // Every property name a schema can contribute, including conditional branches
+    function propertyNames(root, schema, out, depth) {
+        schema = deref(root, schema);
+        if (!schema || depth > 16) return out;
+        if (schema.properties) Object.keys(schema.properties).forEach(name => out.add(name));
+        (schema.allOf || []).forEach(s => propertyNames(root, s, out, depth + 1));
+        if (schema.then) propertyNames(root, schema.then, out, depth + 1);
+        if (schema.else) propertyNames(root, schema.else, out, depth + 1);
+        return out;
+    }
+
+    function knownName(names, key) {
+        if (names.has(key)) return key;
+        for (const name of names) {
+            if (equalsIgnoreCase(name, key)) return name;
+        }
+        return null;
+    }
+
+    function canonicalizeNode(root, rawSchemas, node) {
+        if (!node || rawSchemas.length === 0) return;
+        const value = () => global.dslYaml.toValue(node);
+
+        if (node.kind === 'map') {
+            const names = new Set();
+            rawSchemas.forEach(s => propertyNames(root, s, names, 0));
+            node.entries.forEach(entry => {
+                const name = entry.incomplete ? null : knownName(names, entry.key);
+                if (name === null) return;
+                if (name !== entry.key) {
+                    entry.sourceKey = entry.key;
+                    entry.key = name;
+                }
+                entry.known = true;
+            });
+
+            // Conditional branches (decorator options and the like) depend on the renamed values
+            const current = value();
+            const schemas = [];
+            rawSchemas.forEach(s => collect(root, s, current, schemas));
+            node.entries.forEach(entry => {
+                if (entry.incomplete) return;
+                const childRaw = [];
+                schemas.forEach(s => {
+                    if (s.properties && s.properties[entry.key]) childRaw.push(s.properties[entry.key]);
+                });
+                if (childRaw.length === 0) {
+                    schemas.forEach(s => { if (isObject(s.additionalProperties)) childRaw.push(s.additionalProperties); });
+                }
+                canonicalizeNode(root, childRaw, entry.value);
+            });
+        } else if (node.kind === 'seq') {
+            const schemas = [];
+            rawSchemas.forEach(s => collect(root, s, value(), schemas));
+            const itemRaw = schemas.filter(s => s.items).map(s => s.items);
+            node.items.forEach(item => canonicalizeNode(root, itemRaw, item));
+        }
+    }
+
+    /**
+     * Renames keys in a parsed document to the casing the schema uses, for formats whose
+     * loader matches property names case-insensitively (JSON). Renamed entries keep the
+     * key as written in `sourceKey`; every key the schema knows is flagged `known`.
+     */
+    function canonicalize(root, documentNode) {
+        if (root && documentNode) canonicalizeNode(root, [root], documentNode);
+        return documentNode;
+    }
+
+    /**
+     * Maps a path written with any key casing onto the property names of the schema.
+     * Segments the schema does not describe are returned unchanged.
+     */
+    function canonicalPath(root, path, document) {
+        if (!root) return path.slice();
+        const result = [];
+        let schemas = collect(root, root, document);
+        let value = document;
+        for (const segment of path) {
+            let name = segment;
+            if (typeof segment === 'string') {
+                const names = new Set();
+                schemas.forEach(s => propertyNames(root, s, names, 0));
+                name = knownName(names, segment) || segment;
+            }
+            result.push(name);
+            const childValue = value !== null && value !== undefined ? value[name] : undefined;
+            schemas = child(root, schemas, name, childValue);
+            value = childValue;
+        }
+        return result;
+    }
+
+    // --------------------------------------------------------------------
+    // Validation
+    // --------------------------------------------------------------------
+
+    function editDistance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let previous = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const current = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                previous = current;
+            }
+        }
+        return row[b.length];
+    }
+
+    // Closest known name, for "did you mean" hints on misspelled keys
+    function closest(name, candidates) {
+        const lower = name.toLowerCase();
+        let best = null;
+        let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+        candidates.forEach(candidate => {
+            const distance = candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    function diagnostic(r, message, severity, code, data) {
+        return Object.assign({ message, severity, code, data: data || null }, {
+            startLineNumber: r.startLineNumber,
+            startColumn: r.startColumn,
+            endLineNumber: r.endLineNumber,
+            endColumn: r.endColumn
+        });
+    }
+
+    function typeName(type) {
+        return Array.isArray(type) ? type.join(' or ') : type;
+    }
+
+    function validateNode(root, schemas, node, value, path, out, options) {
+        if (!node || schemas.length === 0) return;
+        const info = describe(root, schemas);
+        const label = info.title || 'this section';
+
+        // The children of an aliased collection are at its anchor; problems with it are shown on the alias
+        if (node.alias && node.kind !== 'scalar') {
+            const inner = [];
+            validateNode(root, schemas, Object.assign({}, node, { alias: undefined }), value, path, inner, options);
+            inner
+                .filter((d, i) => inner.findIndex(other => other.message === d.message) === i)
+                .forEach(d => out.push(diagnostic(node.range, d.message, d.severity, d.code, d.data)));
+            return;
+        }
+
+        if (node.kind === 'map') {
+            if (info.type && !typeMatches(info.type, {})) {
+                const at = node.entries.length ? node.entries[0].keyRange : node.range;
+                out.push(diagnostic(at, `Expected ${typeName(info.type)} but found a mapping.`, 'error', 'type-mismatch', { path }));
+                return;
+            }
+            const known = Object.keys(info.properties);
+            node.entries.forEach(entry => {
+                if (entry.incomplete) return;
+                const childValue = isObject(value) ? value[entry.key] : undefined;
+                const childSchemas = child(root, schemas, entry.key, childValue);
+                if (childSchemas.length) {
+                    validateNode(root, childSchemas, entry.value, childValue, path.concat([entry.key]), out, options);
+                } else if (info.additionalProperties === false) {
+                    const suggestion = closest(entry.key, known);
+                    const hint = suggestion ? ` Did you mean '${suggestion}'?` : '';
+                    out.push(diagnostic(entry.keyRange, `Unknown property '${entry.key}' on ${label}; it will be ignored.${hint}`,
+                        'warning', 'unknown-property', { path: path.concat([entry.key]), key: entry.key, suggestion }));
+                }
+            });
+            if (options && options.required) {
+                const at = node.entries.length ? node.entries[0].keyRange : node.range;
+                info.required
+                    .filter(name => !node.entries.some(entry => equalsIgnoreCase(entry.key, name)))
+                    .forEach(name => out.push(diagnostic(at, `Missing required property '${name}' on ${label}.`,
+                        'error', 'missing-required', { path, key: name })));
+            }
+            return;
+        }
+
+        if (node.kind === 'seq') {
+            if (info.type && !typeMatches(info.type, [])) {
+                out.push(diagnostic(node.range, `Expected ${typeName(info.type)} but found a list.`, 'error', 'type-mismatch', { path }));
+                return;
+            }
+            node.items.forEach((item, index) => {
+                const itemValue = Array.isArray(value) ? value[index] : undefined;
+                validateNode(root, child(root, schemas, index, itemValue), item, itemValue, path.concat([index]), out, options);
+            });
+            return;
+        }
+
+        // Empty values are still being typed; required members are left to the server unless asked for
+        if (value === null || value === undefined) return;
+
+        if (info.type && !typeMatches(info.type, value)) {
+            const types = Array.isArray(info.type) ? info.type : [info.type];
+            // Quoted values are converted by the loader, and any scalar is accepted as a string
+            const acceptable = types.includes('string') || (node.quoted && !types.includes('object') && !types.includes('array'));
+            if (!acceptable) {
+                out.push(diagnostic(node.range, `Expected ${typeName(info.type)} but found '${node.text}'.`, 'error', 'type-mismatch', { path }));
+                return;
+            }
+        }
+
+        if (info.enum && !info.enum.some(e => equalsIgnoreCase(e, value))) {
+            const suggestion = typeof value === 'string' ? closest(value, info.enum.filter(e => typeof e === 'string')) : null;
+            out.push(diagnostic(node.range, `'${value}' is not a valid value. Allowed values: ${info.enum.join(', ')}.`,
+                'error', 'invalid-enum', { path, value, allowed: info.enum.slice(), suggestion }));
+            return;
+        }
+
+        if (info.pattern && typeof value === 'string' && !new RegExp(info.pattern).test(value)) {
+            out.push(diagnostic(node.range, `'${value}' is not in the expected ${info.format ? info.format + ' ' : ''}format.`,
+                'error', 'invalid-format', { path, value, pattern: info.pattern }));
+        }
+    }
+
+    /**
+     * Checks a parsed document (the root node from dslYaml.parse or dslJson.parse) against the schema.
+     * Reports unknown keys, wrong types and values outside enumerations. With `otherSections`,
+     * a document wrapped in the experimentFramework section may hold other configuration
+     * next to it (as appsettings.json does), and only the section is checked. With `required`,
+     * missing required members are reported too, for pages with no server to validate against.
+     */
+    function validate(root, document, options) {
+        const out = [];
+        if (!root || !document) return out;
+        const value = global.dslYaml.toValue(document);
+        const schemas = collect(root, root, value);
+        const wrapper = options && options.otherSections ? section(document) : null;
+        if (wrapper) {
+            const sectionValue = value[wrapper.key];
+            validateNode(root, child(root, schemas, wrapper.key, sectionValue), wrapper.value, sectionValue, [wrapper.key], out, options);
+        } else {
+            validateNode(root, schemas, document, value, [], out, options);
+        }
+        return out;
+    }
+
+    /**
+     * Parses DSL text in either format and returns its syntax and schema diagnostics.
+     * JSON keys are matched case-insensitively, as the JSON configuration loader does.
+     * `options.required` is passed on to validate.
+     */
+    function diagnose(root, text, language, options) {
+        const json = language === 'json';
+        const parsed = (json ? global.dslJson : global.dslYaml).parse(text || '');
+        if (json) canonicalize(root, parsed.root);
+        return parsed.errors.concat(validate(root, parsed.root, {
+            otherSections: json,
+            required: !!(options && options.required)
+        }));
+    }
+
+    global.dslSchema = {
+        CONDITION_REFERENCE,
+        SECTION_KEY,
+        resolve,
+        describe,
+        matches,
+        typeOf,
+        typeMatches,
+        equalsIgnoreCase,
+        conditionKeysFor,
+        validate,
+        diagnose,
+        closest,
+        section,
+        canonicalize,
+        canonicalPath
+    };
+})(typeof self !== 'undefined' ? self : this);
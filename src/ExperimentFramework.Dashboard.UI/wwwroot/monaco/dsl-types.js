@@ -0,0 +1,214 @@
+// Service and implementation types in the DSL, checked against the running host
+// The catalog lists the experiment service interfaces the host has registered and the implementations
+// known for each, including plugin implementations referenced as plugin:PluginId/alias.
+// A type matches by full name, simple name or assembly-qualified name, as the type resolver accepts them.
+// Works on the node trees of dsl-yaml and dsl-json.
+
+(function (global) {
+    'use strict';
+
+    const SERVICE_KEY = 'servicetype';
+    const IMPLEMENTATION_KEY = 'implementationtype';
+    const PLUGIN_PREFIX = 'plugin:';
+
+    function isPluginReference(value) {
+        return value.toLowerCase().startsWith(PLUGIN_PREFIX);
+    }
+
+    // Type name without the assembly part of an assembly-qualified name
+    function baseName(value) {
+        const text = value.trim();
+        const comma = text.indexOf(',');
+        return comma < 0 || text.indexOf('[') >= 0 ? text : text.slice(0, comma).trim();
+    }
+
+    function matches(entry, value) {
+        if (isPluginReference(value)) {
+            return entry.type.toLowerCase() === value.trim().toLowerCase();
+        }
+        const name = baseName(value);
+        return entry.type === name || entry.name === name;
+    }
+
+    function services(catalog) {
+        return (catalog && catalog.services) || [];
+    }
+
+    function allImplementations(catalog) {
+        const seen = new Set();
+        const result = [];
+        services(catalog).forEach(service => (service.implementations || []).forEach(implementation => {
+            if (seen.has(implementation.type)) return;
+            seen.add(implementation.type);
+            result.push(implementation);
+        }));
+        return result;
+    }
+
+    function findService(catalog, value) {
+        return value ? services(catalog).find(service => matches(service, value)) || null : null;
+    }
+
+    // 'service' or 'implementation' when a path ends at a serviceType or implementationType value
+    function kindOf(path) {
+        const last = path.length ? path[path.length - 1] : null;
+        if (typeof last !== 'string') return null;
+        const key = last.toLowerCase();
+        return key === SERVICE_KEY ? 'service' : key === IMPLEMENTATION_KEY ? 'implementation' : null;
+    }
+
+    function entryFor(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        return node.entries.find(e => !e.incomplete && e.key.toLowerCase() === key) || null;
+    }
+
+    function nodeAt(root, path) {
+        let node = root;
+        for (const segment of path) {
+            if (!node) return null;
+            if (typeof segment === 'number') {
+                node = node.kind === 'seq' ? node.items[segment] : null;
+            } else {
+                const entry = entryFor(node, String(segment).toLowerCase());
+                node = entry ? entry.value : null;
+            }
+        }
+        return node;
+    }
+
+    function scalarValue(node) {
+        return node && node.kind === 'scalar' && node.value !== null && node.value !== undefined
+            ? String(node.value).trim()
+            : '';
+    }
+
+    /**
+     * The serviceType that applies at a path: the value set on the nearest enclosing map that has one,
+     * so controls and conditions resolve to their trial's service. Empty when none is set.
+     */
+    function serviceTypeAt(root, path) {
+        for (let depth = path.length - 1; depth >= 0; depth--) {
+            const entry = entryFor(nodeAt(root, path.slice(0, depth)), SERVICE_KEY);
+            if (entry) return scalarValue(entry.value);
+        }
+        return '';
+    }
+
+    /**
+     * Values offered for a serviceType or implementationType at `path`: { type, name, detail, source }.
+     * Implementations are those of the enclosing trial's service when the catalog knows it.
+     */
+    function candidates(catalog, root, path) {
+        const kind = kindOf(path);
+        if (kind === 'service') {
+            return services(catalog).map(service => ({
+                type: service.type,
+                name: service.name,
+                detail: (service.experiments || []).length ? 'used by ' + service.experiments.join(', ') : 'service',
+                source: 'service'
+            }));
+        }
+        if (kind !== 'implementation') return [];
+
+        const service = findService(catalog, serviceTypeAt(root, path));
+        const implementations = service ? service.implementations || [] : allImplementations(catalog);
+        return implementations.map(implementation => ({
+            type: implementation.type,
+            name: implementation.name,
+            detail: implementation.source === 'plugin'
+                ? 'plugin ' + implementation.plugin
+                : service ? 'implements ' + service.name : implementation.source,
+            source: implementation.source
+        }));
+    }
+
+    // Suggested replacements in the form the value was written: plugin references, full names or simple names
+    function allowedFor(value, known) {
+        if (isPluginReference(value)) {
+            return known.filter(k => isPluginReference(k.type)).map(k => k.type);
+        }
+        const full = baseName(value).indexOf('.') >= 0;
+        return known.filter(k => !isPluginReference(k.type)).map(k => full ? k.type : k.name);
+    }
+
+    function collect(node, path, found) {
+        // An aliased collection is checked where its anchor is
+        if (!node || node.alias) return;
+        if (node.kind === 'seq') {
+            node.items.forEach((item, i) => collect(item, path.concat(i), found));
+            return;
+        }
+        if (node.kind !== 'map') return;
+
+        node.entries.forEach(entry => {
+            if (entry.incomplete || !entry.value) return;
+            const childPath = path.concat(entry.key);
+            const kind = kindOf(childPath);
+            if (kind && scalarValue(entry.value)) {
+                found.push({ kind, node: entry.value, path: childPath, value: scalarValue(entry.value) });
+                return;
+            }
+            collect(entry.value, childPath, found);
+        });
+    }
+
+    function warning(occurrence, message, known) {
+        const range = occurrence.node.range;
+        return {
+            startLineNumber: range.startLineNumber,
+            startColumn: range.startColumn,
+            endLineNumber: range.endLineNumber,
+            endColumn: range.endColumn,
+            message,
+            severity: 'warning',
+            code: 'unknown-type',
+            data: { path: occurrence.path, value: occurrence.value, allowed: allowedFor(occurrence.value, known) }
+        };
+    }
+
+    /**
+     * Warnings for serviceType and implementationType values the catalog does not know, as
+     * { startLineNumber, startColumn, endLineNumber, endColumn, message, severity, code, data }.
+     * Nothing is reported without a catalog, and plugin references only when the catalog has plugins.
+     */
+    function diagnose(catalog, root) {
+        if (!services(catalog).length) return [];
+
+        const found = [];
+        collect(root, [], found);
+        const hasPlugins = allImplementations(catalog).some(i => isPluginReference(i.type));
+
+        const markers = [];
+        found.forEach(occurrence => {
+            if (isPluginReference(occurrence.value) && !hasPlugins) return;
+
+            if (occurrence.kind === 'service') {
+                if (!findService(catalog, occurrence.value)) {
+                    markers.push(warning(occurrence,
+                        `Service type '${occurrence.value}' is not registered in the running host.`, services(catalog)));
+                }
+                return;
+            }
+
+            const serviceType = serviceTypeAt(root, occurrence.path);
+            const service = findService(catalog, serviceType);
+            // An unknown service is reported on its own; its implementations cannot be checked
+            if (serviceType && !service) return;
+
+            const known = service ? service.implementations || [] : allImplementations(catalog);
+            if (!known.some(k => matches(k, occurrence.value))) {
+                markers.push(warning(occurrence, service
+                    ? `'${occurrence.value}' is not a known implementation of ${service.name}.`
+                    : `'${occurrence.value}' is not an implementation known to the running host.`, known));
+            }
+        });
+        return markers;
+    }
+
+    global.dslTypes = {
+        kindOf,
+        serviceTypeAt,
+        candidates,
+        diagnose
+    };
+})(typeof self !== 'undefined' ? self : this);
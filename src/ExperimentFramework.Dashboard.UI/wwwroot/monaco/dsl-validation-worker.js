@@ -0,0 +1,32 @@
+// Live DSL validation worker
+// Parses YAML and checks it against the DSL JSON schema off the UI thread.
+//
+// Messages in:
+//   { type: 'schema', schema }                 - replaces the schema used for checks
+//   { type: 'validate', id, version, text, language } - validates a YAML or JSON document
+// Messages out:
+//   { type: 'markers', id, version, markers }  - syntax and schema diagnostics
+
+importScripts('dsl-yaml.js', 'dsl-json.js', 'dsl-schema.js');
+
+let schema = null;
+
+self.onmessage = function (event) {
+    const message = event.data || {};
+
+    if (message.type === 'schema') {
+        schema = message.schema || null;
+        return;
+    }
+
+    if (message.type === 'validate') {
+        let markers;
+        try {
+            markers = dslSchema.diagnose(schema, message.text, message.language);
+        } catch (e) {
+            markers = [];
+            console.error('DSL validation failed:', e);
+        }
+        self.postMessage({ type: 'markers', id: message.id, version: message.version, markers });
+    }
+};
@@ -0,0 +1,320 @@
+// Create Experiment wizard support
+// Reads the experiment the wizard edits back out of DSL YAML, the inverse of
+// ExperimentCodeGenerator.GenerateYaml: one experiment with one trial. Each wizard field keeps
+// the range it was read from, so focusing the field can highlight it. Content the wizard has no
+// field for is reported with its range rather than dropped.
+// Works on the node trees of dsl-yaml; keys are matched case-insensitively.
+
+(function (global) {
+    'use strict';
+
+    // The wizard's category choices
+    const CATEGORIES = ['Revenue', 'Engagement', 'UX', 'Performance', 'Other'];
+
+    // Selection mode types the wizard offers, with the member holding their key
+    const SELECTION_MODES = {
+        configurationkey: { mode: 'ConfigurationKey', key: 'key' },
+        featureflag: { mode: 'FeatureFlag', key: 'flagName' },
+        custom: { mode: 'Custom', key: 'modeIdentifier' }
+    };
+
+    const ERROR_POLICIES = {
+        fallbacktocontrol: 'FallbackToControl',
+        throw: 'Throw',
+        tryany: 'TryAny',
+        fallbackto: 'FallbackTo',
+        tryinorder: 'TryInOrder'
+    };
+
+    // Block a field belongs to, for fields that are not dotted paths
+    const PARENTS = {
+        name: 'experiment',
+        metadata: 'experiment',
+        displayName: 'metadata',
+        description: 'metadata',
+        category: 'metadata',
+        trial: 'experiment',
+        serviceInterface: 'trial',
+        selectionMode: 'trial',
+        selectionModeKey: 'selectionMode',
+        customModeIdentifier: 'selectionMode',
+        control: 'trial',
+        variants: 'trial',
+        errorPolicy: 'trial',
+        fallbackKey: 'errorPolicy',
+        fallbackOrder: 'errorPolicy'
+    };
+
+    function entryFor(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        const lower = key.toLowerCase();
+        return node.entries.find(e => !e.incomplete && e.key.toLowerCase() === lower) || null;
+    }
+
+    function child(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    function emptyModel() {
+        return {
+            name: '',
+            displayName: '',
+            description: '',
+            category: 'Engagement',
+            serviceInterface: '',
+            control: { key: '', displayName: '', implementationType: '' },
+            variants: [],
+            selectionMode: 'ConfigurationKey',
+            selectionModeKey: '',
+            customModeIdentifier: '',
+            errorPolicy: 'FallbackToControl',
+            fallbackKey: '',
+            fallbackOrder: []
+        };
+    }
+
+    function Reader() {
+        this.model = emptyModel();
+        this.fields = {};
+        this.unsupported = [];
+    }
+
+    Reader.prototype.flag = function (path, message, range) {
+        this.unsupported.push({ path, message, range });
+    };
+
+    // Entries of a map the wizard has no field for
+    Reader.prototype.flagOthers = function (node, path, known) {
+        if (!node || node.kind !== 'map') return;
+        node.entries.forEach(entry => {
+            if (!entry.incomplete && !known.includes(entry.key.toLowerCase())) {
+                this.flag(child(path, entry.key), `The wizard has no field for '${entry.key}'; it is kept as written.`, entry.range);
+            }
+        });
+    };
+
+    // A scalar member as text, recording its range under the field; anything else is flagged
+    Reader.prototype.text = function (node, key, path, field) {
+        const entry = entryFor(node, key);
+        if (!entry || !entry.value) return null;
+        const value = entry.value;
+        if (value.kind !== 'scalar') {
+            this.flag(child(path, entry.key), `The wizard expects a single value for '${entry.key}'.`, entry.range);
+            return null;
+        }
+        if (field) this.fields[field] = value.range;
+        return value.value === null ? '' : String(value.value);
+    };
+
+    // Map items of a list member; items after the first `limit` are flagged with `message`
+    Reader.prototype.items = function (node, key, path, limit, message) {
+        const entry = entryFor(node, key);
+        if (!entry || !entry.value) return [];
+        if (entry.value.kind !== 'seq') {
+            this.flag(child(path, entry.key), `The wizard expects a list for '${entry.key}'.`, entry.range);
+            return [];
+        }
+        const items = [];
+        entry.value.items.forEach((item, index) => {
+            const itemPath = `${child(path, entry.key)}[${index}]`;
+            if (!item || item.kind !== 'map' || !item.range) {
+                if (item && item.range) this.flag(itemPath, `The wizard expects a mapping for each item of '${entry.key}'.`, item.range);
+            } else if (items.length >= limit) {
+                this.flag(itemPath, message, item.range);
+            } else {
+                items.push({ node: item, path: itemPath });
+            }
+        });
+        return items;
+    };
+
+    Reader.prototype.block = function (node, key, path, field) {
+        const entry = entryFor(node, key);
+        if (!entry || !entry.value) return null;
+        if (entry.value.kind !== 'map') {
+            this.flag(child(path, entry.key), `The wizard expects a mapping for '${entry.key}'.`, entry.range);
+            return null;
+        }
+        this.fields[field] = entry.range;
+        return entry.value;
+    };
+
+    Reader.prototype.readRoot = function (root, path) {
+        this.flagOthers(root, path, ['experiments']);
+        const experiments = this.items(root, 'experiments', path, 1,
+            'The wizard edits one experiment; this one is kept as written.');
+        if (experiments.length) {
+            this.readExperiment(experiments[0].node, experiments[0].path);
+        }
+    };
+
+    Reader.prototype.readExperiment = function (node, path) {
+        const model = this.model;
+        this.fields.experiment = node.range;
+        this.flagOthers(node, path, ['name', 'metadata', 'trials']);
+        model.name = this.text(node, 'name', path, 'name') || '';
+
+        const metadata = this.block(node, 'metadata', path, 'metadata');
+        if (metadata) {
+            const metadataPath = child(path, 'metadata');
+            this.flagOthers(metadata, metadataPath, ['displayname', 'description', 'category']);
+            model.displayName = this.text(metadata, 'displayName', metadataPath, 'displayName') || '';
+            model.description = this.text(metadata, 'description', metadataPath, 'description') || '';
+            const category = this.text(metadata, 'category', metadataPath, 'category');
+            if (category !== null) {
+                const known = CATEGORIES.find(c => c.toLowerCase() === category.toLowerCase());
+                if (known) {
+                    model.category = known;
+                } else {
+                    this.flag(`${metadataPath}.category`, `'${category}' is not one of the wizard's categories; it is kept as written.`,
+                        this.fields.category);
+                }
+            }
+        }
+
+        const trials = this.items(node, 'trials', path, 1, 'The wizard edits one trial; this one is kept as written.');
+        if (trials.length) {
+            this.readTrial(trials[0].node, trials[0].path);
+        }
+    };
+
+    Reader.prototype.readTrial = function (node, path) {
+        const model = this.model;
+        this.fields.trial = node.range;
+        this.flagOthers(node, path, ['servicetype', 'selectionmode', 'control', 'conditions', 'errorpolicy']);
+        model.serviceInterface = this.text(node, 'serviceType', path, 'serviceInterface') || '';
+
+        const selection = this.block(node, 'selectionMode', path, 'selectionMode');
+        if (selection) {
+            this.readSelectionMode(selection, child(path, 'selectionMode'));
+        }
+
+        const control = this.block(node, 'control', path, 'control');
+        if (control) {
+            model.control = this.readCondition(control, child(path, 'control'), 'control');
+        }
+
+        model.variants = this.items(node, 'conditions', path, Infinity, '')
+            .map((item, index) => {
+                this.fields[`variants[${index}]`] = item.node.range;
+                return this.readCondition(item.node, item.path, `variants[${index}]`);
+            });
+
+        const errorPolicy = this.block(node, 'errorPolicy', path, 'errorPolicy');
+        if (errorPolicy) {
+            this.readErrorPolicy(errorPolicy, child(path, 'errorPolicy'));
+        }
+    };
+
+    Reader.prototype.readSelectionMode = function (node, path) {
+        const type = this.text(node, 'type', path, null);
+        const known = type !== null ? SELECTION_MODES[type.toLowerCase()] : null;
+        if (!known) {
+            this.flag(path, type
+                ? `The wizard does not offer the '${type}' selection mode; it is kept as written.`
+                : 'The selection mode has no type.', this.fields.selectionMode);
+            return;
+        }
+
+        this.model.selectionMode = known.mode;
+        this.flagOthers(node, path, ['type', known.key.toLowerCase()]);
+        const field = known.mode === 'Custom' ? 'customModeIdentifier' : 'selectionModeKey';
+        this.model[field] = this.text(node, known.key, path, field) || '';
+    };
+
+    Reader.prototype.readCondition = function (node, path, field) {
+        this.flagOthers(node, path, ['key', 'implementationtype']);
+        return {
+            key: this.text(node, 'key', path, `${field}.key`) || '',
+            displayName: '',
+            implementationType: this.text(node, 'implementationType', path, `${field}.implementationType`) || ''
+        };
+    };
+
+    Reader.prototype.readErrorPolicy = function (node, path) {
+        const type = this.text(node, 'type', path, null);
+        const policy = type !== null ? ERROR_POLICIES[type.toLowerCase()] : null;
+        if (!policy) {
+            this.flag(path, type
+                ? `The wizard does not offer the '${type}' error policy; it is kept as written.`
+                : 'The error policy has no type.', this.fields.errorPolicy);
+            return;
+        }
+
+        this.model.errorPolicy = policy;
+        if (policy === 'FallbackTo') {
+            this.flagOthers(node, path, ['type', 'fallbackkey']);
+            this.model.fallbackKey = this.text(node, 'fallbackKey', path, 'fallbackKey') || '';
+        } else if (policy === 'TryInOrder') {
+            this.flagOthers(node, path, ['type', 'fallbackkeys']);
+            this.model.fallbackOrder = this.fallbackKeys(node, path);
+        } else {
+            this.flagOthers(node, path, ['type']);
+        }
+    };
+
+    Reader.prototype.fallbackKeys = function (node, path) {
+        const entry = entryFor(node, 'fallbackKeys');
+        if (!entry || !entry.value) return [];
+        if (entry.value.kind !== 'seq' || entry.value.items.some(item => !item || item.kind !== 'scalar')) {
+            this.flag(child(path, entry.key), 'The wizard expects a list of condition keys.', entry.range);
+            return [];
+        }
+        this.fields.fallbackOrder = entry.value.range || entry.range;
+        return entry.value.items.map(item => item.value === null ? '' : String(item.value));
+    };
+
+    /**
+     * Reads the wizard model from DSL YAML.
+     * Returns { model, fields, unsupported, errors }: model is null while the text has syntax errors;
+     * fields maps wizard field ids (name, control.key, variants[0].implementationType, ...) to the
+     * ranges they were read from; unsupported lists { path, message, range } for content the wizard
+     * cannot show.
+     */
+    function read(text) {
+        const doc = global.dslYaml.parse(text);
+        const errors = doc.errors.filter(e => e.severity === 'error');
+        if (errors.length) {
+            return { model: null, fields: {}, unsupported: [], errors };
+        }
+
+        const reader = new Reader();
+        const root = doc.root;
+        if (root && root.kind === 'map') {
+            const section = global.dslSchema ? global.dslSchema.section(root) : null;
+            if (section) {
+                root.entries.forEach(entry => {
+                    if (entry !== section && !entry.incomplete) {
+                        reader.flag(entry.key, `The wizard has no field for '${entry.key}'; it is kept as written.`, entry.range);
+                    }
+                });
+                if (section.value && section.value.kind === 'map') {
+                    reader.readRoot(section.value, section.key);
+                }
+            } else {
+                reader.readRoot(root, '');
+            }
+        }
+
+        const unsupported = reader.unsupported.sort((x, y) => x.range.startLineNumber - y.range.startLineNumber);
+        return { model: reader.model, fields: reader.fields, unsupported, errors: [] };
+    }
+
+    /**
+     * The range of a wizard field, or of the nearest block around it when the field is not in the text.
+     */
+    function rangeOf(fields, field) {
+        let current = field;
+        while (current) {
+            if (fields[current]) return fields[current];
+            const dotted = current.match(/^(.*)(?:\.[^.[\]]+|\[\d+\])$/);
+            current = dotted ? dotted[1] : PARENTS[current];
+        }
+        return null;
+    }
+
+    global.dslWizard = {
+        read,
+        rangeOf
+    };
+})(typeof self !== 'undefined' ? self : this);
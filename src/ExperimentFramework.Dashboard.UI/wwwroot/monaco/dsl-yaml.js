@@ -0,0 +1,763 @@
+// DSL YAML support for the Monaco interop
+// A small, error-tolerant YAML parser that keeps source ranges, plus cursor
+// context analysis. Loaded by monaco-interop.js and by the validation worker,
+// so it must not touch the DOM or Monaco.
+
+(function (global) {
+    'use strict';
+
+    const BLOCK_SCALAR = /^[|>][1-9]?[-+]?[1-9]?$/;
+    const KEY_TEXT = /^(?:"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\[\]{},:][^#:]*?)\s*:(?:\s|$)/;
+    // Plain words YAML 1.1 readers load as booleans; strings spelled like this are written quoted
+    const YAML11_BOOLEAN = /^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/;
+
+    // Monaco-compatible range (1-based lines and columns, end column exclusive)
+    function range(line, startCol, endLine, endCol) {
+        return { startLineNumber: line, startColumn: startCol + 1, endLineNumber: endLine, endColumn: endCol + 1 };
+    }
+
+    // Index of the start of a trailing comment, ignoring '#' inside quotes
+    function commentStart(text) {
+        let quote = null;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quote) {
+                if (c === '\\' && quote === '"') { i++; continue; }
+                if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                if (i === 0 || /[\s\[{,:-]/.test(text[i - 1])) quote = c;
+            } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    function unquote(text) {
+        if (text.length >= 2 && text[0] === '"' && text[text.length - 1] === '"') {
+            try { return JSON.parse(text); } catch { return text.slice(1, -1); }
+        }
+        if (text.length >= 2 && text[0] === "'" && text[text.length - 1] === "'") {
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        return text;
+    }
+
+    // YAML 1.2 core schema resolution for plain scalars
+    function plainValue(text) {
+        if (text === '' || text === '~' || /^(null|Null|NULL)$/.test(text)) return null;
+        if (/^(true|True|TRUE)$/.test(text)) return true;
+        if (/^(false|False|FALSE)$/.test(text)) return false;
+        if (/^[-+]?\d+$/.test(text)) return parseInt(text, 10);
+        if (/^0x[0-9a-fA-F]+$/.test(text)) return parseInt(text, 16);
+        if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(text)) return parseFloat(text);
+        if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) return text[0] === '-' ? -Infinity : Infinity;
+        if (/^\.(nan|NaN|NAN)$/.test(text)) return NaN;
+        return text;
+    }
+
+    // Splits anchor and tag properties ('&name', '!tag') off the front of a value
+    function splitProperties(text) {
+        let anchor = null;
+        let tag = null;
+        let offset = 0;
+        let m;
+        while ((m = /^([&!])([^\s,\[\]{}]*)(?:\s+|$)/.exec(text.slice(offset)))) {
+            if (m[1] === '&') anchor = m[2];
+            else tag = '!' + m[2];
+            offset += m[0].length;
+        }
+        return { anchor, tag, rest: text.slice(offset), offset };
+    }
+
+    function isSeqItem(text) {
+        return text === '-' || text.startsWith('- ');
+    }
+
+    // Splits "key: value" at the first mapping colon; returns null when the text is not a mapping entry
+    function splitKey(text) {
+        const m = KEY_TEXT.exec(text);
+        if (!m) return null;
+        const colon = m[0].trimEnd().length - 1;
+        const rawKey = text.slice(0, colon).trimEnd();
+        let valueOffset = colon + 1;
+        while (valueOffset < text.length && text[valueOffset] === ' ') valueOffset++;
+        return { key: unquote(rawKey), keyLength: rawKey.length, valueText: text.slice(valueOffset), valueOffset };
+    }
+
+    // Splits the document into lines with indentation and comment-free content
+    function scanLines(text) {
+        const rawLines = text.split(/\r?\n/);
+        return rawLines.map((raw, index) => {
+            let indent = 0;
+            let tab = -1;
+            while (indent < raw.length && (raw[indent] === ' ' || raw[indent] === '\t')) {
+                if (raw[indent] === '\t' && tab < 0) tab = indent;
+                indent++;
+            }
+            const rest = raw.slice(indent);
+            const comment = commentStart(rest);
+            const content = (comment >= 0 ? rest.slice(0, comment) : rest).trimEnd();
+            const commentText = comment >= 0 ? rest.slice(comment + 1).replace(/^ /, '').trimEnd() : null;
+            return { line: index + 1, raw, indent, tab, content, blank: content.length === 0, comment: commentText, commentColumn: indent + comment + 1 };
+        });
+    }
+
+    // --------------------------------------------------------------------
+    // Parser
+    // --------------------------------------------------------------------
+
+    function Parser(text) {
+        this.lines = scanLines(text);
+        this.errors = [];
+        this.index = 0;
+        this.pending = null; // virtual line for content following "- " on the same line
+        this.blockLines = new Set(); // lines inside block scalars, where '#' is content
+        this.anchors = new Map(); // anchor name -> node, for aliases further down
+
+        for (const l of this.lines) {
+            if (!l.blank && l.tab >= 0) {
+                this.error('Tabs are not allowed in YAML indentation; use spaces.', range(l.line, l.tab, l.line, l.tab + 1), 'tab-indentation');
+            }
+        }
+    }
+
+    // `related` lists other places the error involves: [{ message, range }]
+    Parser.prototype.error = function (message, r, code, related) {
+        this.errors.push(Object.assign({ message, severity: 'error', code: code || 'syntax' }, r, related ? { related } : null));
+    };
+
+    Parser.prototype.peek = function () {
+        if (this.pending) return this.pending;
+        while (this.index < this.lines.length) {
+            const l = this.lines[this.index];
+            if (!l.blank && l.indent === 0 && /^(---|\.\.\.)(\s|$)|^%/.test(l.content)) {
+                this.index++;
+                continue;
+            }
+            if (!l.blank) {
+                return { line: l.line, col: l.indent, text: l.content };
+            }
+            this.index++;
+        }
+        return null;
+    };
+
+    Parser.prototype.advance = function () {
+        if (this.pending) {
+            this.pending = null;
+        } else {
+            this.index++;
+        }
+    };
+
+    Parser.prototype.parseDocument = function () {
+        const first = this.peek();
+        if (!first) return null;
+        const root = this.parseBlock(first.col - 1);
+        let extra;
+        while ((extra = this.peek())) {
+            this.error('Unexpected content; check the indentation of this line.', range(extra.line, extra.col, extra.line, extra.col + extra.text.length), 'indentation');
+            this.advance();
+        }
+        return root;
+    };
+
+    // Parses the block node whose indentation is deeper than parentCol
+    Parser.prototype.parseBlock = function (parentCol) {
+        const l = this.peek();
+        if (!l || l.col <= parentCol) return null;
+        if (isSeqItem(l.text)) return this.parseSeq(l.col);
+        if (splitKey(l.text)) return this.parseMap(l.col);
+
+        this.advance();
+        const node = this.parseInline(l.text, l.line, l.col);
+        this.skipDeeper(l.col);
+        return node;
+    };
+
+    // Reports and skips lines indented deeper than col that nothing consumed
+    Parser.prototype.skipDeeper = function (col) {
+        let l;
+        while ((l = this.peek()) && l.col > col) {
+            this.error('Unexpected indentation.', range(l.line, l.col, l.line, l.col + l.text.length), 'indentation');
+            this.advance();
+        }
+    };
+
+    Parser.prototype.parseSeq = function (col) {
+        const start = this.peek();
+        const node = { kind: 'seq', items: [], range: null };
+        let endLine = start.line;
+        let endCol = start.col + 1;
+        let l;
+
+        while ((l = this.peek()) && l.col === col && isSeqItem(l.text)) {
+            this.advance();
+            const rest = l.text.slice(1);
+            const trimmed = rest.trimStart();
+            let item;
+
+            const itemCol = col + 1 + (rest.length - trimmed.length);
+            const props = splitProperties(trimmed);
+
+            if (props.rest.length === 0) {
+                item = this.anchor(this.parseBlock(col), props.anchor, range(l.line, itemCol, l.line, itemCol + trimmed.length));
+            } else if (BLOCK_SCALAR.test(props.rest)) {
+                item = this.anchor(this.parseBlockScalar(col, l.line, itemCol + props.offset, props.rest), props.anchor);
+            } else {
+                this.pending = { line: l.line, col: itemCol, text: trimmed };
+                if (isSeqItem(trimmed)) {
+                    item = this.parseSeq(itemCol);
+                } else if (splitKey(trimmed)) {
+                    item = this.parseMap(itemCol);
+                } else {
+                    this.advance();
+                    item = this.parseInline(trimmed, l.line, itemCol);
+                }
+            }
+
+            this.skipDeeper(col);
+            node.items.push(item);
+            if (item && item.range) {
+                endLine = item.range.endLineNumber;
+                endCol = item.range.endColumn - 1;
+            } else {
+                endLine = l.line;
+                endCol = l.col + l.text.length;
+            }
+        }
+
+        node.range = range(start.line, start.col, endLine, endCol);
+        return node;
+    };
+
+    Parser.prototype.parseMap = function (col) {
+        const start = this.peek();
+        const node = { kind: 'map', entries: [], range: null };
+        const seen = new Map();
+        let endLine = start.line;
+        let endCol = start.col;
+        let l;
+
+        while ((l = this.peek()) && l.col === col && !isSeqItem(l.text)) {
+            this.advance();
+            const kv = splitKey(l.text);
+
+            if (!kv) {
+                // Tolerate a half-typed key so completion and outline still see the rest of the map
+                this.error("Expected a 'key: value' mapping entry.", range(l.line, l.col, l.line, l.col + l.text.length), 'expected-mapping');
+                node.entries.push({
+                    key: l.text.trim(),
+                    keyRange: range(l.line, l.col, l.line, l.col + l.text.length),
+                    value: null,
+                    incomplete: true,
+                    range: range(l.line, l.col, l.line, l.col + l.text.length)
+                });
+                endLine = l.line;
+                endCol = l.col + l.text.length;
+                this.skipDeeper(col);
+                continue;
+            }
+
+            const keyRange = range(l.line, l.col, l.line, l.col + kv.keyLength);
+            if (seen.has(kv.key)) {
+                this.error(`Duplicate key '${kv.key}'.`, keyRange, 'duplicate-key',
+                    [{ message: `'${kv.key}' is first defined here.`, range: seen.get(kv.key) }]);
+            } else {
+                seen.set(kv.key, keyRange);
+            }
+
+            let value;
+            const props = splitProperties(kv.valueText);
+            if (props.rest.length === 0) {
+                const next = this.peek();
+                if (next && next.col > col) {
+                    value = this.parseBlock(col);
+                } else if (next && next.col === col && isSeqItem(next.text)) {
+                    value = this.parseSeq(col);
+                } else {
+                    value = null;
+                }
+                value = this.anchor(value, props.anchor, range(l.line, l.col + kv.valueOffset, l.line, l.col + l.text.length));
+            } else if (BLOCK_SCALAR.test(props.rest)) {
+                value = this.anchor(this.parseBlockScalar(col, l.line, l.col + kv.valueOffset + props.offset, props.rest), props.anchor);
+            } else {
+                value = this.parseInline(kv.valueText, l.line, l.col + kv.valueOffset);
+            }
+            this.skipDeeper(col);
+
+            const entry = { key: kv.key, keyRange, value, range: null };
+            if (value && value.range) {
+                endLine = value.range.endLineNumber;
+                endCol = value.range.endColumn - 1;
+            } else {
+                endLine = l.line;
+                endCol = l.col + l.text.length;
+            }
+            entry.range = range(l.line, l.col, endLine, endCol);
+            node.entries.push(entry);
+        }
+
+        node.range = range(start.line, start.col, endLine, endCol);
+        return node;
+    };
+
+    // Reads a '|' (literal) or '>' (folded) block scalar; the indicator's '-' strips the final line
+    // break, '+' keeps it with the blank lines after it, and without either one line break is kept
+    Parser.prototype.parseBlockScalar = function (col, line, valueCol, indicator) {
+        const parts = [];
+        let endLine = line;
+        let endCol = valueCol + indicator.length;
+        const explicit = /[1-9]/.exec(indicator);
+        let blockIndent = explicit ? col + Number(explicit[0]) : -1;
+
+        while (this.index < this.lines.length) {
+            const l = this.lines[this.index];
+            if (!l.blank || l.raw.trim().length > 0) {
+                if (l.indent <= col) break;
+                if (blockIndent < 0) blockIndent = l.indent;
+                this.blockLines.add(l.line);
+                parts.push(l.raw.slice(Math.min(blockIndent, l.indent)));
+                endLine = l.line;
+                endCol = l.raw.length;
+            } else {
+                parts.push(blockIndent >= 0 ? l.raw.slice(blockIndent) : '');
+            }
+            this.index++;
+        }
+
+        let trailing = 0;
+        while (parts.length && parts[parts.length - 1] === '') {
+            parts.pop();
+            trailing++;
+        }
+        // At the end of the document the last split line is what follows the final line break, not a line
+        const atEnd = this.index >= this.lines.length;
+        const lineBreak = parts.length > 0 && !(atEnd && trailing === 0);
+        if (atEnd && trailing > 0) trailing--;
+
+        let text = indicator[0] === '|' ? parts.join('\n') : fold(parts);
+        if (indicator.includes('+')) {
+            text += (lineBreak ? '\n' : '') + '\n'.repeat(trailing);
+        } else if (!indicator.includes('-') && lineBreak) {
+            text += '\n';
+        }
+        return { kind: 'scalar', value: text, text: indicator, quoted: true, block: true, range: range(line, valueCol, endLine, endCol) };
+    };
+
+    // Folded block content: line breaks between lines become spaces, blank lines become line breaks,
+    // and more-indented lines keep the line breaks around them
+    function fold(lines) {
+        let text = '';
+        let blanks = 0;
+        let started = false;
+        let previousMore = false;
+        for (const line of lines) {
+            if (line === '') {
+                blanks++;
+                continue;
+            }
+            const more = /^[ \t]/.test(line);
+            if (!started) {
+                text += '\n'.repeat(blanks);
+            } else if (more || previousMore) {
+                text += '\n'.repeat(blanks + 1);
+            } else {
+                text += blanks ? '\n'.repeat(blanks) : ' ';
+            }
+            text += line;
+            started = true;
+            previousMore = more;
+            blanks = 0;
+        }
+        return text;
+    }
+
+    // Records a node under its anchor so later aliases can refer to it; an anchored empty value is a
+    // null at the anchor's range `r`
+    Parser.prototype.anchor = function (node, name, r) {
+        if (name === null) return node;
+        if (!node) node = { kind: 'scalar', value: null, text: '', quoted: false, range: r };
+        node.anchor = name;
+        this.anchors.set(name, node);
+        return node;
+    };
+
+    // An alias stands for a copy of its anchored node at the alias's own range
+    Parser.prototype.alias = function (name, r) {
+        if (!this.anchors.has(name)) {
+            this.error(`Unknown alias '*${name}'; an anchor must be defined before it is used.`, r, 'unknown-alias');
+            return { kind: 'scalar', value: null, text: '*' + name, quoted: false, alias: name, range: r };
+        }
+        const target = this.anchors.get(name);
+        return Object.assign({}, target, target.kind === 'scalar' ? { text: '*' + name } : null, { anchor: undefined, alias: name, range: r });
+    };
+
+    // Parses a single-line value: flow collection, quoted or plain scalar
+    Parser.prototype.parseInline = function (text, line, col) {
+        const state = { text, pos: 0 };
+        const node = this.parseFlowValue(state, line, col, false);
+        skipSpaces(state);
+        if (state.pos < text.length && node) {
+            const tail = text.slice(state.pos);
+            this.error(`Unexpected '${tail.trim()}' after value.`, range(line, col + state.pos, line, col + text.length), 'unexpected-content');
+        }
+        return node;
+    };
+
+    function skipSpaces(state) {
+        while (state.pos < state.text.length && state.text[state.pos] === ' ') state.pos++;
+    }
+
+    Parser.prototype.parseFlowValue = function (state, line, col, inFlow) {
+        skipSpaces(state);
+        const text = state.text;
+        const start = state.pos;
+        const c = text[start];
+
+        if (c === '&' || c === '!') {
+            const props = splitProperties(text.slice(start));
+            state.pos = start + props.offset;
+            const node = this.parseFlowValue(state, line, col, inFlow);
+            // '!!str' keeps a plain scalar such as 5 or true a string
+            if (node && node.kind === 'scalar' && !node.quoted && props.tag === '!!str') node.value = node.text;
+            return this.anchor(node, props.anchor, range(line, col + start, line, col + state.pos));
+        }
+
+        if (c === '*') {
+            let end = start + 1;
+            while (end < text.length && !/[\s,\[\]{}]/.test(text[end])) end++;
+            state.pos = end;
+            return this.alias(text.slice(start + 1, end), range(line, col + start, line, col + end));
+        }
+
+        if (c === '[' || c === '{') {
+            const close = c === '[' ? ']' : '}';
+            const node = c === '[' ? { kind: 'seq', items: [], flow: true } : { kind: 'map', entries: [], flow: true };
+            state.pos++;
+            for (;;) {
+                skipSpaces(state);
+                if (state.pos >= text.length) {
+                    this.error(`Unclosed '${c}'; expected '${close}'.`, range(line, col + start, line, col + text.length), 'unclosed-bracket');
+                    break;
+                }
+                if (text[state.pos] === close) {
+                    state.pos++;
+                    break;
+                }
+                if (node.kind === 'seq') {
+                    node.items.push(this.parseFlowValue(state, line, col, true));
+                } else {
+                    const keyStart = state.pos;
+                    const keyNode = this.parseFlowValue(state, line, col, true);
+                    skipSpaces(state);
+                    let value = null;
+                    if (text[state.pos] === ':') {
+                        state.pos++;
+                        value = this.parseFlowValue(state, line, col, true);
+                    }
+                    const key = keyNode ? String(keyNode.value) : '';
+                    node.entries.push({
+                        key,
+                        keyRange: range(line, col + keyStart, line, col + keyStart + (keyNode ? keyNode.text.length : 0)),
+                        value,
+                        range: range(line, col + keyStart, line, col + state.pos)
+                    });
+                }
+                skipSpaces(state);
+                if (text[state.pos] === ',') {
+                    state.pos++;
+                } else if (text[state.pos] !== close && state.pos < text.length) {
+                    this.error(`Expected ',' or '${close}'.`, range(line, col + state.pos, line, col + state.pos + 1), 'unexpected-content');
+                    state.pos++;
+                }
+            }
+            node.range = range(line, col + start, line, col + state.pos);
+            return node;
+        }
+
+        if (c === '"' || c === "'") {
+            let i = start + 1;
+            while (i < text.length) {
+                if (c === '"' && text[i] === '\\') { i += 2; continue; }
+                if (text[i] === c) {
+                    if (c === "'" && text[i + 1] === "'") { i += 2; continue; }
+                    break;
+                }
+                i++;
+            }
+            if (i >= text.length) {
+                this.error(`Unclosed quoted string; expected ${c}.`, range(line, col + start, line, col + text.length), 'unclosed-quote');
+                state.pos = text.length;
+                const raw = text.slice(start);
+                return { kind: 'scalar', value: raw.slice(1), text: raw, quoted: true, range: range(line, col + start, line, col + text.length) };
+            }
+            state.pos = i + 1;
+            const raw = text.slice(start, state.pos);
+            return { kind: 'scalar', value: unquote(raw), text: raw, quoted: true, range: range(line, col + start, line, col + state.pos) };
+        }
+
+        // Plain scalar: runs to the end of the line, or to a flow indicator inside collections
+        let end = start;
+        while (end < text.length) {
+            const ch = text[end];
+            if (inFlow && (ch === ',' || ch === ']' || ch === '}')) break;
+            if (inFlow && ch === ':' && (end + 1 >= text.length || /[\s,\]}]/.test(text[end + 1]))) break;
+            end++;
+        }
+        state.pos = end;
+        const raw = text.slice(start, end).trimEnd();
+        if (raw.length === 0 && inFlow) return null;
+        if (!inFlow && splitKey(raw)) {
+            this.error('Nested mappings must start on their own line.', range(line, col + start, line, col + start + raw.length), 'inline-mapping');
+        }
+        return { kind: 'scalar', value: plainValue(raw), text: raw, quoted: false, range: range(line, col + start, line, col + start + raw.length) };
+    };
+
+    // --------------------------------------------------------------------
+    // Tree helpers
+    // --------------------------------------------------------------------
+
+    function toValue(node) {
+        if (!node) return null;
+        if (node.kind === 'scalar') return node.value;
+        if (node.kind === 'seq') return node.items.map(toValue);
+        const result = {};
+        for (const entry of node.entries) {
+            if (!entry.incomplete) result[entry.key] = toValue(entry.value);
+        }
+        return result;
+    }
+
+    function getEntry(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        for (let i = node.entries.length - 1; i >= 0; i--) {
+            if (node.entries[i].key === key) return node.entries[i];
+        }
+        return null;
+    }
+
+    function getNodeAtPath(root, path) {
+        let node = root;
+        for (const segment of path) {
+            if (!node) return null;
+            if (typeof segment === 'number') {
+                node = node.kind === 'seq' ? node.items[segment] || null : null;
+            } else {
+                const entry = getEntry(node, segment);
+                node = entry ? entry.value : null;
+            }
+        }
+        return node;
+    }
+
+    function contains(r, lineNumber, column) {
+        if (!r) return false;
+        if (lineNumber < r.startLineNumber || lineNumber > r.endLineNumber) return false;
+        if (lineNumber === r.startLineNumber && column < r.startColumn) return false;
+        if (lineNumber === r.endLineNumber && column > r.endColumn) return false;
+        return true;
+    }
+
+    // Finds the innermost key or scalar at a position; returns its path and whether it is a key
+    function findAt(root, lineNumber, column) {
+        let node = root;
+        const path = [];
+        let found = null;
+
+        while (node) {
+            let next = null;
+            if (node.kind === 'map') {
+                for (const entry of node.entries) {
+                    if (contains(entry.keyRange, lineNumber, column)) {
+                        return { path: path.concat([entry.key]), isKey: true, entry, node: entry.value, parent: node };
+                    }
+                    if (entry.value && contains(entry.value.range, lineNumber, column)) {
+                        path.push(entry.key);
+                        next = entry.value;
+                        found = { path: path.slice(), isKey: false, entry, node: entry.value, parent: node };
+                        break;
+                    }
+                }
+            } else if (node.kind === 'seq') {
+                for (let i = 0; i < node.items.length; i++) {
+                    const item = node.items[i];
+                    if (item && contains(item.range, lineNumber, column)) {
+                        path.push(i);
+                        next = item;
+                        found = { path: path.slice(), isKey: false, entry: null, node: item, parent: node };
+                        break;
+                    }
+                }
+            }
+            if (!next || next.kind === 'scalar') break;
+            node = next;
+        }
+
+        return found;
+    }
+
+    // --------------------------------------------------------------------
+    // Cursor context (works on incomplete documents)
+    // --------------------------------------------------------------------
+
+    // Structural tokens of each line: sequence dashes and mapping keys with their columns
+    function structure(lines, upToLine) {
+        const tokens = [];
+        let blockScalarCol = -1;
+
+        for (let i = 0; i < upToLine && i < lines.length; i++) {
+            const l = lines[i];
+            if (l.blank) continue;
+            if (blockScalarCol >= 0) {
+                if (l.indent > blockScalarCol) continue;
+                blockScalarCol = -1;
+            }
+
+            let col = l.indent;
+            let text = l.content;
+            let dashCol = -1;
+            while (isSeqItem(text)) {
+                tokens.push({ type: 'dash', col, line: l.line });
+                dashCol = col;
+                const rest = text.slice(1);
+                const trimmed = rest.trimStart();
+                col += 1 + rest.length - trimmed.length;
+                text = trimmed;
+            }
+            const props = splitProperties(text);
+            text = props.rest;
+            col += props.offset;
+            if (!text) continue;
+            if (dashCol >= 0 && BLOCK_SCALAR.test(text)) {
+                blockScalarCol = dashCol;
+                continue;
+            }
+
+            const kv = splitKey(text);
+            if (kv) {
+                const value = splitProperties(kv.valueText).rest;
+                tokens.push({ type: 'key', col, line: l.line, key: kv.key, hasValue: value.length > 0 && !BLOCK_SCALAR.test(value) });
+                if (BLOCK_SCALAR.test(value)) blockScalarCol = col;
+            } else {
+                tokens.push({ type: 'scalar', col, line: l.line });
+            }
+        }
+
+        return tokens;
+    }
+
+    // Walks preceding structural tokens to build the path of the node starting at target
+    function ancestry(tokens, target) {
+        const path = [];
+        let current = target;
+        let index = 0;
+
+        for (let k = tokens.length - 1; k >= 0; k--) {
+            const t = tokens[k];
+            if (current.type === 'dash') {
+                if (t.col > current.col) continue;
+                if (t.col === current.col && t.type === 'dash') { index++; continue; }
+                if (t.type === 'scalar' || (t.type === 'key' && t.hasValue)) continue;
+                path.unshift(index);
+                if (t.type === 'key') path.unshift(t.key);
+                current = t;
+                index = 0;
+            } else {
+                if (t.col >= current.col) continue;
+                if (t.type === 'scalar' || (t.type === 'key' && t.hasValue)) continue;
+                if (t.type === 'key') path.unshift(t.key);
+                current = t;
+                index = 0;
+            }
+        }
+
+        if (current.type === 'dash') path.unshift(index);
+        return path;
+    }
+
+    /**
+     * Describes what is being edited at a cursor position.
+     * Returns { kind: 'key' | 'value', path, key, prefix, prefixStart, column } where path is the
+     * container path for keys and the value path for values, or null when nothing applies
+     * (for example inside a comment).
+     */
+    function getContextAt(text, lineNumber, column) {
+        const lines = scanLines(text);
+        const lineText = lines[lineNumber - 1] ? lines[lineNumber - 1].raw : '';
+        const before = lineText.slice(0, column - 1);
+        if (commentStart(before.trimStart()) >= 0) return null;
+
+        const valueMatch = /^(\s*)((?:-\s+)*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s:#'"][^:#]*?)\s*:\s+(.*)$/.exec(before);
+        const keyMatch = valueMatch ? null : /^(\s*)((?:-\s+)*)([^\s:#'"\[\]{},]*)$/.exec(before);
+        const match = valueMatch || keyMatch;
+        if (!match) return null;
+
+        // Sequence dashes typed on this line before the key
+        const tokens = structure(lines, lineNumber - 1);
+        let col = match[1].length;
+        const dashes = match[2];
+        for (let i = 0; i < dashes.length; i++) {
+            if (dashes[i] === '-') tokens.push({ type: 'dash', col: col + i, line: lineNumber });
+        }
+        col += dashes.length;
+
+        const containerPath = ancestry(tokens, { type: 'key', col });
+
+        if (valueMatch) {
+            const key = unquote(valueMatch[3]);
+            const valueText = valueMatch[4];
+            const flowStart = Math.max(valueText.lastIndexOf('['), valueText.lastIndexOf(','));
+            const inFlow = valueText.trimStart().startsWith('[') && valueText.indexOf(']') < 0;
+            const prefixText = inFlow ? valueText.slice(flowStart + 1).trimStart() : valueText;
+            return {
+                kind: 'value',
+                path: containerPath.concat([key]),
+                key,
+                inFlowSequence: inFlow,
+                prefix: prefixText.replace(/^["']/, ''),
+                prefixStart: column - prefixText.length,
+                keyColumn: col + 1,
+                column
+            };
+        }
+
+        return {
+            kind: 'key',
+            path: containerPath,
+            key: null,
+            afterDash: dashes.length > 0,
+            prefix: keyMatch[3],
+            prefixStart: column - keyMatch[3].length,
+            keyColumn: col + 1,
+            column
+        };
+    }
+
+    // Comments with their position; trailing comments follow content on the same line
+    Parser.prototype.comments = function () {
+        return this.lines
+            .filter(l => l.comment !== null && !this.blockLines.has(l.line))
+            .map(l => ({ line: l.line, column: l.commentColumn, text: l.comment, trailing: !l.blank }));
+    };
+
+    function parse(text) {
+        const parser = new Parser(text || '');
+        const root = parser.parseDocument();
+        return { root, errors: parser.errors, comments: parser.comments() };
+    }
+
+    global.dslYaml = {
+        YAML11_BOOLEAN,
+        parse,
+        toValue,
+        getEntry,
+        getNodeAtPath,
+        findAt,
+        getContextAt,
+        unquote,
+        plainValue,
+        scanLines
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,343 @@
+// <ef-dsl-editor> custom element
+// The DSL editor for any page, whatever renders it: add the element and it loads the interop and
+// Monaco, creates the editor and talks to Dashboard.Api itself. MonacoEditor.razor renders the same
+// element with `manual` and creates the editor through monacoEditor.initialize, so what the interop
+// reports to Blazor is raised here as DOM events as well.
+//
+// Attributes:
+//   api-base    Dashboard.Api route prefix, e.g. /api; enables load, validate and apply
+//   language    yaml (default) or json; changing it converts the text
+//   read-only   no editing
+//   minimap     show the minimap
+//   font-size   editor font size in pixels (default 14)
+//   monaco-src  base URL of Monaco's min/vs folder, instead of the CDN
+//   manual      the host calls monacoEditor.initialize with this element's id
+//
+// Events (CustomEvent, bubbling): ready, change { value }, validate { result }, apply { result },
+// action { id }, problems { markers }, error { message }.
+
+(function () {
+    'use strict';
+
+    // What the interop needs, in load order; fetched from next to this script when the page has not loaded it
+    const SCRIPTS = [
+        'dsl-yaml.js', 'dsl-json.js', 'dsl-convert.js', 'dsl-schema.js', 'dsl-fixes.js', 'dsl-references.js',
+        'dsl-types.js', 'dsl-merge.js', 'dsl-wizard.js', 'dsl-fluent.js', 'monaco-interop.js'
+    ];
+
+    const scriptBase = document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : '';
+
+    // Interop callbacks meant for Blazor and the events they become
+    const EVENTS = {
+        OnContentChanged: (value) => ['change', { value }],
+        OnEditorAction: (id) => ['action', { id }],
+        OnMarkersChanged: (markers) => ['problems', { markers }],
+        OnCursorSymbolsChanged: (symbols) => ['breadcrumbs', { symbols }]
+    };
+
+    // Commands a standalone editor gets; Blazor hosts add their own
+    const ACTIONS = [
+        { id: 'ef.validate', label: 'Validate Configuration', keybindings: ['Ctrl+Shift+V'], contextMenuGroup: '1_experiments', contextMenuOrder: 1, api: true },
+        { id: 'ef.apply', label: 'Apply Configuration', keybindings: ['Ctrl+S'], contextMenuGroup: '1_experiments', contextMenuOrder: 2, api: true },
+        { id: 'ef.format', label: 'Format Configuration', keybindings: [], contextMenuGroup: '1_experiments', contextMenuOrder: 3 }
+    ];
+
+    let interopLoading = null;
+    let nextId = 0;
+
+    function loadInterop() {
+        if (window.monacoEditor) {
+            return Promise.resolve();
+        }
+        if (!interopLoading) {
+            interopLoading = SCRIPTS.reduce((previous, name) => previous.then(() => new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = scriptBase + name;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`could not load ${script.src}`));
+                document.head.appendChild(script);
+            })), Promise.resolve());
+        }
+        return interopLoading;
+    }
+
+    class EfDslEditor extends HTMLElement {
+        static get observedAttributes() {
+            return ['language', 'read-only', 'minimap', 'font-size'];
+        }
+
+        constructor() {
+            super();
+            this._dotNetHelper = null;
+            this._pendingValue = null;
+            this._starting = null;
+
+            /** Version of the running configuration the text is based on; sent with apply to catch stale edits. */
+            this.baseVersion = null;
+        }
+
+        /** The Monaco editor instance, or null until the editor is created. */
+        get editor() {
+            const editorData = window.monacoEditor && window.monacoEditor.editors[this.id];
+            return editorData ? editorData.editor : null;
+        }
+
+        get value() {
+            return this.editor ? this.editor.getValue() : (this._pendingValue || '');
+        }
+
+        set value(value) {
+            if (this.editor) {
+                window.monacoEditor.setValue(this.id, value || '');
+            } else {
+                this._pendingValue = value || '';
+            }
+        }
+
+        get language() {
+            const model = this.editor && this.editor.getModel();
+            return model ? window.monacoEditor._languageOf(model) : (this.getAttribute('language') || 'yaml');
+        }
+
+        connectedCallback() {
+            if (!this.id) {
+                this.id = `ef-dsl-editor-${++nextId}`;
+            }
+            if (!this.style.display) {
+                this.style.display = 'block';
+            }
+            if (!this.hasAttribute('manual') && !this._starting) {
+                this._starting = this._start();
+            }
+        }
+
+        disconnectedCallback() {
+            // An element moved elsewhere in the page is connected again before this runs
+            queueMicrotask(() => {
+                if (!this.isConnected && window.monacoEditor) {
+                    window.monacoEditor.dispose(this.id);
+                    this._starting = null;
+                }
+            });
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            const editor = this.editor;
+            if (!editor || oldValue === newValue) {
+                return;
+            }
+
+            switch (name) {
+                case 'language': {
+                    const result = window.monacoEditor.convertLanguage(this.id, newValue || 'yaml');
+                    if (!result.success) {
+                        this._dispatch('error', { message: result.message });
+                    }
+                    break;
+                }
+                case 'read-only':
+                    editor.updateOptions({ readOnly: newValue !== null });
+                    break;
+                case 'minimap':
+                    editor.updateOptions({ minimap: { enabled: newValue !== null } });
+                    break;
+                case 'font-size':
+                    editor.updateOptions({ fontSize: parseInt(newValue, 10) || 14 });
+                    break;
+            }
+        }
+
+        /**
+         * Wraps the Blazor helper the interop was given for this element, so every callback is also raised
+         * as a DOM event. Called by monacoEditor when it creates the editor.
+         */
+        hostHelper(dotNetHelper) {
+            this._dotNetHelper = dotNetHelper || null;
+            queueMicrotask(() => this._dispatch('ready', {}));
+            return {
+                invokeMethodAsync: (method, ...args) => {
+                    this._raise(method, args);
+                    return this._dotNetHelper
+                        ? this._dotNetHelper.invokeMethodAsync(method, ...args)
+                        : Promise.resolve();
+                }
+            };
+        }
+
+        async _start() {
+            const text = this.textContent.trim();
+            this.textContent = '';
+
+            try {
+                await loadInterop();
+                const source = this.getAttribute('monaco-src');
+                await window.monacoEditor.loadMonaco(source ? { sources: [{ name: 'monaco-src', baseUrl: source }] } : undefined);
+                if (this._apiBase()) {
+                    await Promise.all([this._loadSchema(), this._pendingValue === null && !text ? this.load() : null]);
+                }
+            } catch (e) {
+                this._dispatch('error', { message: e && e.message ? e.message : String(e) });
+                if (!window.monacoEditor || !window.monacoEditor.monacoReady) {
+                    return;
+                }
+            }
+
+            if (!this.isConnected || this.editor) {
+                return;
+            }
+
+            window.monacoEditor.initialize(this.id, {
+                value: this._pendingValue !== null ? this._pendingValue : text,
+                language: this.getAttribute('language') || 'yaml',
+                readOnly: this.hasAttribute('read-only'),
+                minimap: this.hasAttribute('minimap'),
+                fontSize: parseInt(this.getAttribute('font-size'), 10) || 14,
+                problems: true
+            }, null);
+            this._pendingValue = null;
+
+            const readOnly = this.hasAttribute('read-only');
+            window.monacoEditor.addActions(this.id, ACTIONS.filter(a => !a.api || (this._apiBase() && !readOnly)));
+        }
+
+        _raise(method, args) {
+            const toEvent = EVENTS[method];
+            if (!toEvent) {
+                return;
+            }
+
+            const [type, detail] = toEvent(...args);
+            this._dispatch(type, detail);
+
+            // Without Blazor the element runs its own commands
+            if (method === 'OnEditorAction' && !this._dotNetHelper) {
+                switch (args[0]) {
+                    case 'ef.validate': this.validate().catch(() => {}); break;
+                    case 'ef.apply': this.apply().catch(() => {}); break;
+                    case 'ef.format': window.monacoEditor.format(this.id); break;
+                }
+            }
+        }
+
+        _dispatch(type, detail) {
+            this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+        }
+
+        _apiBase() {
+            return (this.getAttribute('api-base') || '').replace(/\/+$/, '');
+        }
+
+        async _request(path, body) {
+            const apiBase = this._apiBase();
+            if (!apiBase) {
+                throw new Error('Set api-base to the Dashboard.Api route prefix, e.g. /api.');
+            }
+
+            const init = body === undefined
+                ? { credentials: 'same-origin' }
+                : { method: 'POST', credentials: 'same-origin', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+            const response = await fetch(apiBase + path, init);
+            // A stale apply is answered with 409 and the running configuration
+            if (!response.ok && response.status !== 409) {
+                throw new Error(`${init.method || 'GET'} ${apiBase + path} returned ${response.status}.`);
+            }
+            return response.json();
+        }
+
+        async _loadSchema() {
+            const [schema, types] = await Promise.all([
+                this._request('/dsl/schema').catch(() => null),
+                this._request('/dsl/types').catch(() => null)
+            ]);
+            if (schema) {
+                window.monacoEditor.setSchema(schema);
+            }
+            if (types && types.services) {
+                window.monacoEditor.setTypeCatalog(types.services);
+            }
+        }
+
+        // The text as YAML for the server, or null when JSON with syntax errors cannot be converted
+        _yaml() {
+            const language = this.language;
+            return language === 'json' ? window.monacoEditor.convertText(this.value, 'json', 'yaml') : this.value;
+        }
+
+        /**
+         * Loads the running configuration from Dashboard.Api into the editor and records its version.
+         */
+        async load() {
+            const current = await this._request('/dsl/current');
+            const yaml = current.yaml || '';
+            this.value = this.language === 'json' ? (window.monacoEditor.convertText(yaml, 'yaml', 'json') || yaml) : yaml;
+            this.baseVersion = current.version || null;
+            return current;
+        }
+
+        /**
+         * Validates the text with Dashboard.Api, shows the problems in the editor and raises `validate`.
+         */
+        async validate() {
+            const yaml = this._yaml();
+            let result;
+            if (yaml === null) {
+                result = { isValid: false, errors: [{ message: 'Fix the JSON syntax errors before validating.', severity: 'error', line: 1, column: 1, endLine: 1, endColumn: 1 }], parsedExperiments: [] };
+            } else {
+                try {
+                    result = await this._request('/dsl/validate', { yaml });
+                } catch (e) {
+                    this._dispatch('error', { message: e.message });
+                    throw e;
+                }
+            }
+
+            if (this.editor) {
+                // Server positions refer to the YAML that was sent
+                const markers = yaml !== null && this.language === 'json'
+                    ? window.monacoEditor.mapMarkers(yaml, 'yaml', this.value, 'json', result.errors || [])
+                    : result.errors || [];
+                window.monacoEditor.setMarkers(this.id, markers);
+            }
+            this._dispatch('validate', { result });
+            return result;
+        }
+
+        /**
+         * Applies the text with Dashboard.Api and raises `apply`. The result has `conflict` set, with the
+         * running YAML and version, when the configuration changed since it was loaded.
+         */
+        async apply(options) {
+            const yaml = this._yaml();
+            if (yaml === null) {
+                const result = { success: false, changes: [], errors: [{ message: 'Fix the JSON syntax errors before applying.', severity: 'error', line: 1, column: 1 }] };
+                this._dispatch('apply', { result });
+                return result;
+            }
+
+            let result;
+            try {
+                result = await this._request('/dsl/apply', { yaml, format: !!(options && options.format), baseVersion: this.baseVersion });
+            } catch (e) {
+                this._dispatch('error', { message: e.message });
+                throw e;
+            }
+            if (result.success && result.version) {
+                this.baseVersion = result.version;
+            }
+            this._dispatch('apply', { result });
+            return result;
+        }
+
+        focus() {
+            if (this.editor) {
+                this.editor.focus();
+            } else {
+                super.focus();
+            }
+        }
+    }
+
+    if (!customElements.get('ef-dsl-editor')) {
+        customElements.define('ef-dsl-editor', EfDslEditor);
+    }
+})();
@@ -3,9 +3,34 @@
 
 window.monacoEditor = {
     editors: {},
+    diffEditors: {},
+    mergeEditors: {},
     monacoReady: false,
     pendingInitializations: [],
     themeObserverInitialized: false,
+    liveValidationOwner: 'dsl-live',
+    validationOwner: 'dsl-validation',
+    typesOwner: 'dsl-types',
+    wizardOwner: 'dsl-wizard',
+
+    // Marker sources are owned as 'dsl-' + name, so 'live' is the schema check above and 'validation'
+    // the server's; components can add their own, e.g. 'governance'
+    markerOwnerPrefix: 'dsl-',
+
+    // Service interfaces and implementations of the running host; null until the component sets them
+    typeCatalog: null,
+
+    // Languages the DSL can be edited in; both get completion, hover and live validation
+    dslLanguages: ['yaml', 'json'],
+
+    // Base URL of this script; helper scripts and the validation worker live next to it
+    scriptBase: document.currentScript ? document.currentScript.src.replace(/[^/]*$/, '') : '',
+
+    // Editor themes generated from the dashboard's CSS variables, one per effective theme
+    themeNames: { light: 'ef-light', dark: 'ef-dark', 'hc-light': 'ef-hc-light', 'hc-dark': 'ef-hc-dark' },
+
+    // Monaco's base theme for each effective theme
+    themeBases: { light: 'vs', dark: 'vs-dark', 'hc-light': 'hc-light', 'hc-dark': 'hc-black' },
 
     // Set up global theme observer (called once when Monaco is ready)
     _setupThemeObserver: function() {
@@ -13,19 +38,156 @@ window.monacoEditor = {
         this.themeObserverInitialized = true;
 
         // Set initial theme
-        const isDark = document.body.classList.contains('theme-dark');
-        monaco.editor.setTheme(isDark ? 'vs-dark' : 'vs');
-
-        // Watch for theme changes globally
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'class') {
-                    const isDark = document.body.classList.contains('theme-dark');
-                    monaco.editor.setTheme(isDark ? 'vs-dark' : 'vs');
+        this.refreshTheme();
+
+        // Watch for theme classes or inline variables, such as a brand palette's, changing on <html> or <body>
+        const observer = new MutationObserver(() => this._scheduleThemeRefresh());
+        [document.documentElement, document.body].forEach(el =>
+            observer.observe(el, { attributes: true, attributeFilter: ['class', 'style'] }));
+
+        // In system mode the page follows the OS preferences without changing any class
+        if (window.matchMedia) {
+            ['(prefers-color-scheme: dark)', '(prefers-contrast: more)', '(forced-colors: active)', '(prefers-reduced-motion: reduce)']
+                .forEach(query => window.matchMedia(query).addEventListener('change', () => this._scheduleThemeRefresh()));
+        }
+    },
+
+    _scheduleThemeRefresh: function() {
+        cancelAnimationFrame(this._themeFrame);
+        this._themeFrame = requestAnimationFrame(() => this.refreshTheme());
+    },
+
+    // 'light', 'dark', 'hc-light' or 'hc-dark', as themeUtils resolves it (including system mode)
+    _effectiveTheme: function() {
+        if (window.themeUtils && typeof themeUtils.getEffectiveTheme === 'function') {
+            return themeUtils.getEffectiveTheme();
+        }
+        const classes = document.body.classList;
+        const query = q => window.matchMedia && window.matchMedia(q).matches;
+        const dark = classes.contains('theme-dark') || (!classes.contains('theme-light') && query('(prefers-color-scheme: dark)'));
+        const high = classes.contains('theme-high-contrast') || query('(prefers-contrast: more)') || query('(forced-colors: active)');
+        return (high ? 'hc-' : '') + (dark ? 'dark' : 'light');
+    },
+
+    // Editor options that follow the page's accessibility preferences: screen reader mode and reduced motion
+    _accessibilityOptions: function() {
+        const utils = window.themeUtils;
+        const mode = utils && typeof utils.getScreenReaderMode === 'function' ? utils.getScreenReaderMode() : 'auto';
+        const reduced = utils && typeof utils.isReducedMotion === 'function'
+            ? utils.isReducedMotion()
+            : !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+        return {
+            // 'auto' leaves it to Monaco, which turns it on when the platform reports a screen reader
+            accessibilitySupport: mode === 'on' || mode === 'off' ? mode : 'auto',
+            smoothScrolling: false,
+            cursorSmoothCaretAnimation: 'off',
+            cursorBlinking: reduced ? 'solid' : 'blink'
+        };
+    },
+
+    // Re-read the dashboard's CSS variables and apply the matching editor theme, along with the
+    // accessibility options. Hosts that restyle the variables at runtime can call this directly.
+    refreshTheme: function() {
+        if (!this.monacoReady) return;
+        monaco.editor.setTheme(this._defineTheme(this._effectiveTheme()));
+
+        const options = this._accessibilityOptions();
+        monaco.editor.getEditors().forEach(editor => editor.updateOptions(options));
+    },
+
+    // Define the Monaco theme for an effective theme from the CSS variables in effect; returns its name
+    _defineTheme: function(theme) {
+        const high = theme === 'hc-light' || theme === 'hc-dark';
+        const dark = theme === 'dark' || theme === 'hc-dark';
+        const style = getComputedStyle(document.body);
+        // In system mode a page may only define light variables; keep stock colours rather than mixing them
+        const pageBackground = this._cssColor(style, '--color-bg-secondary');
+        const matches = !pageBackground || this._isDark(pageBackground) === dark;
+        const color = (name, fallback) => (matches && this._cssColor(style, name)) || fallback;
+
+        const name = this.themeNames[(high ? 'hc-' : '') + (dark ? 'dark' : 'light')];
+        if (high) {
+            // Monaco's high-contrast themes already draw borders and outlines; only match the page
+            const canvas = color('--color-bg-secondary', dark ? '#000000' : '#ffffff');
+            const text = color('--color-text-primary', dark ? '#ffffff' : '#000000');
+            monaco.editor.defineTheme(name, {
+                base: this.themeBases[theme],
+                inherit: true,
+                rules: [],
+                colors: {
+                    'editor.background': canvas,
+                    'editor.foreground': text,
+                    'editorGutter.background': canvas,
+                    'editorCursor.foreground': text
                 }
             });
+            return name;
+        }
+
+        const background = color('--color-bg-secondary', dark ? '#1f2937' : '#ffffff');
+        const foreground = color('--color-text-primary', dark ? '#f3f4f6' : '#0f172a');
+        const muted = color('--color-text-muted', dark ? '#9ca3af' : '#94a3b8');
+        const primary = color('--color-primary', '#6366f1');
+        const border = color('--color-border-strong', dark ? '#6b728099' : '#94a3b866');
+
+        monaco.editor.defineTheme(name, {
+            base: this.themeBases[dark ? 'dark' : 'light'],
+            inherit: true,
+            rules: [],
+            colors: {
+                'editor.background': background,
+                'editor.foreground': foreground,
+                'editorGutter.background': background,
+                'editorLineNumber.foreground': muted,
+                'editorLineNumber.activeForeground': color('--color-text-secondary', foreground),
+                'editor.lineHighlightBackground': color('--color-bg-primary', background),
+                'editor.selectionBackground': this._withAlpha(primary, '40'),
+                'editor.inactiveSelectionBackground': this._withAlpha(primary, '20'),
+                'editorCursor.foreground': primary,
+                'editorWidget.background': background,
+                'editorWidget.border': border,
+                'editorHoverWidget.background': background,
+                'editorHoverWidget.border': border,
+                'editorSuggestWidget.background': background,
+                'editorSuggestWidget.border': border,
+                'editorSuggestWidget.selectedBackground': color('--color-bg-tertiary', background),
+                'focusBorder': primary,
+                'editorError.foreground': color('--color-error', '#ef4444'),
+                'editorWarning.foreground': color('--color-warning', '#f59e0b'),
+                'editorInfo.foreground': color('--color-info', '#3b82f6')
+            }
         });
-        observer.observe(document.body, { attributes: true });
+        return name;
+    },
+
+    // A CSS colour variable as the #rrggbb or #rrggbbaa form Monaco themes need; null when unset or not a colour
+    _cssColor: function(style, name) {
+        const value = style.getPropertyValue(name).trim();
+        if (!value) return null;
+
+        const probe = this._colorProbe || (this._colorProbe = document.createElement('span'));
+        probe.style.color = '';
+        probe.style.color = value;
+        if (!probe.style.color) return null; // e.g. a gradient
+
+        document.body.appendChild(probe);
+        const resolved = getComputedStyle(probe).color;
+        probe.remove();
+
+        const m = resolved.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,\/]\s*([\d.]+)(%?))?/);
+        if (!m) return null;
+        const hex = n => Math.round(Math.max(0, Math.min(255, n))).toString(16).padStart(2, '0');
+        const alpha = m[4] === undefined ? 1 : parseFloat(m[4]) / (m[5] ? 100 : 1);
+        return '#' + hex(+m[1]) + hex(+m[2]) + hex(+m[3]) + (alpha < 1 ? hex(alpha * 255) : '');
+    },
+
+    _isDark: function(color) {
+        const [r, g, b] = [1, 3, 5].map(i => parseInt(color.substr(i, 2), 16));
+        return 0.299 * r + 0.587 * g + 0.114 * b < 128;
+    },
+
+    _withAlpha: function(color, alpha) {
+        return color.length === 7 ? color + alpha : color;
     },
 
     // Initialize Monaco Editor in a container
@@ -47,14 +209,16 @@ window.monacoEditor = {
             return false;
         }
 
-        // Determine theme based on current page theme
-        const isDark = document.body.classList.contains('theme-dark');
+        // An <ef-dsl-editor> raises what Blazor is told as DOM events too (see ef-dsl-editor.js)
+        if (typeof container.hostHelper === 'function') {
+            dotNetHelper = container.hostHelper(dotNetHelper);
+        }
 
         // Create editor
-        const editor = monaco.editor.create(container, {
+        const editor = monaco.editor.create(container, Object.assign({
             value: options.value || '',
             language: options.language || 'yaml',
-            theme: isDark ? 'vs-dark' : 'vs',
+            theme: this._defineTheme(this._effectiveTheme()),
             automaticLayout: true,
             minimap: { enabled: options.minimap !== false },
             lineNumbers: options.lineNumbers !== false ? 'on' : 'off',
@@ -65,6 +229,7 @@ window.monacoEditor = {
             renderWhitespace: 'selection',
             folding: true,
             readOnly: options.readOnly || false,
+            quickSuggestions: { other: true, comments: false, strings: true },
             scrollbar: {
                 vertical: 'auto',
                 horizontal: 'auto',
@@ -72,14 +237,53 @@ window.monacoEditor = {
                 verticalScrollbarSize: 10,
                 horizontalScrollbarSize: 10
             }
-        });
+        }, this._accessibilityOptions()));
 
         // Store reference
-        this.editors[containerId] = { editor, dotNetHelper };
+        this.editors[containerId] = {
+            editor,
+            dotNetHelper,
+            liveValidation: options.liveValidation !== false
+        };
+
+        // Problems: report the markers of every source when the component listens for them
+        if (options.problems) {
+            const editorData = this.editors[containerId];
+            editorData.markersListener = monaco.editor.onDidChangeMarkers(uris => {
+                const model = editor.getModel();
+                if (model && uris.some(uri => uri.toString() === model.uri.toString())) {
+                    clearTimeout(editorData.markersTimeout);
+                    editorData.markersTimeout = setTimeout(() => this._notifyMarkers(containerId), 150);
+                }
+            });
+        }
+
+        // Screen reader mode on request, from the command palette; themeUtils keeps it for every editor and page
+        if (window.themeUtils && typeof themeUtils.setScreenReaderMode === 'function') {
+            editor.addAction({
+                id: 'ef.toggleScreenReader',
+                label: 'Toggle Screen Reader Optimization',
+                run: () => themeUtils.setScreenReaderMode(themeUtils.getScreenReaderMode() === 'on' ? 'off' : 'on')
+            });
+        }
+
+        // Breadcrumbs: report the symbols around the cursor when the component listens for them
+        if (options.breadcrumbs) {
+            let cursorTimeout;
+            const notify = () => {
+                clearTimeout(cursorTimeout);
+                cursorTimeout = setTimeout(() => this._notifyCursorSymbols(containerId), 150);
+            };
+            editor.onDidChangeCursorPosition(notify);
+            editor.onDidChangeModelContent(notify);
+        }
 
         // Set up change handler with debouncing
         let changeTimeout;
         editor.onDidChangeModelContent(() => {
+            this._scheduleLiveValidation(containerId);
+            this._scheduleTypeValidation(containerId);
+            this._scheduleRuntimeAnnotations(containerId);
             clearTimeout(changeTimeout);
             changeTimeout = setTimeout(async () => {
                 if (dotNetHelper) {
@@ -92,6 +296,9 @@ window.monacoEditor = {
             }, 300); // 300ms debounce
         });
 
+        this._scheduleLiveValidation(containerId);
+        this._scheduleTypeValidation(containerId);
+
         return true;
     },
 
@@ -99,172 +306,2576 @@ window.monacoEditor = {
     _processPendingInitializations: function() {
         while (this.pendingInitializations.length > 0) {
             const pending = this.pendingInitializations.shift();
-            this._createEditor(pending.containerId, pending.options, pending.dotNetHelper);
+            if (pending.diff) {
+                this._createDiffEditor(pending.containerId, pending.options, pending.dotNetHelper);
+            } else if (pending.merge) {
+                this._createMergeEditor(pending.containerId, pending.options, pending.dotNetHelper);
+            } else {
+                this._createEditor(pending.containerId, pending.options, pending.dotNetHelper);
+            }
         }
     },
 
-    // Load Monaco from CDN (called immediately on script load)
-    loadMonaco: function() {
+    // Default loader settings, used when the host passes none. Blazor hosts always pass
+    // MonacoLoaderOptions, whose version comes from the DashboardMonacoVersion build property.
+    defaultLoaderConfig: {
+        version: '0.45.0',
+        sources: [
+            { name: 'cdn', baseUrl: 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' }
+        ],
+        timeoutMs: 15000,
+        retries: 1
+    },
+
+    // Load Monaco, trying each configured source in turn.
+    // Rejects with a description of every failed attempt when no source works.
+    loadMonaco: function(config) {
         if (window.monacoLoading) {
             return window.monacoLoading;
         }
 
-        window.monacoLoading = new Promise((resolve, reject) => {
+        const settings = Object.assign({}, this.defaultLoaderConfig, config || {});
+
+        window.monacoLoading = this._loadFromSources(settings).then(() => {
+            // Configure YAML language
+            monaco.languages.register({ id: 'yaml' });
+
+            // DSL diagnostics for JSON come from the validation worker; appsettings.json allows comments
+            if (monaco.languages.json) {
+                monaco.languages.json.jsonDefaults.setDiagnosticsOptions({ validate: false, allowComments: true, trailingCommas: 'ignore' });
+            }
+
+            // Register schema-aware language features
+            window.monacoEditor._registerLanguageFeatures();
+
+            // Mark Monaco as ready
+            window.monacoEditor.monacoReady = true;
+
+            // Set up global theme observer
+            window.monacoEditor._setupThemeObserver();
+
+            // Process pending initializations
+            window.monacoEditor._processPendingInitializations();
+        }, (error) => {
+            console.error('Failed to load Monaco Editor:', error.message);
+            window.monacoEditor.loadError = error.message;
+            window.monacoEditor.pendingInitializations = [];
+            throw error;
+        });
+
+        return window.monacoLoading;
+    },
+
+    _loadFromSources: async function(settings) {
+        const failures = [];
+        const attempts = Math.max(0, settings.retries) + 1;
+
+        // Whatever AMD loader the page had before Monaco; failed attempts put it back
+        this._amdLoader = { require: window.require, define: window.define };
+
+        for (const source of settings.sources || []) {
+            for (let attempt = 1; attempt <= attempts; attempt++) {
+                try {
+                    await this._withTimeout(this._loadFromSource(source), settings.timeoutMs,
+                        `timed out after ${settings.timeoutMs}ms`);
+                    return;
+                } catch (e) {
+                    this._abandonLoaderAttempt();
+                    failures.push(`${source.name || source.baseUrl} (attempt ${attempt}): ${e && e.message ? e.message : e}`);
+                    if (attempt < attempts) {
+                        await new Promise(r => setTimeout(r, 500 * attempt));
+                    }
+                }
+            }
+        }
+
+        throw new Error('Monaco could not be loaded from any source. ' + failures.join('; '));
+    },
+
+    _withTimeout: function(promise, timeoutMs, message) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    },
+
+    // Load the AMD loader, then the editor modules from the same base URL. A configured
+    // loaderIntegrity (SRI) is checked for loader.min.js only: the AMD loader fetches
+    // editor.main.js, the language bundles and the workers itself, without integrity checks.
+    _loadFromSource: function(source) {
+        const baseUrl = source.baseUrl.replace(/\/+$/, '');
+        const attempt = { cancelled: false, script: null };
+        this._loaderAttempt = attempt;
+
+        return new Promise((resolve, reject) => {
             const script = document.createElement('script');
-            script.src = 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs/loader.min.js';
+            attempt.script = script;
+            script.src = baseUrl + '/loader.min.js';
+            if (source.loaderIntegrity) {
+                script.integrity = source.loaderIntegrity;
+                script.crossOrigin = 'anonymous';
+            }
             script.onload = () => {
+                if (attempt.cancelled) {
+                    // An abandoned attempt's loader ran late and replaced require/define; put back
+                    // the ones in effect (the page's, or those of the source that won)
+                    this._restoreAmdLoader();
+                    return;
+                }
+                if (typeof require === 'undefined' || !require.config) {
+                    reject(new Error('loader.min.js did not define an AMD loader'));
+                    return;
+                }
                 require.config({
-                    paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.45.0/min/vs' }
+                    paths: { 'vs': baseUrl }
                 });
                 require(['vs/editor/editor.main'], () => {
-                    // Configure YAML language
-                    monaco.languages.register({ id: 'yaml' });
-
-                    // Register YAML completion provider
-                    monaco.languages.registerCompletionItemProvider('yaml', {
-                        provideCompletionItems: function(model, position) {
-                            const suggestions = [
-                                {
-                                    label: 'experiments',
-                                    kind: monaco.languages.CompletionItemKind.Keyword,
-                                    insertText: 'experiments:\n  - name: ${1:experiment-name}\n    metadata:\n      displayName: "${2:Display Name}"\n      description: "${3:Description}"\n      category: "${4:Category}"\n    trials:\n      - serviceType: "${5:IServiceType}"\n        selectionMode:\n          type: configurationKey\n          key: "${6:Experiments:Key}"\n        control:\n          key: ${7:default}\n          implementationType: "${8:DefaultImplementation}"\n        conditions:\n          - key: ${9:variant}\n            implementationType: "${10:VariantImplementation}"\n        errorPolicy:\n          type: fallbackToControl',
-                                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                                    documentation: 'Define a new experiment'
-                                },
-                                {
-                                    label: 'trial',
-                                    kind: monaco.languages.CompletionItemKind.Snippet,
-                                    insertText: '- serviceType: "${1:IServiceType}"\n  selectionMode:\n    type: ${2:configurationKey}\n    key: "${3:Experiments:Key}"\n  control:\n    key: ${4:default}\n    implementationType: "${5:DefaultImplementation}"\n  conditions:\n    - key: ${6:variant}\n      implementationType: "${7:VariantImplementation}"',
-                                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                                    documentation: 'Add a trial to an experiment'
-                                },
-                                {
-                                    label: 'condition',
-                                    kind: monaco.languages.CompletionItemKind.Snippet,
-                                    insertText: '- key: ${1:variant}\n  implementationType: "${2:ImplementationType}"',
-                                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                                    documentation: 'Add a condition/variant'
-                                },
-                                {
-                                    label: 'selectionMode',
-                                    kind: monaco.languages.CompletionItemKind.Property,
-                                    insertText: 'selectionMode:\n  type: ${1|configurationKey,featureFlag,rollout,targeting|}\n  key: "${2:key}"',
-                                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                                    documentation: 'Configure selection mode'
-                                },
-                                {
-                                    label: 'errorPolicy',
-                                    kind: monaco.languages.CompletionItemKind.Property,
-                                    insertText: 'errorPolicy:\n  type: ${1|fallbackToControl,throw,fallbackTo,tryInOrder|}',
-                                    insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-                                    documentation: 'Configure error handling policy'
-                                }
-                            ];
-
-                            return { suggestions: suggestions };
-                        }
-                    });
-
-                    // Mark Monaco as ready
-                    window.monacoEditor.monacoReady = true;
-
-                    // Set up global theme observer
-                    window.monacoEditor._setupThemeObserver();
-
-                    // Process pending initializations
-                    window.monacoEditor._processPendingInitializations();
-
+                    if (attempt.cancelled) return;
+                    this._amdLoader = { require: window.require, define: window.define };
+                    this._loaderAttempt = null;
                     resolve();
+                }, (err) => {
+                    reject(new Error('editor modules failed to load: ' + (err && err.message ? err.message : err)));
                 });
             };
-            script.onerror = (e) => {
-                console.error('Failed to load Monaco Editor:', e);
-                reject(e);
+            script.onerror = () => {
+                reject(new Error(`could not load ${script.src} (blocked, missing or failed integrity check)`));
             };
             document.head.appendChild(script);
         });
+    },
 
-        return window.monacoLoading;
+    // Drop a failed or timed-out attempt before the next one: remove its loader script and undo
+    // the AMD globals it defined, so it cannot interfere with the next source
+    _abandonLoaderAttempt: function() {
+        const attempt = this._loaderAttempt;
+        if (!attempt) return;
+
+        attempt.cancelled = true;
+        if (attempt.script) attempt.script.remove();
+        this._loaderAttempt = null;
+        this._restoreAmdLoader();
     },
 
-    // Set editor value
-    setValue: function(containerId, value) {
-        const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            editorData.editor.setValue(value);
-        }
+    _restoreAmdLoader: function() {
+        const loader = this._amdLoader || {};
+        window.require = loader.require;
+        window.define = loader.define;
     },
 
-    // Get editor value
-    getValue: function(containerId) {
-        const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            return editorData.editor.getValue();
+    // Set the DSL JSON schema used for completion (shared by all editors)
+    setSchema: function(schema) {
+        this.dslSchema = schema || null;
+        // Parsed JSON documents carry schema-cased keys, so they depend on the schema
+        this._parseCache = new WeakMap();
+
+        const worker = this._getValidationWorker();
+        if (worker) {
+            worker.postMessage({ type: 'schema', schema: this.dslSchema });
         }
-        return '';
+        Object.keys(this.editors).forEach(id => this._scheduleLiveValidation(id));
     },
 
-    // Set validation markers
-    setMarkers: function(containerId, markers) {
-        const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            const model = editorData.editor.getModel();
-            if (model) {
-                const monacoMarkers = markers.map(m => ({
-                    startLineNumber: m.line || 1,
-                    startColumn: m.column || 1,
-                    endLineNumber: m.endLine || m.line || 1,
-                    endColumn: m.endColumn || (m.column || 1) + 10,
-                    message: m.message,
-                    severity: m.severity === 'error'
-                        ? monaco.MarkerSeverity.Error
-                        : m.severity === 'warning'
-                            ? monaco.MarkerSeverity.Warning
-                            : monaco.MarkerSeverity.Info
-                }));
-                monaco.editor.setModelMarkers(model, 'dsl-validation', monacoMarkers);
+    // Set the host's service and implementation types, used for completion and unknown-type warnings
+    setTypeCatalog: function(services) {
+        this.typeCatalog = { services: services || [] };
+        Object.keys(this.editors).forEach(id => this._scheduleTypeValidation(id));
+    },
+
+    // Worker that runs syntax and schema checks; null when workers are unavailable
+    _getValidationWorker: function() {
+        if (this._validationWorker !== undefined) {
+            return this._validationWorker;
+        }
+
+        try {
+            const worker = new Worker(this.scriptBase + 'dsl-validation-worker.js');
+            worker.onmessage = (event) => {
+                const message = event.data;
+                if (message && message.type === 'markers') {
+                    this._applyLiveMarkers(message.id, message.version, message.markers);
+                }
+            };
+            worker.onerror = (e) => {
+                console.warn('DSL validation worker failed, validating on the main thread:', e.message);
+                worker.terminate();
+                this._validationWorker = null;
+            };
+            if (this.dslSchema) {
+                worker.postMessage({ type: 'schema', schema: this.dslSchema });
             }
+            this._validationWorker = worker;
+        } catch (e) {
+            console.warn('DSL validation worker unavailable, validating on the main thread:', e);
+            this._validationWorker = null;
         }
+        return this._validationWorker;
     },
 
-    // Clear markers
-    clearMarkers: function(containerId) {
+    // Validate as the user types, debounced separately from the Blazor change notification
+    _scheduleLiveValidation: function(containerId) {
         const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            const model = editorData.editor.getModel();
-            if (model) {
-                monaco.editor.setModelMarkers(model, 'dsl-validation', []);
-            }
-        }
+        if (!editorData || !editorData.liveValidation) return;
+
+        clearTimeout(editorData.liveValidationTimeout);
+        editorData.liveValidationTimeout = setTimeout(() => this._runLiveValidation(containerId), 200);
     },
 
-    // Go to line
-    goToLine: function(containerId, line, column) {
+    _runLiveValidation: function(containerId) {
         const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            editorData.editor.revealLineInCenter(line);
-            editorData.editor.setPosition({ lineNumber: line, column: column || 1 });
-            editorData.editor.focus();
+        const model = editorData && editorData.editor.getModel();
+        if (!model) return;
+
+        const version = model.getVersionId();
+        const language = this._languageOf(model);
+        if (!this.dslLanguages.includes(language)) {
+            monaco.editor.setModelMarkers(model, this.liveValidationOwner, []);
+            return;
+        }
+
+        const worker = this._getValidationWorker();
+        if (worker) {
+            worker.postMessage({ type: 'validate', id: containerId, version, text: model.getValue(), language });
+            return;
+        }
+
+        if (window.dslYaml && window.dslJson && window.dslSchema) {
+            this._applyLiveMarkers(containerId, version, dslSchema.diagnose(this.dslSchema, model.getValue(), language));
         }
     },
 
-    // Focus editor
-    focus: function(containerId) {
+    _scheduleTypeValidation: function(containerId) {
         const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            editorData.editor.focus();
+        if (!editorData) return;
+
+        clearTimeout(editorData.typesTimeout);
+        editorData.typesTimeout = setTimeout(() => this._runTypeValidation(containerId), 300);
+    },
+
+    // Warn about service and implementation types the running host does not know
+    _runTypeValidation: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model) return;
+
+        if (!this.typeCatalog || !window.dslTypes || !this.dslLanguages.includes(this._languageOf(model))) {
+            monaco.editor.setModelMarkers(model, this.typesOwner, []);
+            return;
         }
+
+        const markers = dslTypes.diagnose(this.typeCatalog, this._parseModel(model).root);
+        const monacoMarkers = markers.map(m => ({
+            startLineNumber: m.startLineNumber,
+            startColumn: m.startColumn,
+            endLineNumber: m.endLineNumber,
+            endColumn: Math.max(m.endColumn, m.startColumn + 1),
+            message: m.message,
+            severity: this._toMarkerSeverity(m.severity),
+            code: m.code,
+            source: 'host'
+        }));
+        this._setFixData(model, this.typesOwner, monacoMarkers, markers.map(m => m.data));
+        monaco.editor.setModelMarkers(model, this.typesOwner, monacoMarkers);
     },
 
-    // Dispose editor
-    dispose: function(containerId) {
+    _applyLiveMarkers: function(containerId, version, markers) {
         const editorData = this.editors[containerId];
-        if (editorData && editorData.editor) {
-            editorData.editor.dispose();
-            delete this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        // Drop results for text that has changed since it was sent
+        if (!model || model.getVersionId() !== version) return;
+
+        const monacoMarkers = markers.map(m => ({
+            startLineNumber: m.startLineNumber,
+            startColumn: m.startColumn,
+            endLineNumber: m.endLineNumber,
+            endColumn: Math.max(m.endColumn, m.startColumn + 1),
+            message: m.message,
+            severity: this._toMarkerSeverity(m.severity),
+            code: m.code,
+            source: 'schema',
+            relatedInformation: this._relatedInformation(model, m.related)
+        }));
+        this._setFixData(model, this.liveValidationOwner, monacoMarkers, markers.map(m => m.data));
+        monaco.editor.setModelMarkers(model, this.liveValidationOwner, monacoMarkers);
+    },
+
+    // Monaco markers cannot carry arbitrary data, so the fix data of each marker is kept per model and owner
+    _setFixData: function(model, owner, monacoMarkers, data) {
+        this._fixData = this._fixData || new WeakMap();
+        const owners = this._fixData.get(model) || {};
+        owners[owner] = monacoMarkers.map((m, i) => ({ marker: m, data: data[i] || null }));
+        this._fixData.set(model, owners);
+    },
+
+    _fixDataFor: function(model, marker) {
+        const owners = this._fixData && this._fixData.get(model);
+        const entries = owners && owners[marker.owner];
+        const match = entries && entries.find(e =>
+            e.marker.startLineNumber === marker.startLineNumber &&
+            e.marker.startColumn === marker.startColumn &&
+            e.marker.message === marker.message);
+        return match ? match.data : null;
+    },
+
+    // Quick fixes for the DSL markers under the cursor, built by dslFixes from each marker's code and data
+    _provideCodeActions: function(model, context) {
+        const actions = [];
+        if (!window.dslFixes) {
+            return { actions, dispose: () => {} };
         }
-    }
-};
 
-// Don't load Monaco immediately - wait until it's actually needed
-// Components will call loadMonaco() when they need it
+        context.markers
+            .filter(marker => marker.owner.startsWith(this.markerOwnerPrefix) && marker.code)
+            .forEach(marker => {
+                const code = typeof marker.code === 'string' ? marker.code : marker.code.value;
+                const diagnostic = Object.assign({}, marker, { code, data: this._fixDataFor(model, marker) });
+                dslFixes.fixesFor(diagnostic, model.getValue(), this._languageOf(model)).forEach(fix => {
+                    actions.push({
+                        title: fix.title,
+                        kind: 'quickfix',
+                        diagnostics: [marker],
+                        isPreferred: fix.isPreferred,
+                        edit: {
+                            edits: fix.edits.map(edit => ({
+                                resource: model.uri,
+                                textEdit: edit,
+                                versionId: model.getVersionId()
+                            }))
+                        }
+                    });
+                });
+            });
+
+        return { actions, dispose: () => {} };
+    },
+
+    _toMarkerSeverity: function(severity) {
+        return severity === 'error'
+            ? monaco.MarkerSeverity.Error
+            : severity === 'warning'
+                ? monaco.MarkerSeverity.Warning
+                : monaco.MarkerSeverity.Info;
+    },
+
+    _languageOf: function(model) {
+        return typeof model.getLanguageId === 'function' ? model.getLanguageId() : 'yaml';
+    },
+
+    _isJson: function(model) {
+        return this._languageOf(model) === 'json';
+    },
+
+    // Parse a model's YAML or JSON, cached per model version.
+    // JSON keys are renamed to the schema's casing, as the JSON loader matches them case-insensitively.
+    _parseModel: function(model) {
+        this._parseCache = this._parseCache || new WeakMap();
+        const cached = this._parseCache.get(model);
+        const version = model.getVersionId();
+        if (cached && cached.version === version) {
+            return cached;
+        }
+
+        const json = this._isJson(model);
+        const parsed = json ? dslJson.parse(model.getValue()) : dslYaml.parse(model.getValue());
+        if (json && this.dslSchema) {
+            dslSchema.canonicalize(this.dslSchema, parsed.root);
+        }
+        const entry = { version, root: parsed.root, errors: parsed.errors, value: dslYaml.toValue(parsed.root) };
+        this._parseCache.set(model, entry);
+        return entry;
+    },
+
+    _registerLanguageFeatures: function() {
+        const triggerCharacters = { yaml: [' '], json: ['"', ' '] };
+        this.dslLanguages.forEach(language => {
+            monaco.languages.registerCompletionItemProvider(language, {
+                triggerCharacters: triggerCharacters[language],
+                provideCompletionItems: (model, position) => window.monacoEditor._provideCompletions(model, position)
+            });
+
+            monaco.languages.registerHoverProvider(language, {
+                provideHover: (model, position) => window.monacoEditor._provideHover(model, position)
+            });
+
+            monaco.languages.registerCodeActionProvider(language, {
+                provideCodeActions: (model, range, context) => window.monacoEditor._provideCodeActions(model, context)
+            }, { providedCodeActionKinds: ['quickfix'] });
+
+            monaco.languages.registerDefinitionProvider(language, {
+                provideDefinition: (model, position) => window.monacoEditor._provideDefinition(model, position)
+            });
+
+            monaco.languages.registerReferenceProvider(language, {
+                provideReferences: (model, position, context) => window.monacoEditor._provideReferences(model, position, context)
+            });
+
+            monaco.languages.registerRenameProvider(language, {
+                provideRenameEdits: (model, position, newName) => window.monacoEditor._provideRenameEdits(model, position, newName),
+                resolveRenameLocation: (model, position) => window.monacoEditor._resolveRenameLocation(model, position)
+            });
+
+            monaco.languages.registerDocumentSymbolProvider(language, {
+                displayName: 'Experiments',
+                provideDocumentSymbols: model => window.monacoEditor._provideDocumentSymbols(model)
+            });
+
+            monaco.languages.registerDocumentFormattingEditProvider(language, {
+                displayName: 'Experiment DSL',
+                provideDocumentFormattingEdits: model => window.monacoEditor._provideFormattingEdits(model)
+            });
+        });
+    },
+
+    // Hover shows the schema documentation of the key or value under the cursor
+    _provideHover: function(model, position) {
+        const schema = this.dslSchema;
+        if (!schema || !window.dslYaml || !window.dslSchema) {
+            return null;
+        }
+
+        const doc = this._parseModel(model);
+        const hit = dslYaml.findAt(doc.root, position.lineNumber, position.column);
+        if (!hit || (!hit.isKey && (!hit.node || hit.node.kind !== 'scalar'))) {
+            return null;
+        }
+
+        const info = dslSchema.describe(schema, dslSchema.resolve(schema, hit.path, doc.value));
+        if (info.isEmpty) {
+            return null;
+        }
+
+        // List items are documented under the name of their list
+        const name = hit.path.slice().reverse().find(segment => typeof segment === 'string') || '';
+        const current = hit.isKey ? undefined : hit.node.value;
+        const contents = [{ value: `**${name}**: \`${info.typeLabel()}\`` }];
+
+        if (info.description) {
+            contents.push({ value: info.description });
+        }
+
+        const details = [];
+        if (info.default !== undefined && info.default !== null && typeof info.default !== 'object') {
+            details.push(`Default: \`${info.default}\``);
+        }
+        const values = info.allowedValues();
+        if (values.length) {
+            details.push('Allowed values: ' + values
+                .map(v => dslSchema.equalsIgnoreCase(v, current) ? `**\`${v}\`**` : `\`${v}\``)
+                .join(', '));
+        } else if (info.examples) {
+            details.push('Common values: ' + info.examples.map(v => `\`${v}\``).join(', '));
+        }
+        if (info.conditionReference) {
+            details.push('Refers to a condition key (`control.key` or `conditions[].key`).');
+        }
+        if (details.length) {
+            contents.push({ value: details.join('\n\n') });
+        }
+
+        return { range: hit.isKey ? hit.entry.keyRange : hit.node.range, contents };
+    },
+
+    // Completion driven by the DSL schema at the cursor path; plain snippets when no schema is set
+    _provideCompletions: function(model, position) {
+        const schema = this.dslSchema;
+        const json = this._isJson(model);
+        if (!schema || !window.dslYaml || !window.dslJson || !window.dslSchema) {
+            return { suggestions: json ? [] : this._fallbackSuggestions() };
+        }
+
+        let context = (json ? dslJson : dslYaml).getContextAt(model.getValue(), position.lineNumber, position.column);
+        if (!context) {
+            return { suggestions: [] };
+        }
+
+        const doc = this._parseModel(model);
+        if (json) {
+            // JSON keys may be written in any casing; look them up in the schema's
+            context = Object.assign({}, context, { path: dslSchema.canonicalPath(schema, context.path, doc.value) });
+        }
+
+        const info = dslSchema.describe(schema, dslSchema.resolve(schema, context.path, doc.value));
+        const range = {
+            startLineNumber: position.lineNumber,
+            endLineNumber: position.lineNumber,
+            // JSON replaces the whole string, quotes included
+            startColumn: json ? context.prefixStart : position.column - context.prefix.length,
+            endColumn: json ? context.replaceEnd : position.column
+        };
+
+        let suggestions;
+        if (json) {
+            suggestions = context.kind === 'key'
+                ? this._jsonKeySuggestions(model, position, context, info, doc, range)
+                : this._valueSuggestions(context, info, doc, range, true);
+        } else {
+            suggestions = context.kind === 'key'
+                ? this._keySuggestions(model, position, context, info, doc, range)
+                : this._valueSuggestions(context, info, doc, range, false);
+        }
+        return { suggestions };
+    },
+
+    _keySuggestions: function(model, position, context, info, doc, range) {
+        const Kind = monaco.languages.CompletionItemKind;
+        const Snippet = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+
+        // A key typed straight under a list property starts a new item
+        let dash = '';
+        if (info.type === 'array') {
+            info = info.itemInfo();
+            dash = '- ';
+        }
+
+        // Snippets indent continuation lines relative to the line's leading whitespace
+        const leading = model.getLineContent(position.lineNumber).match(/^\s*/)[0].length;
+        const pad = ' '.repeat(Math.max(0, context.keyColumn - 1 - leading) + dash.length);
+
+        const container = dslYaml.getNodeAtPath(doc.root, context.path);
+        const existing = new Set((container && container.kind === 'map' ? container.entries : [])
+            .filter(e => e.keyRange.startLineNumber !== position.lineNumber)
+            .map(e => e.key));
+
+        const suggestions = [];
+        const body = this._itemSnippets[info.title];
+        if (body && context.afterDash && existing.size === 0) {
+            suggestions.push({
+                label: body.label,
+                kind: Kind.Snippet,
+                insertText: body.lines.join('\n' + pad),
+                insertTextRules: Snippet,
+                documentation: body.documentation,
+                sortText: '0',
+                range
+            });
+        }
+
+        Object.keys(info.properties).forEach(name => {
+            if (existing.has(name)) return;
+            const property = info.property(name);
+            const required = info.required.includes(name);
+            suggestions.push({
+                label: name,
+                kind: Kind.Property,
+                detail: property.typeLabel() + (required ? ' (required)' : ''),
+                documentation: this._documentation(property),
+                insertText: dash + this._propertySnippet(name, property, pad),
+                insertTextRules: Snippet,
+                sortText: (required ? '1' : '2') + name,
+                range
+            });
+        });
+
+        return suggestions;
+    },
+
+    _valueSuggestions: function(context, info, doc, range, json) {
+        const Kind = monaco.languages.CompletionItemKind;
+        if (context.inFlowSequence || info.type === 'array') {
+            info = info.itemInfo();
+        }
+
+        const suggestions = [];
+        const seen = new Set();
+        const add = (value, kind, detail, documentation) => {
+            const text = String(value);
+            if (seen.has(text)) return;
+            seen.add(text);
+            // JSON strings are inserted with their quotes; the range already covers any typed ones
+            const insertText = json && typeof value === 'string' ? JSON.stringify(value) : text;
+            suggestions.push({ label: text, kind, detail, documentation, insertText, filterText: json ? insertText : undefined, sortText: String(suggestions.length).padStart(3, '0'), range });
+        };
+
+        // A new object in a JSON list gets the same starter body as a YAML list item
+        const body = json && context.inFlowSequence && !context.quoted ? this._itemSnippets[info.title] : null;
+        if (body) {
+            const pad = ' '.repeat(Math.max(0, context.keyColumn - 1));
+            suggestions.push({
+                label: body.label,
+                kind: Kind.Snippet,
+                insertText: this._jsonSnippet(body.lines, pad, true),
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: body.documentation,
+                sortText: '000',
+                range
+            });
+        }
+
+        info.allowedValues().forEach(v => add(v, Kind.EnumMember, info.typeLabel(), info.description || undefined));
+        (info.examples || []).forEach(v => add(v, Kind.Value, 'example'));
+        if (info.conditionReference) {
+            dslSchema.conditionKeysFor(doc.value, context.path).forEach(k => add(k, Kind.Reference, 'condition key'));
+        }
+        if (this.typeCatalog && window.dslTypes) {
+            this._typeSuggestions(context, doc, range, json).forEach(s => {
+                if (seen.has(s.label)) return;
+                seen.add(s.label);
+                s.sortText = String(suggestions.length).padStart(3, '0');
+                suggestions.push(s);
+            });
+        }
+        if (suggestions.length === 0 && info.default !== undefined && info.default !== null && typeof info.default !== 'object') {
+            add(info.default, Kind.Value, 'default');
+        }
+
+        return suggestions;
+    },
+
+    // Host types for serviceType and implementationType, inserted by full name and matched by simple name too
+    _typeSuggestions: function(context, doc, range, json) {
+        const Kind = monaco.languages.CompletionItemKind;
+        return dslTypes.candidates(this.typeCatalog, doc.root, context.path).map(candidate => {
+            const insertText = json ? JSON.stringify(candidate.type) : candidate.type;
+            return {
+                label: candidate.type,
+                kind: candidate.source === 'service' ? Kind.Interface : Kind.Class,
+                detail: candidate.detail,
+                insertText,
+                filterText: (json ? '"' : '') + candidate.name + ' ' + candidate.type,
+                range
+            };
+        });
+    },
+
+    _snippetChoice: function(values) {
+        return '${1|' + values.map(v => String(v).replace(/[\\|,$}]/g, '\\$&')).join(',') + '|}';
+    },
+
+    _propertySnippet: function(name, property, pad) {
+        const choice = values => this._snippetChoice(values);
+        const child = '\n' + pad + '  ';
+
+        if (property.type === 'object') {
+            const typeValues = property.required.includes('type') ? property.property('type').allowedValues() : [];
+            return typeValues.length
+                ? `${name}:${child}type: ${choice(typeValues)}`
+                : `${name}:${child}$0`;
+        }
+        if (property.type === 'array') {
+            const item = property.itemInfo();
+            return item.type === 'object' || item.isEmpty
+                ? `${name}:${child}- $0`
+                : `${name}: [$0]`;
+        }
+
+        const values = property.allowedValues();
+        if (values.length) {
+            return `${name}: ${choice(values)}`;
+        }
+        if (property.default !== undefined && property.default !== null && typeof property.default !== 'object') {
+            return `${name}: \${1:${String(property.default).replace(/[\\$}]/g, '\\$&')}}`;
+        }
+        return `${name}: $0`;
+    },
+
+    // Key completion inside a JSON object; keys are offered in the PascalCase appsettings.json uses
+    _jsonKeySuggestions: function(model, position, context, info, doc, range) {
+        const Kind = monaco.languages.CompletionItemKind;
+        const Snippet = monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet;
+        const pad = ' '.repeat(Math.max(0, context.keyColumn - 1));
+
+        const container = dslYaml.getNodeAtPath(doc.root, context.path);
+        const existing = new Set((container && container.kind === 'map' ? container.entries : [])
+            .filter(e => e.keyRange.startLineNumber !== position.lineNumber)
+            .map(e => e.key));
+
+        const suggestions = [];
+        const body = this._itemSnippets[info.title];
+        if (body && context.afterDash && existing.size === 0) {
+            suggestions.push({
+                label: body.label,
+                kind: Kind.Snippet,
+                insertText: this._jsonSnippet(body.lines, pad, false),
+                insertTextRules: Snippet,
+                documentation: body.documentation,
+                sortText: '0',
+                range
+            });
+        }
+
+        Object.keys(info.properties).forEach(name => {
+            if (existing.has(name)) return;
+            const property = info.property(name);
+            const required = info.required.includes(name);
+            const key = this._jsonKey(name);
+            suggestions.push({
+                label: key,
+                kind: Kind.Property,
+                detail: property.typeLabel() + (required ? ' (required)' : ''),
+                documentation: this._documentation(property),
+                insertText: this._jsonPropertySnippet(key, property, pad),
+                insertTextRules: Snippet,
+                filterText: (context.quoted ? '"' : '') + key,
+                sortText: (required ? '1' : '2') + name,
+                range
+            });
+        });
+
+        return suggestions;
+    },
+
+    _jsonKey: function(name) {
+        return name ? name[0].toUpperCase() + name.slice(1) : name;
+    },
+
+    _jsonPropertySnippet: function(key, property, pad) {
+        const head = JSON.stringify(key) + ': ';
+        const child = '\n' + pad + '  ';
+        const close = '\n' + pad;
+        const text = value => String(value).replace(/[\\$}]/g, '\\$&');
+
+        if (property.type === 'object') {
+            const typeValues = property.required.includes('type') ? property.property('type').allowedValues() : [];
+            return typeValues.length
+                ? `${head}{${child}"Type": "${this._snippetChoice(typeValues)}"${close}}`
+                : `${head}{${child}$0${close}}`;
+        }
+        if (property.type === 'array') {
+            const item = property.itemInfo();
+            return item.type === 'object' || item.isEmpty
+                ? `${head}[${child}$0${close}]`
+                : `${head}[$0]`;
+        }
+
+        const values = property.allowedValues();
+        const quote = property.type === 'string' || (values.length && typeof values[0] === 'string') ? '"' : '';
+        if (values.length) {
+            return `${head}${quote}${this._snippetChoice(values)}${quote}`;
+        }
+        if (property.default !== undefined && property.default !== null && typeof property.default !== 'object') {
+            return `${head}${quote}\${1:${text(property.default)}}${quote}`;
+        }
+        return `${head}${quote}$0${quote}`;
+    },
+
+    // JSON form of a YAML item snippet: the members only, or a whole object when `braces` is set.
+    // Snippets only use schema keys, so every key is written in PascalCase.
+    _jsonSnippet: function(lines, pad, braces) {
+        const converted = window.dslConvert ? dslConvert.convert(lines.join('\n'), 'yaml', 'json').text : null;
+        if (!converted) return '';
+
+        let body = converted.trimEnd().split('\n').map(line => line.replace(/^(\s*")([a-z])/, (m, head, first) => head + first.toUpperCase()));
+        if (!braces) {
+            body = body.slice(1, -1).map(line => line.slice(2));
+        }
+        return body.join('\n' + pad);
+    },
+
+    _documentation: function(info) {
+        const parts = [];
+        if (info.description) parts.push(info.description);
+        if (info.default !== undefined && info.default !== null && typeof info.default !== 'object') {
+            parts.push(`Default: \`${info.default}\``);
+        }
+        const values = info.allowedValues();
+        if (values.length) {
+            parts.push('Allowed values: ' + values.map(v => `\`${v}\``).join(', '));
+        }
+        return parts.length ? { value: parts.join('\n\n') } : undefined;
+    },
+
+    // Bodies offered on an empty list item, keyed by the schema title of the item
+    _itemSnippets: {
+        ExperimentConfig: {
+            label: 'experiment',
+            documentation: 'Define a new experiment',
+            lines: [
+                'name: ${1:experiment-name}',
+                'metadata:',
+                '  displayName: "${2:Display Name}"',
+                'trials:',
+                '  - serviceType: "${3:IServiceType}"',
+                '    selectionMode:',
+                '      type: configurationKey',
+                '      key: "${4:Experiments:Key}"',
+                '    control:',
+                '      key: ${5:default}',
+                '      implementationType: "${6:DefaultImplementation}"',
+                '    conditions:',
+                '      - key: ${7:variant}',
+                '        implementationType: "${8:VariantImplementation}"'
+            ]
+        },
+        TrialConfig: {
+            label: 'trial',
+            documentation: 'Add a trial to an experiment',
+            lines: [
+                'serviceType: "${1:IServiceType}"',
+                'selectionMode:',
+                '  type: ${2:configurationKey}',
+                '  key: "${3:Experiments:Key}"',
+                'control:',
+                '  key: ${4:default}',
+                '  implementationType: "${5:DefaultImplementation}"',
+                'conditions:',
+                '  - key: ${6:variant}',
+                '    implementationType: "${7:VariantImplementation}"'
+            ]
+        },
+        ConditionConfig: {
+            label: 'condition',
+            documentation: 'Add a condition/variant',
+            lines: [
+                'key: ${1:variant}',
+                'implementationType: "${2:ImplementationType}"'
+            ]
+        }
+    },
+
+    // Static snippets used until a schema has been provided
+    _fallbackSuggestions: function() {
+        return [
+            {
+                label: 'experiments',
+                kind: monaco.languages.CompletionItemKind.Keyword,
+                insertText: 'experiments:\n  - name: ${1:experiment-name}\n    metadata:\n      displayName: "${2:Display Name}"\n      description: "${3:Description}"\n      category: "${4:Category}"\n    trials:\n      - serviceType: "${5:IServiceType}"\n        selectionMode:\n          type: configurationKey\n          key: "${6:Experiments:Key}"\n        control:\n          key: ${7:default}\n          implementationType: "${8:DefaultImplementation}"\n        conditions:\n          - key: ${9:variant}\n            implementationType: "${10:VariantImplementation}"\n        errorPolicy:\n          type: fallbackToControl',
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: 'Define a new experiment'
+            },
+            {
+                label: 'trial',
+                kind: monaco.languages.CompletionItemKind.Snippet,
+                insertText: '- serviceType: "${1:IServiceType}"\n  selectionMode:\n    type: ${2:configurationKey}\n    key: "${3:Experiments:Key}"\n  control:\n    key: ${4:default}\n    implementationType: "${5:DefaultImplementation}"\n  conditions:\n    - key: ${6:variant}\n      implementationType: "${7:VariantImplementation}"',
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: 'Add a trial to an experiment'
+            },
+            {
+                label: 'condition',
+                kind: monaco.languages.CompletionItemKind.Snippet,
+                insertText: '- key: ${1:variant}\n  implementationType: "${2:ImplementationType}"',
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: 'Add a condition/variant'
+            },
+            {
+                label: 'selectionMode',
+                kind: monaco.languages.CompletionItemKind.Property,
+                insertText: 'selectionMode:\n  type: ${1|configurationKey,featureFlag,rollout,targeting|}\n  key: "${2:key}"',
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: 'Configure selection mode'
+            },
+            {
+                label: 'errorPolicy',
+                kind: monaco.languages.CompletionItemKind.Property,
+                insertText: 'errorPolicy:\n  type: ${1|fallbackToControl,throw,fallbackTo,tryInOrder|}',
+                insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+                documentation: 'Configure error handling policy'
+            }
+        ];
+    },
+
+    // --------------------------------------------------------------------
+    // Condition key references
+    // --------------------------------------------------------------------
+
+    // Condition key definitions and references of a model, indexed once per parse
+    _conditionIndex: function(model) {
+        const doc = this._parseModel(model);
+        if (!doc.conditionIndex) {
+            doc.conditionIndex = dslReferences.index(doc.root, doc.value, this.dslSchema);
+        }
+        return doc.conditionIndex;
+    },
+
+    _conditionAt: function(model, position) {
+        if (!window.dslYaml || !window.dslReferences) {
+            return null;
+        }
+        const index = this._conditionIndex(model);
+        const occurrence = dslReferences.occurrenceAt(index, position.lineNumber, position.column);
+        return occurrence ? { index, occurrence } : null;
+    },
+
+    // F12 on a reference goes to the control or condition defining the key
+    _provideDefinition: function(model, position) {
+        const hit = this._conditionAt(model, position);
+        if (!hit || !hit.occurrence.definitions.length) {
+            return null;
+        }
+        return hit.occurrence.definitions.map(d => ({ uri: model.uri, range: d.node.range }));
+    },
+
+    _provideReferences: function(model, position, context) {
+        const hit = this._conditionAt(model, position);
+        if (!hit) {
+            return [];
+        }
+        return dslReferences.related(hit.index, hit.occurrence)
+            .filter(o => o.kind === 'reference' || context.includeDeclaration)
+            .map(o => ({ uri: model.uri, range: o.node.range }));
+    },
+
+    _resolveRenameLocation: function(model, position) {
+        const hit = this._conditionAt(model, position);
+        if (!hit) {
+            return {
+                range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column),
+                text: '',
+                rejectReason: 'Only condition keys can be renamed.'
+            };
+        }
+        return { range: hit.occurrence.node.range, text: hit.occurrence.key };
+    },
+
+    // F2 renames the key where it is defined and everywhere it is referenced
+    _provideRenameEdits: function(model, position, newName) {
+        const hit = this._conditionAt(model, position);
+        if (!hit) {
+            return { edits: [], rejectReason: 'Only condition keys can be renamed.' };
+        }
+
+        const result = dslReferences.renameEdits(hit.index, hit.occurrence, newName, this._isJson(model));
+        if (result.error) {
+            return { edits: [], rejectReason: result.error };
+        }
+        const versionId = model.getVersionId();
+        return {
+            edits: result.edits.map(textEdit => ({ resource: model.uri, versionId, textEdit }))
+        };
+    },
+
+    // --------------------------------------------------------------------
+    // Document symbols
+    // --------------------------------------------------------------------
+
+    // Outline of the DSL: experiments → trials → control and conditions, plus each experiment's hypothesis.
+    // Paths use the validator's form (experiments[0].trials[1]) relative to the configuration section.
+    _dslSymbols: function(model) {
+        if (!window.dslYaml || !window.dslSchema) {
+            return [];
+        }
+
+        const doc = this._parseModel(model);
+        const section = dslSchema.section(doc.root);
+        const root = section ? section.value : doc.root;
+        if (!root || root.kind !== 'map') {
+            return [];
+        }
+
+        const symbols = this._symbolItems(root, 'experiments', '').map(({ node, path, index }) => {
+            const children = this._trialSymbols(node, path);
+            const hypothesis = this._symbolEntry(node, 'hypothesis');
+            if (hypothesis && hypothesis.value && hypothesis.value.kind === 'map') {
+                children.push(this._symbol('hypothesis',
+                    this._symbolText(hypothesis.value, 'name') || 'hypothesis',
+                    this._symbolText(hypothesis.value, 'type'),
+                    `${path}.hypothesis`, hypothesis, this._symbolEntry(hypothesis.value, 'name'), []));
+            }
+            return this._symbol('experiment', this._symbolText(node, 'name') || `experiment ${index + 1}`,
+                this._countLabel(this._symbolItems(node, 'trials', path).length, 'trial'),
+                path, node, this._symbolEntry(node, 'name'), children);
+        });
+
+        // Standalone trials outside any experiment
+        return symbols.concat(this._trialSymbols(root, ''));
+    },
+
+    _trialSymbols: function(parent, parentPath) {
+        return this._symbolItems(parent, 'trials', parentPath).map(({ node, path }) => {
+            const children = [];
+            const control = this._symbolEntry(node, 'control');
+            if (control && control.value && control.value.kind === 'map') {
+                children.push(this._symbol('control',
+                    this._symbolText(control.value, 'key') || 'control',
+                    this._symbolText(control.value, 'implementationType'),
+                    `${path}.control`, control, this._symbolEntry(control.value, 'key'), []));
+            }
+            this._symbolItems(node, 'conditions', path).forEach(condition => {
+                children.push(this._symbol('condition',
+                    this._symbolText(condition.node, 'key') || 'condition',
+                    this._symbolText(condition.node, 'implementationType'),
+                    condition.path, condition.node, this._symbolEntry(condition.node, 'key'), []));
+            });
+
+            const selectionMode = this._symbolEntry(node, 'selectionMode');
+            return this._symbol('trial', this._symbolText(node, 'serviceType') || 'trial',
+                selectionMode && selectionMode.value ? this._symbolText(selectionMode.value, 'type') : '',
+                path, node, this._symbolEntry(node, 'serviceType'), children);
+        });
+    },
+
+    // Map items of a list member, with their paths; JSON keys may be in any casing
+    _symbolItems: function(node, key, parentPath) {
+        const entry = this._symbolEntry(node, key);
+        if (!entry || !entry.value || entry.value.kind !== 'seq') {
+            return [];
+        }
+        const prefix = parentPath ? `${parentPath}.${key}` : key;
+        return entry.value.items
+            .map((item, index) => ({ node: item, index, path: `${prefix}[${index}]` }))
+            .filter(item => item.node && item.node.kind === 'map' && item.node.range);
+    },
+
+    _symbolEntry: function(node, key) {
+        if (!node || node.kind !== 'map') return null;
+        const lower = key.toLowerCase();
+        return node.entries.find(e => !e.incomplete && e.key.toLowerCase() === lower) || null;
+    },
+
+    _symbolText: function(node, key) {
+        const entry = this._symbolEntry(node, key);
+        return entry && entry.value && entry.value.kind === 'scalar' && entry.value.value !== null
+            ? String(entry.value.value)
+            : '';
+    },
+
+    _countLabel: function(count, noun) {
+        return `${count} ${noun}${count === 1 ? '' : 's'}`;
+    },
+
+    // The named value is selected when the symbol is revealed; otherwise the start of its block
+    _symbol: function(kind, name, detail, path, owner, nameEntry, children) {
+        const range = owner.range;
+        const selection = nameEntry && nameEntry.value && nameEntry.value.range
+            ? nameEntry.value.range
+            : owner.keyRange || {
+                startLineNumber: range.startLineNumber,
+                startColumn: range.startColumn,
+                endLineNumber: range.startLineNumber,
+                endColumn: range.startColumn
+            };
+        return { kind, name, detail: detail || '', path, range, selectionRange: selection, children };
+    },
+
+    _provideDocumentSymbols: function(model) {
+        const Kind = monaco.languages.SymbolKind;
+        const kinds = {
+            experiment: Kind.Namespace,
+            trial: Kind.Class,
+            control: Kind.Constant,
+            condition: Kind.EnumMember,
+            hypothesis: Kind.Event
+        };
+        const toDocumentSymbol = symbol => ({
+            name: symbol.name,
+            detail: symbol.detail,
+            kind: kinds[symbol.kind],
+            tags: [],
+            range: symbol.range,
+            selectionRange: symbol.selectionRange,
+            children: symbol.children.map(toDocumentSymbol)
+        });
+        return this._dslSymbols(model).map(toDocumentSymbol);
+    },
+
+    // Rewrites the whole document in the canonical layout; no edits while it has syntax errors
+    _provideFormattingEdits: function(model) {
+        if (!window.dslConvert) {
+            return [];
+        }
+        const text = model.getValue();
+        const result = dslConvert.format(text, this._languageOf(model));
+        if (result.text === null || result.text === text) {
+            return [];
+        }
+        return [{ range: model.getFullModelRange(), text: result.text }];
+    },
+
+    // Symbols enclosing a position, outermost first
+    _symbolChainAt: function(symbols, position) {
+        const chain = [];
+        let level = symbols;
+        while (level.length) {
+            const hit = level.find(s => monaco.Range.containsPosition(s.range, position));
+            if (!hit) break;
+            chain.push(hit);
+            level = hit.children;
+        }
+        return chain;
+    },
+
+    _toSymbolInfo: function(symbol, withChildren) {
+        return {
+            name: symbol.name,
+            detail: symbol.detail,
+            kind: symbol.kind,
+            path: symbol.path,
+            line: symbol.selectionRange.startLineNumber,
+            column: symbol.selectionRange.startColumn,
+            endLine: symbol.range.endLineNumber,
+            endColumn: symbol.range.endColumn,
+            children: withChildren ? symbol.children.map(child => this._toSymbolInfo(child, true)) : []
+        };
+    },
+
+    // Tell Blazor which symbols enclose the cursor, when that changes
+    _notifyCursorSymbols: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        const position = editorData && editorData.editor.getPosition();
+        if (!model || !position || !editorData.dotNetHelper) {
+            return;
+        }
+
+        const chain = this._symbolChainAt(this._dslSymbols(model), position)
+            .map(symbol => this._toSymbolInfo(symbol, false));
+        const key = chain.map(s => `${s.path}=${s.name}`).join('|');
+        if (key === editorData.cursorSymbolsKey) {
+            return;
+        }
+        editorData.cursorSymbolsKey = key;
+        editorData.dotNetHelper.invokeMethodAsync('OnCursorSymbolsChanged', chain)
+            .catch(e => console.error('Failed to notify Blazor of cursor symbols:', e));
+    },
+
+    // Outline tree for the editor content: [{ name, detail, kind, path, line, column, endLine, endColumn, children }]
+    getSymbols: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        return model ? this._dslSymbols(model).map(symbol => this._toSymbolInfo(symbol, true)) : [];
+    },
+
+    // Select a symbol by path and scroll it into view. Returns false when the path no longer exists.
+    revealSymbol: function(containerId, path) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model) {
+            return false;
+        }
+
+        const find = symbols => {
+            for (const symbol of symbols) {
+                if (symbol.path === path) return symbol;
+                const child = find(symbol.children);
+                if (child) return child;
+            }
+            return null;
+        };
+        const symbol = find(this._dslSymbols(model));
+        if (!symbol) {
+            return false;
+        }
+
+        const editor = editorData.editor;
+        editor.setSelection(symbol.selectionRange);
+        editor.revealRangeInCenterIfOutsideViewport(symbol.range);
+        editor.focus();
+        return true;
+    },
+
+    // --------------------------------------------------------------------
+    // Runtime annotations
+    // --------------------------------------------------------------------
+
+    /**
+     * Shows live state after the lines naming each experiment and condition, as decorations that
+     * leave the text untouched. Experiments are matched by name and conditions by key:
+     * [{ name, isActive, activeVariant, killSwitchOn, disabledVariants: [key], usage: { key: calls } }]
+     */
+    setRuntimeAnnotations: function(containerId, experiments) {
+        const editorData = this.editors[containerId];
+        if (!editorData) {
+            return;
+        }
+        editorData.runtime = experiments || [];
+        this._renderRuntimeAnnotations(containerId);
+    },
+
+    clearRuntimeAnnotations: function(containerId) {
+        this.setRuntimeAnnotations(containerId, []);
+    },
+
+    // Edits can add, rename or move experiments; match them again once typing pauses
+    _scheduleRuntimeAnnotations: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (!editorData || !editorData.runtime || !editorData.runtime.length) {
+            return;
+        }
+        clearTimeout(editorData.runtimeTimeout);
+        editorData.runtimeTimeout = setTimeout(() => this._renderRuntimeAnnotations(containerId), 300);
+    },
+
+    _renderRuntimeAnnotations: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model) {
+            return;
+        }
+
+        const states = new Map(editorData.runtime.map(state => [state.name, state]));
+        const decorations = [];
+        const annotate = (symbol, hint) => {
+            if (!hint) return;
+            const line = symbol.selectionRange.startLineNumber;
+            const column = model.getLineMaxColumn(line);
+            decorations.push({
+                range: new monaco.Range(line, column, line, column),
+                options: {
+                    after: { content: '  ' + hint.text, inlineClassName: 'ef-runtime-hint ' + hint.state },
+                    hoverMessage: { value: hint.title }
+                }
+            });
+        };
+
+        this._dslSymbols(model).filter(symbol => symbol.kind === 'experiment').forEach(experiment => {
+            const state = states.get(experiment.name);
+            if (!state) return;
+
+            annotate(experiment, this._experimentHint(state));
+            const usage = state.usage || {};
+            const total = Object.keys(usage).reduce((sum, key) => sum + usage[key], 0);
+            experiment.children
+                .filter(symbol => symbol.kind === 'trial')
+                .forEach(trial => trial.children.forEach(condition => annotate(condition, this._conditionHint(state, condition.name, usage, total))));
+        });
+
+        if (!editorData.runtimeDecorations) {
+            editorData.runtimeDecorations = editorData.editor.createDecorationsCollection();
+        }
+        editorData.runtimeDecorations.set(decorations);
+    },
+
+    _experimentHint: function(state) {
+        if (state.killSwitchOn) {
+            return { text: '⛔ kill switch ON', state: 'killed', title: 'The kill switch is on; every call uses the control.' };
+        }
+        if (state.isActive) {
+            return {
+                text: '● active' + (state.activeVariant ? ` · ${state.activeVariant}` : ''),
+                state: 'active',
+                title: 'The experiment is running' + (state.activeVariant ? ` with \`${state.activeVariant}\` selected.` : '.')
+            };
+        }
+        return { text: '○ inactive', state: 'inactive', title: 'The experiment is not running.' };
+    },
+
+    _conditionHint: function(state, key, usage, total) {
+        if ((state.disabledVariants || []).includes(key)) {
+            return { text: '⛔ kill switch ON', state: 'killed', title: `The kill switch is on for \`${key}\`.` };
+        }
+
+        const parts = [];
+        if (state.isActive && !state.killSwitchOn && state.activeVariant === key) {
+            parts.push('● active');
+        }
+        if (total > 0) {
+            const calls = usage[key] || 0;
+            parts.push(`${Math.round(calls * 100 / total)}% of calls`);
+        }
+        if (!parts.length) {
+            return null;
+        }
+        return {
+            text: parts.join(' · '),
+            state: parts[0] === '● active' ? 'active' : 'traffic',
+            title: total > 0 ? `${usage[key] || 0} of ${total} recorded calls.` : 'Currently selected.'
+        };
+    },
+
+    // --------------------------------------------------------------------
+    // Read-only regions
+    // --------------------------------------------------------------------
+
+    // Monaco has no read-only ranges, so an edit that changes a locked region is undone as soon as it lands.
+    // Regions are whole lines tracked by decorations, which move with edits made around them. Each group
+    // ('ranges' from setReadOnlyRanges, 'experiments' from setLockedExperiments) keeps its decorations and
+    // the text each region had when it was locked: { collection, labels, regions: [{ message, text }] }.
+
+    /**
+     * Makes whole lines read-only, with a lock decoration and the message as hover:
+     * [{ startLineNumber, endLineNumber, message }]
+     */
+    setReadOnlyRanges: function(containerId, ranges) {
+        const editorData = this.editors[containerId];
+        if (!editorData) return;
+
+        editorData.readOnlyRanges = ranges || [];
+        this._lockRanges(containerId);
+    },
+
+    /**
+     * Makes the blocks of experiments that governance protects read-only, matched by name and again
+     * as edits add, rename or move experiments. The hover says who approved it or what state it is in:
+     * [{ experimentName, state, lastModified, lastModifiedBy, approvedBy, approvedAt, approvalReason }]
+     */
+    setLockedExperiments: function(containerId, locks) {
+        const editorData = this.editors[containerId];
+        if (!editorData) return;
+
+        editorData.lockedExperiments = locks || [];
+        this._lockExperiments(containerId);
+    },
+
+    _lockRanges: function(containerId) {
+        const editorData = this.editors[containerId];
+        this._setLockRegions(containerId, 'ranges', (editorData.readOnlyRanges || []).map(range => ({
+            startLineNumber: range.startLineNumber,
+            endLineNumber: range.endLineNumber,
+            message: range.message || 'This part of the document is read-only.'
+        })));
+    },
+
+    _lockExperiments: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData.editor.getModel();
+        const locks = new Map((editorData.lockedExperiments || []).map(lock => [lock.experimentName, lock]));
+        const regions = [];
+        if (locks.size > 0) {
+            this._dslSymbols(model).filter(symbol => symbol.kind === 'experiment').forEach(symbol => {
+                const lock = locks.get(symbol.name);
+                if (!lock) return;
+                locks.delete(symbol.name);
+
+                // A block ends where the next one starts; the line it stops at is not part of it
+                const range = symbol.range;
+                const endLineNumber = range.endColumn === 1 && range.endLineNumber > range.startLineNumber
+                    ? range.endLineNumber - 1
+                    : range.endLineNumber;
+                const hint = this._lockHint(lock);
+                regions.push({
+                    startLineNumber: range.startLineNumber,
+                    endLineNumber,
+                    labelLineNumber: symbol.selectionRange.startLineNumber,
+                    label: hint.label,
+                    message: hint.message
+                });
+            });
+        }
+        this._setLockRegions(containerId, 'experiments', regions);
+    },
+
+    _setLockRegions: function(containerId, name, regions) {
+        const editorData = this.editors[containerId];
+        const editor = editorData.editor;
+        const model = editor.getModel();
+        if (!model) return;
+
+        editorData.locks = editorData.locks || {};
+        const group = editorData.locks[name] || (editorData.locks[name] = {
+            collection: editor.createDecorationsCollection(),
+            labels: editor.createDecorationsCollection(),
+            regions: []
+        });
+
+        const lineCount = model.getLineCount();
+        const valid = regions.filter(region => region.startLineNumber >= 1
+            && region.startLineNumber <= lineCount
+            && region.endLineNumber >= region.startLineNumber);
+        const ranges = valid.map(region => {
+            const end = Math.min(region.endLineNumber, lineCount);
+            return new monaco.Range(region.startLineNumber, 1, end, model.getLineMaxColumn(end));
+        });
+
+        group.collection.set(valid.map((region, i) => ({
+            range: ranges[i],
+            options: {
+                isWholeLine: true,
+                stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+                className: 'ef-locked-region',
+                linesDecorationsClassName: 'ef-locked-gutter',
+                hoverMessage: { value: region.message }
+            }
+        })));
+        group.labels.set(valid.filter(region => region.label).map(region => {
+            const line = Math.min(region.labelLineNumber || region.startLineNumber, lineCount);
+            const column = model.getLineMaxColumn(line);
+            return {
+                range: new monaco.Range(line, column, line, column),
+                options: {
+                    after: { content: '  ' + region.label, inlineClassName: 'ef-lock-hint' },
+                    hoverMessage: { value: region.message }
+                }
+            };
+        }));
+        group.regions = valid.map((region, i) => ({ message: region.message, text: model.getValueInRange(ranges[i]) }));
+
+        editorData.lockSnapshot = model.getValue();
+        this._ensureLockGuard(containerId);
+    },
+
+    _lockHint: function(lock) {
+        const name = `\`${lock.experimentName}\``;
+        const when = time => time && new Date(time).getFullYear() > 1 ? ` on ${new Date(time).toLocaleString()}` : '';
+        const by = actor => actor ? ` by ${actor}` : '';
+        const since = (verb, actor, time) => actor || when(time) ? ` (${verb}${by(actor)}${when(time)})` : '';
+        const approval = lock.approvedBy || lock.approvedAt
+            ? ` Approved${by(lock.approvedBy)}${when(lock.approvedAt)}${lock.approvalReason ? `: ${lock.approvalReason}` : ''}.`
+            : '';
+
+        switch (lock.state) {
+            case 'PendingApproval':
+                return {
+                    label: '🔒 pending approval',
+                    message: `**Locked.** ${name} is waiting for approval${since('submitted', lock.lastModifiedBy, lock.lastModified)}. ` +
+                        'It can be edited again once the request is approved or rejected.'
+                };
+            case 'Approved':
+                return {
+                    label: '🔒 approved',
+                    message: `**Locked.** ${name} has been approved; editing it would need a new approval.${approval}`
+                };
+            default: {
+                const state = (lock.state || 'protected').toLowerCase();
+                return {
+                    label: `🔒 ${state}`,
+                    message: `**Locked.** ${name} is ${state}${since('changed', lock.lastModifiedBy, lock.lastModified)}. ` +
+                        `Pause it from the Lifecycle page before editing.${approval}`
+                };
+            }
+        }
+    },
+
+    _ensureLockGuard: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (editorData.lockGuard) return;
+
+        editorData.lockGuard = editorData.editor.onDidChangeModelContent(e => this._guardLocks(containerId, e));
+    },
+
+    // The first locked region an edit changed, moved off its own lines or removed, or null
+    _lockViolation: function(editorData, model) {
+        for (const group of Object.values(editorData.locks || {})) {
+            for (let i = 0; i < group.regions.length; i++) {
+                const range = group.collection.getRange(i);
+                if (!range
+                    || range.startColumn !== 1
+                    || range.endColumn !== model.getLineMaxColumn(range.endLineNumber)
+                    || model.getValueInRange(range) !== group.regions[i].text) {
+                    return group.regions[i];
+                }
+            }
+        }
+        return null;
+    },
+
+    _guardLocks: function(containerId, e) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model || editorData.revertingLock) return;
+
+        // New content (loaded, converted or restored): find the regions again
+        if (e.isFlush) {
+            this._lockRanges(containerId);
+            this._lockExperiments(containerId);
+            return;
+        }
+
+        const violation = this._lockViolation(editorData, model);
+        if (!violation) {
+            editorData.lockSnapshot = model.getValue();
+            this._scheduleLockMatch(containerId);
+            return;
+        }
+
+        // Take the edit off the undo stack (or put back what an undo removed), so history stays consistent
+        editorData.revertingLock = true;
+        try {
+            if (e.isUndoing) {
+                model.redo();
+            } else {
+                model.undo();
+            }
+            // Typing merged into one undo step can undo more than the blocked edit; restore exactly
+            if (model.getValue() !== editorData.lockSnapshot) {
+                this._restoreText(model, editorData.lockSnapshot);
+            }
+        } finally {
+            editorData.revertingLock = false;
+        }
+
+        const controller = editorData.editor.getContribution('editor.contrib.messageController');
+        if (controller && editorData.editor.getPosition()) {
+            controller.showMessage(violation.message.replace(/\*\*|`/g, ''), editorData.editor.getPosition());
+        }
+    },
+
+    // Replace only the part of the text that differs, so decorations elsewhere stay where they are
+    _restoreText: function(model, text) {
+        const current = model.getValue();
+        let start = 0;
+        while (start < current.length && start < text.length && current[start] === text[start]) start++;
+        let end = 0;
+        while (end < current.length - start && end < text.length - start
+            && current[current.length - 1 - end] === text[text.length - 1 - end]) end++;
+
+        const from = model.getPositionAt(start);
+        const to = model.getPositionAt(current.length - end);
+        model.pushEditOperations([], [{
+            range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+            text: text.substring(start, text.length - end)
+        }], () => null);
+    },
+
+    // Edits can add, rename or move experiments; match the locks again once typing pauses and the
+    // document parses, keeping the tracked regions while it is half-edited
+    _scheduleLockMatch: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (!editorData.lockedExperiments || !editorData.lockedExperiments.length) return;
+
+        clearTimeout(editorData.lockTimeout);
+        editorData.lockTimeout = setTimeout(() => {
+            const current = this.editors[containerId];
+            const model = current && current.editor.getModel();
+            if (model && this._parseModel(model).errors.length === 0) {
+                this._lockExperiments(containerId);
+            }
+        }, 300);
+    },
+
+    // --------------------------------------------------------------------
+    // Create Experiment wizard
+    // --------------------------------------------------------------------
+
+    /**
+     * Reads the wizard model from the editor content (or from `text` when there is no editor) and marks
+     * what the wizard cannot show. Returns { model, unsupported: [{ path, message, line, endLine }], errors }
+     * where model is null while the text has syntax errors.
+     */
+    readWizard: function(containerId, text) {
+        if (!window.dslWizard) {
+            return { model: null, unsupported: [], errors: ['The wizard script is not loaded.'] };
+        }
+
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        const result = dslWizard.read(model ? model.getValue() : text);
+        if (model) {
+            // While the text does not parse, the syntax errors are the markers that matter
+            monaco.editor.setModelMarkers(model, this.wizardOwner, result.unsupported.map(u => Object.assign({
+                message: u.message,
+                severity: monaco.MarkerSeverity.Info,
+                source: 'wizard'
+            }, u.range)));
+        }
+
+        return {
+            model: result.model,
+            unsupported: result.unsupported.map(u => ({
+                path: u.path,
+                message: u.message,
+                line: u.range.startLineNumber,
+                endLine: u.range.endLineNumber
+            })),
+            errors: result.errors.map(e => e.message)
+        };
+    },
+
+    /**
+     * Highlights the text a wizard field was read from (or the block it would go in) and scrolls it into
+     * view without taking focus. A null field clears the highlight. Returns false when nothing matched.
+     */
+    highlightWizardField: function(containerId, field) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model || !window.dslWizard) {
+            return false;
+        }
+
+        if (!editorData.wizardHighlight) {
+            editorData.wizardHighlight = editorData.editor.createDecorationsCollection();
+        }
+        const range = field ? dslWizard.rangeOf(dslWizard.read(model.getValue()).fields, field) : null;
+        if (!range) {
+            editorData.wizardHighlight.clear();
+            return false;
+        }
+
+        editorData.wizardHighlight.set([{
+            range,
+            options: { className: 'ef-wizard-field', isWholeLine: range.startLineNumber !== range.endLineNumber }
+        }]);
+        editorData.editor.revealRangeInCenterIfOutsideViewport(range);
+        return true;
+    },
+
+    // --------------------------------------------------------------------
+    // Fluent API preview
+    // --------------------------------------------------------------------
+
+    /**
+     * Shows the builder code for the configuration in `sourceId` in the read-only editor `previewId` and
+     * keeps it current as the configuration changes. Moving the cursor in either editor highlights the
+     * matching range in the other. Returns false until both editors exist.
+     */
+    linkFluentPreview: function(sourceId, previewId) {
+        const source = this.editors[sourceId];
+        const preview = this.editors[previewId];
+        if (!source || !preview || !window.dslFluent) {
+            return false;
+        }
+
+        this._unlinkFluentPreview(source);
+        const link = {
+            previewId,
+            segments: [],
+            sourceHighlight: source.editor.createDecorationsCollection(),
+            previewHighlight: preview.editor.createDecorationsCollection()
+        };
+        link.listeners = [
+            source.editor.onDidChangeModelContent(() => {
+                clearTimeout(link.timeout);
+                link.timeout = setTimeout(() => this._renderFluentPreview(sourceId), 300);
+            }),
+            source.editor.onDidChangeCursorPosition(e => {
+                if (source.editor.hasTextFocus()) this._highlightFluentLink(sourceId, 'source', e.position.lineNumber);
+            }),
+            preview.editor.onDidChangeCursorPosition(e => {
+                if (preview.editor.hasTextFocus()) this._highlightFluentLink(sourceId, 'preview', e.position.lineNumber);
+            })
+        ];
+        source.fluentPreview = link;
+        this._renderFluentPreview(sourceId);
+        return true;
+    },
+
+    _unlinkFluentPreview: function(editorData) {
+        const link = editorData.fluentPreview;
+        if (!link) return;
+
+        clearTimeout(link.timeout);
+        link.listeners.forEach(listener => listener.dispose());
+        link.sourceHighlight.clear();
+        link.previewHighlight.clear();
+        delete editorData.fluentPreview;
+    },
+
+    // While the configuration has syntax errors the last code stays up, with nothing linked
+    _renderFluentPreview: function(sourceId) {
+        const source = this.editors[sourceId];
+        const link = source && source.fluentPreview;
+        const preview = link && this.editors[link.previewId];
+        const model = source && source.editor.getModel();
+        const previewModel = preview && preview.editor.getModel();
+        if (!model || !previewModel) {
+            return;
+        }
+
+        const parsed = this._parseModel(model);
+        const result = dslFluent.generate({ root: parsed.root, errors: parsed.errors });
+        link.segments = result.segments;
+        link.sourceHighlight.clear();
+        link.previewHighlight.clear();
+        if (result.text !== null && result.text !== previewModel.getValue()) {
+            // An edit rather than setValue keeps the preview's scroll position
+            previewModel.applyEdits([{ range: previewModel.getFullModelRange(), text: result.text }]);
+        }
+    },
+
+    // Highlights the other side of the innermost segment around `line` of the focused editor
+    _highlightFluentLink: function(sourceId, side, line) {
+        const source = this.editors[sourceId];
+        const link = source && source.fluentPreview;
+        const preview = link && this.editors[link.previewId];
+        if (!preview) {
+            return;
+        }
+
+        const segment = side === 'source'
+            ? dslFluent.segmentAtSource(link.segments, line)
+            : dslFluent.segmentAtCode(link.segments, line);
+        if (!segment) {
+            link.sourceHighlight.clear();
+            link.previewHighlight.clear();
+            return;
+        }
+
+        const codeRange = new monaco.Range(segment.startLineNumber, 1, segment.endLineNumber, 1);
+        link.sourceHighlight.set([{ range: segment.range, options: { className: 'ef-fluent-link', isWholeLine: true } }]);
+        link.previewHighlight.set([{ range: codeRange, options: { className: 'ef-fluent-link', isWholeLine: true } }]);
+        const other = side === 'source' ? preview.editor : source.editor;
+        other.revealRangeInCenterIfOutsideViewport(side === 'source' ? codeRange : segment.range);
+    },
+
+    // --------------------------------------------------------------------
+    // Problems
+    // --------------------------------------------------------------------
+
+    _markerOwner: function(source) {
+        return source ? this.markerOwnerPrefix + source : this.validationOwner;
+    },
+
+    // The range of a marker sent from Blazor. Without an end past its start it covers the word at the
+    // start, or the rest of the line when there is none.
+    _markerRange: function(model, m) {
+        const lineCount = model.getLineCount();
+        const line = Math.min(Math.max(m.line || 1, 1), lineCount);
+        const column = Math.min(Math.max(m.column || 1, 1), model.getLineMaxColumn(line));
+        const endLine = Math.min(m.endLine || 0, lineCount);
+        if (endLine > line || (endLine === line && (m.endColumn || 0) > column)) {
+            return { startLineNumber: line, startColumn: column, endLineNumber: endLine, endColumn: m.endColumn || 1 };
+        }
+
+        const word = model.getWordAtPosition({ lineNumber: line, column });
+        const endColumn = word && word.startColumn === column ? word.endColumn : model.getLineMaxColumn(line);
+        return { startLineNumber: line, startColumn: column, endLineNumber: line, endColumn: Math.max(endColumn, column + 1) };
+    },
+
+    // Related locations ([{ message, range }]) as Monaco shows them under the marker, linked to the range
+    _relatedInformation: function(model, related) {
+        if (!related || related.length === 0) {
+            return undefined;
+        }
+        return related.map(r => Object.assign({ resource: model.uri, message: r.message }, r.range));
+    },
+
+    _fromMarkerSeverity: function(severity) {
+        return severity === monaco.MarkerSeverity.Error
+            ? 'error'
+            : severity === monaco.MarkerSeverity.Warning
+                ? 'warning'
+                : 'info';
+    },
+
+    _toProblem: function(model, marker) {
+        const data = this._fixDataFor(model, marker);
+        return {
+            source: marker.owner.substring(this.markerOwnerPrefix.length),
+            line: marker.startLineNumber,
+            column: marker.startColumn,
+            endLine: marker.endLineNumber,
+            endColumn: marker.endColumn,
+            message: marker.message,
+            severity: this._fromMarkerSeverity(marker.severity),
+            code: marker.code ? (typeof marker.code === 'string' ? marker.code : marker.code.value) : null,
+            path: data && data.path ? data.path : '',
+            relatedInformation: (marker.relatedInformation || []).map(r => ({
+                message: r.message,
+                line: r.startLineNumber,
+                column: r.startColumn,
+                endLine: r.endLineNumber,
+                endColumn: r.endColumn
+            }))
+        };
+    },
+
+    /**
+     * The markers of one source, or of every DSL source, in document order:
+     * [{ source, line, column, endLine, endColumn, message, severity, code, path, relatedInformation }].
+     */
+    getMarkers: function(containerId, source) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model) {
+            return [];
+        }
+
+        const owner = source ? this._markerOwner(source) : null;
+        return monaco.editor.getModelMarkers({ resource: model.uri })
+            .filter(m => owner ? m.owner === owner : m.owner.startsWith(this.markerOwnerPrefix))
+            .sort((x, y) => x.startLineNumber - y.startLineNumber || x.startColumn - y.startColumn)
+            .map(m => this._toProblem(model, m));
+    },
+
+    /**
+     * Selects the next or previous problem from the cursor, wrapping at either end, and scrolls to it.
+     * Returns the problem, or null when there are none.
+     */
+    goToProblem: function(containerId, direction) {
+        const editorData = this.editors[containerId];
+        const problems = this.getMarkers(containerId);
+        if (!editorData || problems.length === 0) {
+            return null;
+        }
+
+        const editor = editorData.editor;
+        const position = editor.getPosition() || { lineNumber: 1, column: 1 };
+        const compare = p => p.line - position.lineNumber || p.column - position.column;
+        const previous = direction === 'previous';
+        // Problems that start at the same place are stepped through in order
+        const current = problems[editorData.problemIndex];
+        let index;
+        if (current && compare(current) === 0) {
+            index = (editorData.problemIndex + (previous ? problems.length - 1 : 1)) % problems.length;
+        } else if (previous) {
+            index = problems.map(compare).reduce((last, c, i) => c < 0 ? i : last, problems.length - 1);
+        } else {
+            index = Math.max(problems.findIndex(p => compare(p) > 0), 0);
+        }
+
+        const problem = problems[index];
+        editorData.problemIndex = index;
+        editor.setSelection(new monaco.Selection(problem.endLine, problem.endColumn, problem.line, problem.column));
+        editor.revealRangeInCenterIfOutsideViewport(new monaco.Range(problem.line, problem.column, problem.endLine, problem.endColumn));
+        editor.focus();
+        return problem;
+    },
+
+    _notifyMarkers: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (!editorData || !editorData.dotNetHelper) {
+            return;
+        }
+
+        const problems = this.getMarkers(containerId);
+        const key = JSON.stringify(problems);
+        if (key === editorData.markersKey) {
+            return;
+        }
+        editorData.markersKey = key;
+        editorData.dotNetHelper.invokeMethodAsync('OnMarkersChanged', problems)
+            .catch(e => console.error('Failed to notify Blazor of markers:', e));
+    },
+
+    // --------------------------------------------------------------------
+    // Editor actions
+    // --------------------------------------------------------------------
+
+    /**
+     * Adds commands that call back into Blazor (OnEditorAction) when run from a keybinding, the context
+     * menu or the F1 command palette. An action replaces any earlier one with the same id:
+     * [{ id, label, keybindings: ['Ctrl+Shift+V'], contextMenuGroup, contextMenuOrder }]
+     */
+    addActions: function(containerId, actions) {
+        const editorData = this.editors[containerId];
+        if (!editorData) return;
+
+        editorData.actions = editorData.actions || {};
+        (actions || []).forEach(action => {
+            this.removeAction(containerId, action.id);
+            editorData.actions[action.id] = editorData.editor.addAction({
+                id: action.id,
+                label: action.label,
+                keybindings: (action.keybindings || []).map(k => this._parseKeybinding(k)).filter(k => k !== null),
+                contextMenuGroupId: action.contextMenuGroup || undefined,
+                contextMenuOrder: action.contextMenuOrder || 0,
+                run: () => this._runAction(containerId, action.id)
+            });
+        });
+    },
+
+    removeAction: function(containerId, actionId) {
+        const editorData = this.editors[containerId];
+        const action = editorData && editorData.actions && editorData.actions[actionId];
+        if (action) {
+            action.dispose();
+            delete editorData.actions[actionId];
+        }
+    },
+
+    _runAction: async function(containerId, actionId) {
+        const editorData = this.editors[containerId];
+        if (!editorData || !editorData.dotNetHelper) return;
+
+        try {
+            // The text goes along so Blazor does not act on a value still waiting for the change debounce
+            await editorData.dotNetHelper.invokeMethodAsync('OnEditorAction', actionId, editorData.editor.getValue());
+        } catch (e) {
+            console.error(`Failed to run editor action '${actionId}':`, e);
+        }
+    },
+
+    // 'Ctrl+Shift+V' as a Monaco keybinding; Ctrl is Cmd on macOS. Null when the chord is not understood.
+    _parseKeybinding: function(chord) {
+        const modifiers = {
+            ctrl: monaco.KeyMod.CtrlCmd,
+            cmd: monaco.KeyMod.CtrlCmd,
+            shift: monaco.KeyMod.Shift,
+            alt: monaco.KeyMod.Alt,
+            option: monaco.KeyMod.Alt,
+            meta: monaco.KeyMod.WinCtrl,
+            win: monaco.KeyMod.WinCtrl
+        };
+        const aliases = { esc: 'Escape', del: 'Delete', ins: 'Insert', space: 'Space', return: 'Enter' };
+
+        let binding = 0;
+        let keyCode = null;
+        for (const part of String(chord || '').split('+').map(p => p.trim()).filter(Boolean)) {
+            const lower = part.toLowerCase();
+            if (modifiers[lower] !== undefined) {
+                binding |= modifiers[lower];
+                continue;
+            }
+            if (keyCode !== null) return null;
+
+            const name = /^[a-z]$/.test(lower) ? 'Key' + lower.toUpperCase()
+                : /^[0-9]$/.test(lower) ? 'Digit' + lower
+                    : aliases[lower] || part.charAt(0).toUpperCase() + part.slice(1);
+            keyCode = monaco.KeyCode[name];
+            if (keyCode === undefined) return null;
+        }
+        return keyCode === null ? null : binding | keyCode;
+    },
+
+    // Format with the formatter registered for the model's language (the canonical DSL layout)
+    format: function(containerId) {
+        const editorData = this.editors[containerId];
+        const action = editorData && editorData.editor.getAction('editor.action.formatDocument');
+        return action ? action.run() : Promise.resolve();
+    },
+
+    // Append a new experiment to the experiments list as a snippet, adding the list when there is none.
+    // Returns false when the document has no place to put it, e.g. a JSON document that is not an object.
+    insertExperiment: function(containerId) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model || !window.dslYaml || !window.dslSchema) return false;
+
+        const doc = this._parseModel(model);
+        const section = dslSchema.section(doc.root);
+        const insertion = this._isJson(model)
+            ? this._jsonExperimentInsertion(section ? section.value : doc.root)
+            : this._yamlExperimentInsertion(model, section ? section.value : doc.root);
+        if (!insertion) return false;
+
+        const editor = editorData.editor;
+        editor.setSelection(insertion.range);
+        editor.focus();
+        editor.getContribution('snippetController2').insert(insertion.snippet, { adjustWhitespace: false });
+        return true;
+    },
+
+    _experimentsEntry: function(root) {
+        return root && root.kind === 'map'
+            ? root.entries.find(e => !e.incomplete && e.key.toLowerCase() === 'experiments') || null
+            : null;
+    },
+
+    _pointAt: function(line, column) {
+        return { startLineNumber: line, startColumn: column, endLineNumber: line, endColumn: column };
+    },
+
+    _yamlExperimentInsertion: function(model, root) {
+        const lines = this._itemSnippets.ExperimentConfig.lines;
+        const item = pad => pad + '- ' + lines.join('\n' + pad + '  ');
+        const entry = this._experimentsEntry(root);
+        const list = entry && entry.value;
+
+        if (list && list.kind === 'seq' && !list.flow && list.items.length) {
+            const pad = ' '.repeat(list.range.startColumn - 1);
+            const line = list.range.endLineNumber;
+            return { range: this._pointAt(line, model.getLineMaxColumn(line)), snippet: '\n' + item(pad) };
+        }
+
+        if (entry && (!list || (list.kind === 'seq' && !list.items.length))) {
+            // Replace an empty value or [] after the key with a block list
+            const pad = ' '.repeat(entry.keyRange.startColumn - 1);
+            const end = list ? list.range : entry.keyRange;
+            return {
+                range: {
+                    startLineNumber: entry.keyRange.endLineNumber,
+                    startColumn: entry.keyRange.endColumn,
+                    endLineNumber: end.endLineNumber,
+                    endColumn: list ? end.endColumn : model.getLineMaxColumn(end.endLineNumber)
+                },
+                snippet: ':\n' + item(pad + '  ')
+            };
+        }
+        if (entry) return null;
+
+        if (root && root.kind === 'map' && root.entries.length) {
+            const pad = ' '.repeat(root.entries[0].keyRange.startColumn - 1);
+            const line = root.range.endLineNumber;
+            return { range: this._pointAt(line, model.getLineMaxColumn(line)), snippet: '\n' + pad + 'experiments:\n' + item(pad + '  ') };
+        }
+        if (root) return null;
+
+        const line = model.getLineCount();
+        const lead = model.getLineContent(line).trim() ? '\n' : '';
+        return { range: this._pointAt(line, model.getLineMaxColumn(line)), snippet: lead + 'experiments:\n' + item('  ') };
+    },
+
+    _jsonExperimentInsertion: function(root) {
+        const lines = this._itemSnippets.ExperimentConfig.lines;
+        const entry = this._experimentsEntry(root);
+        const list = entry && entry.value;
+
+        if (list && list.kind === 'seq' && list.items.length && list.items[list.items.length - 1]) {
+            const last = list.items[list.items.length - 1];
+            const pad = ' '.repeat(last.range.startColumn - 1);
+            return {
+                range: this._pointAt(last.range.endLineNumber, last.range.endColumn),
+                snippet: ',\n' + pad + this._jsonSnippet(lines, pad, true)
+            };
+        }
+
+        const pad = entry ? ' '.repeat(entry.keyRange.startColumn - 1) : null;
+        if (list && list.kind === 'seq' && !list.items.length) {
+            return {
+                range: list.range,
+                snippet: '[\n' + pad + '  ' + this._jsonSnippet(lines, pad + '  ', true) + '\n' + pad + ']'
+            };
+        }
+        if (entry || !root || root.kind !== 'map' || !root.entries.length) return null;
+
+        const last = root.entries[root.entries.length - 1];
+        const keyPad = ' '.repeat(root.entries[0].keyRange.startColumn - 1);
+        return {
+            range: this._pointAt(last.range.endLineNumber, last.range.endColumn),
+            snippet: ',\n' + keyPad + '"Experiments": [\n' + keyPad + '  '
+                + this._jsonSnippet(lines, keyPad + '  ', true) + '\n' + keyPad + ']'
+        };
+    },
+
+    // --------------------------------------------------------------------
+    // Drafts
+    // --------------------------------------------------------------------
+
+    // Unapplied text is kept in IndexedDB, so it survives a dropped circuit or a closed tab.
+    // Records are { key, text, language, savedAt (ms since epoch), baseVersion, baseYaml }, one per document key.
+    draftDatabase: 'experimentframework-dsl',
+    draftStore: 'drafts',
+    draftDelay: 1000,
+    _draftDb: null,
+
+    _openDrafts: function() {
+        if (!this._draftDb) {
+            this._draftDb = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.draftDatabase, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.draftStore, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Try again next time, e.g. after the user allows storage
+            this._draftDb.catch(() => { this._draftDb = null; });
+        }
+        return this._draftDb;
+    },
+
+    _draftTransaction: function(mode, operation) {
+        return this._openDrafts().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.draftStore, mode);
+            const request = operation(transaction.objectStore(this.draftStore));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+    },
+
+    // Keep the editor's text as a draft under `key` from now on, recording the server version it is based on
+    // and, when given, the server YAML at that version so a stale draft can be merged.
+    // The text as it is now is the base: editing back to it removes the draft. Call again after loading
+    // or applying; a null key stops saving.
+    enableDrafts: function(containerId, key, baseVersion, baseYaml) {
+        const editorData = this.editors[containerId];
+        if (!editorData) return;
+
+        clearTimeout(editorData.draftTimeout);
+        editorData.draftTimeout = null;
+        editorData.draft = key
+            ? { key, baseVersion: baseVersion || null, baseYaml: baseYaml || null, baseText: editorData.editor.getValue() }
+            : null;
+        if (!editorData.draftListener) {
+            editorData.draftListener = editorData.editor.onDidChangeModelContent(() => this._scheduleDraftSave(containerId));
+        }
+    },
+
+    _scheduleDraftSave: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (!editorData || !editorData.draft) return;
+
+        clearTimeout(editorData.draftTimeout);
+        editorData.draftTimeout = setTimeout(() => {
+            editorData.draftTimeout = null;
+            this._saveDraft(editorData);
+        }, this.draftDelay);
+    },
+
+    _saveDraft: function(editorData) {
+        const model = editorData.editor.getModel();
+        if (!editorData.draft || !model) return Promise.resolve();
+
+        const text = model.getValue();
+        if (text === editorData.draft.baseText) {
+            const key = editorData.draft.key;
+            return this._draftTransaction('readwrite', store => store.delete(key))
+                .catch(e => console.warn('Failed to remove the editor draft:', e));
+        }
+
+        const record = {
+            key: editorData.draft.key,
+            text,
+            language: this._languageOf(model),
+            savedAt: Date.now(),
+            baseVersion: editorData.draft.baseVersion,
+            baseYaml: editorData.draft.baseYaml
+        };
+        return this._draftTransaction('readwrite', store => store.put(record))
+            .catch(e => console.warn('Failed to save the editor draft:', e));
+    },
+
+    // Save now instead of after the pause in typing, e.g. before the page goes away
+    _flushDrafts: function() {
+        Object.values(this.editors).forEach(editorData => {
+            if (editorData.draftTimeout) {
+                clearTimeout(editorData.draftTimeout);
+                editorData.draftTimeout = null;
+                this._saveDraft(editorData);
+            }
+        });
+    },
+
+    // The stored draft for a key, or null when there is none or storage is unavailable
+    getDraft: function(key) {
+        return this._draftTransaction('readonly', store => store.get(key))
+            .then(record => record || null)
+            .catch(() => null);
+    },
+
+    discardDraft: function(key) {
+        Object.values(this.editors).forEach(editorData => {
+            if (editorData.draft && editorData.draft.key === key) {
+                clearTimeout(editorData.draftTimeout);
+                editorData.draftTimeout = null;
+            }
+        });
+        return this._draftTransaction('readwrite', store => store.delete(key))
+            .then(() => true)
+            .catch(() => false);
+    },
+
+    // Convert the editor content between YAML and JSON, keeping comments, key order and the cursor.
+    // Returns { success, language, message }; content with syntax errors is left unchanged.
+    convertLanguage: function(containerId, language) {
+        const editorData = this.editors[containerId];
+        const model = editorData && editorData.editor.getModel();
+        if (!model) {
+            return { success: false, language, message: 'The editor is not ready.' };
+        }
+
+        const from = this._languageOf(model);
+        if (from === language) {
+            return { success: true, language, message: null };
+        }
+        if (!window.dslConvert || !this.dslLanguages.includes(from) || !this.dslLanguages.includes(language)) {
+            return { success: false, language: from, message: `Cannot convert ${from} to ${language}.` };
+        }
+
+        const editor = editorData.editor;
+        const result = dslConvert.convert(model.getValue(), from, language, { schema: this.dslSchema, position: editor.getPosition() });
+        if (result.text === null) {
+            const first = result.errors[0];
+            return {
+                success: false,
+                language: from,
+                message: `Fix the syntax error on line ${first.startLineNumber} before converting: ${first.message}`
+            };
+        }
+
+        monaco.editor.setModelLanguage(model, language);
+        model.setValue(result.text);
+        if (result.position) {
+            editor.setPosition(result.position);
+            editor.revealPositionInCenter(result.position);
+        }
+        return { success: true, language, message: null };
+    },
+
+    // Convert DSL text without an editor (used for server requests and the textarea fallback).
+    // Returns null when the text has syntax errors.
+    convertText: function(text, from, to) {
+        if (from === to) return text;
+        return window.dslConvert ? dslConvert.convert(text, from, to, { schema: this.dslSchema }).text : null;
+    },
+
+    // Move markers reported against one form of a document onto the same keys in another form
+    mapMarkers: function(fromText, fromLanguage, toText, toLanguage, markers) {
+        if (!window.dslConvert || fromLanguage === toLanguage) return markers;
+        return markers.map(m => {
+            const mapped = dslConvert.mapRange(fromText, fromLanguage, toText, toLanguage, {
+                startLineNumber: m.line || 1,
+                startColumn: m.column || 1,
+                endLineNumber: m.endLine || m.line || 1,
+                endColumn: m.endColumn || (m.column || 1) + 1
+            }, this.dslSchema);
+            return mapped
+                ? Object.assign({}, m, { line: mapped.startLineNumber, column: mapped.startColumn, endLine: mapped.endLineNumber, endColumn: mapped.endColumn })
+                : Object.assign({}, m, { line: 1, column: 1, endLine: 1, endColumn: 1 });
+        });
+    },
+
+    // Set editor value
+    setValue: function(containerId, value) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            editorData.editor.setValue(value);
+        }
+    },
+
+    // Get editor value
+    getValue: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            return editorData.editor.getValue();
+        }
+        return '';
+    },
+
+    // Set the markers of one source, replacing its earlier ones; the source defaults to server validation
+    setMarkers: function(containerId, markers, source) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            const model = editorData.editor.getModel();
+            if (model) {
+                const owner = this._markerOwner(source);
+                const monacoMarkers = markers.map(m => Object.assign(this._markerRange(model, m), {
+                    message: m.message,
+                    severity: this._toMarkerSeverity(m.severity),
+                    code: m.code || undefined,
+                    source: source || undefined,
+                    relatedInformation: this._relatedInformation(model, (m.relatedInformation || []).map(r => ({
+                        message: r.message,
+                        range: this._markerRange(model, r)
+                    })))
+                }));
+                // Fix data from the validate endpoint; the path is kept with it for the quick fixes
+                this._setFixData(model, owner, monacoMarkers,
+                    markers.map(m => m.code ? Object.assign({ path: m.path }, m.data || {}) : null));
+                monaco.editor.setModelMarkers(model, owner, monacoMarkers);
+            }
+        }
+    },
+
+    // Clear the markers of one source, by default server validation
+    clearMarkers: function(containerId, source) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            const model = editorData.editor.getModel();
+            if (model) {
+                monaco.editor.setModelMarkers(model, this._markerOwner(source), []);
+            }
+        }
+    },
+
+    // Go to line
+    goToLine: function(containerId, line, column) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            editorData.editor.revealLineInCenter(line);
+            editorData.editor.setPosition({ lineNumber: line, column: column || 1 });
+            editorData.editor.focus();
+        }
+    },
+
+    // Focus editor
+    focus: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            editorData.editor.focus();
+        }
+    },
+
+    // Dispose editor
+    dispose: function(containerId) {
+        const editorData = this.editors[containerId];
+        if (editorData && editorData.editor) {
+            clearTimeout(editorData.liveValidationTimeout);
+            clearTimeout(editorData.runtimeTimeout);
+            clearTimeout(editorData.typesTimeout);
+            clearTimeout(editorData.lockTimeout);
+            clearTimeout(editorData.markersTimeout);
+            if (editorData.markersListener) {
+                editorData.markersListener.dispose();
+            }
+            // Typing that has not been saved yet still belongs in the draft
+            if (editorData.draftTimeout) {
+                clearTimeout(editorData.draftTimeout);
+                this._saveDraft(editorData);
+            }
+            Object.values(this.editors)
+                .filter(other => other === editorData || (other.fluentPreview && other.fluentPreview.previewId === containerId))
+                .forEach(other => this._unlinkFluentPreview(other));
+            editorData.editor.dispose();
+            delete this.editors[containerId];
+        }
+    },
+
+    // --------------------------------------------------------------------
+    // Diff editor
+    // --------------------------------------------------------------------
+
+    // Initialize a read-only diff editor comparing options.original with options.modified
+    initializeDiff: function(containerId, options, dotNetHelper) {
+        if (!this.monacoReady) {
+            this.pendingInitializations.push({ containerId, options, dotNetHelper, diff: true });
+            return true;
+        }
+
+        return this._createDiffEditor(containerId, options, dotNetHelper);
+    },
+
+    _createDiffEditor: function(containerId, options, dotNetHelper) {
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.error('Container not found:', containerId);
+            return false;
+        }
+
+        const language = options.language || 'yaml';
+        const originalModel = monaco.editor.createModel(options.original || '', language);
+        const modifiedModel = monaco.editor.createModel(options.modified || '', language);
+
+        const diffEditor = monaco.editor.createDiffEditor(container, Object.assign({
+            automaticLayout: true,
+            readOnly: true,
+            originalEditable: false,
+            renderSideBySide: options.sideBySide !== false,
+            minimap: { enabled: false },
+            fontSize: options.fontSize || 14,
+            scrollBeyondLastLine: false,
+            renderOverviewRuler: true,
+            ignoreTrimWhitespace: false,
+            scrollbar: {
+                useShadows: false,
+                verticalScrollbarSize: 10,
+                horizontalScrollbarSize: 10
+            }
+        }, this._accessibilityOptions()));
+        diffEditor.setModel({ original: originalModel, modified: modifiedModel });
+
+        this.diffEditors[containerId] = { diffEditor, originalModel, modifiedModel, dotNetHelper, changeIndex: -1 };
+
+        // Diffs are computed asynchronously; report the change count once known
+        diffEditor.onDidUpdateDiff(async () => {
+            const data = this.diffEditors[containerId];
+            if (!data) return;
+            data.changeIndex = -1;
+            if (dotNetHelper) {
+                try {
+                    await dotNetHelper.invokeMethodAsync('OnDiffUpdated', this._getLineChanges(containerId).length);
+                } catch (e) {
+                    console.error('Failed to notify Blazor of diff update:', e);
+                }
+            }
+        });
+
+        return true;
+    },
+
+    // Replace either side of the diff; null or undefined leaves that side unchanged
+    setDiffValues: function(containerId, original, modified) {
+        const data = this.diffEditors[containerId];
+        if (!data) return;
+
+        if (original !== null && original !== undefined && data.originalModel.getValue() !== original) {
+            data.originalModel.setValue(original);
+        }
+        if (modified !== null && modified !== undefined && data.modifiedModel.getValue() !== modified) {
+            data.modifiedModel.setValue(modified);
+        }
+    },
+
+    _getLineChanges: function(containerId) {
+        const data = this.diffEditors[containerId];
+        return (data && data.diffEditor.getLineChanges()) || [];
+    },
+
+    // Move to the next or previous change (wrapping); returns { index, count } with a 1-based index
+    navigateDiff: function(containerId, direction) {
+        const data = this.diffEditors[containerId];
+        const changes = this._getLineChanges(containerId);
+        if (!data || changes.length === 0) {
+            return { index: 0, count: 0 };
+        }
+
+        const step = direction === 'previous' ? -1 : 1;
+        data.changeIndex = data.changeIndex < 0
+            ? (step > 0 ? 0 : changes.length - 1)
+            : (data.changeIndex + step + changes.length) % changes.length;
+
+        // Pure deletions report the modified line before the removal, which may be 0
+        const line = Math.max(1, changes[data.changeIndex].modifiedStartLineNumber);
+        const modifiedEditor = data.diffEditor.getModifiedEditor();
+        modifiedEditor.revealLineInCenter(line);
+        modifiedEditor.setPosition({ lineNumber: line, column: 1 });
+
+        return { index: data.changeIndex + 1, count: changes.length };
+    },
+
+    disposeDiff: function(containerId) {
+        const data = this.diffEditors[containerId];
+        if (data) {
+            data.diffEditor.dispose();
+            data.originalModel.dispose();
+            data.modifiedModel.dispose();
+            delete this.diffEditors[containerId];
+        }
+    },
+
+    // --------------------------------------------------------------------
+    // Merge editor
+    // --------------------------------------------------------------------
+
+    // Three-way merge of a stale draft: read-only theirs / base / mine panes above an editable result
+    // seeded by dslMerge.merge. The component renders the panes as `${containerId}-theirs`, `-base`,
+    // `-mine` and `-result`; options are { base, theirs, mine, language, fontSize }.
+    mergeSides: ['theirs', 'base', 'mine'],
+
+    initializeMerge: function(containerId, options, dotNetHelper) {
+        if (!this.monacoReady) {
+            this.pendingInitializations.push({ containerId, options, dotNetHelper, merge: true });
+            return true;
+        }
+
+        return this._createMergeEditor(containerId, options, dotNetHelper);
+    },
+
+    _createMergeEditor: function(containerId, options, dotNetHelper) {
+        const containers = {};
+        for (const pane of this.mergeSides.concat('result')) {
+            containers[pane] = document.getElementById(`${containerId}-${pane}`);
+            if (!containers[pane]) {
+                console.error('Container not found:', `${containerId}-${pane}`);
+                return false;
+            }
+        }
+
+        const language = options.language || 'yaml';
+        const settings = Object.assign({
+            language,
+            theme: this._defineTheme(this._effectiveTheme()),
+            automaticLayout: true,
+            minimap: { enabled: false },
+            fontSize: options.fontSize || 13,
+            tabSize: 2,
+            scrollBeyondLastLine: false,
+            scrollbar: {
+                useShadows: false,
+                verticalScrollbarSize: 10,
+                horizontalScrollbarSize: 10
+            }
+        }, this._accessibilityOptions());
+
+        const panes = {};
+        this.mergeSides.forEach(side => {
+            panes[side] = monaco.editor.create(containers[side], Object.assign({}, settings, {
+                value: options[side] || '',
+                readOnly: true
+            }));
+        });
+        ['theirs', 'mine'].forEach(side => {
+            panes[side].createDecorationsCollection(dslMerge.changedLines(options.base, options[side]).map(range => ({
+                range: new monaco.Range(range.startLineNumber, 1, range.endLineNumber, 1),
+                options: { isWholeLine: true, className: `ef-merge-changed ${side}` }
+            })));
+        });
+
+        const result = monaco.editor.create(containers.result, Object.assign({}, settings, {
+            value: dslMerge.merge(options.base, options.theirs, options.mine).text
+        }));
+
+        const data = { panes, result, dotNetHelper, conflictIndex: -1, decorations: result.createDecorationsCollection() };
+        this.mergeEditors[containerId] = data;
+
+        let notifyTimeout;
+        result.onDidChangeModelContent(() => {
+            clearTimeout(notifyTimeout);
+            notifyTimeout = setTimeout(() => this._mergeUpdated(containerId), 150);
+        });
+        this._mergeUpdated(containerId);
+
+        return true;
+    },
+
+    _mergeConflicts: function(containerId) {
+        const data = this.mergeEditors[containerId];
+        return data ? dslMerge.conflicts(data.result.getValue()) : [];
+    },
+
+    // Re-mark the conflicts left in the result and report how many there are
+    _mergeUpdated: async function(containerId) {
+        const data = this.mergeEditors[containerId];
+        if (!data) return;
+
+        const conflicts = this._mergeConflicts(containerId);
+        const line = (lineNumber, className) => ({
+            range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+            options: { isWholeLine: true, className }
+        });
+        const section = (from, to, className) => to - from > 1
+            ? [{ range: new monaco.Range(from + 1, 1, to - 1, 1), options: { isWholeLine: true, className } }]
+            : [];
+        data.decorations.set(conflicts.flatMap(conflict => [
+            line(conflict.start, 'ef-merge-marker'),
+            ...section(conflict.start, conflict.base || conflict.separator, 'ef-merge-mine'),
+            ...(conflict.base ? [line(conflict.base, 'ef-merge-marker'), ...section(conflict.base, conflict.separator, 'ef-merge-base')] : []),
+            line(conflict.separator, 'ef-merge-marker'),
+            ...section(conflict.separator, conflict.end, 'ef-merge-theirs'),
+            line(conflict.end, 'ef-merge-marker')
+        ]));
+        if (data.conflictIndex >= conflicts.length) {
+            data.conflictIndex = -1;
+        }
+
+        if (data.dotNetHelper) {
+            try {
+                await data.dotNetHelper.invokeMethodAsync('OnMergeUpdated', conflicts.length);
+            } catch (e) {
+                console.error('Failed to notify Blazor of merge update:', e);
+            }
+        }
+    },
+
+    // Move to the next or previous conflict (wrapping); returns { index, count } with a 1-based index
+    navigateMerge: function(containerId, direction) {
+        const data = this.mergeEditors[containerId];
+        const conflicts = this._mergeConflicts(containerId);
+        if (!data || conflicts.length === 0) {
+            return { index: 0, count: 0 };
+        }
+
+        const step = direction === 'previous' ? -1 : 1;
+        data.conflictIndex = data.conflictIndex < 0
+            ? (step > 0 ? 0 : conflicts.length - 1)
+            : (data.conflictIndex + step + conflicts.length) % conflicts.length;
+
+        const line = conflicts[data.conflictIndex].start;
+        data.result.revealLineInCenter(line);
+        data.result.setPosition({ lineNumber: line, column: 1 });
+        data.result.focus();
+
+        return { index: data.conflictIndex + 1, count: conflicts.length };
+    },
+
+    // Replace the conflict under the cursor (or the current one) with 'mine', 'theirs', 'both' or 'base'.
+    // Returns false when there is no conflict to resolve.
+    resolveMergeConflict: function(containerId, choice) {
+        const data = this.mergeEditors[containerId];
+        const conflicts = this._mergeConflicts(containerId);
+        if (!data || conflicts.length === 0) return false;
+
+        const position = data.result.getPosition();
+        const conflict = conflicts.find(c => position && position.lineNumber >= c.start && position.lineNumber <= c.end)
+            || conflicts[Math.max(0, data.conflictIndex)];
+        const model = data.result.getModel();
+        const replacement = dslMerge.resolution(model.getValue(), conflict, choice);
+
+        // An empty resolution removes the conflict's lines entirely, including the line break
+        const range = replacement.length > 0
+            ? new monaco.Range(conflict.start, 1, conflict.end, model.getLineMaxColumn(conflict.end))
+            : conflict.end < model.getLineCount()
+                ? new monaco.Range(conflict.start, 1, conflict.end + 1, 1)
+                : new monaco.Range(Math.max(1, conflict.start - 1), conflict.start > 1 ? model.getLineMaxColumn(conflict.start - 1) : 1,
+                    conflict.end, model.getLineMaxColumn(conflict.end));
+        data.result.executeEdits('ef-merge', [{ range, text: replacement.join(model.getEOL()), forceMoveMarkers: true }]);
+        data.result.pushUndoStop();
+
+        // Stay on the same conflict number, which is now the next one
+        data.conflictIndex = conflicts.indexOf(conflict) - 1;
+        data.result.setPosition({ lineNumber: Math.min(conflict.start, model.getLineCount()), column: 1 });
+        return true;
+    },
+
+    getMergeResult: function(containerId) {
+        const data = this.mergeEditors[containerId];
+        return data ? data.result.getValue() : null;
+    },
+
+    // The merged text with conflict markers, without an editor; used when Monaco cannot load
+    mergeText: function(base, theirs, mine) {
+        return dslMerge.merge(base, theirs, mine);
+    },
+
+    disposeMerge: function(containerId) {
+        const data = this.mergeEditors[containerId];
+        if (data) {
+            Object.values(data.panes).forEach(pane => pane.dispose());
+            data.result.dispose();
+            delete this.mergeEditors[containerId];
+        }
+    }
+};
+
+// Don't load Monaco immediately - wait until it's actually needed
+// Components will call loadMonaco() when they need it
+
+// Save drafts still waiting for a pause in typing when the tab is hidden or closed
+window.addEventListener('pagehide', () => window.monacoEditor._flushDrafts());
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        window.monacoEditor._flushDrafts();
+    }
+});
@@ -1,37 +1,60 @@
 // Theme detection and application utilities
 window.themeUtils = {
-    // Get the system color scheme preference
+    // Classes each theme puts on <html> and <body>; high-contrast themes keep their light or dark
+    // base class so everything styled for it still applies
+    themeClasses: {
+        light: ['theme-light'],
+        dark: ['theme-dark'],
+        'hc-light': ['theme-light', 'theme-high-contrast', 'theme-hc-light'],
+        'hc-dark': ['theme-dark', 'theme-high-contrast', 'theme-hc-dark']
+    },
+
+    // Get the system color scheme preference; 'hc-dark' or 'hc-light' when the OS asks for more
+    // contrast or forces its own colours
     getSystemTheme: function() {
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
+        const base = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        return this.getSystemContrast() === 'more' ? 'hc-' + base : base;
+    },
+
+    // 'more' when the OS asks for more contrast or forces its own colours, otherwise 'normal'
+    getSystemContrast: function() {
+        if (window.matchMedia &&
+            (window.matchMedia('(prefers-contrast: more)').matches || window.matchMedia('(forced-colors: active)').matches)) {
+            return 'more';
         }
-        return 'light';
+        return 'normal';
     },
 
     // Apply theme classes to document
     applyTheme: function(theme) {
-        const html = document.documentElement;
-
-        // Remove existing theme classes from html
-        html.classList.remove('theme-light', 'theme-dark');
-
-        // Apply new theme class to html
-        if (theme === 'dark') {
-            html.classList.add('theme-dark');
-        } else if (theme === 'light') {
-            html.classList.add('theme-light');
-        }
+        const all = ['theme-light', 'theme-dark', 'theme-high-contrast', 'theme-hc-light', 'theme-hc-dark'];
+        const classes = this.themeClasses[theme] || [];
 
         // Also apply to body if it exists (may not exist when called from head)
-        if (document.body) {
-            document.body.classList.remove('theme-light', 'theme-dark');
-            if (theme === 'dark') {
-                document.body.classList.add('theme-dark');
-            } else if (theme === 'light') {
-                document.body.classList.add('theme-light');
+        for (const el of [document.documentElement, document.body]) {
+            if (el) {
+                el.classList.remove(...all);
+                el.classList.add(...classes);
             }
         }
         // 'system' doesn't add a class - CSS media queries handle it
+
+        // The palette has light and dark variants, and none in high contrast
+        this.applyPalette(this.getStoredPalette());
+    },
+
+    // Theme actually shown: an applied theme class, otherwise the stored preference
+    // with 'system' resolved to the OS preference
+    getEffectiveTheme: function() {
+        for (const el of [document.body, document.documentElement]) {
+            if (el && el.classList.contains('theme-hc-dark')) return 'hc-dark';
+            if (el && el.classList.contains('theme-hc-light')) return 'hc-light';
+            if (el && el.classList.contains('theme-dark')) return 'dark';
+            if (el && el.classList.contains('theme-light')) return 'light';
+        }
+
+        const storedTheme = this.getStoredTheme();
+        return storedTheme === 'system' ? this.getSystemTheme() : storedTheme;
     },
 
     // Get stored theme preference or return 'system' as default
@@ -50,8 +73,223 @@ window.themeUtils = {
         } catch { }
     },
 
+    // The theme a preference shows, with 'system' resolved to the OS preference
+    resolveTheme: function(theme) {
+        return theme === 'system' ? this.getSystemTheme() : theme;
+    },
+
+    // Set the theme preference: store it, apply it and save it for the user. Other tabs follow
+    // through the storage event; other browsers load it from the server.
+    setTheme: function(theme) {
+        this.storeTheme(theme);
+        this.applyTheme(this.resolveTheme(theme));
+        this._savePreference(theme);
+    },
+
+    // ------------------------------------------------------------------------
+    // Preference sync
+    // The server keeps the user's preference; localStorage only caches it so the page is painted
+    // right before the server answers.
+    // ------------------------------------------------------------------------
+
+    // Dashboard API URL of the signed-in user's preferences; null keeps the preference in this browser
+    preferencesUrl: null,
+
+    _preferenceHelper: null,
+
+    // Set when the server refuses the preferences URL (401/403, e.g. signed out); stops loading
+    // and saving until syncPreference is called again
+    _preferenceDenied: false,
+
+    // Start syncing with the server at `url`, reporting changes from other tabs and the server to
+    // dotNetHelper.OnThemePreferenceChanged(preference, source). Returns the cached preference.
+    syncPreference: function(dotNetHelper, url) {
+        this._preferenceHelper = dotNetHelper || null;
+        this.preferencesUrl = url || this.preferencesUrl;
+        this._preferenceDenied = false;
+        this.loadPreference();
+        return this.getStoredTheme();
+    },
+
+    stopSyncingPreference: function() {
+        this._preferenceHelper = null;
+    },
+
+    // Load the user's preference from the server and apply it when it differs from the cache
+    loadPreference: async function() {
+        if (!this.preferencesUrl || this._preferenceDenied) return;
+
+        try {
+            const response = await fetch(this.preferencesUrl, { credentials: 'same-origin', headers: { 'Accept': 'application/json' } });
+            if (response.status === 404) {
+                // Nothing saved yet: what this browser has becomes the user's preference
+                this._savePreference(this.getStoredTheme());
+                return;
+            }
+            if (this._isDenied(response)) return;
+            if (!response.ok) return; // keep the cached preference
+
+            const preferences = await response.json();
+            if (preferences.theme && preferences.theme !== this.getStoredTheme()) {
+                this.storeTheme(preferences.theme);
+                this.applyTheme(this.resolveTheme(preferences.theme));
+                this._notifyPreference(preferences.theme, 'Server');
+            }
+        } catch (e) {
+            console.warn('Could not load the theme preference:', e);
+        }
+    },
+
+    _savePreference: function(theme) {
+        if (!this.preferencesUrl || this._preferenceDenied) return;
+
+        fetch(this.preferencesUrl, {
+            method: 'PUT',
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ theme }),
+            keepalive: true
+        }).then(response => this._isDenied(response))
+          .catch(e => console.warn('Could not save the theme preference:', e));
+    },
+
+    // Anonymous users and users without access keep the preference in this browser; without this
+    // every tab switch would ask the server again
+    _isDenied: function(response) {
+        if (response.status === 401 || response.status === 403) {
+            this._preferenceDenied = true;
+        }
+        return this._preferenceDenied;
+    },
+
+    _notifyPreference: function(theme, source) {
+        if (this._preferenceHelper) {
+            this._preferenceHelper.invokeMethodAsync('OnThemePreferenceChanged', theme, source)
+                .catch(e => console.error('Failed to notify Blazor of a theme preference change:', e));
+        }
+    },
+
+    _notifyPalette: function(palette) {
+        if (this._preferenceHelper) {
+            this._preferenceHelper.invokeMethodAsync('OnThemePaletteChanged', palette)
+                .catch(e => console.error('Failed to notify Blazor of a palette change:', e));
+        }
+    },
+
+    // Another tab stored a preference
+    _onStorage: function(e) {
+        if (e.key === 'optimizelab-theme' || e.key === null) {
+            const theme = this.getStoredTheme();
+            this.applyTheme(this.resolveTheme(theme));
+            this._notifyPreference(theme, 'Browser');
+        }
+        if (e.key === 'optimizelab-palette' || e.key === null) {
+            const palette = this.getStoredPalette();
+            this.applyPalette(palette);
+            this._notifyPalette(palette);
+        }
+        if (e.key === 'optimizelab-motion' || e.key === 'optimizelab-screen-reader' || e.key === null) {
+            this.applyAccessibility();
+        }
+    },
+
+    // ------------------------------------------------------------------------
+    // Brand palettes
+    // A palette is a named set of --ef-* colour variables, { name, displayName, light, dark },
+    // keyed without the prefix: { accent: '#0f766e', surface: '#ffffff', 'chart-1': '#0f766e' }.
+    // Dark entries override light ones while a dark theme is shown. app.css maps the --ef-*
+    // variables onto its --color-* ones, which the Monaco themes are built from.
+    // ------------------------------------------------------------------------
+
+    palettes: {},
+
+    // Palette shown until the user picks one; null shows the built-in colours
+    defaultPalette: null,
+
+    // Variables the applied palette set on <html>, cleared before the next one is applied
+    _paletteVariables: [],
+
+    // Register one palette or an array of them, optionally replacing the default palette,
+    // and re-apply the current palette
+    registerPalettes: function(palettes, defaultPalette) {
+        [].concat(palettes || []).forEach(palette => {
+            if (palette && palette.name) this.palettes[palette.name] = palette;
+        });
+        if (defaultPalette !== undefined) {
+            this.defaultPalette = defaultPalette || null;
+        }
+        this.applyPalette(this.getStoredPalette());
+    },
+
+    // Register the palettes the server rendered into the page (see ThemePalettes.razor); run
+    // before the first paint, so a branded page never flashes the built-in colours
+    registerPagePalettes: function() {
+        const script = document.getElementById('ef-theme-palettes');
+        if (!script) return;
+
+        try {
+            const config = JSON.parse(script.textContent);
+            this.registerPalettes(config.palettes, config.defaultPalette);
+        } catch (e) {
+            console.warn('Could not read the theme palettes:', e);
+        }
+    },
+
+    // The palettes that can be picked, as { name, displayName }
+    getPalettes: function() {
+        return Object.values(this.palettes)
+            .map(palette => ({ name: palette.name, displayName: palette.displayName || palette.name }));
+    },
+
+    // The picked palette; the default palette when none was picked or it is no longer registered,
+    // and null when the built-in colours were picked
+    getStoredPalette: function() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem('optimizelab-palette');
+        } catch { }
+
+        if (stored === '') return null;
+        return stored && this.palettes[stored] ? stored : this.defaultPalette;
+    },
+
+    // Store the picked palette; null or '' picks the built-in colours
+    storePalette: function(name) {
+        try {
+            localStorage.setItem('optimizelab-palette', name || '');
+        } catch { }
+    },
+
+    // Pick a palette: store it and apply it. Other tabs follow through the storage event.
+    setPalette: function(name) {
+        this.storePalette(name);
+        this.applyPalette(this.getStoredPalette());
+    },
+
+    // Set the palette's variables on <html> for the theme shown; high-contrast themes keep their own
+    applyPalette: function(name) {
+        const root = document.documentElement;
+        this._paletteVariables.forEach(variable => root.style.removeProperty(variable));
+        this._paletteVariables = [];
+        delete root.dataset.palette;
+
+        const palette = name ? this.palettes[name] : null;
+        const theme = this.getEffectiveTheme();
+        if (!palette || theme.startsWith('hc-')) return;
+
+        const variables = Object.assign({}, palette.light, theme === 'dark' ? palette.dark : null);
+        for (const [key, value] of Object.entries(variables)) {
+            const variable = '--ef-' + key.replace(/^--(ef-)?/, '');
+            root.style.setProperty(variable, value);
+            this._paletteVariables.push(variable);
+        }
+        root.dataset.palette = name;
+    },
+
     // Initialize theme on page load
     initializeTheme: function() {
+        this.registerPagePalettes();
+
         const storedTheme = this.getStoredTheme();
         let effectiveTheme;
 
@@ -62,42 +300,103 @@ window.themeUtils = {
         }
 
         this.applyTheme(effectiveTheme);
+        this.applyAccessibility();
         return effectiveTheme;
     },
 
-    // Watch for system theme changes
+    // Motion preference: 'reduce', 'full' or 'system' (the OS prefers-reduced-motion setting)
+    getMotionPreference: function() {
+        try {
+            return localStorage.getItem('optimizelab-motion') || 'system';
+        } catch {
+            return 'system';
+        }
+    },
+
+    // Store the motion preference and apply it
+    setMotionPreference: function(preference) {
+        try {
+            localStorage.setItem('optimizelab-motion', preference);
+        } catch { }
+        this.applyAccessibility();
+    },
+
+    isReducedMotion: function() {
+        const preference = this.getMotionPreference();
+        if (preference !== 'system') {
+            return preference === 'reduce';
+        }
+        return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    },
+
+    // Screen reader mode: 'on', 'off' or 'auto' (left to the editor's own detection)
+    getScreenReaderMode: function() {
+        try {
+            return localStorage.getItem('optimizelab-screen-reader') || 'auto';
+        } catch {
+            return 'auto';
+        }
+    },
+
+    // Store the screen reader mode and apply it
+    setScreenReaderMode: function(mode) {
+        try {
+            localStorage.setItem('optimizelab-screen-reader', mode);
+        } catch { }
+        this.applyAccessibility();
+    },
+
+    // Apply the motion and screen reader classes; the editors follow them (see monaco-interop.js)
+    applyAccessibility: function() {
+        const reduced = this.isReducedMotion();
+        const screenReader = this.getScreenReaderMode() === 'on';
+        for (const el of [document.documentElement, document.body]) {
+            if (el) {
+                el.classList.toggle('motion-reduced', reduced);
+                el.classList.toggle('screen-reader-optimized', screenReader);
+            }
+        }
+    },
+
+    // Watch for system theme changes, including contrast, forced colours and reduced motion
     watchSystemTheme: function(dotNetHelper) {
         if (window.matchMedia) {
-            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-
             // Remove any existing listener
-            if (window._themeChangeHandler) {
-                mediaQuery.removeEventListener('change', window._themeChangeHandler);
-            }
+            this.stopWatchingSystemTheme();
 
             // Add new listener
-            window._themeChangeHandler = function(e) {
-                const newTheme = e.matches ? 'dark' : 'light';
+            window._themeChangeHandler = function() {
+                const newTheme = window.themeUtils.getSystemTheme();
                 // Re-apply theme if set to system
                 const storedTheme = window.themeUtils.getStoredTheme();
                 if (storedTheme === 'system') {
                     window.themeUtils.applyTheme(newTheme);
                 }
+                window.themeUtils.applyAccessibility();
                 dotNetHelper.invokeMethodAsync('OnSystemThemeChanged', newTheme);
             };
 
-            mediaQuery.addEventListener('change', window._themeChangeHandler);
+            this.systemQueries.forEach(query =>
+                window.matchMedia(query).addEventListener('change', window._themeChangeHandler));
         }
     },
 
     // Stop watching for system theme changes
     stopWatchingSystemTheme: function() {
         if (window.matchMedia && window._themeChangeHandler) {
-            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-            mediaQuery.removeEventListener('change', window._themeChangeHandler);
+            this.systemQueries.forEach(query =>
+                window.matchMedia(query).removeEventListener('change', window._themeChangeHandler));
             window._themeChangeHandler = null;
         }
-    }
+    },
+
+    // OS preferences the system theme and motion setting follow
+    systemQueries: [
+        '(prefers-color-scheme: dark)',
+        '(prefers-contrast: more)',
+        '(forced-colors: active)',
+        '(prefers-reduced-motion: reduce)'
+    ]
 };
 
 // Set page title utility
@@ -109,20 +408,25 @@ window.setPageTitle = function(title) {
 (function() {
     window.themeUtils.initializeTheme();
 
+    // Follow preferences changed in other tabs, and pick up changes made in other browsers when
+    // the tab is shown again
+    window.addEventListener('storage', function(e) {
+        window.themeUtils._onStorage(e);
+    });
+    document.addEventListener('visibilitychange', function() {
+        if (document.visibilityState === 'visible') {
+            window.themeUtils.loadPreference();
+        }
+    });
+
     // If body doesn't exist yet, apply theme to it when DOM is ready
     if (!document.body) {
         document.addEventListener('DOMContentLoaded', function() {
-            // Re-apply to ensure body gets the class
+            // Re-apply to ensure body gets the classes
             var storedTheme = window.themeUtils.getStoredTheme();
             var theme = storedTheme === 'system' ? window.themeUtils.getSystemTheme() : storedTheme;
-            if (document.body) {
-                document.body.classList.remove('theme-light', 'theme-dark');
-                if (theme === 'dark') {
-                    document.body.classList.add('theme-dark');
-                } else if (theme === 'light') {
-                    document.body.classList.add('theme-light');
-                }
-            }
+            window.themeUtils.applyTheme(theme);
+            window.themeUtils.applyAccessibility();
         });
     }
 })();
@@ -96,6 +96,27 @@ public sealed class DashboardOptions
     /// Gets or sets the default theme (Light or Dark).
     /// </summary>
     public string DefaultTheme { get; set; } = "Light";
+
+    /// <summary>
+    /// Gets or sets the brand palettes users can pick from, served by the default theme provider.
+    /// </summary>
+    public List<DashboardPalette> Palettes { get; set; } = [];
+
+    /// <summary>
+    /// Gets or sets the name of the palette shown until a user picks one, or null for the built-in colors.
+    /// </summary>
+    public string? DefaultPalette { get; set; }
+
+    /// <summary>
+    /// Gets or sets the URL the browser saves each signed-in user's theme preference to, absolute or
+    /// relative to the app base. Defaults to the preferences endpoint MapExperimentDashboard maps under
+    /// <see cref="PathBase"/>. Set it when the browser reaches the Dashboard API elsewhere, or to an
+    /// empty string to keep the preference in the browser.
+    /// </summary>
+    public string? PreferencesUrl { get; set; }
+
+    // Relative to the app base, like the dashboard's other links
+    internal string ResolvedPreferencesUrl => PreferencesUrl ?? $"{PathBase.Trim('/')}/api/preferences".TrimStart('/');
 }
 
 /// <summary>
@@ -0,0 +1,43 @@
+using System.Collections.Concurrent;
+using ExperimentFramework.Dashboard.Abstractions;
+
+namespace ExperimentFramework.Dashboard.Persistence;
+
+/// <summary>
+/// In-memory implementation of the user preference store.
+/// </summary>
+/// <remarks>
+/// Preferences are lost on application restart, so users fall back to what their browser cached.
+/// Use a database-backed implementation for production.
+/// </remarks>
+public sealed class InMemoryUserPreferenceStore : IUserPreferenceStore
+{
+    private readonly ConcurrentDictionary<string, DashboardUserPreferences> _preferences = new();
+
+    /// <inheritdoc />
+    public Task<DashboardUserPreferences?> GetPreferencesAsync(
+        string userId,
+        string? tenantId = null,
+        CancellationToken cancellationToken = default)
+    {
+        _preferences.TryGetValue(GetKey(userId, tenantId), out var preferences);
+        return Task.FromResult(preferences);
+    }
+
+    /// <inheritdoc />
+    public Task SavePreferencesAsync(
+        string userId,
+        DashboardUserPreferences preferences,
+        string? tenantId = null,
+        CancellationToken cancellationToken = default)
+    {
+        preferences.LastModified = DateTimeOffset.UtcNow;
+        _preferences[GetKey(userId, tenantId)] = preferences;
+        return Task.CompletedTask;
+    }
+
+    private static string GetKey(string userId, string? tenantId)
+    {
+        return string.IsNullOrEmpty(tenantId) ? userId : $"{tenantId}:{userId}";
+    }
+}
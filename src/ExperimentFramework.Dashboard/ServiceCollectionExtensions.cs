@@ -31,6 +31,7 @@ public static class ServiceCollectionExtensions
         services.TryAddSingleton<IDashboardDataProvider, DefaultDashboardDataProvider>();
         services.TryAddSingleton<IDashboardThemeProvider, DefaultThemeProvider>();
         services.TryAddSingleton<IRolloutPersistenceBackplane, InMemoryRolloutPersistence>();
+        services.TryAddSingleton<IUserPreferenceStore, InMemoryUserPreferenceStore>();
 
         // Register UI services
         services.TryAddScoped<DashboardStateService>();
@@ -42,6 +43,10 @@ public static class ServiceCollectionExtensions
         configure?.Invoke(options);
         services.AddSingleton(options);
 
+        // Read when the App first renders, after MapExperimentDashboard has set PathBase
+        services.AddOptions<ThemePreferenceOptions>()
+            .Configure<DashboardOptions>((theme, dashboard) => theme.PreferencesUrl = dashboard.ResolvedPreferencesUrl);
+
         // Register IAnalyticsProvider directly in DI so API endpoints can resolve it
         // via the interface type (not the concrete runtime type of the provider).
         if (options.AnalyticsProvider is { } analyticsProvider)
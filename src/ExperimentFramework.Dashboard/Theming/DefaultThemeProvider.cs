@@ -13,14 +13,17 @@ public sealed class DefaultThemeProvider : IDashboardThemeProvider
     /// Initializes a new instance of the <see cref="DefaultThemeProvider"/> class.
     /// </summary>
     /// <param name="theme">The theme to return, or null to use defaults.</param>
-    public DefaultThemeProvider(DashboardTheme? theme = null)
+    /// <param name="options">Dashboard options supplying the default theme's palettes.</param>
+    public DefaultThemeProvider(DashboardTheme? theme = null, DashboardOptions? options = null)
     {
         _theme = theme ?? new DashboardTheme
         {
             Title = "Experiment Dashboard",
             PrimaryColor = "#3b82f6",
             SecondaryColor = "#8b5cf6",
-            DarkModeDefault = false
+            DarkModeDefault = false,
+            Palettes = options?.Palettes ?? [],
+            DefaultPalette = options?.DefaultPalette
         };
     }
 
@@ -48,6 +48,25 @@ public sealed class RedisGovernancePersistenceBackplane : IGovernancePersistence
         return JsonSerializer.Deserialize<PersistedExperimentState>((string)value!);
     }
 
+    public async Task<IReadOnlyList<PersistedExperimentState>> GetExperimentStatesAsync(
+        IReadOnlyCollection<string> experimentNames,
+        string? tenantId = null,
+        string? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        if (experimentNames.Count == 0)
+            return [];
+
+        // One MGET for all the keys
+        var keys = experimentNames.Select(name => (RedisKey)BuildStateKey(name, tenantId, environment)).ToArray();
+        var values = await Db.StringGetAsync(keys);
+
+        return values
+            .Where(value => !value.IsNullOrEmpty)
+            .Select(value => JsonSerializer.Deserialize<PersistedExperimentState>((string)value!)!)
+            .ToList();
+    }
+
     public async Task<PersistenceResult<PersistedExperimentState>> SaveExperimentStateAsync(
         PersistedExperimentState state,
         string? expectedETag = null,
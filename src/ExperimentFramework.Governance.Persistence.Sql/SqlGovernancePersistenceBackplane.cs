@@ -42,6 +42,22 @@ public sealed class SqlGovernancePersistenceBackplane : IGovernancePersistenceBa
         return entity == null ? null : MapToPersistedState(entity);
     }
 
+    public async Task<IReadOnlyList<PersistedExperimentState>> GetExperimentStatesAsync(
+        IReadOnlyCollection<string> experimentNames,
+        string? tenantId = null,
+        string? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        var entities = await _dbContext.ExperimentStates
+            .AsNoTracking()
+            .Where(e => experimentNames.Contains(e.ExperimentName) &&
+                        e.TenantId == (tenantId ?? string.Empty) &&
+                        e.Environment == (environment ?? string.Empty))
+            .ToListAsync(cancellationToken);
+
+        return entities.Select(MapToPersistedState).ToList();
+    }
+
     public async Task<PersistenceResult<PersistedExperimentState>> SaveExperimentStateAsync(
         PersistedExperimentState state,
         string? expectedETag = null,
@@ -30,6 +30,36 @@ public interface IGovernancePersistenceBackplane
         string? environment = null,
         CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Gets the current states of several experiments in one read.
+    /// </summary>
+    /// <param name="experimentNames">The experiment names.</param>
+    /// <param name="tenantId">Optional tenant identifier.</param>
+    /// <param name="environment">Optional environment identifier.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The states that exist; experiments without a state are left out.</returns>
+    /// <remarks>
+    /// The default implementation reads each state with <see cref="GetExperimentStateAsync"/>.
+    /// Backplanes that can read several states at once should override it.
+    /// </remarks>
+    async Task<IReadOnlyList<PersistedExperimentState>> GetExperimentStatesAsync(
+        IReadOnlyCollection<string> experimentNames,
+        string? tenantId = null,
+        string? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        var states = new List<PersistedExperimentState>();
+        foreach (var experimentName in experimentNames)
+        {
+            var state = await GetExperimentStateAsync(experimentName, tenantId, environment, cancellationToken);
+            if (state != null)
+            {
+                states.Add(state);
+            }
+        }
+        return states;
+    }
+
     /// <summary>
     /// Saves or updates the current state of an experiment with optimistic concurrency control.
     /// </summary>
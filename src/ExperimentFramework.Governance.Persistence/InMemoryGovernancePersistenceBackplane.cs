@@ -32,6 +32,23 @@ public sealed class InMemoryGovernancePersistenceBackplane : IGovernancePersiste
         return Task.FromResult(state);
     }
 
+    public Task<IReadOnlyList<PersistedExperimentState>> GetExperimentStatesAsync(
+        IReadOnlyCollection<string> experimentNames,
+        string? tenantId = null,
+        string? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        var states = new List<PersistedExperimentState>();
+        foreach (var experimentName in experimentNames)
+        {
+            if (_experimentStates.TryGetValue(BuildKey(experimentName, tenantId, environment), out var state))
+            {
+                states.Add(state);
+            }
+        }
+        return Task.FromResult<IReadOnlyList<PersistedExperimentState>>(states);
+    }
+
     public Task<PersistenceResult<PersistedExperimentState>> SaveExperimentStateAsync(
         PersistedExperimentState state,
         string? expectedETag = null,
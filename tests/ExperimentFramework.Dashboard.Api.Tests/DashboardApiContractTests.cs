@@ -269,4 +269,24 @@ public sealed class DashboardApiContractTests
 
         Assert.Equal(HttpStatusCode.NotFound, response.StatusCode);
     }
+
+    // ── Preferences ───────────────────────────────────────────────────────────
+
+    [Fact]
+    public async Task SavePreferences_ThenGet_ReturnsTheUsersTheme()
+    {
+        var store = new StubPreferenceStore();
+        await using var host = new DashboardApiTestHost(preferenceStore: store, userName: "alice");
+
+        var notSaved = await host.Client.GetAsync("/dashboard-api/preferences");
+        Assert.Equal(HttpStatusCode.NotFound, notSaved.StatusCode);
+
+        var save = await host.Client.PutAsJsonAsync("/dashboard-api/preferences", new { theme = "HC-Dark" });
+        Assert.Equal(HttpStatusCode.OK, save.StatusCode);
+        Assert.Equal("hc-dark", store.Saved["alice"].Theme);
+
+        var response = await host.Client.GetAsync("/dashboard-api/preferences");
+        var body = await response.Content.ReadFromJsonAsync<DashboardUserPreferences>();
+        Assert.Equal("hc-dark", body?.Theme);
+    }
 }
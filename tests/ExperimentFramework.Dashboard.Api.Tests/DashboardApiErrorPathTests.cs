@@ -1,4 +1,7 @@
 using ExperimentFramework.Dashboard.Abstractions;
+using ExperimentFramework.Governance;
+using ExperimentFramework.Governance.Persistence;
+using ExperimentFramework.Governance.Persistence.Models;
 using Moq;
 using System.Net;
 using System.Net.Http.Json;
@@ -389,6 +392,38 @@ public sealed class DashboardApiErrorPathTests
         Assert.False(doc.RootElement.GetProperty("isValid").GetBoolean());
     }
 
+    [Fact]
+    public async Task ValidateDsl_DuplicateConditionKey_ReturnsCodeAndPosition()
+    {
+        await using var host = new DashboardApiTestHost();
+        var yaml = string.Join('\n',
+            "experiments:",
+            "  - name: my-exp",
+            "    trials:",
+            "      - serviceType: IMyService",
+            "        selectionMode:",
+            "          type: featureFlag",
+            "          flagName: MyFlag",
+            "        control:",
+            "          key: control",
+            "          implementationType: ControlImpl",
+            "        conditions:",
+            "          - key: control",
+            "            implementationType: VariantImpl",
+            "");
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/validate", JsonContent.Create(new { yaml }));
+
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.False(doc.RootElement.GetProperty("isValid").GetBoolean());
+        var error = Assert.Single(doc.RootElement.GetProperty("errors").EnumerateArray());
+        Assert.Equal("duplicate-condition", error.GetProperty("code").GetString());
+        Assert.Equal("experiments[0].trials[0].conditions[0].key", error.GetProperty("path").GetString());
+        Assert.Equal("control", error.GetProperty("data").GetProperty("key").GetString());
+        Assert.Equal(12, error.GetProperty("line").GetInt32());
+        Assert.Equal(18, error.GetProperty("column").GetInt32());
+    }
+
     [Fact]
     public async Task ValidateDsl_ParsedExperiments_ResponseShape()
     {
@@ -417,6 +452,80 @@ public sealed class DashboardApiErrorPathTests
         Assert.True(doc.RootElement.GetProperty("success").GetBoolean());
     }
 
+    [Fact]
+    public async Task ApplyDsl_WithFormat_ReturnsFormattedYaml()
+    {
+        await using var host = new DashboardApiTestHost();
+        var content = JsonContent.Create(new { yaml = "experiments:\n  - {name: my-exp}\n", format = true });
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/apply", content);
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.True(doc.RootElement.GetProperty("success").GetBoolean());
+        Assert.Equal("experiments:\n  - name: my-exp\n", doc.RootElement.GetProperty("yaml").GetString());
+    }
+
+    [Fact]
+    public async Task FormatDsl_OrdersKeysAndKeepsComments()
+    {
+        await using var host = new DashboardApiTestHost();
+        var yaml = string.Join("\n",
+            "experiments:",
+            "  # checkout experiment",
+            "  - trials:",
+            "      - conditions: [{implementationType: FastImpl, key: fast}]",
+            "        control: {implementationType: ControlImpl, key: control}",
+            "        serviceType: 'IMyService' # the service",
+            "    name: \"checkout\"",
+            "");
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/format", JsonContent.Create(new { yaml }));
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.True(doc.RootElement.GetProperty("changed").GetBoolean());
+        var expected = string.Join("\n",
+            "experiments:",
+            "  # checkout experiment",
+            "  - name: checkout",
+            "    trials:",
+            "      - serviceType: IMyService # the service",
+            "        control:",
+            "          key: control",
+            "          implementationType: ControlImpl",
+            "        conditions:",
+            "          - key: fast",
+            "            implementationType: FastImpl",
+            "");
+        Assert.Equal(expected, doc.RootElement.GetProperty("yaml").GetString());
+    }
+
+    [Fact]
+    public async Task FormatDsl_CanonicalYaml_IsUnchanged()
+    {
+        await using var host = new DashboardApiTestHost();
+        var yaml = "# rollout\nexperiments:\n  - name: my-exp\n\n    activation:\n      percentage: 0.50\n    trials: []\n";
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/format", JsonContent.Create(new { yaml }));
+
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.False(doc.RootElement.GetProperty("changed").GetBoolean());
+        Assert.Equal(yaml, doc.RootElement.GetProperty("yaml").GetString());
+    }
+
+    [Fact]
+    public async Task FormatDsl_InvalidYaml_ReturnsBadRequest()
+    {
+        await using var host = new DashboardApiTestHost();
+        var content = JsonContent.Create(new { yaml = "experiments: [a, b\n" });
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/format", content);
+
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+        var body = await response.Content.ReadAsStringAsync();
+        Assert.Contains("error", body);
+    }
+
     [Fact]
     public async Task GetCurrentDsl_ResponseShape_HasYamlAndLastApplied()
     {
@@ -430,6 +539,121 @@ public sealed class DashboardApiErrorPathTests
         Assert.True(doc.RootElement.TryGetProperty("hasUnappliedChanges", out _));
     }
 
+    [Fact]
+    public async Task GetCurrentDsl_Version_IsStableWhileConfigurationIsUnchanged()
+    {
+        await using var host = new DashboardApiTestHost();
+
+        async Task<string?> VersionAsync()
+        {
+            var json = await host.Client.GetStringAsync("/dashboard-api/dsl/current");
+            using var doc = JsonDocument.Parse(json);
+            return doc.RootElement.GetProperty("version").GetString();
+        }
+
+        var first = await VersionAsync();
+        var second = await VersionAsync();
+
+        Assert.False(string.IsNullOrEmpty(first));
+        Assert.Equal(first, second);
+    }
+
+    [Fact]
+    public async Task ApplyDsl_StaleBaseVersion_ReturnsConflictWithCurrentYaml()
+    {
+        await using var host = new DashboardApiTestHost();
+        var content = JsonContent.Create(new { yaml = "experiments:\n  - name: my-exp\n", baseVersion = "0000000000000000" });
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/apply", content);
+
+        Assert.Equal(HttpStatusCode.Conflict, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.False(doc.RootElement.GetProperty("success").GetBoolean());
+        Assert.True(doc.RootElement.GetProperty("conflict").GetBoolean());
+        Assert.False(string.IsNullOrEmpty(doc.RootElement.GetProperty("currentYaml").GetString()));
+        Assert.False(string.IsNullOrEmpty(doc.RootElement.GetProperty("currentVersion").GetString()));
+    }
+
+    [Fact]
+    public async Task ApplyDsl_CurrentBaseVersion_Succeeds()
+    {
+        await using var host = new DashboardApiTestHost();
+        var current = await host.Client.GetStringAsync("/dashboard-api/dsl/current");
+        string? version;
+        using (var currentDoc = JsonDocument.Parse(current))
+        {
+            version = currentDoc.RootElement.GetProperty("version").GetString();
+        }
+
+        var content = JsonContent.Create(new { yaml = "experiments:\n  - name: my-exp\n", baseVersion = version });
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/apply", content);
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.True(doc.RootElement.GetProperty("success").GetBoolean());
+        Assert.Equal(version, doc.RootElement.GetProperty("version").GetString());
+    }
+
+    private static async Task<DashboardApiTestHost> LockedExperimentHostAsync()
+    {
+        var registry = new StubRegistry(
+            new AdminExperimentInfo { Name = "running-exp" },
+            new AdminExperimentInfo { Name = "draft-exp" });
+        var backplane = new InMemoryGovernancePersistenceBackplane();
+        foreach (var (name, state) in new[] { ("running-exp", ExperimentLifecycleState.Running), ("draft-exp", ExperimentLifecycleState.Draft) })
+        {
+            await backplane.SaveExperimentStateAsync(new PersistedExperimentState
+            {
+                ExperimentName = name,
+                CurrentState = state,
+                LastModified = DateTimeOffset.UtcNow,
+                ETag = "1"
+            });
+        }
+
+        return new DashboardApiTestHost(registry: registry, persistenceBackplane: backplane);
+    }
+
+    [Fact]
+    public async Task ApplyDsl_RemovingLockedExperiment_ReturnsLockedWithReason()
+    {
+        await using var host = await LockedExperimentHostAsync();
+        var content = JsonContent.Create(new { yaml = "experiments:\n  - name: draft-exp\n    active: true\n" });
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/apply", content);
+
+        Assert.Equal(HttpStatusCode.Locked, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.False(doc.RootElement.GetProperty("success").GetBoolean());
+        var locked = Assert.Single(doc.RootElement.GetProperty("locked").EnumerateArray().ToList());
+        Assert.Equal("running-exp", locked.GetProperty("experimentName").GetString());
+        Assert.Equal("Running", locked.GetProperty("state").GetString());
+        var error = Assert.Single(doc.RootElement.GetProperty("errors").EnumerateArray().ToList());
+        Assert.Contains("'running-exp' is locked", error.GetProperty("message").GetString());
+    }
+
+    [Fact]
+    public async Task ApplyDsl_LeavingLockedExperimentAsItIs_Succeeds()
+    {
+        await using var host = await LockedExperimentHostAsync();
+        string current;
+        using (var currentDoc = JsonDocument.Parse(await host.Client.GetStringAsync("/dashboard-api/dsl/current")))
+        {
+            current = currentDoc.RootElement.GetProperty("yaml").GetString()!;
+        }
+
+        // Unlocked experiments can change and new ones can be added around the locked block
+        var yaml = current.Replace("  - name: draft-exp\n    active: false", "  - name: draft-exp\n    active: true")
+            + "  - name: new-exp\n    active: true\n";
+
+        var response = await host.Client.PostAsync("/dashboard-api/dsl/apply", JsonContent.Create(new { yaml }));
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        using var doc = JsonDocument.Parse(await response.Content.ReadAsStringAsync());
+        Assert.True(doc.RootElement.GetProperty("success").GetBoolean());
+    }
+
     [Fact]
     public async Task GetDslSchema_ResponseShape_HasTypeAndProperties()
     {
@@ -442,6 +666,67 @@ public sealed class DashboardApiErrorPathTests
         Assert.True(doc.RootElement.TryGetProperty("type", out _));
     }
 
+    [Fact]
+    public async Task GetDslSchema_ResponseShape_DescribesModelVocabulary()
+    {
+        await using var host = new DashboardApiTestHost();
+        var response = await host.Client.GetAsync("/dashboard-api/dsl/schema");
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        var errorPolicyTypes = doc.RootElement
+            .GetProperty("definitions")
+            .GetProperty("ErrorPolicyConfig")
+            .GetProperty("properties")
+            .GetProperty("type")
+            .GetProperty("enum")
+            .EnumerateArray()
+            .Select(e => e.GetString())
+            .ToList();
+        Assert.Contains("fallbackToControl", errorPolicyTypes);
+    }
+
+    [Fact]
+    public async Task GetDslTypes_NoRegistry_ReturnsEmptyServices()
+    {
+        await using var host = new DashboardApiTestHost();
+        var response = await host.Client.GetAsync("/dashboard-api/dsl/types");
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.Equal(0, doc.RootElement.GetProperty("services").GetArrayLength());
+    }
+
+    [Fact]
+    public async Task GetDslTypes_ListsRegisteredServicesAndImplementations()
+    {
+        var registry = new StubRegistry(
+            new AdminExperimentInfo
+            {
+                Name = "greeting-exp",
+                ServiceType = typeof(ICatalogGreeter),
+                Trials = [new AdminTrialInfo { Key = "control", ImplementationType = typeof(PlainGreeter), IsControl = true }]
+            });
+
+        await using var host = new DashboardApiTestHost(registry: registry);
+        var response = await host.Client.GetAsync("/dashboard-api/dsl/types");
+
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        var service = Assert.Single(doc.RootElement.GetProperty("services").EnumerateArray());
+        Assert.Equal(typeof(ICatalogGreeter).FullName, service.GetProperty("type").GetString());
+        Assert.Equal("greeting-exp", service.GetProperty("experiments")[0].GetString());
+
+        var implementations = service.GetProperty("implementations").EnumerateArray()
+            .ToDictionary(i => i.GetProperty("name").GetString()!, i => i.GetProperty("source").GetString());
+        Assert.Equal("trial", implementations[nameof(PlainGreeter)]);
+        Assert.Equal("assembly", implementations[nameof(FancyGreeter)]);
+        Assert.DoesNotContain(nameof(AbstractGreeter), implementations.Keys);
+    }
+
     // ── Governance: error paths ───────────────────────────────────────────────
 
     [Fact]
@@ -539,6 +824,71 @@ public sealed class DashboardApiErrorPathTests
         Assert.Contains("transitions", json);
     }
 
+    [Fact]
+    public async Task GetGovernanceLocks_NoBackplane_ReturnsOkWithEmptyLocks()
+    {
+        await using var host = new DashboardApiTestHost();
+        var response = await host.Client.GetAsync("/dashboard-api/governance/locks");
+        Assert.Equal(HttpStatusCode.OK, response.StatusCode);
+        var json = await response.Content.ReadAsStringAsync();
+        using var doc = JsonDocument.Parse(json);
+        Assert.Equal(0, doc.RootElement.GetProperty("locks").GetArrayLength());
+    }
+
+    [Fact]
+    public async Task GetGovernanceLocks_ReturnsProtectedExperimentsWithApprover()
+    {
+        var registry = new StubRegistry(
+            new AdminExperimentInfo { Name = "approved-exp" },
+            new AdminExperimentInfo { Name = "draft-exp" });
+        var backplane = new Mock<IGovernancePersistenceBackplane>(MockBehavior.Strict);
+        backplane.Setup(b => b.GetExperimentStatesAsync(
+                It.Is<IReadOnlyCollection<string>>(names => names.SequenceEqual(new[] { "approved-exp", "draft-exp" })),
+                null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<PersistedExperimentState>
+            {
+                new()
+                {
+                    ExperimentName = "approved-exp",
+                    CurrentState = ExperimentLifecycleState.Approved,
+                    LastModified = DateTimeOffset.UtcNow,
+                    LastModifiedBy = "alice",
+                    ETag = "1"
+                },
+                new()
+                {
+                    ExperimentName = "draft-exp",
+                    CurrentState = ExperimentLifecycleState.Draft,
+                    LastModified = DateTimeOffset.UtcNow,
+                    ETag = "1"
+                }
+            });
+        backplane.Setup(b => b.GetApprovalRecordsAsync("approved-exp", null, null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new List<PersistedApprovalRecord>
+            {
+                new()
+                {
+                    ApprovalId = "a1",
+                    ExperimentName = "approved-exp",
+                    TransitionId = "t1",
+                    ToState = ExperimentLifecycleState.Approved,
+                    IsApproved = true,
+                    Approver = "bob",
+                    Timestamp = DateTimeOffset.UtcNow,
+                    GateName = "DashboardApproval"
+                }
+            });
+
+        await using var host = new DashboardApiTestHost(registry: registry, persistenceBackplane: backplane.Object);
+        var json = await host.Client.GetStringAsync("/dashboard-api/governance/locks");
+
+        using var doc = JsonDocument.Parse(json);
+        var locked = Assert.Single(doc.RootElement.GetProperty("locks").EnumerateArray().ToList());
+        Assert.Equal("approved-exp", locked.GetProperty("experimentName").GetString());
+        Assert.Equal("Approved", locked.GetProperty("state").GetString());
+        Assert.Equal("bob", locked.GetProperty("approvedBy").GetString());
+    }
+
     // ── Plugins: error paths ──────────────────────────────────────────────────
 
     [Fact]
@@ -809,4 +1159,58 @@ public sealed class DashboardApiErrorPathTests
         var ct = response.Content.Headers.ContentType?.MediaType;
         Assert.Equal("application/json", ct);
     }
+
+    // ── Preferences: error paths ──────────────────────────────────────────────
+
+    [Fact]
+    public async Task GetPreferences_NoStore_Returns503()
+    {
+        await using var host = new DashboardApiTestHost(userName: "alice");
+        var response = await host.Client.GetAsync("/dashboard-api/preferences");
+        Assert.Equal(HttpStatusCode.ServiceUnavailable, response.StatusCode);
+    }
+
+    [Fact]
+    public async Task Preferences_Anonymous_ReturnsUnauthorized()
+    {
+        await using var host = new DashboardApiTestHost(preferenceStore: new StubPreferenceStore());
+
+        var get = await host.Client.GetAsync("/dashboard-api/preferences");
+        var put = await host.Client.PutAsJsonAsync("/dashboard-api/preferences", new { theme = "dark" });
+
+        Assert.Equal(HttpStatusCode.Unauthorized, get.StatusCode);
+        Assert.Equal(HttpStatusCode.Unauthorized, put.StatusCode);
+    }
+
+    [Fact]
+    public async Task SavePreferences_UnknownTheme_ReturnsBadRequest()
+    {
+        var store = new StubPreferenceStore();
+        await using var host = new DashboardApiTestHost(preferenceStore: store, userName: "alice");
+
+        var response = await host.Client.PutAsJsonAsync("/dashboard-api/preferences", new { theme = "sepia" });
+
+        Assert.Equal(HttpStatusCode.BadRequest, response.StatusCode);
+        Assert.Empty(store.Saved);
+    }
+}
+
+public interface ICatalogGreeter
+{
+    string Greet();
+}
+
+public sealed class PlainGreeter : ICatalogGreeter
+{
+    public string Greet() => "Hello";
+}
+
+public sealed class FancyGreeter : ICatalogGreeter
+{
+    public string Greet() => "Greetings";
+}
+
+public abstract class AbstractGreeter : ICatalogGreeter
+{
+    public abstract string Greet();
 }
@@ -1,3 +1,5 @@
+using System.Collections.Concurrent;
+using System.Security.Claims;
 using ExperimentFramework.Dashboard.Abstractions;
 using ExperimentFramework.Dashboard.Api;
 using ExperimentFramework.Governance;
@@ -31,7 +33,9 @@ public sealed class DashboardApiTestHost : IAsyncDisposable
         IAnalyticsProvider? analyticsProvider = null,
         IRolloutPersistenceBackplane? rolloutPersistence = null,
         ITargetingManagementService? targetingManagement = null,
-        IPluginManagementService? pluginManagement = null)
+        IPluginManagementService? pluginManagement = null,
+        IUserPreferenceStore? preferenceStore = null,
+        string? userName = null)
     {
         var builder = WebApplication.CreateBuilder();
         builder.WebHost.UseTestServer();
@@ -53,8 +57,21 @@ public sealed class DashboardApiTestHost : IAsyncDisposable
             builder.Services.AddSingleton(targetingManagement);
         if (pluginManagement != null)
             builder.Services.AddSingleton(pluginManagement);
+        if (preferenceStore != null)
+            builder.Services.AddSingleton(preferenceStore);
 
         _app = builder.Build();
+
+        // Requests run as a signed-in user when a user name is given
+        if (userName != null)
+        {
+            _app.Use((context, next) =>
+            {
+                context.User = new ClaimsPrincipal(new ClaimsIdentity([new Claim(ClaimTypes.Name, userName)], "Test"));
+                return next();
+            });
+        }
+
         _app.UseRouting();
         _app.MapDashboardApi("/dashboard-api");
         _app.Start();
@@ -108,3 +125,22 @@ public sealed class MutableStubRegistry : IMutableExperimentRegistry
     }
     public void SetRolloutPercentage(string name, int percentage) { }
 }
+
+/// <summary>
+/// In-memory preference store for preference endpoint tests.
+/// </summary>
+public sealed class StubPreferenceStore : IUserPreferenceStore
+{
+    public ConcurrentDictionary<string, DashboardUserPreferences> Saved { get; } = new();
+
+    public Task<DashboardUserPreferences?> GetPreferencesAsync(
+        string userId, string? tenantId = null, CancellationToken cancellationToken = default) =>
+        Task.FromResult(Saved.TryGetValue(userId, out var preferences) ? preferences : null);
+
+    public Task SavePreferencesAsync(
+        string userId, DashboardUserPreferences preferences, string? tenantId = null, CancellationToken cancellationToken = default)
+    {
+        Saved[userId] = preferences;
+        return Task.CompletedTask;
+    }
+}
@@ -1,5 +1,8 @@
 using ExperimentFramework.Dashboard;
 using ExperimentFramework.Dashboard.Abstractions;
+using ExperimentFramework.Dashboard.UI.Services;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Options;
 
 namespace ExperimentFramework.Dashboard.Tests;
 
@@ -56,4 +59,57 @@ public class DashboardOptionsTests
         // Assert
         Assert.Equal(25, options.ItemsPerPage);
     }
+
+    [Fact]
+    public async Task AddExperimentDashboard_ThemeProvider_ServesConfiguredPalettes()
+    {
+        // Arrange
+        var services = new ServiceCollection();
+        services.AddExperimentDashboard(options =>
+        {
+            options.Palettes.Add(new DashboardPalette
+            {
+                Name = "acme",
+                DisplayName = "Acme",
+                Light = { ["accent"] = "#0f766e", ["chart-1"] = "#0f766e" },
+                Dark = { ["accent"] = "#2dd4bf" }
+            });
+            options.DefaultPalette = "acme";
+        });
+
+        // Act
+        var theme = await services.BuildServiceProvider()
+            .GetRequiredService<IDashboardThemeProvider>()
+            .GetThemeAsync();
+
+        // Assert
+        var palette = Assert.Single(theme.Palettes);
+        Assert.Equal("acme", palette.Name);
+        Assert.Equal("#2dd4bf", palette.Dark["accent"]);
+        Assert.Equal("acme", theme.DefaultPalette);
+        Assert.Equal("Experiment Dashboard", theme.Title);
+    }
+
+    [Theory]
+    [InlineData(null, "/dashboard", "dashboard/api/preferences")]
+    [InlineData(null, "/ops/experiments/", "ops/experiments/api/preferences")]
+    [InlineData(null, "/", "api/preferences")]
+    [InlineData("https://api.example.com/preferences", "/dashboard", "https://api.example.com/preferences")]
+    [InlineData("", "/dashboard", "")]
+    public void AddExperimentDashboard_ThemePreferenceOptions_FollowPreferencesUrlOrPathBase(
+        string? preferencesUrl, string pathBase, string expected)
+    {
+        // Arrange
+        var services = new ServiceCollection();
+        services.AddExperimentDashboard(options => options.PreferencesUrl = preferencesUrl);
+        var provider = services.BuildServiceProvider();
+
+        // Act
+        // MapExperimentDashboard sets PathBase after registration, before the App first renders
+        provider.GetRequiredService<DashboardOptions>().PathBase = pathBase;
+        var theme = provider.GetRequiredService<IOptions<ThemePreferenceOptions>>().Value;
+
+        // Assert
+        Assert.Equal(expected, theme.PreferencesUrl);
+    }
 }
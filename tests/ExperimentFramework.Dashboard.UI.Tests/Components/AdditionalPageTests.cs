@@ -1,6 +1,8 @@
 using Bunit;
 using ExperimentFramework.Dashboard.UI.Components.Pages;
 using ExperimentFramework.Dashboard.UI.Components.Pages.Governance;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using ExperimentFramework.Dashboard.UI.Models;
 using ExperimentFramework.Dashboard.UI.Services;
 using Microsoft.Extensions.DependencyInjection;
 using System.Net;
@@ -303,6 +305,61 @@ public sealed class AdditionalPageTests : BunitContext
         Assert.NotNull(cut.Find(".step-indicator"));
     }
 
+    [Fact]
+    public void CreateExperiment_FormEdit_UpdatesYamlAndHighlightsField()
+    {
+        Services.AddSingleton(BuildApiClient(new MultiEndpointHandler()));
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var setValue = JSInterop.SetupVoid("monacoEditor.setValue", _ => true);
+        setValue.SetVoidResult();
+        var highlight = JSInterop.Setup<bool>("monacoEditor.highlightWizardField", _ => true);
+        highlight.SetResult(true);
+
+        var cut = Render<CreateExperiment>();
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        cut.Find("#name").ParentElement!.FocusIn();
+        cut.Find("#name").Input("checkout");
+
+        Assert.Equal("name", Assert.Single(highlight.Invocations).Arguments[1]);
+        Assert.Contains("- name: checkout", (string)setValue.Invocations[^1].Arguments[1]!);
+    }
+
+    [Fact]
+    public async Task CreateExperiment_YamlEdit_UpdatesFormAndFlagsUnsupportedContent()
+    {
+        Services.AddSingleton(BuildApiClient(new MultiEndpointHandler()));
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        JSInterop.Setup<WizardYamlState>("monacoEditor.readWizard", _ => true).SetResult(new WizardYamlState
+        {
+            Model = new ExperimentWizardModel { Name = "checkout", DisplayName = "Checkout" },
+            Unsupported =
+            [
+                new WizardUnsupportedContent
+                {
+                    Path = "experimentFramework.experiments[0].hypothesis",
+                    Message = "The wizard has no field for 'hypothesis'; it is kept as written.",
+                    Line = 9,
+                    EndLine = 12
+                }
+            ]
+        });
+
+        var cut = Render<CreateExperiment>();
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        var editor = cut.FindComponent<MonacoEditor>();
+        await cut.InvokeAsync(() => editor.Instance.OnContentChanged("experimentFramework:\n  experiments:\n    - name: checkout"));
+
+        Assert.Equal("checkout", cut.Find("#name").GetAttribute("value"));
+        Assert.Contains("'hypothesis'", cut.Find("[data-unsupported]").TextContent);
+        Assert.Contains("Line 9", cut.Find("[data-unsupported]").TextContent);
+    }
+
     // =========================================================
     // Governance/Audit page tests (no rendermode guard)
     // =========================================================
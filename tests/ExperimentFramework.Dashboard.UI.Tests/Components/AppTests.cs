@@ -0,0 +1,48 @@
+using Bunit;
+using ExperimentFramework.Dashboard.UI.Components;
+using ExperimentFramework.Dashboard.UI.Services;
+using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for App, the dashboard's root component, and the Routes it renders.
+/// </summary>
+public sealed class AppTests : BunitContext
+{
+    private JSRuntimeInvocationHandler<string> SetupThemeUtils()
+    {
+        // Only the theme calls matter here; the page shell's other scripts are not under test
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        Services.AddSingleton(new ThemeService());
+
+        var sync = JSInterop.Setup<string>("themeUtils.syncPreference", _ => true);
+        sync.SetResult("light");
+        return sync;
+    }
+
+    [Fact]
+    public void App_PassesTheConfiguredPreferencesUrl_ThroughRoutes_ToThemePreferenceSync()
+    {
+        var sync = SetupThemeUtils();
+        Services.Configure<ThemePreferenceOptions>(o => o.PreferencesUrl = "dashboard/api/preferences");
+        Services.GetRequiredService<NavigationManager>().NavigateTo("/dashboard/no-such-page");
+
+        var cut = Render<App>();
+
+        cut.WaitForAssertion(() => Assert.Equal("dashboard/api/preferences", sync.Invocations.Single().Arguments[1]));
+        Assert.Contains("Page Not Found", cut.Markup);
+    }
+
+    [Fact]
+    public void App_WithoutPreferencesUrl_KeepsThePreferenceInTheBrowser()
+    {
+        var sync = SetupThemeUtils();
+        Services.AddOptions<ThemePreferenceOptions>();
+
+        Render<App>();
+
+        Assert.Null(sync.Invocations.Single().Arguments[1]);
+    }
+}
@@ -1,6 +1,8 @@
 using Bunit;
 using ExperimentFramework.Dashboard.UI.Components.Layout;
+using ExperimentFramework.Dashboard.UI.Services;
 using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
 
 namespace ExperimentFramework.Dashboard.UI.Tests.Components;
 
@@ -10,6 +12,14 @@ namespace ExperimentFramework.Dashboard.UI.Tests.Components;
 /// </summary>
 public sealed class MainLayoutTests : BunitContext
 {
+    private readonly ThemeService _themes = new();
+
+    public MainLayoutTests()
+    {
+        // The sidebar's palette picker reads the palettes from ThemeService
+        Services.AddSingleton(_themes);
+    }
+
     // bUnit helper: render a layout with a simple body fragment.
     private IRenderedComponent<MainLayout> RenderLayout(string bodyMarkup = "<p>body</p>")
     {
@@ -60,4 +70,17 @@ public sealed class MainLayoutTests : BunitContext
         Assert.NotNull(main);
         Assert.Contains("hello", main.TextContent);
     }
+
+    [Fact]
+    public void MainLayout_Renders_PalettePicker_InSidebar_OncePalettesAreRegistered()
+    {
+        var cut = RenderLayout();
+        Assert.Empty(cut.FindAll(".dashboard-sidebar .palette-picker"));
+
+        cut.InvokeAsync(() => _themes.SetPalettes([new ThemePaletteInfo("acme", "Acme")], null));
+
+        cut.WaitForAssertion(() => Assert.NotNull(cut.Find(".dashboard-sidebar .palette-picker select")));
+        cut.Find(".dashboard-sidebar .palette-picker select").Change("acme");
+        Assert.Equal("acme", _themes.Palette);
+    }
 }
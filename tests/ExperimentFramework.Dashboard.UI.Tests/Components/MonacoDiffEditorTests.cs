@@ -0,0 +1,80 @@
+using Bunit;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using Microsoft.JSInterop;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for the MonacoDiffEditor initialization, change tracking and fallback paths.
+/// </summary>
+public sealed class MonacoDiffEditorTests : BunitContext
+{
+    [Fact]
+    public void LoadSuccess_InitializesDiffWithBothSides()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initializeDiff", _ => true);
+        initialize.SetVoidResult();
+
+        Render<MonacoDiffEditor>(parameters => parameters
+            .Add(p => p.Original, "a: 1")
+            .Add(p => p.Modified, "a: 2"));
+
+        Assert.Single(initialize.Invocations);
+        var options = initialize.Invocations[0].Arguments[1]!;
+        Assert.Equal("a: 1", options.GetType().GetProperty("original")!.GetValue(options));
+        Assert.Equal("a: 2", options.GetType().GetProperty("modified")!.GetValue(options));
+    }
+
+    [Fact]
+    public void ParameterChange_UpdatesDiffValues()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initializeDiff", _ => true).SetVoidResult();
+        var update = JSInterop.SetupVoid("monacoEditor.setDiffValues", _ => true);
+        update.SetVoidResult();
+
+        var cut = Render<MonacoDiffEditor>(parameters => parameters
+            .Add(p => p.Original, "a: 1")
+            .Add(p => p.Modified, "a: 2"));
+
+        cut.Render(parameters => parameters.Add(p => p.Modified, "a: 3"));
+
+        Assert.Single(update.Invocations);
+        Assert.Equal("a: 3", update.Invocations[0].Arguments[2]);
+    }
+
+    [Fact]
+    public async Task OnDiffUpdated_ShowsChangeCount()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initializeDiff", _ => true).SetVoidResult();
+
+        var cut = Render<MonacoDiffEditor>(parameters => parameters
+            .Add(p => p.Original, "a: 1")
+            .Add(p => p.Modified, "a: 2"));
+
+        await cut.InvokeAsync(() => cut.Instance.OnDiffUpdated(3));
+
+        Assert.Equal(3, cut.Instance.ChangeCount);
+        Assert.Contains("3 change(s)", cut.Find("[data-diff-status]").TextContent);
+    }
+
+    [Fact]
+    public void LoadFailure_RendersBothSidesAsPlainText()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("blocked"));
+
+        string? failure = null;
+        var cut = Render<MonacoDiffEditor>(parameters => parameters
+            .Add(p => p.Original, "a: 1")
+            .Add(p => p.Modified, "a: 2")
+            .Add(p => p.OnMonacoLoadFailed, message => failure = message));
+
+        cut.WaitForAssertion(() => Assert.Equal(2, cut.FindAll(".monaco-diff-fallback pre").Count));
+        Assert.Equal("a: 1", cut.Find("pre.original").TextContent);
+        Assert.Equal("a: 2", cut.Find("pre.modified").TextContent);
+        Assert.Equal("blocked", failure);
+    }
+}
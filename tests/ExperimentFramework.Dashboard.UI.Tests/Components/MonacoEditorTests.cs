@@ -0,0 +1,325 @@
+using Bunit;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using ExperimentFramework.Dashboard.UI.Models;
+using Microsoft.JSInterop;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for the MonacoEditor loading and textarea fallback paths.
+/// </summary>
+public sealed class MonacoEditorTests : BunitContext
+{
+    [Fact]
+    public void LoadFailure_RendersTextareaAndRaisesCallback()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("Monaco could not be loaded from any source."));
+
+        string? failure = null;
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Value, "experiments: []")
+            .Add(p => p.OnMonacoLoadFailed, message => failure = message));
+
+        cut.WaitForAssertion(() => Assert.NotNull(cut.Find("[data-monaco-fallback] textarea")));
+        Assert.Equal("experiments: []", cut.Find("textarea").GetAttribute("value"));
+        Assert.Contains("any source", failure);
+        Assert.True(cut.Instance.IsFallback);
+    }
+
+    [Fact]
+    public void LoadFailure_TextareaInputRaisesValueChanged()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("blocked"));
+
+        string? value = null;
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Value, "")
+            .Add(p => p.ValueChanged, v => value = v));
+
+        cut.WaitForAssertion(() => cut.Find("textarea").Input("experiments:\n  - name: x"));
+
+        Assert.Equal("experiments:\n  - name: x", value);
+    }
+
+    [Fact]
+    public void LoadSuccess_InitializesEditor()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+        Assert.Empty(cut.FindAll("textarea"));
+        Assert.False(cut.Instance.IsFallback);
+    }
+
+    [Fact]
+    public void LoadSuccess_InitializesTheSharedCustomElement()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Language, "json")
+            .Add(p => p.ReadOnly, true));
+
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+        var element = cut.Find("ef-dsl-editor");
+        Assert.True(element.HasAttribute("manual"));
+        Assert.True(element.HasAttribute("read-only"));
+        Assert.Equal("json", element.GetAttribute("language"));
+        Assert.Equal(element.Id, initialize.Invocations[0].Arguments[0]);
+    }
+
+    [Fact]
+    public async Task ConvertLanguage_ReportsEditorLanguage()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initialize", _ => true).SetVoidResult();
+        JSInterop.Setup<LanguageConversionResult>("monacoEditor.convertLanguage", _ => true)
+            .SetResult(new LanguageConversionResult { Success = true, Language = "json" });
+        JSInterop.Setup<string>("monacoEditor.getValue", _ => true).SetResult("{ \"Experiments\": [] }");
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+
+        var result = await cut.InvokeAsync(() => cut.Instance.ConvertLanguageAsync("json"));
+
+        Assert.True(result.Success);
+        Assert.Equal("json", cut.Instance.CurrentLanguage);
+    }
+
+    [Fact]
+    public async Task ConvertLanguage_InvalidTextInFallback_KeepsLanguage()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("blocked"));
+        JSInterop.Setup<string?>("monacoEditor.convertText", _ => true).SetResult(null);
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: ["));
+        cut.WaitForAssertion(() => Assert.True(cut.Instance.IsFallback));
+
+        var result = await cut.InvokeAsync(() => cut.Instance.ConvertLanguageAsync("json"));
+
+        Assert.False(result.Success);
+        Assert.Equal("yaml", cut.Instance.CurrentLanguage);
+        Assert.Equal("experiments: [", cut.Find("textarea").GetAttribute("value"));
+    }
+
+    [Fact]
+    public async Task CursorSymbolsChanged_RaisesBreadcrumbs()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+
+        List<DslSymbol>? breadcrumbs = null;
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Value, "experiments: []")
+            .Add(p => p.OnBreadcrumbsChanged, symbols => breadcrumbs = symbols));
+
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+        var options = initialize.Invocations[0].Arguments[1]!;
+        Assert.Equal(true, options.GetType().GetProperty("breadcrumbs")!.GetValue(options));
+
+        await cut.InvokeAsync(() => cut.Instance.OnCursorSymbolsChanged(
+            [new DslSymbol { Name = "checkout", Kind = "experiment", Path = "experiments[0]" }]));
+
+        Assert.Equal("experiments[0]", Assert.Single(breadcrumbs!).Path);
+    }
+
+    [Fact]
+    public async Task EditorAction_RegistersActionsAndRaisesOnActionWithCurrentText()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initialize", _ => true).SetVoidResult();
+        var addActions = JSInterop.SetupVoid("monacoEditor.addActions", _ => true);
+        addActions.SetVoidResult();
+
+        var events = new List<string>();
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Value, "experiments: []")
+            .Add(p => p.Actions, [new EditorAction { Id = "ef.apply", Label = "Apply", Keybindings = ["Ctrl+S"] }])
+            .Add(p => p.ValueChanged, value => events.Add("changed:" + value))
+            .Add(p => p.OnAction, id => events.Add("action:" + id)));
+
+        cut.WaitForAssertion(() => Assert.Single(addActions.Invocations));
+
+        await cut.InvokeAsync(() => cut.Instance.OnEditorAction("ef.apply", "experiments: [a]"));
+
+        Assert.Equal(["changed:experiments: [a]", "action:ef.apply"], events);
+    }
+
+    [Fact]
+    public async Task RevealSymbol_BeforeMonacoLoads_ReturnsFalse()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("blocked"));
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        cut.WaitForAssertion(() => Assert.True(cut.Instance.IsFallback));
+
+        Assert.Empty(await cut.InvokeAsync(() => cut.Instance.GetSymbolsAsync()));
+        Assert.False(await cut.InvokeAsync(() => cut.Instance.RevealSymbolAsync("experiments[0]")));
+    }
+
+    [Fact]
+    public async Task SetRuntimeAnnotations_SendsExperimentStates()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var annotations = JSInterop.SetupVoid("monacoEditor.setRuntimeAnnotations", _ => true);
+        annotations.SetVoidResult();
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        await cut.InvokeAsync(() => cut.Instance.SetRuntimeAnnotationsAsync(
+        [
+            new RuntimeExperimentState { Name = "checkout", IsActive = true, ActiveVariant = "fast", Usage = new() { ["fast"] = 42 } }
+        ]));
+
+        var states = Assert.IsAssignableFrom<IEnumerable<RuntimeExperimentState>>(Assert.Single(annotations.Invocations).Arguments[1]);
+        Assert.Equal("fast", Assert.Single(states).ActiveVariant);
+    }
+
+    [Fact]
+    public async Task SetLockedExperiments_SendsGovernanceLocks()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var locks = JSInterop.SetupVoid("monacoEditor.setLockedExperiments", _ => true);
+        locks.SetVoidResult();
+        var ranges = JSInterop.SetupVoid("monacoEditor.setReadOnlyRanges", _ => true);
+        ranges.SetVoidResult();
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        await cut.InvokeAsync(() => cut.Instance.SetLockedExperimentsAsync(
+        [
+            new GovernanceLock { ExperimentName = "checkout", State = "Running", ApprovedBy = "alice" }
+        ]));
+        await cut.InvokeAsync(() => cut.Instance.SetReadOnlyRangesAsync(
+        [
+            new EditorReadOnlyRange { StartLineNumber = 1, EndLineNumber = 3, Message = "Generated" }
+        ]));
+
+        var sent = Assert.IsAssignableFrom<IEnumerable<GovernanceLock>>(Assert.Single(locks.Invocations).Arguments[1]);
+        Assert.Equal("alice", Assert.Single(sent).ApprovedBy);
+        var sentRanges = Assert.IsAssignableFrom<IEnumerable<EditorReadOnlyRange>>(Assert.Single(ranges.Invocations).Arguments[1]);
+        Assert.Equal(3, Assert.Single(sentRanges).EndLineNumber);
+    }
+
+    [Fact]
+    public async Task Wizard_ReadsModelAndHighlightsFields()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var read = JSInterop.Setup<WizardYamlState>("monacoEditor.readWizard", _ => true);
+        read.SetResult(new WizardYamlState { Model = new ExperimentWizardModel { Name = "checkout" } });
+        var highlight = JSInterop.Setup<bool>("monacoEditor.highlightWizardField", _ => true);
+        highlight.SetResult(true);
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        var state = await cut.InvokeAsync(() => cut.Instance.ReadWizardAsync());
+        await cut.InvokeAsync(() => cut.Instance.HighlightWizardFieldAsync("variants[0].key"));
+
+        Assert.Equal("checkout", state.Model!.Name);
+        Assert.Equal("experiments: []", Assert.Single(read.Invocations).Arguments[1]);
+        Assert.Equal("variants[0].key", Assert.Single(highlight.Invocations).Arguments[1]);
+    }
+
+    [Fact]
+    public async Task Problems_SetPerSourceReadBackAndNavigated()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var set = JSInterop.SetupVoid("monacoEditor.setMarkers", _ => true);
+        set.SetVoidResult();
+        var problem = new EditorMarker { Line = 2, Column = 5, EndLine = 2, EndColumn = 9, Message = "Locked", Severity = "warning", Source = "governance" };
+        var get = JSInterop.Setup<List<EditorMarker>>("monacoEditor.getMarkers", _ => true);
+        get.SetResult([problem]);
+        var next = JSInterop.Setup<EditorMarker?>("monacoEditor.goToProblem", _ => true);
+        next.SetResult(problem);
+
+        var changes = new List<List<EditorMarker>>();
+        var cut = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Value, "experiments: []")
+            .Add(p => p.OnProblemsChanged, markers => changes.Add(markers)));
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        await cut.InvokeAsync(() => cut.Instance.SetMarkersAsync([problem], "governance"));
+        var markers = await cut.InvokeAsync(() => cut.Instance.GetMarkersAsync());
+        var selected = await cut.InvokeAsync(() => cut.Instance.NextProblemAsync());
+        await cut.InvokeAsync(() => cut.Instance.OnMarkersChanged(markers));
+
+        var options = initialize.Invocations[0].Arguments[1]!;
+        Assert.Equal(true, options.GetType().GetProperty("problems")!.GetValue(options));
+        Assert.Equal("governance", Assert.Single(set.Invocations).Arguments[2]);
+        Assert.Null(Assert.Single(get.Invocations).Arguments[1]);
+        Assert.Equal("next", Assert.Single(next.Invocations).Arguments[1]);
+        Assert.Equal("Locked", selected!.Message);
+        Assert.Equal("governance", Assert.Single(Assert.Single(changes)).Source);
+    }
+
+    [Fact]
+    public async Task LinkFluentPreview_LinksOnceBothEditorsAreInitialized()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var link = JSInterop.Setup<bool>("monacoEditor.linkFluentPreview", _ => true);
+        link.SetResult(true);
+
+        var source = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        var preview = Render<MonacoEditor>(parameters => parameters
+            .Add(p => p.Language, "csharp")
+            .Add(p => p.ReadOnly, true));
+        source.WaitForAssertion(() => Assert.Equal(2, initialize.Invocations.Count));
+
+        var linked = await source.InvokeAsync(() => source.Instance.LinkFluentPreviewAsync(preview.Instance));
+
+        Assert.True(linked);
+        var arguments = Assert.Single(link.Invocations).Arguments;
+        Assert.NotEqual(arguments[0], arguments[1]);
+        Assert.Equal(initialize.Invocations[1].Arguments[0], arguments[1]);
+    }
+
+    [Fact]
+    public async Task Drafts_EnableReadAndDiscardByKey()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initialize", _ => true);
+        initialize.SetVoidResult();
+        var enable = JSInterop.SetupVoid("monacoEditor.enableDrafts", _ => true);
+        enable.SetVoidResult();
+        JSInterop.Setup<EditorDraft?>("monacoEditor.getDraft", "dsl-editor")
+            .SetResult(new EditorDraft { Key = "dsl-editor", Text = "experiments: [a]", SavedAt = 1_700_000_000_000, BaseVersion = "v1", BaseYaml = "experiments: []" });
+        var discard = JSInterop.Setup<bool>("monacoEditor.discardDraft", "dsl-editor");
+        discard.SetResult(true);
+
+        var cut = Render<MonacoEditor>(parameters => parameters.Add(p => p.Value, "experiments: []"));
+        cut.WaitForAssertion(() => Assert.Single(initialize.Invocations));
+
+        await cut.InvokeAsync(() => cut.Instance.EnableDraftsAsync("dsl-editor", "v1", "experiments: []"));
+        var draft = await cut.InvokeAsync(() => cut.Instance.GetDraftAsync("dsl-editor"));
+        await cut.InvokeAsync(() => cut.Instance.DiscardDraftAsync("dsl-editor"));
+
+        Assert.Equal(new object?[] { "dsl-editor", "v1", "experiments: []" }, Assert.Single(enable.Invocations).Arguments.Skip(1));
+        Assert.Equal("experiments: [a]", draft!.Text);
+        Assert.Equal("experiments: []", draft.BaseYaml);
+        Assert.Equal(DateTimeOffset.FromUnixTimeMilliseconds(1_700_000_000_000), draft.SavedAtTime);
+        Assert.Single(discard.Invocations);
+    }
+}
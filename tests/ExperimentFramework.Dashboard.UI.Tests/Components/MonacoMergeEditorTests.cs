@@ -0,0 +1,92 @@
+using Bunit;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using Microsoft.JSInterop;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for the MonacoMergeEditor initialization, conflict tracking and fallback paths.
+/// </summary>
+public sealed class MonacoMergeEditorTests : BunitContext
+{
+    [Fact]
+    public void LoadSuccess_InitializesMergeWithAllThreeSides()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        var initialize = JSInterop.SetupVoid("monacoEditor.initializeMerge", _ => true);
+        initialize.SetVoidResult();
+
+        Render<MonacoMergeEditor>(parameters => parameters
+            .Add(p => p.Base, "a: 1")
+            .Add(p => p.Theirs, "a: 2")
+            .Add(p => p.Mine, "a: 3"));
+
+        Assert.Single(initialize.Invocations);
+        var options = initialize.Invocations[0].Arguments[1]!;
+        Assert.Equal("a: 1", options.GetType().GetProperty("base")!.GetValue(options));
+        Assert.Equal("a: 2", options.GetType().GetProperty("theirs")!.GetValue(options));
+        Assert.Equal("a: 3", options.GetType().GetProperty("mine")!.GetValue(options));
+    }
+
+    [Fact]
+    public async Task OnMergeUpdated_ShowsConflictCountAndNotifies()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initializeMerge", _ => true).SetVoidResult();
+
+        var counts = new List<int>();
+        var cut = Render<MonacoMergeEditor>(parameters => parameters
+            .Add(p => p.Base, "a: 1")
+            .Add(p => p.Theirs, "a: 2")
+            .Add(p => p.Mine, "a: 3")
+            .Add(p => p.OnConflictCountChanged, count => counts.Add(count)));
+
+        await cut.InvokeAsync(() => cut.Instance.OnMergeUpdated(2));
+        await cut.InvokeAsync(() => cut.Instance.OnMergeUpdated(2));
+        await cut.InvokeAsync(() => cut.Instance.OnMergeUpdated(0));
+
+        Assert.Equal(0, cut.Instance.ConflictCount);
+        Assert.Equal(new[] { 2, 0 }, counts);
+        Assert.Contains("No conflicts left", cut.Find("[data-merge-status]").TextContent);
+        Assert.True(cut.Find("[data-action='take-mine']").HasAttribute("disabled"));
+    }
+
+    [Fact]
+    public async Task ResolveAsync_SendsChoiceToInterop()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true).SetVoidResult();
+        JSInterop.SetupVoid("monacoEditor.initializeMerge", _ => true).SetVoidResult();
+        var resolve = JSInterop.Setup<bool>("monacoEditor.resolveMergeConflict", _ => true);
+        resolve.SetResult(true);
+        JSInterop.Setup<string?>("monacoEditor.getMergeResult", _ => true).SetResult("a: 2");
+
+        var cut = Render<MonacoMergeEditor>(parameters => parameters
+            .Add(p => p.Base, "a: 1")
+            .Add(p => p.Theirs, "a: 2")
+            .Add(p => p.Mine, "a: 3"));
+
+        await cut.InvokeAsync(() => cut.Instance.ResolveAsync("theirs"));
+        var result = await cut.InvokeAsync(() => cut.Instance.GetResultAsync());
+
+        Assert.Equal("theirs", Assert.Single(resolve.Invocations).Arguments[1]);
+        Assert.Equal("a: 2", result);
+    }
+
+    [Fact]
+    public void LoadFailure_WithoutMergeScript_RendersDraftForManualEditing()
+    {
+        JSInterop.SetupVoid("monacoEditor.loadMonaco", _ => true)
+            .SetException(new JSException("blocked"));
+
+        string? failure = null;
+        var cut = Render<MonacoMergeEditor>(parameters => parameters
+            .Add(p => p.Base, "a: 1")
+            .Add(p => p.Theirs, "a: 2")
+            .Add(p => p.Mine, "a: 3")
+            .Add(p => p.OnMonacoLoadFailed, message => failure = message));
+
+        cut.WaitForAssertion(() => Assert.Single(cut.FindAll("textarea.monaco-merge-fallback")));
+        Assert.Equal("a: 3", cut.Find("textarea.monaco-merge-fallback").GetAttribute("value"));
+        Assert.Equal("blocked", failure);
+    }
+}
@@ -0,0 +1,82 @@
+using System.Text.Json;
+using Bunit;
+using ExperimentFramework.Dashboard.Abstractions;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using ExperimentFramework.Dashboard.UI.Services;
+using Microsoft.Extensions.DependencyInjection;
+using Moq;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for ThemePalettes, which hands the host's brand palettes to theme.js,
+/// and ThemePalettePicker, which lets users pick one.
+/// </summary>
+public sealed class ThemePalettesTests : BunitContext
+{
+    [Fact]
+    public void ThemePalettes_RendersTheProvidersPalettes_AsJsonForThemeJs()
+    {
+        var provider = new Mock<IDashboardThemeProvider>();
+        provider.Setup(p => p.GetThemeAsync(null, It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new DashboardTheme
+            {
+                DefaultPalette = "acme",
+                Palettes =
+                [
+                    new DashboardPalette
+                    {
+                        Name = "acme",
+                        DisplayName = "Acme </script>",
+                        Light = { ["accent"] = "#0f766e" },
+                        Dark = { ["accent"] = "#2dd4bf" }
+                    }
+                ]
+            });
+        Services.AddSingleton(provider.Object);
+
+        var cut = Render<ThemePalettes>();
+
+        var script = cut.Find("script#ef-theme-palettes");
+        Assert.Equal("application/json", script.GetAttribute("type"));
+        Assert.DoesNotContain("</script>", script.TextContent);
+
+        using var json = JsonDocument.Parse(script.TextContent);
+        Assert.Equal("acme", json.RootElement.GetProperty("defaultPalette").GetString());
+        var palette = json.RootElement.GetProperty("palettes")[0];
+        Assert.Equal("Acme </script>", palette.GetProperty("displayName").GetString());
+        Assert.Equal("#2dd4bf", palette.GetProperty("dark").GetProperty("accent").GetString());
+    }
+
+    [Fact]
+    public void ThemePalettes_WithoutPalettes_RendersNothing()
+    {
+        var provider = new Mock<IDashboardThemeProvider>();
+        provider.Setup(p => p.GetThemeAsync(It.IsAny<string?>(), It.IsAny<CancellationToken>()))
+            .ReturnsAsync(new DashboardTheme());
+        Services.AddSingleton(provider.Object);
+
+        var cut = Render<ThemePalettes>();
+
+        Assert.Empty(cut.Markup.Trim());
+    }
+
+    [Fact]
+    public void ThemePalettePicker_ListsPalettes_AndPicksOne()
+    {
+        var themes = new ThemeService();
+        Services.AddSingleton(themes);
+
+        var cut = Render<ThemePalettePicker>();
+        Assert.Empty(cut.FindAll("select"));
+
+        cut.InvokeAsync(() => themes.SetPalettes([new ThemePaletteInfo("acme", "Acme")], null));
+        cut.WaitForAssertion(() => Assert.Equal(
+            new[] { "Default colors", "Acme" },
+            cut.FindAll("option").Select(o => o.TextContent)));
+
+        cut.Find("select").Change("acme");
+
+        Assert.Equal("acme", themes.Palette);
+    }
+}
@@ -0,0 +1,106 @@
+using Bunit;
+using ExperimentFramework.Dashboard.UI.Components.Shared;
+using ExperimentFramework.Dashboard.UI.Services;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Components;
+
+/// <summary>
+/// bUnit tests for ThemePreferenceSync, which keeps ThemeService and theme.js in step.
+/// </summary>
+public sealed class ThemePreferenceSyncTests : BunitContext
+{
+    private readonly ThemeService _themes = new();
+
+    private (JSRuntimeInvocationHandler<string> Sync, JSRuntimeInvocationHandler SetTheme) SetupThemeUtils(string cached)
+    {
+        Services.AddSingleton(_themes);
+
+        var sync = JSInterop.Setup<string>("themeUtils.syncPreference", _ => true);
+        sync.SetResult(cached);
+        JSInterop.Setup<string>("themeUtils.getSystemTheme", _ => true).SetResult("light");
+        JSInterop.SetupVoid("themeUtils.watchSystemTheme", _ => true).SetVoidResult();
+        var setTheme = JSInterop.SetupVoid("themeUtils.setTheme", _ => true);
+        setTheme.SetVoidResult();
+        JSInterop.Setup<ThemePaletteInfo[]>("themeUtils.getPalettes", _ => true)
+            .SetResult([new ThemePaletteInfo("acme", "Acme"), new ThemePaletteInfo("contoso", "Contoso")]);
+        JSInterop.Setup<string?>("themeUtils.getStoredPalette", _ => true).SetResult("acme");
+        return (sync, setTheme);
+    }
+
+    [Fact]
+    public void CachedPreference_IsReported_AndLocalChangesAreSavedByTheBrowser()
+    {
+        var (sync, setTheme) = SetupThemeUtils("dark");
+        var changes = new List<ThemePreferenceChange>();
+        _themes.OnPreferenceChanged += changes.Add;
+
+        var cut = Render<ThemePreferenceSync>(p => p.Add(c => c.PreferencesUrl, "dashboard/api/preferences"));
+        cut.WaitForAssertion(() => Assert.Equal("dark", _themes.Preference));
+        Assert.Equal("dashboard/api/preferences", sync.Invocations.Single().Arguments[1]);
+
+        cut.InvokeAsync(() => _themes.SetPreference("hc-dark"));
+
+        cut.WaitForAssertion(() => Assert.Equal("hc-dark", setTheme.Invocations.Single().Arguments[0]));
+        Assert.Equal(
+            new[]
+            {
+                new ThemePreferenceChange("dark", "dark", ThemeChangeSource.Browser),
+                new ThemePreferenceChange("hc-dark", "hc-dark", ThemeChangeSource.Local)
+            },
+            changes);
+    }
+
+    [Fact]
+    public void WithoutPreferencesUrl_ThePreferenceStaysInTheBrowser()
+    {
+        var (sync, _) = SetupThemeUtils("light");
+
+        var cut = Render<ThemePreferenceSync>();
+
+        cut.WaitForAssertion(() => Assert.Equal("light", _themes.Preference));
+        Assert.Null(sync.Invocations.Single().Arguments[1]);
+    }
+
+    [Fact]
+    public async Task ChangesFromOtherTabsAndTheServer_UpdateThemeService_WithoutSavingAgain()
+    {
+        var (_, setTheme) = SetupThemeUtils("system");
+        var changes = new List<ThemePreferenceChange>();
+        _themes.OnPreferenceChanged += changes.Add;
+
+        var cut = Render<ThemePreferenceSync>();
+        await cut.InvokeAsync(() => cut.Instance.OnThemePreferenceChanged("light", "Server"));
+        await cut.InvokeAsync(() => cut.Instance.OnThemePreferenceChanged("hc-light", "Browser"));
+        await cut.InvokeAsync(() => cut.Instance.OnThemePreferenceChanged("sepia", "Browser"));
+
+        Assert.Equal(
+            new[]
+            {
+                new ThemePreferenceChange("light", "light", ThemeChangeSource.Server),
+                new ThemePreferenceChange("hc-light", "hc-light", ThemeChangeSource.Browser)
+            },
+            changes);
+        Assert.Empty(setTheme.Invocations);
+    }
+
+    [Fact]
+    public async Task Palettes_AreReportedFromTheBrowser_AndLocalPicksAreStoredByIt()
+    {
+        SetupThemeUtils("system");
+        var setPalette = JSInterop.SetupVoid("themeUtils.setPalette", _ => true);
+        setPalette.SetVoidResult();
+
+        var cut = Render<ThemePreferenceSync>();
+        cut.WaitForAssertion(() => Assert.Equal("acme", _themes.Palette));
+        Assert.Equal(new[] { "acme", "contoso" }, _themes.Palettes.Select(p => p.Name));
+
+        await cut.InvokeAsync(() => _themes.SetPalette("contoso"));
+        cut.WaitForAssertion(() => Assert.Equal("contoso", setPalette.Invocations.Single().Arguments[0]));
+
+        // A pick from another tab is applied there already
+        await cut.InvokeAsync(() => cut.Instance.OnThemePaletteChanged(null));
+        Assert.Null(_themes.Palette);
+        Assert.Single(setPalette.Invocations);
+    }
+}
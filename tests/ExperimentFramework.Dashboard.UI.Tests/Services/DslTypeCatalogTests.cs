@@ -0,0 +1,60 @@
+using ExperimentFramework.Dashboard.UI.Models;
+using ExperimentFramework.Dashboard.UI.Services;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Services;
+
+/// <summary>
+/// Unit tests for merging plugin implementations into the DSL editor's type catalog.
+/// </summary>
+public sealed class DslTypeCatalogTests
+{
+    private static PluginInfo Plugin(string id, string @interface, string type, string? alias) => new()
+    {
+        Id = id,
+        Services =
+        [
+            new PluginServiceInfo
+            {
+                Interface = @interface,
+                Implementations = [new PluginImplementationInfo { Type = type, Alias = alias }]
+            }
+        ]
+    };
+
+    [Fact]
+    public void WithPlugins_AddsImplementationToMatchingService()
+    {
+        var services = new List<DslServiceType>
+        {
+            new() { Type = "MyApp.IGreeter", Name = "IGreeter" }
+        };
+
+        var catalog = DslTypeCatalog.WithPlugins(services, [Plugin("greeters", "IGreeter", "Greeters.LoudGreeter", "loud")]);
+
+        var implementation = Assert.Single(Assert.Single(catalog).Implementations);
+        Assert.Equal("plugin:greeters/loud", implementation.Type);
+        Assert.Equal("loud", implementation.Name);
+        Assert.Equal("plugin", implementation.Source);
+        Assert.Equal("greeters", implementation.Plugin);
+    }
+
+    [Fact]
+    public void WithPlugins_UnknownInterface_AddsService()
+    {
+        var catalog = DslTypeCatalog.WithPlugins([], [Plugin("greeters", "Greeters.IGreeter", "Greeters.LoudGreeter", null)]);
+
+        var service = Assert.Single(catalog);
+        Assert.Equal("IGreeter", service.Name);
+        Assert.Equal("plugin:greeters/Greeters.LoudGreeter", Assert.Single(service.Implementations).Type);
+    }
+
+    [Fact]
+    public void WithPlugins_SameImplementationTwice_AddsItOnce()
+    {
+        var plugin = Plugin("greeters", "IGreeter", "Greeters.LoudGreeter", "loud");
+
+        var catalog = DslTypeCatalog.WithPlugins([], [plugin, plugin]);
+
+        Assert.Single(Assert.Single(catalog).Implementations);
+    }
+}
@@ -506,6 +506,98 @@ public sealed class ExperimentApiClientTests
         Assert.True(result!.Success);
     }
 
+    [Fact]
+    public async Task ApplyDslAsync_WithPositionalCancellationToken_SendsNoBaseVersion()
+    {
+        string? sentBody = null;
+        var handler = new Mock<HttpMessageHandler>();
+        handler.Protected()
+            .Setup<Task<HttpResponseMessage>>(
+                "SendAsync",
+                ItExpr.IsAny<HttpRequestMessage>(),
+                ItExpr.IsAny<CancellationToken>())
+            .Returns<HttpRequestMessage, CancellationToken>(async (request, _) =>
+            {
+                sentBody = await request.Content!.ReadAsStringAsync();
+                return JsonOk(new { success = true });
+            });
+
+        var http = new HttpClient(handler.Object) { BaseAddress = new Uri("http://localhost/") };
+        var client = new ExperimentApiClient(http);
+
+        var result = await client.ApplyDslAsync("experiments: []", CancellationToken.None);
+
+        Assert.True(result!.Success);
+        using var doc = JsonDocument.Parse(sentBody!);
+        Assert.False(doc.RootElement.GetProperty("format").GetBoolean());
+        Assert.Equal(JsonValueKind.Null, doc.RootElement.GetProperty("baseVersion").ValueKind);
+    }
+
+    [Fact]
+    public async Task ApplyDslAsync_WithFormat_SendsFormatAndReturnsAppliedYaml()
+    {
+        string? sentBody = null;
+        var handler = new Mock<HttpMessageHandler>();
+        handler.Protected()
+            .Setup<Task<HttpResponseMessage>>(
+                "SendAsync",
+                ItExpr.IsAny<HttpRequestMessage>(),
+                ItExpr.IsAny<CancellationToken>())
+            .Returns<HttpRequestMessage, CancellationToken>(async (request, _) =>
+            {
+                sentBody = await request.Content!.ReadAsStringAsync();
+                return JsonOk(new { success = true, yaml = "experiments: []\n" });
+            });
+
+        var http = new HttpClient(handler.Object) { BaseAddress = new Uri("http://localhost/") };
+        var client = new ExperimentApiClient(http);
+
+        var result = await client.ApplyDslAsync("experiments:   []", format: true);
+
+        Assert.Equal("experiments: []\n", result!.Yaml);
+        using var doc = JsonDocument.Parse(sentBody!);
+        Assert.True(doc.RootElement.GetProperty("format").GetBoolean());
+    }
+
+    [Fact]
+    public async Task ApplyDslAsync_StaleBase_ReturnsConflictWithCurrentYaml()
+    {
+        var body = JsonSerializer.Serialize(new { success = false, conflict = true, currentYaml = "experiments: []\n", currentVersion = "v2" });
+        var client = BuildClient(new HttpResponseMessage(HttpStatusCode.Conflict)
+        {
+            Content = new StringContent(body, Encoding.UTF8, "application/json")
+        });
+
+        var result = await client.ApplyDslAsync("experiments: []", format: false, baseVersion: "v1");
+
+        Assert.NotNull(result);
+        Assert.False(result!.Success);
+        Assert.True(result.Conflict);
+        Assert.Equal("experiments: []\n", result.CurrentYaml);
+        Assert.Equal("v2", result.CurrentVersion);
+    }
+
+    [Fact]
+    public async Task ApplyDslAsync_LockedExperiment_ReturnsLockReasons()
+    {
+        var body = JsonSerializer.Serialize(new
+        {
+            success = false,
+            errors = new[] { new { message = "Experiment 'checkout' is locked: it is running.", severity = "error" } }
+        });
+        var client = BuildClient(new HttpResponseMessage(HttpStatusCode.Locked)
+        {
+            Content = new StringContent(body, Encoding.UTF8, "application/json")
+        });
+
+        var result = await client.ApplyDslAsync("experiments: []");
+
+        Assert.NotNull(result);
+        Assert.False(result!.Success);
+        Assert.False(result.Conflict);
+        Assert.Contains("'checkout' is locked", Assert.Single(result.Errors).Message);
+    }
+
     [Fact]
     public async Task ApplyDslAsync_FailureResponse_ReturnsNull()
     {
@@ -526,6 +618,31 @@ public sealed class ExperimentApiClientTests
         Assert.Contains("experiments", result!.Yaml);
     }
 
+    // ── GetDslTypesAsync ──────────────────────────────────────────────────────
+
+    [Fact]
+    public async Task GetDslTypesAsync_ReturnsServices()
+    {
+        var resp = new
+        {
+            services = new[]
+            {
+                new
+                {
+                    type = "MyApp.IGreeter",
+                    name = "IGreeter",
+                    experiments = new[] { "greeting" },
+                    implementations = new[] { new { type = "MyApp.PlainGreeter", name = "PlainGreeter", source = "trial" } }
+                }
+            }
+        };
+        var client = BuildClient(JsonOk(resp));
+        var result = await client.GetDslTypesAsync();
+        var service = Assert.Single(result);
+        Assert.Equal("MyApp.IGreeter", service.Type);
+        Assert.Equal("MyApp.PlainGreeter", Assert.Single(service.Implementations).Type);
+    }
+
     // ── GetPluginsAsync ────────────────────────────────────────────────────────
 
     [Fact]
@@ -710,6 +827,24 @@ public sealed class ExperimentApiClientTests
         Assert.False(r);
     }
 
+    // ── GetGovernanceLocksAsync ───────────────────────────────────────────────
+
+    [Fact]
+    public async Task GetGovernanceLocksAsync_ReturnsLocks()
+    {
+        var client = BuildClient(JsonOk(new
+        {
+            locks = new[] { new { experimentName = "exp-1", state = "Approved", approvedBy = "alice" } }
+        }));
+
+        var locks = await client.GetGovernanceLocksAsync();
+
+        var locked = Assert.Single(locks);
+        Assert.Equal("exp-1", locked.ExperimentName);
+        Assert.Equal("Approved", locked.State);
+        Assert.Equal("alice", locked.ApprovedBy);
+    }
+
     // ── GetStateTransitionHistoryAsync ────────────────────────────────────────
 
     [Fact]
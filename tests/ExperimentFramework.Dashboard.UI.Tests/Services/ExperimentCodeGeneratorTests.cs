@@ -1,3 +1,4 @@
+using System.Text.Json;
 using ExperimentFramework.Dashboard.UI.Models;
 using ExperimentFramework.Dashboard.UI.Services;
 
@@ -378,4 +379,41 @@ public sealed class ExperimentCodeGeneratorTests
         var code = gen.GenerateFluentApi(BaseModel());
         Assert.Contains("AddExperimentFramework", code);
     }
+
+    // ── Fixtures shared with the DSL editor's Fluent preview (js/dsl-fluent.test.js) ──
+
+    private static readonly string FixtureDirectory = Path.Combine(AppContext.BaseDirectory, "Fixtures", "FluentPreview");
+
+    public static TheoryData<string> FluentPreviewFixtures()
+    {
+        var data = new TheoryData<string>();
+        foreach (var file in Directory.GetFiles(FixtureDirectory, "*.model.json").Order(StringComparer.Ordinal))
+            data.Add(Path.GetFileName(file)[..^".model.json".Length]);
+        return data;
+    }
+
+    private static string ReadFixture(string file) =>
+        File.ReadAllText(Path.Combine(FixtureDirectory, file)).ReplaceLineEndings("\n");
+
+    private static ExperimentWizardModel FixtureModel(string name) =>
+        JsonSerializer.Deserialize<ExperimentWizardModel>(ReadFixture($"{name}.model.json"))!;
+
+    [Theory]
+    [MemberData(nameof(FluentPreviewFixtures))]
+    public void GenerateYaml_MatchesFluentPreviewFixture(string name)
+    {
+        var gen = new ExperimentCodeGenerator();
+        var yaml = gen.GenerateYaml(FixtureModel(name)).ReplaceLineEndings("\n");
+        Assert.Equal(ReadFixture($"{name}.yaml"), yaml);
+    }
+
+    [Theory]
+    [MemberData(nameof(FluentPreviewFixtures))]
+    public void GenerateFluentApi_MatchesFluentPreviewFixture(string name)
+    {
+        // The preview reads the fixture's YAML and has to write this same code
+        var gen = new ExperimentCodeGenerator();
+        var code = gen.GenerateFluentApi(FixtureModel(name)).ReplaceLineEndings("\n");
+        Assert.Equal(ReadFixture($"{name}.fluent.txt"), code);
+    }
 }
@@ -1,3 +1,4 @@
+using System.Text.Json;
 using ExperimentFramework.Dashboard.UI.Models;
 
 namespace ExperimentFramework.Dashboard.UI.Tests.Services;
@@ -478,4 +479,30 @@ public sealed class ExperimentWizardModelTests
         Assert.Single(model.Variants);
         Assert.Empty(model.FallbackOrder);
     }
+
+    // ── Serialization ─────────────────────────────────────────────────────────
+
+    [Fact]
+    public void Deserialize_ReadsModesByName()
+    {
+        // The shape the editor script reads back from YAML
+        var json = """
+            {
+              "name": "checkout",
+              "selectionMode": "FeatureFlag",
+              "selectionModeKey": "NewCheckout",
+              "errorPolicy": "TryInOrder",
+              "fallbackOrder": ["fast", "default"],
+              "control": { "key": "default", "implementationType": "Classic" },
+              "variants": [{ "key": "fast", "implementationType": "Fast" }]
+            }
+            """;
+
+        var model = JsonSerializer.Deserialize<ExperimentWizardModel>(json, JsonSerializerOptions.Web)!;
+
+        Assert.Equal(SelectionModeType.FeatureFlag, model.SelectionMode);
+        Assert.Equal(ErrorPolicyType.TryInOrder, model.ErrorPolicy);
+        Assert.Equal(new[] { "fast", "default" }, model.FallbackOrder);
+        Assert.Equal("Fast", Assert.Single(model.Variants).ImplementationType);
+    }
 }
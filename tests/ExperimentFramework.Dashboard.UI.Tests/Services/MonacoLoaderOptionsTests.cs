@@ -0,0 +1,70 @@
+using ExperimentFramework.Dashboard.UI.Services;
+
+namespace ExperimentFramework.Dashboard.UI.Tests.Services;
+
+/// <summary>
+/// Unit tests for MonacoLoaderOptions source ordering (pure C#, no Blazor).
+/// </summary>
+public sealed class MonacoLoaderOptionsTests
+{
+    [Fact]
+    public void GetSources_Default_UsesPinnedCdnOnly()
+    {
+        var options = new MonacoLoaderOptions();
+
+        var source = Assert.Single(options.GetSources());
+
+        Assert.Equal("cdn", source.Name);
+        Assert.Equal($"https://cdn.jsdelivr.net/npm/monaco-editor@{MonacoLoaderOptions.DefaultVersion}/min/vs", source.BaseUrl);
+    }
+
+    [Fact]
+    public void DefaultVersion_ComesFromTheBuild()
+    {
+        Assert.Matches(@"^\d+\.\d+\.\d+$", MonacoLoaderOptions.DefaultVersion);
+        Assert.Equal(MonacoLoaderOptions.DefaultVersion, new MonacoLoaderOptions().Version);
+    }
+
+    [Fact]
+    public void GetSources_LocalAndMirror_AreTriedBeforeCdn()
+    {
+        var options = new MonacoLoaderOptions
+        {
+            UseLocalAssets = true,
+            Version = "0.46.0",
+            CdnLoaderIntegrity = "sha384-abc",
+            AdditionalSources = [new MonacoAssetSource { Name = "mirror", BaseUrl = "https://mirror.internal/monaco/vs" }]
+        };
+
+        var sources = options.GetSources();
+
+        Assert.Equal(["local", "mirror", "cdn"], sources.Select(s => s.Name));
+        Assert.Equal(MonacoLoaderOptions.DefaultLocalBasePath, sources[0].BaseUrl);
+        Assert.Contains("monaco-editor@0.46.0", sources[2].BaseUrl);
+        Assert.Equal("sha384-abc", sources[2].LoaderIntegrity);
+    }
+
+    [Fact]
+    public void GetSources_CdnDisabled_ExcludesCdn()
+    {
+        var options = new MonacoLoaderOptions { UseLocalAssets = true, UseCdn = false };
+
+        var source = Assert.Single(options.GetSources());
+
+        Assert.Equal("local", source.Name);
+    }
+
+    [Fact]
+    public void GetTotalBudget_CoversEveryAttempt()
+    {
+        var options = new MonacoLoaderOptions
+        {
+            UseLocalAssets = true,
+            Timeout = TimeSpan.FromSeconds(10),
+            RetryCount = 2
+        };
+
+        // 2 sources x 3 attempts x 10s, plus slack
+        Assert.True(options.GetTotalBudget() >= TimeSpan.FromSeconds(60));
+    }
+}
@@ -114,4 +114,113 @@ public sealed class ThemeServiceTests
         Assert.Equal("second", svc.CurrentTheme?.Name);
         Assert.Equal("#222", svc.CurrentTheme?.PrimaryColor);
     }
+
+    [Fact]
+    public void Preference_Default_IsSystemResolvedToSystemTheme()
+    {
+        var svc = new ThemeService();
+        Assert.Equal("system", svc.Preference);
+        Assert.Equal("light", svc.EffectiveTheme);
+    }
+
+    [Fact]
+    public void SetPreference_RaisesOnPreferenceChanged_WithSource()
+    {
+        var svc = new ThemeService();
+        var changes = new List<ThemePreferenceChange>();
+        svc.OnPreferenceChanged += changes.Add;
+
+        svc.SetPreference("dark");
+        svc.SetPreference("HC-Light", ThemeChangeSource.Server);
+
+        Assert.Equal(
+            new[]
+            {
+                new ThemePreferenceChange("dark", "dark", ThemeChangeSource.Local),
+                new ThemePreferenceChange("hc-light", "hc-light", ThemeChangeSource.Server)
+            },
+            changes);
+    }
+
+    [Fact]
+    public void SetPreference_Unchanged_DoesNotRaise()
+    {
+        var svc = new ThemeService();
+        var raised = 0;
+        svc.OnPreferenceChanged += _ => raised++;
+
+        svc.SetPreference("system", ThemeChangeSource.Browser);
+
+        Assert.Equal(0, raised);
+    }
+
+    [Fact]
+    public void SetPreference_UnknownValue_Throws()
+    {
+        var svc = new ThemeService();
+        Assert.Throws<ArgumentException>(() => svc.SetPreference("sepia"));
+    }
+
+    [Fact]
+    public void SetSystemTheme_RaisesOnlyWhenPreferenceIsSystem()
+    {
+        var svc = new ThemeService();
+        var changes = new List<ThemePreferenceChange>();
+        svc.OnPreferenceChanged += changes.Add;
+
+        svc.SetSystemTheme("dark");
+        svc.SetPreference("light");
+        svc.SetSystemTheme("hc-dark");
+
+        Assert.Equal(
+            new[]
+            {
+                new ThemePreferenceChange("system", "dark", ThemeChangeSource.System),
+                new ThemePreferenceChange("light", "light", ThemeChangeSource.Local)
+            },
+            changes);
+        Assert.Equal("hc-dark", svc.SystemTheme);
+    }
+
+    [Fact]
+    public void SetPalettes_KeepsTheBrowsersPalette_OnlyWhenRegistered()
+    {
+        var svc = new ThemeService();
+        var changes = new List<ThemePaletteChange>();
+        svc.OnPaletteChanged += changes.Add;
+
+        svc.SetPalettes([new ThemePaletteInfo("acme", "Acme")], "acme");
+        svc.SetPalettes([new ThemePaletteInfo("contoso", "Contoso")], "acme");
+
+        Assert.Null(svc.Palette);
+        Assert.Equal(
+            new[]
+            {
+                new ThemePaletteChange("acme", ThemeChangeSource.Browser),
+                new ThemePaletteChange(null, ThemeChangeSource.Browser)
+            },
+            changes);
+    }
+
+    [Fact]
+    public void SetPalette_RaisesOnChange_AndRejectsUnknownPalettes()
+    {
+        var svc = new ThemeService();
+        svc.SetPalettes([new ThemePaletteInfo("acme", "Acme")], null);
+        var changes = new List<ThemePaletteChange>();
+        svc.OnPaletteChanged += changes.Add;
+
+        svc.SetPalette("acme");
+        svc.SetPalette("acme", ThemeChangeSource.Browser);
+        svc.SetPalette("", ThemeChangeSource.Browser);
+
+        Assert.Equal(
+            new[]
+            {
+                new ThemePaletteChange("acme", ThemeChangeSource.Local),
+                new ThemePaletteChange(null, ThemeChangeSource.Browser)
+            },
+            changes);
+        Assert.Throws<ArgumentException>(() => svc.SetPalette("contoso"));
+    }
 }
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslConvert } = load('dsl-yaml', 'dsl-json', 'dsl-schema', 'dsl-convert');
+
+test('converts YAML to JSON and back', () => {
+    const yaml = 'trials:\n  - serviceType: IPay\n    conditions:\n      - key: fast\n';
+    const json = dslConvert.convert(yaml, 'yaml', 'json');
+    assert.deepEqual(json.errors, []);
+    assert.deepEqual(JSON.parse(json.text), { trials: [{ serviceType: 'IPay', conditions: [{ key: 'fast' }] }] });
+
+    assert.equal(dslConvert.convert(json.text, 'json', 'yaml').text, yaml);
+});
+
+test('refuses to convert a document with syntax errors', () => {
+    const result = dslConvert.convert('a: b\n  c: d\n', 'yaml', 'json');
+    assert.equal(result.text, null);
+    assert.equal(result.errors[0].code, 'indentation');
+});
+
+test('keeps comments when converting', () => {
+    const result = dslConvert.convert('# about a\na: 1 # one\n', 'yaml', 'json');
+    assert.equal(result.text, '// about a\n{\n  "a": 1 // one\n}\n');
+});
+
+test('formats YAML in the canonical layout', () => {
+    assert.equal(dslConvert.format("a:   'x'\nb: [1, 2]\n", 'yaml').text, 'a: x\nb:\n  - 1\n  - 2\n');
+});
+
+test('keeps quotes on values that would read differently without them', () => {
+    assert.equal(dslConvert.format("a: '1'\nb: 'true'\nc: 'x: y'\n", 'yaml').text, 'a: "1"\nb: "true"\nc: "x: y"\n');
+});
+
+test('keeps anchors and aliases when formatting', () => {
+    const yaml = 'defaults: &defaults\n  mode: a\ncheckout: *defaults\nitems:\n  - &item\n    name: a\n  - *item\nkeys: [&k x, *k]\n';
+    assert.equal(dslConvert.format(yaml, 'yaml').text,
+        'defaults: &defaults\n  mode: a\ncheckout: *defaults\nitems:\n  - &item\n    name: a\n  - *item\nkeys:\n  - &k x\n  - *k\n');
+});
+
+test('writes the aliased value out in JSON', () => {
+    const json = dslConvert.convert('a: &v\n  k: 1\nb: *v\n', 'yaml', 'json').text;
+    assert.deepEqual(JSON.parse(json), { a: { k: 1 }, b: { k: 1 } });
+});
+
+test('quotes words YAML 1.1 readers load as booleans', () => {
+    assert.equal(dslConvert.format("a: 'yes'\nb: 'Off'\nc: 'n'\nd: 'Y'\n'on': x\ne: yesterday\n", 'yaml').text,
+        'a: "yes"\nb: "Off"\nc: "n"\nd: "Y"\n"on": x\ne: yesterday\n');
+    assert.equal(dslConvert.convert('{\n  "a": "no"\n}\n', 'json', 'yaml').text, 'a: "no"\n');
+});
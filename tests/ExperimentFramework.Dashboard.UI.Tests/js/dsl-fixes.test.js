@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslSchema, dslFixes } = load('dsl-yaml', 'dsl-json', 'dsl-schema', 'dsl-fixes');
+
+const schema = { type: 'object', properties: { mode: { enum: ['featureFlag', 'configurationKey'] } } };
+
+test('offers the closest allowed value for an invalid enum', () => {
+    const text = 'mode: featureflg\n';
+    const [diagnostic] = dslSchema.diagnose(schema, text, 'yaml');
+    const [first] = dslFixes.fixesFor(diagnostic, text, 'yaml');
+    assert.equal(first.isPreferred, true);
+    assert.deepEqual(first.edits.map(e => e.text), ['featureFlag']);
+});
+
+test('replaces tabs in indentation', () => {
+    const [fix] = dslFixes.fixesFor({ code: 'tab-indentation', startLineNumber: 2 }, 'a:\n\tb: 1\n', 'yaml');
+    assert.deepEqual(fix.edits, [{ range: { startLineNumber: 2, startColumn: 1, endLineNumber: 2, endColumn: 6 }, text: '  b: 1' }]);
+});
+
+test('quotes a replacement only where the language needs it', () => {
+    assert.equal(dslFixes.scalarText('fast', false), 'fast');
+    assert.equal(dslFixes.scalarText('fast', true), '"fast"');
+    assert.equal(dslFixes.scalarText('on', false), '"on"');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { load } = require('./load');
+
+const { dslYaml, dslJson, dslFluent } = load('dsl-yaml', 'dsl-json', 'dsl-schema', 'dsl-fluent');
+
+// Shared with ExperimentCodeGeneratorTests: each fixture is a wizard model, the YAML
+// ExperimentCodeGenerator.GenerateYaml writes for it and the code GenerateFluentApi writes for it.
+// The preview has to write the same code from that YAML.
+const FIXTURES = path.resolve(__dirname, '../Fixtures/FluentPreview');
+
+function read(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8').replace(/\r\n/g, '\n');
+}
+
+fs.readdirSync(FIXTURES).filter(file => file.endsWith('.yaml')).forEach(file => {
+    const name = file.slice(0, -'.yaml'.length);
+
+    test(`writes the code generator's output for ${name}`, () => {
+        const generated = dslFluent.generate(dslYaml.parse(read(file)));
+        assert.deepEqual(generated.errors, []);
+        assert.equal(generated.text, read(name + '.fluent.txt'));
+    });
+});
+
+test('writes the same code from the JSON form', () => {
+    const yaml = dslFluent.generate(dslYaml.parse(read('feature-flag.yaml'))).text;
+    const json = JSON.stringify(dslYaml.toValue(dslYaml.parse(read('feature-flag.yaml')).root), null, 2);
+    assert.equal(dslFluent.generate(dslJson.parse(json)).text, yaml);
+});
+
+test('maps generated lines back to the DSL they came from', () => {
+    const generated = dslFluent.generate(dslYaml.parse(read('configuration-key.yaml')));
+    const control = dslFluent.segmentAtCode(generated.segments, 11);
+    assert.equal(control.range.startLineNumber, 13);
+    assert.equal(dslFluent.segmentAtSource(generated.segments, 13).startLineNumber, 11);
+});
+
+test('writes nothing while the document has syntax errors', () => {
+    const generated = dslFluent.generate(dslYaml.parse('experiments:\n  - name: a\n   trials: x\n'));
+    assert.equal(generated.text, null);
+    assert.ok(generated.errors.length > 0);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslYaml, dslJson } = load('dsl-yaml', 'dsl-json');
+
+test('parses JSON with comments into the same node tree as YAML', () => {
+    const parsed = dslJson.parse('{"a": [1, true, null], // note\n "b": "x"}');
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(dslYaml.toValue(parsed.root), { a: [1, true, null], b: 'x' });
+    assert.deepEqual(parsed.comments.map(c => [c.line, c.text, c.trailing]), [[1, 'note', true]]);
+});
+
+test('reports a syntax error where the input goes wrong', () => {
+    const errors = dslJson.parse('{"a": 1,,}').errors;
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, 'unexpected-content');
+    assert.equal(errors[0].startColumn, 9);
+});
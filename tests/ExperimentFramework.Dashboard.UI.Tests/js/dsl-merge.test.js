@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslMerge } = load('dsl-merge');
+
+test('lists changed and added lines', () => {
+    assert.deepEqual(dslMerge.changedLines('a\nb\nc\n', 'a\nB\nc\nd\n'), [
+        { startLineNumber: 2, endLineNumber: 2 },
+        { startLineNumber: 4, endLineNumber: 4 }
+    ]);
+});
+
+test('merges edits to separate regions', () => {
+    const merged = dslMerge.merge('a\nb\nc\nd\ne\n', 'a\nB\nc\nd\ne\n', 'a\nb\nc\nd\nE\n');
+    assert.deepEqual(merged, { text: 'a\nB\nc\nd\nE\n', conflicts: 0 });
+});
+
+test('marks conflicting edits and resolves them', () => {
+    const merged = dslMerge.merge('a\nb\nc\n', 'a\nB\nc\n', 'a\nX\nc\n');
+    assert.equal(merged.text, 'a\n<<<<<<< mine\nX\n||||||| base\nb\n=======\nB\n>>>>>>> theirs\nc\n');
+    assert.equal(merged.conflicts, 1);
+
+    const [conflict] = dslMerge.conflicts(merged.text);
+    assert.deepEqual(conflict, { start: 2, base: 4, separator: 6, end: 8 });
+    assert.deepEqual(dslMerge.resolution(merged.text, conflict, 'both'), ['X', 'B']);
+});
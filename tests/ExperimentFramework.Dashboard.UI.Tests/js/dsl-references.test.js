@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslYaml, dslReferences } = load('dsl-yaml', 'dsl-json', 'dsl-schema', 'dsl-fixes', 'dsl-references');
+
+const yaml = [
+    'trials:',
+    '  - serviceType: IPay',
+    '    control: { key: old }',
+    '    conditions:',
+    '      - key: fast',
+    '    errorPolicy:',
+    '      fallbackKey: fast',
+    ''
+].join('\n');
+
+function index() {
+    const parsed = dslYaml.parse(yaml);
+    return dslReferences.index(parsed.root, dslYaml.toValue(parsed.root));
+}
+
+test('links references to the condition they name', () => {
+    const idx = index();
+    const reference = dslReferences.occurrenceAt(idx, 7, 20);
+    assert.equal(reference.kind, 'reference');
+    assert.deepEqual(dslReferences.related(idx, reference).map(o => [o.kind, o.node.range.startLineNumber]),
+        [['definition', 5], ['reference', 7]]);
+});
+
+test('renames a condition everywhere it is used', () => {
+    const idx = index();
+    const { edits } = dslReferences.renameEdits(idx, dslReferences.occurrenceAt(idx, 7, 20), 'quick', false);
+    assert.deepEqual(edits.map(e => [e.range.startLineNumber, e.range.startColumn, e.text]), [[5, 14, 'quick'], [7, 20, 'quick']]);
+});
+
+test('refuses a rename to a key the trial already defines', () => {
+    const idx = index();
+    assert.deepEqual(dslReferences.renameEdits(idx, dslReferences.occurrenceAt(idx, 7, 20), 'old', false),
+        { error: "Condition 'old' is already defined in this trial." });
+});
+
+test('leaves aliased conditions to their anchor', () => {
+    const parsed = dslYaml.parse('trials:\n  - control: &control { key: old }\n  - control: *control\n');
+    const idx = dslReferences.index(parsed.root, dslYaml.toValue(parsed.root));
+    assert.deepEqual(idx.occurrences.map(o => [o.key, o.node.range.startLineNumber]), [['old', 2]]);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslSchema } = load('dsl-yaml', 'dsl-json', 'dsl-schema');
+
+const schema = {
+    type: 'object',
+    properties: { name: { type: 'string' }, mode: { enum: ['featureFlag', 'configurationKey'] } },
+    required: ['name']
+};
+
+test('reports invalid enum values with the closest suggestion', () => {
+    const [diagnostic] = dslSchema.diagnose(schema, 'name: a\nmode: featureflg\n', 'yaml');
+    assert.equal(diagnostic.code, 'invalid-enum');
+    assert.equal(diagnostic.data.suggestion, 'featureFlag');
+    assert.equal(diagnostic.startLineNumber, 2);
+});
+
+test('reports missing required properties only when asked to', () => {
+    assert.deepEqual(dslSchema.diagnose(schema, 'mode: featureFlag\n', 'yaml'), []);
+
+    const diagnostics = dslSchema.diagnose(schema, 'mode: featureFlag\n', 'yaml', { required: true });
+    assert.deepEqual(diagnostics.map(d => [d.code, d.data.key]), [['missing-required', 'name']]);
+});
+
+test('checks JSON documents against the same schema', () => {
+    const diagnostics = dslSchema.diagnose(schema, '{ "Name": "a", "Mode": "other" }', 'json');
+    assert.deepEqual(diagnostics.map(d => d.code), ['invalid-enum']);
+});
+
+test('reports problems inside an aliased value on the alias', () => {
+    const nested = { type: 'object', properties: { a: { type: 'object', properties: { mode: schema.properties.mode } } } };
+    const diagnostics = dslSchema.diagnose(nested, 'd: &d\n  mode: other\na: *d\n', 'yaml');
+    assert.deepEqual(diagnostics.map(d => [d.code, d.startLineNumber, d.startColumn]), [['invalid-enum', 3, 4]]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./load');
+
+const { dslYaml } = load('dsl-yaml');
+
+function value(text) {
+    const parsed = dslYaml.parse(text);
+    assert.deepEqual(parsed.errors, []);
+    return dslYaml.toValue(parsed.root);
+}
+
+test('parses nested maps, sequences and flow collections', () => {
+    assert.deepEqual(value([
+        'experimentFramework:',
+        '  experiments:',
+        '    - name: checkout',
+        '      trials:',
+        '        - serviceType: IPay',
+        '          control: { key: old, implementationType: Old }',
+        '          conditions: [fast, slow]',
+        ''
+    ].join('\n')), {
+        experimentFramework: {
+            experiments: [{
+                name: 'checkout',
+                trials: [{ serviceType: 'IPay', control: { key: 'old', implementationType: 'Old' }, conditions: ['fast', 'slow'] }]
+            }]
+        }
+    });
+});
+
+test('resolves plain scalars with the YAML 1.2 core schema', () => {
+    assert.deepEqual(value('a: 1\nb: 1.5\nc: true\nd: null\ne: ~\nf: yes\ng: "1"\n'),
+        { a: 1, b: 1.5, c: true, d: null, e: null, f: 'yes', g: '1' });
+});
+
+test('reports unexpected indentation with its range', () => {
+    const parsed = dslYaml.parse('a: b\n  c: d\n');
+    assert.equal(parsed.errors.length, 1);
+    assert.equal(parsed.errors[0].code, 'indentation');
+    assert.equal(parsed.errors[0].startLineNumber, 2);
+});
+
+test('keeps comments with their line', () => {
+    const parsed = dslYaml.parse('# leading\na: 1 # trailing\n');
+    assert.deepEqual(parsed.comments.map(c => [c.line, c.text, !!c.trailing]), [[1, 'leading', false], [2, 'trailing', true]]);
+});
+
+test('finds the node at a path and at a position', () => {
+    const parsed = dslYaml.parse('trials:\n  - serviceType: IPay\n');
+    assert.equal(dslYaml.getNodeAtPath(parsed.root, ['trials', 0, 'serviceType']).value, 'IPay');
+
+    const hit = dslYaml.findAt(parsed.root, 2, 18);
+    assert.equal(hit.node.value, 'IPay');
+    assert.equal(hit.isKey, false);
+});
+
+test('resolves aliases to the value of their anchor', () => {
+    assert.deepEqual(value([
+        'defaults: &defaults',
+        '  selectionMode: featureFlag',
+        'checkout: *defaults',
+        'keys: [&fast fast, *fast]',
+        'items:',
+        '  - &item',
+        '    name: a',
+        '  - *item',
+        '  - !!str 5',
+        ''
+    ].join('\n')), {
+        defaults: { selectionMode: 'featureFlag' },
+        checkout: { selectionMode: 'featureFlag' },
+        keys: ['fast', 'fast'],
+        items: [{ name: 'a' }, { name: 'a' }, '5']
+    });
+});
+
+test('reports an alias without an anchor before it', () => {
+    const parsed = dslYaml.parse('a: *missing\nb: &missing 1\n');
+    assert.deepEqual(parsed.errors.map(e => [e.code, e.startLineNumber, e.startColumn]), [['unknown-alias', 1, 4]]);
+});
+
+test('keeps block scalar chomping', () => {
+    assert.deepEqual(value('clip: |\n  a\n  b\n\nstrip: |-\n  a\nkeep: |+\n  a\n\nlast: 1\n'),
+        { clip: 'a\nb\n', strip: 'a', keep: 'a\n\n', last: 1 });
+    assert.deepEqual(value('a: |\n  x\n'), { a: 'x\n' });
+    assert.deepEqual(value('a: |\n  x'), { a: 'x' });
+    assert.deepEqual(value('- |\n  # not a comment\n- b\n'), ['# not a comment\n', 'b']);
+});
+
+test('folds block scalars like YAML', () => {
+    assert.deepEqual(value('a: >\n  one\n  two\n\n  three\n    indented\n  four\n'), { a: 'one two\nthree\n  indented\nfour\n' });
+    assert.deepEqual(value('a: >-\n  one\n  two\n'), { a: 'one two' });
+});
@@ -0,0 +1,21 @@
+// Loads the DSL editor scripts the way the browser and the validation worker do: each one is an
+// IIFE that registers itself on `self`, and later scripts find earlier ones there.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MONACO = path.resolve(__dirname, '../../../src/ExperimentFramework.Dashboard.UI/wwwroot/monaco');
+
+/**
+ * Runs the named scripts (without '.js'), in order, against one shared global and returns it.
+ */
+function load(...names) {
+    const global = {};
+    names.forEach(name => {
+        const source = fs.readFileSync(path.join(MONACO, name + '.js'), 'utf8');
+        new Function('self', source)(global);
+    });
+    return global;
+}
+
+module.exports = { load };
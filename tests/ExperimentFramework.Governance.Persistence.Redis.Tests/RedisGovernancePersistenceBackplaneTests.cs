@@ -76,6 +76,20 @@ public sealed class RedisGovernancePersistenceBackplaneTests : TinyBddXunitBase,
         Assert.Equal(1, retrieved.ConfigurationVersion);
     }
 
+    [Scenario("Several states are read with one multi-key get")]
+    [Fact]
+    public async Task Several_states_are_read_together()
+    {
+        var backplane = CreateBackplane();
+        await backplane.SaveExperimentStateAsync(MakeState("bulk-a"));
+        await backplane.SaveExperimentStateAsync(MakeState("bulk-b", ExperimentLifecycleState.Running));
+
+        var states = await backplane.GetExperimentStatesAsync(["bulk-a", "bulk-b", "bulk-missing"]);
+
+        Assert.Equal(["bulk-a", "bulk-b"], states.Select(s => s.ExperimentName).Order());
+        Assert.Equal(ExperimentLifecycleState.Running, states.Single(s => s.ExperimentName == "bulk-b").CurrentState);
+    }
+
     [Scenario("Transition history serializes event types correctly")]
     [Fact]
     public async Task Transition_history_serializes_event_types()
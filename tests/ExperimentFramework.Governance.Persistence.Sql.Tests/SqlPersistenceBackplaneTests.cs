@@ -121,6 +121,20 @@ public sealed class SqlPersistenceBackplaneTests(ITestOutputHelper output) : Tin
             }))
             .AssertPassed();
 
+    [Scenario("SQL persistence retrieves several experiment states in one query")]
+    [Fact]
+    public Task Sql_retrieve_several_states()
+        => Given("a SQL backplane", CreateBackplane)
+            .And("a state for bulk-a", c => CreateExperimentState(c, "bulk-a"))
+            .And("it is saved", SaveState)
+            .And("a state for bulk-b", c => CreateExperimentState(c, "bulk-b"))
+            .And("it is saved", SaveState)
+            .When("bulk-a and an unknown experiment are retrieved together", c => Task.Run(async () =>
+                await c.Backplane.GetExperimentStatesAsync(["bulk-a", "non-existent"])))
+            .Then("only bulk-a is returned", states =>
+                states.Select(s => s.ExperimentName).Should().Equal("bulk-a"))
+            .AssertPassed();
+
     [Scenario("SQL persistence stores immutable state transition history")]
     [Fact]
     public Task Sql_immutable_transition_history()
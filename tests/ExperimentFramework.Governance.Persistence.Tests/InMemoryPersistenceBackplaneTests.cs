@@ -135,6 +135,35 @@ public sealed class InMemoryPersistenceBackplaneTests(ITestOutputHelper output)
             .Then("state is null", c => c.State.Should().BeNull())
             .AssertPassed();
 
+    [Scenario("Retrieve several experiment states at once")]
+    [Fact]
+    public Task Retrieve_several_states()
+        => Given("a backplane", CreateBackplane)
+            .And("a state for exp-a", c => CreateExperimentState(c, "exp-a"))
+            .And("it is saved", SaveState)
+            .And("a state for exp-b", c => CreateExperimentState(c, "exp-b"))
+            .And("it is saved", SaveState)
+            .When("exp-a, exp-b and an unknown experiment are retrieved together", c => Task.Run(async () =>
+                await c.Backplane.GetExperimentStatesAsync(["exp-a", "exp-b", "non-existent"])))
+            .Then("the two saved states are returned", states =>
+                states.Select(s => s.ExperimentName).Should().BeEquivalentTo("exp-a", "exp-b"))
+            .AssertPassed();
+
+    [Scenario("Backplanes without a batched read retrieve several states one at a time")]
+    [Fact]
+    public Task Retrieve_several_states_by_default()
+        => Given("a backplane", CreateBackplane)
+            .And("a state for exp-a", c => CreateExperimentState(c, "exp-a"))
+            .And("it is saved", SaveState)
+            .When("exp-a and an unknown experiment are retrieved together through a backplane that only reads one state", c => Task.Run(async () =>
+            {
+                IGovernancePersistenceBackplane backplane = new SingleStateBackplane(c.Backplane);
+                return await backplane.GetExperimentStatesAsync(["exp-a", "non-existent"]);
+            }))
+            .Then("the saved state is returned", states =>
+                states.Select(s => s.ExperimentName).Should().Equal("exp-a"))
+            .AssertPassed();
+
     [Scenario("Append and retrieve state transition history")]
     [Fact]
     public Task Append_and_retrieve_transitions()
@@ -312,4 +341,50 @@ public sealed class InMemoryPersistenceBackplaneTests(ITestOutputHelper output)
             .And("state is for tenant-a", c => c.State!.TenantId.Should().Be("tenant-a"))
             .And("state is Draft", c => c.State!.CurrentState.Should().Be(ExperimentLifecycleState.Draft))
             .AssertPassed();
+
+    // Implements everything but GetExperimentStatesAsync, which the interface then supplies
+    private sealed class SingleStateBackplane(InMemoryGovernancePersistenceBackplane inner) : IGovernancePersistenceBackplane
+    {
+        public Task<PersistedExperimentState?> GetExperimentStateAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetExperimentStateAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task<PersistenceResult<PersistedExperimentState>> SaveExperimentStateAsync(PersistedExperimentState state, string? expectedETag = null, CancellationToken cancellationToken = default)
+            => inner.SaveExperimentStateAsync(state, expectedETag, cancellationToken);
+
+        public Task AppendStateTransitionAsync(PersistedStateTransition transition, CancellationToken cancellationToken = default)
+            => inner.AppendStateTransitionAsync(transition, cancellationToken);
+
+        public Task<IReadOnlyList<PersistedStateTransition>> GetStateTransitionHistoryAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetStateTransitionHistoryAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task AppendApprovalRecordAsync(PersistedApprovalRecord approval, CancellationToken cancellationToken = default)
+            => inner.AppendApprovalRecordAsync(approval, cancellationToken);
+
+        public Task<IReadOnlyList<PersistedApprovalRecord>> GetApprovalRecordsAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetApprovalRecordsAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task<IReadOnlyList<PersistedApprovalRecord>> GetApprovalRecordsByTransitionAsync(string transitionId, CancellationToken cancellationToken = default)
+            => inner.GetApprovalRecordsByTransitionAsync(transitionId, cancellationToken);
+
+        public Task AppendConfigurationVersionAsync(PersistedConfigurationVersion version, CancellationToken cancellationToken = default)
+            => inner.AppendConfigurationVersionAsync(version, cancellationToken);
+
+        public Task<PersistedConfigurationVersion?> GetConfigurationVersionAsync(string experimentName, int versionNumber, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetConfigurationVersionAsync(experimentName, versionNumber, tenantId, environment, cancellationToken);
+
+        public Task<PersistedConfigurationVersion?> GetLatestConfigurationVersionAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetLatestConfigurationVersionAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task<IReadOnlyList<PersistedConfigurationVersion>> GetAllConfigurationVersionsAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetAllConfigurationVersionsAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task AppendPolicyEvaluationAsync(PersistedPolicyEvaluation evaluation, CancellationToken cancellationToken = default)
+            => inner.AppendPolicyEvaluationAsync(evaluation, cancellationToken);
+
+        public Task<IReadOnlyList<PersistedPolicyEvaluation>> GetPolicyEvaluationsAsync(string experimentName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetPolicyEvaluationsAsync(experimentName, tenantId, environment, cancellationToken);
+
+        public Task<PersistedPolicyEvaluation?> GetLatestPolicyEvaluationAsync(string experimentName, string policyName, string? tenantId = null, string? environment = null, CancellationToken cancellationToken = default)
+            => inner.GetLatestPolicyEvaluationAsync(experimentName, policyName, tenantId, environment, cancellationToken);
+    }
 }
@@ -124,6 +124,86 @@ public class ConfigurationValidatorTests
         Assert.Contains(result.Errors, e => e.Message.Contains("Duplicate"));
     }
 
+    [Fact]
+    public void Validate_DuplicateConditionKeys_CarriesCodeAndKey()
+    {
+        // Arrange
+        var config = new ExperimentFrameworkConfigurationRoot
+        {
+            Trials =
+            [
+                new TrialConfig
+                {
+                    ServiceType = "IMyService",
+                    SelectionMode = new SelectionModeConfig { Type = "featureFlag" },
+                    Control = new ConditionConfig { Key = "control", ImplementationType = "MyService" },
+                    Conditions = [new ConditionConfig { Key = "control", ImplementationType = "MyService1" }]
+                }
+            ]
+        };
+
+        // Act
+        var result = _validator.Validate(config);
+
+        // Assert
+        var error = Assert.Single(result.Errors);
+        Assert.Equal(ValidationErrorCodes.DuplicateCondition, error.Code);
+        Assert.Equal("control", error.Data!["key"]);
+    }
+
+    [Fact]
+    public void Validate_InvalidErrorPolicy_CarriesAllowedValues()
+    {
+        // Arrange
+        var config = new ExperimentFrameworkConfigurationRoot
+        {
+            Trials =
+            [
+                new TrialConfig
+                {
+                    ServiceType = "IMyService",
+                    SelectionMode = new SelectionModeConfig { Type = "featureFlag" },
+                    Control = new ConditionConfig { Key = "control", ImplementationType = "MyService" },
+                    ErrorPolicy = new ErrorPolicyConfig { Type = "fallbakToControl" }
+                }
+            ]
+        };
+
+        // Act
+        var result = _validator.Validate(config);
+
+        // Assert
+        var error = Assert.Single(result.Errors);
+        Assert.Equal("trials[0].errorPolicy.type", error.Path);
+        Assert.Equal(ValidationErrorCodes.InvalidEnum, error.Code);
+        Assert.Contains("fallbackToControl", (string[])error.Data!["allowed"]!);
+    }
+
+    [Fact]
+    public void Validate_DuplicateTrialForService_ReturnsWarning()
+    {
+        // Arrange
+        var trial = new TrialConfig
+        {
+            ServiceType = "IMyService",
+            SelectionMode = new SelectionModeConfig { Type = "featureFlag" },
+            Control = new ConditionConfig { Key = "control", ImplementationType = "MyService" }
+        };
+        var config = new ExperimentFrameworkConfigurationRoot
+        {
+            Experiments = [new ExperimentConfig { Name = "test-experiment", Trials = [trial, trial] }]
+        };
+
+        // Act
+        var result = _validator.Validate(config);
+
+        // Assert
+        Assert.True(result.IsValid); // Existing configurations with duplicates still load
+        var warning = Assert.Single(result.Warnings);
+        Assert.Equal("experiments[0].trials[1]", warning.Path);
+        Assert.Equal(ValidationErrorCodes.DuplicateTrial, warning.Code);
+    }
+
     [Fact]
     public void Validate_InvalidActivationTimeRange_ReturnsError()
     {
@@ -0,0 +1,130 @@
+using System.Text.Json.Nodes;
+using ExperimentFramework.Configuration.Extensions;
+using ExperimentFramework.Configuration.Models;
+using ExperimentFramework.Configuration.Schema;
+using ExperimentFramework.Configuration.Validation;
+using Microsoft.Extensions.Logging;
+using TinyBDD;
+using TinyBDD.Xunit;
+using Xunit.Abstractions;
+
+namespace ExperimentFramework.Tests.Configuration.Schema;
+
+[Feature("DSL JSON schema generator describes the YAML configuration DSL for editor tooling")]
+public sealed class DslJsonSchemaGeneratorTests(ITestOutputHelper output) : TinyBddXunitBase(output)
+{
+    [Scenario("Schema is a draft-07 object schema with definitions")]
+    [Fact]
+    public Task Generate_produces_draft07_schema()
+        => Given("the default generator", () => true)
+            .When("generating the schema", _ => DslJsonSchemaGenerator.Generate())
+            .Then("dialect is draft-07", schema => schema["$schema"]!.GetValue<string>() == DslJsonSchemaGenerator.SchemaDialect)
+            .And("root type is object", schema => schema["type"]!.GetValue<string>() == "object")
+            .And("definitions include the trial model", schema => schema["definitions"]![nameof(TrialConfig)] is JsonObject)
+            .And("experiments is a root property", schema => schema["properties"]!["experiments"] is JsonObject)
+            .And("the experimentFramework wrapper is accepted", schema => schema["properties"]!["experimentFramework"]!["$ref"] is not null)
+            .AssertPassed();
+
+    [Scenario("Property names are camelCased and required members are listed")]
+    [Fact]
+    public Task Generate_uses_camel_case_and_required()
+        => Given("the default generator", () => true)
+            .When("reading the trial definition", _ => DslJsonSchemaGenerator.Generate()["definitions"]![nameof(TrialConfig)]!)
+            .Then("serviceType is a property", trial => trial["properties"]!["serviceType"] is JsonObject)
+            .And("serviceType is required", trial => trial["required"]!.AsArray().Any(n => n!.GetValue<string>() == "serviceType"))
+            .And("unknown properties are not allowed", trial => trial["additionalProperties"]!.GetValue<bool>() == false)
+            .AssertPassed();
+
+    [Scenario("Error policy types are enumerated")]
+    [Fact]
+    public Task Generate_enumerates_error_policy_types()
+        => Given("the default generator", () => true)
+            .When("reading the error policy type enum", _ =>
+                DslJsonSchemaGenerator.Generate()["definitions"]![nameof(ErrorPolicyConfig)]!["properties"]!["type"]!["enum"]!
+                    .AsArray().Select(n => n!.GetValue<string>()).ToList())
+            .Then("fallbackToControl is allowed", values => values.Contains("fallbackToControl"))
+            .And("tryInOrder is allowed", values => values.Contains("tryInOrder"))
+            .AssertPassed();
+
+    [Scenario("Decorator options are resolved from the decorator type")]
+    [Fact]
+    public Task Generate_maps_decorator_options_by_type()
+        => Given("the default generator", () => true)
+            .When("reading the decorator definition", _ => DslJsonSchemaGenerator.Generate()["definitions"]![nameof(DecoratorConfig)]!)
+            .Then("conditional branches are present", decorator => decorator["allOf"] is JsonArray { Count: > 0 })
+            .And("timeout maps to its options", decorator => decorator["allOf"]!.AsArray().Any(branch =>
+                branch!["if"]!["properties"]!["type"]!["const"]!.GetValue<string>() == "timeout" &&
+                branch["then"]!["properties"]!["options"]!["$ref"]!.GetValue<string>().EndsWith(nameof(TimeoutDecoratorOptions))))
+            .AssertPassed();
+
+    [Scenario("Condition key references are marked for editor tooling")]
+    [Fact]
+    public Task Generate_marks_condition_references()
+        => Given("the default generator", () => true)
+            .When("reading the fallback key", _ =>
+                DslJsonSchemaGenerator.Generate()["definitions"]![nameof(ErrorPolicyConfig)]!["properties"]!["fallbackKey"])
+            .Then("the reference keyword is set", property =>
+                property?[DslJsonSchemaGenerator.ConditionReferenceKeyword]?.GetValue<bool>() == true)
+            .AssertPassed();
+
+    [Scenario("Registered extension handlers widen the allowed types")]
+    [Fact]
+    public Task Generate_includes_registered_handlers()
+        => Given("a registry with custom handlers", () =>
+            {
+                var registry = new ConfigurationExtensionRegistry();
+                registry.RegisterSelectionModeHandler(new TestSelectionModeHandler("customMode"));
+                registry.RegisterDecoratorHandler(new TestDecoratorHandler("customDecorator"));
+                return registry;
+            })
+            .When("generating the schema", registry => DslJsonSchemaGenerator.Generate(registry)["definitions"]!)
+            .Then("the custom selection mode is allowed", definitions =>
+                definitions[nameof(SelectionModeConfig)]!["properties"]!["type"]!["enum"]!.AsArray()
+                    .Any(n => n!.GetValue<string>() == "customMode"))
+            .And("the custom decorator is allowed", definitions =>
+                definitions[nameof(DecoratorConfig)]!["properties"]!["type"]!["enum"]!.AsArray()
+                    .Any(n => n!.GetValue<string>() == "customDecorator"))
+            .AssertPassed();
+
+    [Scenario("The exporter writes the generated schema for the docs playground")]
+    [Fact]
+    public Task SchemaExporter_writes_the_dsl_schema()
+        => Given("an output path in a new directory", () =>
+                Path.Combine(Path.GetTempPath(), $"DslSchemaExport_{Guid.NewGuid():N}", "ExperimentFramework.dsl.schema.json"))
+            .When("exporting the DSL schema", path =>
+            {
+                SchemaExporter.ExportDslJsonSchema(path);
+                var schema = JsonNode.Parse(File.ReadAllText(path))!;
+                Directory.Delete(Path.GetDirectoryName(path)!, recursive: true);
+                return schema;
+            })
+            .Then("dialect is draft-07", schema => schema["$schema"]!.GetValue<string>() == DslJsonSchemaGenerator.SchemaDialect)
+            .And("definitions include the trial model", schema => schema["definitions"]![nameof(TrialConfig)] is JsonObject)
+            .AssertPassed();
+
+    private sealed class TestDecoratorHandler(string decoratorType) : IConfigurationDecoratorHandler
+    {
+        public string DecoratorType { get; } = decoratorType;
+
+        public void Apply(ExperimentFrameworkBuilder builder, DecoratorConfig config, ILogger? logger) { }
+
+        public IEnumerable<ConfigurationValidationError> Validate(DecoratorConfig config, string path)
+        {
+            yield break;
+        }
+    }
+
+    private sealed class TestSelectionModeHandler(string modeType) : IConfigurationSelectionModeHandler
+    {
+        public string ModeType { get; } = modeType;
+
+        public void Apply<TService>(ServiceExperimentBuilder<TService> builder, SelectionModeConfig config, ILogger? logger)
+            where TService : class
+        { }
+
+        public IEnumerable<ConfigurationValidationError> Validate(SelectionModeConfig config, string path)
+        {
+            yield break;
+        }
+    }
+}
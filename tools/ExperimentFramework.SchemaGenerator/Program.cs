@@ -56,7 +56,11 @@ public class Program
             unified,
             Path.Combine(outputDirectory, "ExperimentFramework.unified.schema.json"));
 
-        Console.WriteLine($"Generated 3 schema files in {outputDirectory}");
+        // Generate the DSL JSON schema editors and the docs playground validate against
+        SchemaExporter.ExportDslJsonSchema(
+            Path.Combine(outputDirectory, "ExperimentFramework.dsl.schema.json"));
+
+        Console.WriteLine($"Generated 4 schema files in {outputDirectory}");
     }
 
     private static SchemaDefinition CreateConfigurationSchema()